@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+
+/**
+ * Seed the shared exercise library
+ * Adds the built-in exercises and their alternatives. Safe to run again:
+ * existing library exercises are left as they are.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const config = require('../src/common/config');
+const logger = require('../src/common/utils/logger');
+const exerciseService = require('../src/modules/exercises/services/exercise.service');
+const { exerciseAlternatives } = require('../src/modules/ai-programs/data/exerciseAlternatives');
+
+async function main() {
+  await mongoose.connect(config.mongodb.uri, config.mongodb.options);
+
+  try {
+    const { created, linked } = await exerciseService.seedLibrary(exerciseAlternatives);
+    logger.info(`Exercise library ready: ${created} exercise(s) added, ${linked} given alternatives`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((error) => {
+  logger.error('Exercise library seed failed:', error);
+  process.exit(1);
+});
@@ -22,6 +22,7 @@ const { preventParameterPollution } = require('./common/middleware/validation');
 const authRoutes = require('./modules/auth/routes/auth.routes');
 const clientRoutes = require('./modules/clients/routes/clientProfile.routes');
 const workoutRoutes = require('./modules/workouts/routes/workout.routes');
+const exerciseRoutes = require('./modules/exercises/routes/exercise.routes');
 const nutritionRoutes = require('./modules/nutrition/routes/nutrition.routes');
 const checkinRoutes = require('./modules/checkins/routes/checkin.routes');
 const sessionRoutes = require('./modules/sessions/routes/session.routes');
@@ -109,6 +110,7 @@ const API_PREFIX = `/api/${config.apiVersion}`;
 app.use(`${API_PREFIX}/auth`, authRoutes);
 app.use(`${API_PREFIX}/clients`, clientRoutes);
 app.use(`${API_PREFIX}/workouts`, workoutRoutes);
+app.use(`${API_PREFIX}/exercises`, exerciseRoutes);
 app.use(`${API_PREFIX}/nutrition`, nutritionRoutes);
 app.use(`${API_PREFIX}/checkins`, checkinRoutes);
 app.use(`${API_PREFIX}/sessions`, sessionRoutes);
@@ -299,6 +299,7 @@ function logConfigSummary(config) {
     redis: config.redis?.url ? 'Configured' : 'Not configured',
     s3Storage: config.aws?.useS3 ? 'Enabled' : 'Disabled',
     emailProvider: config.email?.provider || 'smtp',
+    meetingProvider: config.meetings?.provider || 'jitsi',
     aiFeatures: config.openai?.enabled ? 'Enabled' : 'Disabled',
     smsNotifications: config.sms?.enabled ? 'Enabled' : 'Disabled',
     pushNotifications: config.firebase?.enabled ? 'Enabled' : 'Disabled',
@@ -0,0 +1,13 @@
+/**
+ * Test Environment Configuration
+ * Overrides for the automated test run
+ */
+
+module.exports = {
+  env: 'test',
+
+  // Meeting rooms are generated in memory instead of by a real provider
+  meetings: {
+    provider: 'stub',
+  },
+};
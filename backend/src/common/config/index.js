@@ -125,6 +125,10 @@ const baseConfig = {
     maxFileSize: parseInt(process.env.MAX_FILE_SIZE, 10) || 50 * 1024 * 1024,
     uploadPath: process.env.UPLOAD_PATH || './uploads',
     videoUploadPath: process.env.VIDEO_UPLOAD_PATH || './uploads/videos',
+    // Not served statically; files are read through signed, expiring URLs
+    privateUploadPath: process.env.PRIVATE_UPLOAD_PATH || './uploads/private',
+    signedUrlSecret: process.env.SIGNED_URL_SECRET || process.env.JWT_SECRET || 'default_secret_change_in_production',
+    signedUrlTtlMinutes: parseInt(process.env.SIGNED_URL_TTL_MINUTES, 10) || 15,
     allowedFileTypes: process.env.ALLOWED_FILE_TYPES
       ? process.env.ALLOWED_FILE_TYPES.split(',')
       : ['image/jpeg', 'image/png', 'image/gif', 'video/mp4', 'video/quicktime'],
@@ -136,6 +140,20 @@ const baseConfig = {
     apiKey: process.env.PYTHON_ANALYSIS_API_KEY,
   },
 
+  // Video meetings for virtual sessions
+  meetings: {
+    provider: process.env.MEETING_PROVIDER || 'jitsi',
+    jitsi: {
+      baseUrl: process.env.JITSI_BASE_URL || 'https://meet.jit.si',
+      roomPrefix: process.env.JITSI_ROOM_PREFIX || 'coachflow',
+    },
+  },
+
+  // Coach review queue for check-ins and form analyses
+  reviews: {
+    slaHours: parseInt(process.env.REVIEW_SLA_HOURS, 10) || 48,
+  },
+
   // Logging
   logging: {
     level: process.env.LOG_LEVEL || 'info',
@@ -157,6 +175,12 @@ const baseConfig = {
   // Cron Jobs
   cron: {
     weeklyReportSchedule: process.env.WEEKLY_REPORT_CRON || '0 0 * * 1',
+    sessionReminderSchedule: process.env.SESSION_REMINDER_CRON || '*/5 * * * *',
+    calendarImportSchedule: process.env.CALENDAR_IMPORT_CRON || '0 * * * *',
+    checkinReminderSchedule: process.env.CHECKIN_REMINDER_CRON || '*/30 * * * *',
+    // Hourly, so each client's local midnight is picked up soon after it passes
+    missedWorkoutSchedule: process.env.MISSED_WORKOUT_CRON || '15 * * * *',
+    programProgressSchedule: process.env.PROGRAM_PROGRESS_CRON || '45 * * * *',
   },
 
   // Monitoring
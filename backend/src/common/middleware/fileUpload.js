@@ -32,6 +32,9 @@ const ALLOWED_MIME_TYPES = {
     'application/msword',
     'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
   ],
+  calendars: [
+    'text/calendar',
+  ],
   all: [],
 };
 
@@ -49,6 +52,7 @@ const ALLOWED_EXTENSIONS = {
   images: ['.jpg', '.jpeg', '.png', '.gif', '.webp'],
   videos: ['.mp4', '.mov', '.avi', '.mpeg'],
   documents: ['.pdf', '.doc', '.docx'],
+  calendars: ['.ics'],
 };
 
 /**
@@ -315,6 +319,9 @@ module.exports = {
   // Pre-configured middleware for common use cases
   uploadSingleImage: createUploadMiddleware({ maxFiles: 1, allowedCategory: 'images' }),
   uploadMultipleImages: createUploadMiddleware({ maxFiles: 10, allowedCategory: 'images' }),
+  // Kept in memory so the content is scanned before the caller stores it privately
+  uploadPrivateImages: createUploadMiddleware({ maxFiles: 4, allowedCategory: 'images', useMemory: true }),
   uploadSingleVideo: createUploadMiddleware({ maxFiles: 1, allowedCategory: 'videos' }),
   uploadDocument: createUploadMiddleware({ maxFiles: 1, allowedCategory: 'documents' }),
+  uploadCalendar: createUploadMiddleware({ maxFiles: 1, allowedCategory: 'calendars', useMemory: true }),
 };
@@ -8,6 +8,7 @@ const User = require('../../modules/auth/models/user.model');
 const ClientProfile = require('../../modules/clients/models/clientProfile.model');
 const Program = require('../../modules/workouts/models/program.model');
 const Session = require('../../modules/sessions/models/session.model');
+const BusyBlock = require('../../modules/sessions/models/busyBlock.model');
 const MealPlan = require('../../modules/nutrition/models/mealPlan.model');
 
 class DataIntegrityService {
@@ -62,7 +63,7 @@ class DataIntegrityService {
       coachId,
       clientId,
       startTime,
-      status: { $nin: ['cancelled', 'completed'] },
+      status: { $nin: ['cancelled', 'declined', 'completed'] },
     };
     
     if (excludeSessionId) {
@@ -79,7 +80,7 @@ class DataIntegrityService {
   async validateCoachAvailability(coachId, startTime, endTime, excludeSessionId = null) {
     const query = {
       coachId,
-      status: { $nin: ['cancelled'] },
+      status: { $nin: ['cancelled', 'declined'] },
       $or: [
         {
           startTime: { $lte: startTime },
@@ -96,7 +97,9 @@ class DataIntegrityService {
       ],
     };
     
-    if (excludeSessionId) {
+    if (Array.isArray(excludeSessionId)) {
+      query._id = { $nin: excludeSessionId };
+    } else if (excludeSessionId) {
       query._id = { $ne: excludeSessionId };
     }
     
@@ -105,6 +108,17 @@ class DataIntegrityService {
     if (conflictingSession) {
       throw new ConflictError('Coach is not available at this time');
     }
+
+    // Events imported from the coach's external calendars
+    const busyBlock = await BusyBlock.findOne({
+      coachId,
+      startTime: { $lt: endTime },
+      endTime: { $gt: startTime },
+    });
+
+    if (busyBlock) {
+      throw new ConflictError('Coach is not available at this time');
+    }
   }
 
   /**
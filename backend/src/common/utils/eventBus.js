@@ -0,0 +1,42 @@
+/**
+ * Event Bus
+ * In-process domain events, so modules can react to each other's changes
+ * without the emitting module knowing about them
+ *
+ * Handlers run after the publisher has moved on; a failing handler is logged
+ * and never reaches the code that published the event.
+ */
+
+const { EventEmitter } = require('events');
+const logger = require('./logger');
+
+const EVENTS = {
+  // { userId, workoutLogId, records }
+  PERSONAL_RECORD: 'workouts.personal_record',
+  // { userId, programId }
+  PROGRAM_COMPLETED: 'workouts.program_completed',
+};
+
+class EventBus {
+  constructor() {
+    this.emitter = new EventEmitter();
+  }
+
+  get EVENTS() {
+    return EVENTS;
+  }
+
+  subscribe(event, handler) {
+    this.emitter.on(event, (payload) => {
+      Promise.resolve()
+        .then(() => handler(payload))
+        .catch((error) => logger.error(`Handler for ${event} failed:`, error));
+    });
+  }
+
+  publish(event, payload) {
+    return this.emitter.emit(event, payload);
+  }
+}
+
+module.exports = new EventBus();
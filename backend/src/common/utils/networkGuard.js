@@ -0,0 +1,116 @@
+/**
+ * Network Guard Utilities
+ * Keeps server-side fetches of user-supplied URLs away from internal addresses
+ *
+ * Host names are checked when the connection is made (through the agents'
+ * DNS lookup), so a name that resolves to a private address is refused even
+ * if it resolved elsewhere when the URL was saved.
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { BadRequestError } = require('./errors');
+
+// Loopback, private, link-local (cloud metadata), shared, reserved and multicast ranges
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 3, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6'],
+];
+
+const blockList = new net.BlockList();
+BLOCKED_SUBNETS.forEach(([address, prefix, type]) => blockList.addSubnet(address, prefix, type));
+
+const blockedError = (host) => {
+  const error = new BadRequestError(`Address ${host} is not allowed`);
+  error.code = 'EADDRBLOCKED';
+  return error;
+};
+
+/**
+ * Whether an IP address is internal (IPv4-mapped IPv6 addresses included).
+ * Anything that is not an IP address is reported as internal.
+ */
+const isPrivateAddress = (address) => {
+  const version = net.isIP(String(address));
+
+  if (!version) {
+    return true;
+  }
+
+  return blockList.check(address, version === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Reject URLs that are not http(s) or that name an internal host directly
+ * (IP literals and localhost are never passed to the DNS lookup)
+ */
+const assertPublicUrl = (url) => {
+  let parsed;
+
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new BadRequestError('Invalid URL');
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new BadRequestError('URL must use http or https');
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+  if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isPrivateAddress(host))) {
+    throw blockedError(host);
+  }
+};
+
+/**
+ * dns.lookup replacement for the agents: fails when any resolved address is internal
+ */
+const safeLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    const addresses = Array.isArray(address) ? address.map((entry) => entry.address) : [address];
+
+    if (addresses.some(isPrivateAddress)) {
+      callback(blockedError(hostname));
+      return;
+    }
+
+    callback(null, address, family);
+  });
+};
+
+// Request options for axios: guarded agents, and every redirect target re-checked
+const requestOptions = {
+  httpAgent: new http.Agent({ lookup: safeLookup }),
+  httpsAgent: new https.Agent({ lookup: safeLookup }),
+  beforeRedirect: (options) => assertPublicUrl(options.href),
+};
+
+module.exports = {
+  isPrivateAddress,
+  assertPublicUrl,
+  safeLookup,
+  requestOptions,
+};
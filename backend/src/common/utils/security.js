@@ -93,6 +93,7 @@ const sanitizeUser = (user) => {
   delete userObj.password;
   delete userObj.passwordResetToken;
   delete userObj.passwordResetExpires;
+  delete userObj.calendarFeedToken;
   delete userObj.verificationToken;
   delete userObj.__v;
   return userObj;
@@ -0,0 +1,42 @@
+/**
+ * Signed URL Utilities
+ * HMAC signatures for links that grant temporary access to private files
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+
+const sign = (resource, expires) => crypto
+  .createHmac('sha256', config.upload.signedUrlSecret)
+  .update(`${resource}:${expires}`)
+  .digest('hex');
+
+/**
+ * Sign a resource path
+ * @returns {Object} { expires, signature } with expires in Unix seconds
+ */
+const createSignature = (resource, ttlMinutes = config.upload.signedUrlTtlMinutes, now = Date.now()) => {
+  const expires = Math.floor(now / 1000) + ttlMinutes * 60;
+  return { expires, signature: sign(resource, expires) };
+};
+
+/**
+ * Check a signature and that it has not expired
+ */
+const verifySignature = (resource, expires, signature, now = Date.now()) => {
+  const expiresAt = Number(expires);
+
+  if (!Number.isInteger(expiresAt) || expiresAt * 1000 < now || typeof signature !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(resource, expiresAt));
+  const given = Buffer.from(signature);
+
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+module.exports = {
+  createSignature,
+  verifySignature,
+};
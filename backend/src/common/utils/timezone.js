@@ -0,0 +1,199 @@
+/**
+ * Time Zone Utilities
+ * IANA time zone conversions built on Intl (no external tz database)
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+const DEFAULT_TIME_ZONE = 'UTC';
+
+// ISO 8601 date-time carrying an explicit offset (Z, +02:00, -0500)
+const OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+const LOCAL_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/;
+
+class TimeZone {
+  constructor() {
+    this.formatters = new Map();
+    this.displayFormatters = new Map();
+  }
+
+  /**
+   * First valid time zone among the candidates, or UTC
+   */
+  resolve(...candidates) {
+    return candidates.find((timeZone) => this.isValid(timeZone)) || DEFAULT_TIME_ZONE;
+  }
+
+  /**
+   * Check that a string is a time zone known to the runtime
+   */
+  isValid(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') {
+      return false;
+    }
+
+    try {
+      this.getFormatter(timeZone);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  getFormatter(timeZone) {
+    if (!this.formatters.has(timeZone)) {
+      this.formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      }));
+    }
+
+    return this.formatters.get(timeZone);
+  }
+
+  /**
+   * Wall-clock parts of an instant in a time zone
+   * @returns {Object} { year, month (1-12), day, hour, minute, second }
+   */
+  getParts(date, timeZone) {
+    return this.getFormatter(timeZone)
+      .formatToParts(new Date(date))
+      .filter((part) => part.type !== 'literal')
+      .reduce((parts, part) => ({ ...parts, [part.type]: parseInt(part.value, 10) }), {});
+  }
+
+  /**
+   * UTC offset of a time zone at an instant, in minutes (e.g. -300 for EST)
+   */
+  getOffsetMinutes(date, timeZone) {
+    const instant = new Date(date);
+    const parts = this.getParts(instant, timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+    return Math.round((asUtc - Math.floor(instant.getTime() / 1000) * 1000) / MINUTE_MS);
+  }
+
+  /**
+   * Convert a wall-clock time in a time zone to a UTC instant.
+   * Times skipped by a DST jump resolve forward; repeated times resolve to
+   * the first occurrence.
+   * @param {Object} parts - { year, month (1-12), day, hour, minute, second }
+   * @param {String} timeZone
+   * @returns {Date}
+   */
+  toUtc(parts, timeZone) {
+    const wall = Date.UTC(
+      parts.year,
+      parts.month - 1,
+      parts.day,
+      parts.hour || 0,
+      parts.minute || 0,
+      parts.second || 0,
+    );
+
+    const firstOffset = this.getOffsetMinutes(wall, timeZone);
+    const guess = wall - firstOffset * MINUTE_MS;
+    const secondOffset = this.getOffsetMinutes(guess, timeZone);
+
+    if (firstOffset === secondOffset) {
+      return new Date(guess);
+    }
+
+    // Offset changed between the guess and the wall time (DST transition)
+    const adjusted = wall - secondOffset * MINUTE_MS;
+    return this.getOffsetMinutes(adjusted, timeZone) === secondOffset
+      ? new Date(adjusted)
+      : new Date(guess);
+  }
+
+  /**
+   * Re-express a UTC instant as a "floating" Date whose UTC fields hold the
+   * wall-clock time in the zone. Used to do calendar arithmetic in local time.
+   */
+  toWallClock(date, timeZone) {
+    const parts = this.getParts(date, timeZone);
+    return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+  }
+
+  /**
+   * Parse a date-time input. Values with an offset (or Date objects) are
+   * absolute instants; offset-less values ("2030-03-10T09:00") are read as
+   * wall-clock time in the given zone.
+   */
+  parseLocal(value, timeZone) {
+    if (value instanceof Date || typeof value !== 'string' || OFFSET_PATTERN.test(value.trim())) {
+      return new Date(value);
+    }
+
+    const match = LOCAL_PATTERN.exec(value.trim());
+
+    if (!match) {
+      return new Date(value);
+    }
+
+    const [, year, month, day, hour, minute, second] = match.map((part) => parseInt(part || '0', 10));
+
+    return this.toUtc({
+      year, month, day, hour, minute, second,
+    }, timeZone);
+  }
+
+  /**
+   * ISO 8601 local time with its UTC offset (2030-03-10T09:00:00-04:00)
+   */
+  toLocalIso(date, timeZone) {
+    const offset = this.getOffsetMinutes(date, timeZone);
+    const sign = offset < 0 ? '-' : '+';
+    const pad = (value) => String(value).padStart(2, '0');
+
+    const local = this.toWallClock(date, timeZone).toISOString().slice(0, 19);
+
+    return `${local}${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+  }
+
+  /**
+   * Human-readable local time for messages ("Sunday, March 10, 2030 at 9:00 AM EDT")
+   */
+  format(date, timeZone) {
+    const zone = this.resolve(timeZone);
+
+    if (!this.displayFormatters.has(zone)) {
+      this.displayFormatters.set(zone, new Intl.DateTimeFormat('en-US', {
+        timeZone: zone,
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZoneName: 'short',
+      }));
+    }
+
+    return this.displayFormatters.get(zone).format(new Date(date));
+  }
+
+  /**
+   * Inverse of toWallClock
+   */
+  fromWallClock(wallDate, timeZone) {
+    const date = new Date(wallDate);
+
+    return this.toUtc({
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      hour: date.getUTCHours(),
+      minute: date.getUTCMinutes(),
+      second: date.getUTCSeconds(),
+    }, timeZone);
+  }
+}
+
+module.exports = new TimeZone();
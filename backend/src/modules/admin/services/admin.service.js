@@ -8,6 +8,7 @@ const ClientProfile = require('../../clients/models/clientProfile.model');
 const Program = require('../../workouts/models/program.model');
 const Session = require('../../sessions/models/session.model');
 const Checkin = require('../../checkins/models/checkin.model');
+const reviewQueueService = require('../../checkins/services/reviewQueue.service');
 const logger = require('../../../common/utils/logger');
 
 class AdminService {
@@ -53,6 +54,7 @@ class AdminService {
       upcomingSessions,
       pendingCheckins,
       recentClients,
+      reviews,
     ] = await Promise.all([
       ClientProfile.countDocuments({ coachId }),
       Program.countDocuments({ coachId, status: 'active' }),
@@ -66,6 +68,7 @@ class AdminService {
         .sort('-createdAt')
         .limit(10)
         .populate('userId', 'firstName lastName email avatar'),
+      reviewQueueService.getResponseStats(coachId),
     ]);
 
     // Get upcoming sessions
@@ -84,6 +87,9 @@ class AdminService {
         activePrograms,
         upcomingSessions,
         pendingCheckins,
+        pendingReviews: reviews.pending,
+        reviewsPastSla: reviews.breached,
+        averageReviewResponseHours: reviews.averageResponseHours,
       },
       recentClients,
       upcomingSessionsList: sessions,
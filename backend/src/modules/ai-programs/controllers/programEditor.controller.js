@@ -95,9 +95,10 @@ class ProgramEditorController {
       }
       if (minSimilarity) criteria.minSimilarity = parseFloat(minSimilarity);
 
-      const alternatives = programEditorService.getExerciseAlternatives(
+      const alternatives = await programEditorService.getExerciseAlternatives(
         exerciseName,
-        criteria
+        criteria,
+        req.user
       );
 
       if (!alternatives) {
@@ -130,9 +131,10 @@ class ProgramEditorController {
       }
       if (minSimilarity) criteria.minSimilarity = parseFloat(minSimilarity);
 
-      const result = programEditorService.getBestAlternative(
+      const result = await programEditorService.getBestAlternative(
         exerciseName,
-        criteria
+        criteria,
+        req.user
       );
 
       if (!result) {
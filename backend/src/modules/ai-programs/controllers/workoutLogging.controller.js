@@ -4,6 +4,10 @@
  */
 
 const workoutLoggingService = require('../services/workoutLogging.service');
+const personalRecordService = require('../../workouts/services/personalRecord.service');
+const trainingMaxService = require('../../workouts/services/trainingMax.service');
+const programProgressService = require('../../workouts/services/programProgress.service');
+const workoutRepository = require('../../workouts/repositories/workout.repository');
 const { asyncHandler } = require('../../../common/middleware/errorHandler');
 const { successResponse, errorResponse } = require('../../../common/utils/responseFormatter');
 
@@ -193,6 +197,8 @@ class WorkoutLoggingController {
       return errorResponse(res, 'Unauthorized access to workout log', 403);
     }
 
+    const previousLog = workoutLog.toObject();
+
     // Update allowed fields
     const allowedFields = [
       'duration',
@@ -221,6 +227,9 @@ class WorkoutLoggingController {
     }
 
     await workoutLog.save();
+    await personalRecordService.syncLogRecords(workoutLog);
+    await trainingMaxService.syncEditedLogMaxes(workoutLog, previousLog);
+    await programProgressService.syncLogPrograms(workoutLog);
 
     return successResponse(
       res,
@@ -250,6 +259,9 @@ class WorkoutLoggingController {
     }
 
     await WorkoutLog.findByIdAndDelete(logId);
+    await workoutRepository.deleteLogPersonalRecords(logId);
+    await trainingMaxService.syncDeletedLogMaxes(workoutLog);
+    await programProgressService.syncLogPrograms(workoutLog);
 
     return successResponse(
       res,
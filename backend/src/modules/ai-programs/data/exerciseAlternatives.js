@@ -1,6 +1,8 @@
 /**
- * Exercise Alternatives Database
- * Defines exercise equivalencies and substitutions for equipment, difficulty, or injury
+ * Exercise Alternatives Seed Data
+ * Exercise equivalencies and substitutions for equipment, difficulty, or injury.
+ * Loaded into the shared exercise library on startup when it is empty, or by
+ * `npm run exercises:seed`; lookups go through the Exercise collection.
  */
 
 const exerciseAlternatives = {
@@ -504,82 +506,6 @@ const exerciseAlternatives = {
   },
 };
 
-/**
- * Get alternatives for a specific exercise
- */
-function getAlternatives(exerciseName, filterOptions = {}) {
-  const normalized = exerciseName.toLowerCase().replace(/\s+/g, '_');
-  const exercise = exerciseAlternatives[normalized];
-  
-  if (!exercise) {
-    return null;
-  }
-
-  let alternatives = exercise.alternatives;
-
-  // Filter by reason
-  if (filterOptions.reason) {
-    alternatives = alternatives.filter(alt => alt.reason === filterOptions.reason);
-  }
-
-  // Filter by equipment availability
-  if (filterOptions.availableEquipment) {
-    alternatives = alternatives.filter(alt => 
-      alt.equipment.every(eq => filterOptions.availableEquipment.includes(eq))
-    );
-  }
-
-  // Filter by similarity threshold
-  if (filterOptions.minSimilarity) {
-    alternatives = alternatives.filter(alt => alt.similarity >= filterOptions.minSimilarity);
-  }
-
-  // Sort by similarity
-  alternatives.sort((a, b) => b.similarity - a.similarity);
-
-  return {
-    original: {
-      exercise: exerciseName,
-      ...exercise.primary,
-    },
-    alternatives,
-  };
-}
-
-/**
- * Find best alternative based on criteria
- */
-function findBestAlternative(exerciseName, criteria = {}) {
-  const alternatives = getAlternatives(exerciseName, criteria);
-  
-  if (!alternatives || alternatives.alternatives.length === 0) {
-    return null;
-  }
-
-  return {
-    original: alternatives.original,
-    recommended: alternatives.alternatives[0],
-    otherOptions: alternatives.alternatives.slice(1),
-  };
-}
-
-/**
- * Get all exercises by muscle group
- */
-function getExercisesByMuscleGroup(muscleGroup) {
-  return Object.entries(exerciseAlternatives)
-    .filter(([_, data]) => data.primary.muscleGroup === muscleGroup)
-    .map(([name, data]) => ({
-      name,
-      ...data.primary,
-    }));
-}
-
 module.exports = {
   exerciseAlternatives,
-  getAlternatives,
-  findBestAlternative,
-  getExercisesByMuscleGroup,
 };
-
-
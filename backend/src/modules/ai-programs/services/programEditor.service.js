@@ -5,7 +5,7 @@
 
 const GeneratedProgram = require('../models/generatedProgram.model');
 const logger = require('../../../common/utils/logger');
-const { getAlternatives, findBestAlternative } = require('../data/exerciseAlternatives');
+const exerciseService = require('../../exercises/services/exercise.service');
 
 class ProgramEditorService {
   /**
@@ -142,17 +142,17 @@ class ProgramEditorService {
   }
 
   /**
-   * Get exercise alternatives for swapping
+   * Get exercise alternatives for swapping (by library exercise ID or name)
    */
-  getExerciseAlternatives(exerciseName, criteria = {}) {
-    return getAlternatives(exerciseName, criteria);
+  async getExerciseAlternatives(exerciseName, criteria = {}, user = null) {
+    return exerciseService.getAlternatives(exerciseName, criteria, user);
   }
 
   /**
    * Get best exercise alternative
    */
-  getBestAlternative(exerciseName, criteria = {}) {
-    return findBestAlternative(exerciseName, criteria);
+  async getBestAlternative(exerciseName, criteria = {}, user = null) {
+    return exerciseService.findBestAlternative(exerciseName, criteria, user);
   }
 
   /**
@@ -177,6 +177,19 @@ class ProgramEditorService {
     const swaps = [];
     const modifications = [];
 
+    // Look up alternatives for every exercise that needs a swap up front
+    const names = [...new Set(workouts.flatMap((workout) => (workout.exercises || [])
+      .filter((exercise) => this._needsEquipmentSwap(exercise, availableEquipment))
+      .map((exercise) => exercise.name)))];
+    const bestAlternatives = new Map(await Promise.all(names.map(async (name) => [
+      name,
+      await exerciseService.findBestAlternative(name, {
+        availableEquipment,
+        reason: 'equipment',
+        minSimilarity: 0.7,
+      }, { _id: coachId, role: 'coach' }),
+    ])));
+
     // Iterate through all exercises
     workouts.forEach((workout, workoutIdx) => {
       const exercises = workout.exercises || [];
@@ -186,11 +199,7 @@ class ProgramEditorService {
         const needsSwap = this._needsEquipmentSwap(exercise, availableEquipment);
         
         if (needsSwap) {
-          const alternative = findBestAlternative(exercise.name, {
-            availableEquipment,
-            reason: 'equipment',
-            minSimilarity: 0.7,
-          });
+          const alternative = bestAlternatives.get(exercise.name);
 
           if (alternative && alternative.recommended) {
             const originalExercise = { ...exercise };
@@ -199,6 +208,7 @@ class ProgramEditorService {
             exercises[exerciseIdx] = {
               ...exercise,
               name: alternative.recommended.exercise,
+              exercise: alternative.recommended.exerciseId,
               equipment: alternative.recommended.equipment,
               swapped: true,
               swappedAt: new Date(),
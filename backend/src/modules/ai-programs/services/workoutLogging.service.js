@@ -7,6 +7,10 @@ const mongoose = require('mongoose');
 const GeneratedProgram = require('../models/generatedProgram.model');
 const WorkoutLog = require('../../workouts/models/workoutLog.model');
 const Workout = require('../../workouts/models/workout.model');
+const exerciseService = require('../../exercises/services/exercise.service');
+const personalRecordService = require('../../workouts/services/personalRecord.service');
+const trainingMaxService = require('../../workouts/services/trainingMax.service');
+const programProgressService = require('../../workouts/services/programProgress.service');
 const logger = require('../../../common/utils/logger');
 
 class WorkoutLoggingService {
@@ -51,7 +55,7 @@ class WorkoutLoggingService {
     const averageRPE = this._calculateAverageRPE(exercises);
     
     // Process exercises to ensure proper structure
-    const processedExercises = exercises.map((exercise) => {
+    const processedExercises = await exerciseService.linkExercises(exercises.map((exercise) => {
       const targetExercise = programWorkout.exercises.find(
         (e) => e.exerciseId === exercise.exerciseId || e.name === exercise.name
       );
@@ -73,7 +77,7 @@ class WorkoutLoggingService {
         targetWeight: targetExercise?.weight,
         averageRPE: this._calculateExerciseAverageRPE(exercise.sets),
       };
-    });
+    }), program.coachId);
 
     // Create workout log
     const workoutLog = new WorkoutLog({
@@ -93,6 +97,9 @@ class WorkoutLoggingService {
     });
 
     await workoutLog.save();
+    await personalRecordService.syncLogRecords(workoutLog);
+    await trainingMaxService.syncLogMaxes(workoutLog);
+    await programProgressService.syncLogPrograms(workoutLog);
 
     // Calculate compliance metrics
     const complianceMetrics = await this.calculateComplianceMetrics(userId, generatedProgramId);
@@ -173,6 +180,9 @@ class WorkoutLoggingService {
     workoutLog.averageRPE = this._calculateAverageRPE(workoutLog.exercises);
 
     await workoutLog.save();
+    await personalRecordService.syncLogRecords(workoutLog);
+    // The set may have replaced one a training max was estimated from
+    await trainingMaxService.syncEditedLogMaxes(workoutLog);
 
     logger.info(`Set logged: Exercise ${exerciseIndex}, Set ${setNumber} for workout: ${workoutLogId}`);
 
@@ -181,10 +191,12 @@ class WorkoutLoggingService {
 
   /**
    * Start a workout session (creates a draft log)
+   * Percentage-based programs get their target weights from the client's
+   * training maxes for the program week the session falls in.
    * @param {ObjectId} userId - User ID
    * @param {ObjectId} generatedProgramId - AI-generated program ID
    * @param {Object} sessionData - Workout session data
-   * @returns {Promise<Object>} Draft workout log
+   * @returns {Promise<Object>} Draft workout log, target workout and resolved prescriptions
    */
   async startWorkoutSession(userId, generatedProgramId, sessionData) {
     const { workoutIndex, workoutName, date } = sessionData;
@@ -203,22 +215,30 @@ class WorkoutLoggingService {
       throw new Error('Workout not found in program');
     }
 
-    // Create draft workout log with exercises structure
-    const exercises = programWorkout.exercises.map((exercise) => ({
+    // Create draft workout log with exercises structure, linked to the exercise library
+    const linkedExercises = await exerciseService.linkExercises(programWorkout.exercises.map((exercise) => ({
       exerciseId: exercise.exerciseId,
       name: exercise.name,
       sets: [],
       targetSets: exercise.sets,
       targetReps: exercise.reps,
       targetWeight: exercise.weight,
+      loadPercentage: exercise.loadPercentage,
       averageRPE: 0,
-    }));
+    })), program.coachId);
+
+    // Resolve percentage-based loads into kg targets
+    const sessionDate = date || new Date();
+    const prescription = this.getPercentagePrescription(program, sessionDate);
+    const { exercises, prescriptions } = prescription
+      ? await trainingMaxService.resolvePrescriptions(userId, linkedExercises, prescription)
+      : { exercises: linkedExercises, prescriptions: [] };
 
     const workoutLog = new WorkoutLog({
       userId,
       workoutId: new mongoose.Types.ObjectId(),
       programId: program.generatedContent?.workoutProgram?.programId,
-      date: date || new Date(),
+      date: sessionDate,
       exercises,
       totalVolume: 0,
       averageRPE: 0,
@@ -232,6 +252,12 @@ class WorkoutLoggingService {
     return {
       workoutLog,
       targetWorkout: programWorkout,
+      prescriptions: prescription && {
+        week: prescription.week,
+        loadPercentage: prescription.loadPercentage,
+        deloadReduction: prescription.reduction,
+        exercises: prescriptions,
+      },
     };
   }
 
@@ -504,6 +530,39 @@ class WorkoutLoggingService {
     };
   }
 
+  /**
+   * Load for the program week a session falls in, for percentage-based programs
+   * @returns {Object|null} { week, loadPercentage, reduction, increment }
+   */
+  getPercentagePrescription(program, date) {
+    const progressionEngine = program.generatedContent?.workoutProgram?.progressionEngine;
+    const progressionRules = progressionEngine?.progressionRules;
+
+    if (progressionRules?.strategy !== 'percentage_based') {
+      return null;
+    }
+
+    const programWeeks = program.generatedContent?.workoutProgram?.duration?.weeks || 12;
+    const weeksSinceStart = Math.floor(
+      (new Date(date) - (program.appliedAt || program.createdAt)) / (7 * 24 * 60 * 60 * 1000),
+    );
+    const week = Math.min(Math.max(weeksSinceStart + 1, 1), programWeeks);
+
+    const weeklyLoad = progressionRules.weeklyLoad?.find((load) => load.week === week);
+    const deload = progressionEngine.deloadProtocol?.enabled
+      ? progressionEngine.deloadProtocol.scheduledDeloads?.find(
+        (scheduled) => scheduled.week === week && scheduled.type === 'intensity_reduction',
+      )
+      : null;
+
+    return {
+      week,
+      loadPercentage: weeklyLoad?.loadPercentage,
+      reduction: deload?.reduction || 0,
+      increment: progressionRules.weightIncrement,
+    };
+  }
+
   _analyzeRPEAdherence(program, workoutLogs) {
     const rpeTargets = program.generatedContent?.workoutProgram?.progressionEngine?.rpeTargets;
     if (!rpeTargets?.enabled || !workoutLogs.length) {
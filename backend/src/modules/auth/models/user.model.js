@@ -93,6 +93,11 @@ const userSchema = new mongoose.Schema(
       type: Date,
       select: false,
     },
+    // SHA-256 of the secret in the user's calendar subscription URL
+    calendarFeedToken: {
+      type: String,
+      select: false,
+    },
     lastLogin: {
       type: Date,
     },
@@ -194,6 +199,7 @@ userSchema.index({ deletionScheduledFor: 1 });
 userSchema.index({ googleId: 1 });
 userSchema.index({ 'authProviders.provider': 1 });
 userSchema.index({ 'authProviders.providerId': 1 });
+userSchema.index({ calendarFeedToken: 1 }, { unique: true, sparse: true });
 
 // Query middleware - exclude soft-deleted users by default
 userSchema.pre(/^find/, function (next) {
@@ -6,8 +6,19 @@
 const User = require('../models/user.model');
 const ClientProfile = require('../../clients/models/clientProfile.model');
 const Checkin = require('../../checkins/models/checkin.model');
+const CheckinAssignment = require('../../checkins/models/checkinAssignment.model');
+const CheckinSchedule = require('../../checkins/models/checkinSchedule.model');
+const CheckinComment = require('../../checkins/models/checkinComment.model');
+const CheckinCommentRead = require('../../checkins/models/checkinCommentRead.model');
+const ProgressPhoto = require('../../checkins/models/progressPhoto.model');
+const ReviewAssistant = require('../../checkins/models/reviewAssistant.model');
+const privateStorage = require('../../checkins/utils/privateStorage');
 const Session = require('../../sessions/models/session.model');
+const SessionRecord = require('../../sessions/models/sessionRecord.model');
 const FormAnalysis = require('../../formAnalysis/models/formAnalysis.model');
+const Workout = require('../../workouts/models/workout.model');
+const PersonalRecord = require('../../workouts/models/personalRecord.model');
+const TrainingMax = require('../../workouts/models/trainingMax.model');
 const FoodLog = require('../../nutrition/models/foodLog.model');
 const MealPlan = require('../../nutrition/models/mealPlan.model');
 const logger = require('../../../common/utils/logger');
@@ -130,10 +141,16 @@ class AccountDeletionService {
     }
 
     // Gather all related data
-    const [profile, checkins, sessions, formAnalyses, foodLogs, mealPlans] = await Promise.all([
+    const [
+      profile, checkins, sessions, sessionRecords, formAnalyses, foodLogs, mealPlans,
+    ] = await Promise.all([
       ClientProfile.findOne({ userId }),
       Checkin.find({ clientId: userId }).populate('coachId', 'firstName lastName email'),
       Session.find({ clientId: userId }).populate('coachId', 'firstName lastName'),
+      // Drafts and unshared records are the coach's working notes
+      SessionRecord.find({ clientId: userId, status: 'final', sharedWithClient: true })
+        .populate('coachId', 'firstName lastName')
+        .sort({ sessionDate: 1 }),
       FormAnalysis.find({ userId }),
       FoodLog.find({ userId }),
       MealPlan.find({ userId }),
@@ -192,6 +209,23 @@ class AccountDeletionService {
         isPaid: s.isPaid,
         createdAt: s.createdAt,
       })),
+      sessionRecords: sessionRecords.map((r) => ({
+        sessionId: r.sessionId,
+        sessionDate: r.sessionDate,
+        coach: r.coachId,
+        template: r.templateName,
+        templateVersion: r.templateVersion,
+        values: r.values.map((v) => ({
+          label: v.label,
+          section: v.section,
+          value: v.value,
+          unit: v.unit,
+        })),
+        summary: r.summary,
+        status: r.status,
+        createdAt: r.createdAt,
+        updatedAt: r.updatedAt,
+      })),
       formAnalyses: formAnalyses.map((f) => ({
         exerciseName: f.exerciseName,
         videoUrl: f.videoUrl,
@@ -217,6 +251,7 @@ class AccountDeletionService {
       statistics: {
         totalCheckins: checkins.length,
         totalSessions: sessions.length,
+        totalSessionRecords: sessionRecords.length,
         totalFormAnalyses: formAnalyses.length,
         totalFoodLogs: foodLogs.length,
         accountAge: user.createdAt
@@ -233,6 +268,7 @@ class AccountDeletionService {
         recordsExported: {
           checkins: checkins.length,
           sessions: sessions.length,
+          sessionRecords: sessionRecords.length,
           formAnalyses: formAnalyses.length,
           foodLogs: foodLogs.length,
         },
@@ -321,8 +357,28 @@ class AccountDeletionService {
       // Delete client profile
       await ClientProfile.findOneAndDelete({ userId });
 
+      // Delete comments on the user's check-ins and comments they wrote, with attachment files
+      const checkinIds = await Checkin.find({ clientId: userId }).distinct('_id');
+      const commentFilter = { $or: [{ checkinId: { $in: checkinIds } }, { authorId: userId }] };
+      const comments = await CheckinComment.find(commentFilter).select('+attachments.storageKey');
+      await Promise.all(comments.flatMap((comment) => comment.attachments.map(
+        (attachment) => privateStorage.commentAttachments.remove(attachment.storageKey),
+      )));
+      await CheckinComment.deleteMany(commentFilter);
+      await CheckinCommentRead.deleteMany({ $or: [{ checkinId: { $in: checkinIds } }, { userId }] });
+
       // Delete check-ins
       await Checkin.deleteMany({ clientId: userId });
+      await CheckinAssignment.deleteMany({ clientId: userId });
+      await CheckinSchedule.deleteMany({ clientId: userId });
+
+      // Delete progress photos and their files
+      const photos = await ProgressPhoto.find({ clientId: userId }).select('+storageKey');
+      await Promise.all(photos.map((photo) => privateStorage.progressPhotos.remove(photo.storageKey)));
+      await ProgressPhoto.deleteMany({ clientId: userId });
+
+      // Remove review queue assistant links in either direction
+      await ReviewAssistant.deleteMany({ $or: [{ coachId: userId }, { assistantId: userId }] });
 
       // Delete form analyses and associated videos
       const formAnalyses = await FormAnalysis.find({ userId });
@@ -332,10 +388,20 @@ class AccountDeletionService {
       }
       await FormAnalysis.deleteMany({ userId });
 
+      // Delete personal record history and training maxes
+      await PersonalRecord.deleteMany({ userId });
+      await TrainingMax.deleteMany({ userId });
+
+      // Drop program calendar workouts the client has not done yet
+      await Workout.deleteMany({ clientId: userId, templateWorkoutId: { $exists: true }, status: 'scheduled' });
+
       // Delete nutrition data
       await FoodLog.deleteMany({ userId });
       await MealPlan.deleteMany({ userId });
 
+      // Delete structured session notes about the client
+      await SessionRecord.deleteMany({ clientId: userId });
+
       // Mark sessions as "deleted client" instead of deleting
       // (coaches may need this for their records)
       await Session.updateMany(
@@ -3,6 +3,7 @@
  */
 
 const checkinService = require('../services/checkin.service');
+const checkinTrendService = require('../services/checkinTrend.service');
 const { successResponse, createdResponse, paginatedResponse } = require('../../../common/utils/response');
 const { asyncHandler } = require('../../../common/middleware/errorHandler');
 
@@ -18,12 +19,13 @@ class CheckinController {
   });
 
   getCheckins = asyncHandler(async (req, res) => {
-    const { page = 1, limit = 10, sort, clientId, coachId, status } = req.query;
+    const { page = 1, limit = 10, sort, clientId, coachId, status, adherenceFlagged } = req.query;
     const filters = {};
 
     if (clientId) filters.clientId = clientId;
     if (coachId) filters.coachId = coachId;
     if (status) filters.status = status;
+    if (adherenceFlagged === 'true') filters['adherenceFlags.0'] = { $exists: true };
 
     const options = { page: parseInt(page), limit: parseInt(limit), sort };
     const { checkins, total } = await checkinService.getCheckins(filters, options);
@@ -67,6 +69,12 @@ class CheckinController {
     const stats = await checkinService.getCheckinStats(targetClientId, start, end);
     return successResponse(res, stats);
   });
+
+  getCheckinTrends = asyncHandler(async (req, res) => {
+    const clientId = req.params.clientId || req.user._id;
+    const trends = await checkinTrendService.getTrends(clientId, req.user, req.query);
+    return successResponse(res, trends);
+  });
 }
 
 module.exports = new CheckinController();
@@ -0,0 +1,47 @@
+/**
+ * Check-in Comment Controller
+ */
+
+const checkinCommentService = require('../services/checkinComment.service');
+const { successResponse, createdResponse } = require('../../../common/utils/response');
+const { asyncHandler } = require('../../../common/middleware/errorHandler');
+
+const getBaseUrl = (req) => `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+
+class CheckinCommentController {
+  getComments = asyncHandler(async (req, res) => {
+    const comments = await checkinCommentService.getThread(req.params.id, req.user);
+    return successResponse(res, comments.map((comment) => checkinCommentService.toView(comment, getBaseUrl(req))));
+  });
+
+  addComment = asyncHandler(async (req, res) => {
+    const comment = await checkinCommentService.addComment(req.params.id, req.user, req.body, req.files);
+    return createdResponse(res, checkinCommentService.toView(comment, getBaseUrl(req)), 'Comment added successfully');
+  });
+
+  deleteComment = asyncHandler(async (req, res) => {
+    await checkinCommentService.deleteComment(req.params.id, req.params.commentId, req.user);
+    return successResponse(res, null, 'Comment deleted');
+  });
+
+  getUnreadCounts = asyncHandler(async (req, res) => {
+    const counts = await checkinCommentService.getUnreadCounts(req.user._id);
+    return successResponse(res, counts);
+  });
+
+  // Public: access is granted by the signature in the URL
+  getAttachmentFile = asyncHandler(async (req, res, next) => {
+    const file = await checkinCommentService.getAttachmentFile(
+      req.params.commentId,
+      req.params.attachmentId,
+      req.query.expires,
+      req.query.signature,
+    );
+
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.type(file.mimeType);
+    return res.sendFile(file.path, (error) => error && next(error));
+  });
+}
+
+module.exports = new CheckinCommentController();
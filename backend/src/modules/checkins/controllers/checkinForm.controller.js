@@ -0,0 +1,58 @@
+/**
+ * Check-in Form Controller
+ */
+
+const checkinFormService = require('../services/checkinForm.service');
+const { successResponse, createdResponse } = require('../../../common/utils/response');
+const { asyncHandler } = require('../../../common/middleware/errorHandler');
+
+class CheckinFormController {
+  createForm = asyncHandler(async (req, res) => {
+    const form = await checkinFormService.createForm(req.user._id, req.body);
+    return createdResponse(res, form, 'Check-in form created successfully');
+  });
+
+  getForms = asyncHandler(async (req, res) => {
+    const forms = await checkinFormService.getForms(req.user._id, {
+      includeArchived: req.query.includeArchived === 'true',
+    });
+    return successResponse(res, forms);
+  });
+
+  getForm = asyncHandler(async (req, res) => {
+    const form = await checkinFormService.getForm(req.params.formId, req.user._id, req.user.role);
+    return successResponse(res, form);
+  });
+
+  updateForm = asyncHandler(async (req, res) => {
+    const form = await checkinFormService.updateForm(req.user._id, req.params.formId, req.body);
+    return successResponse(res, form, 'Check-in form updated successfully');
+  });
+
+  archiveForm = asyncHandler(async (req, res) => {
+    const form = await checkinFormService.archiveForm(req.user._id, req.params.formId);
+    return successResponse(res, form, 'Check-in form archived');
+  });
+
+  assignForm = asyncHandler(async (req, res) => {
+    const assignments = await checkinFormService.assignForm(req.user._id, req.params.formId, req.body.clientIds);
+    return successResponse(res, assignments, 'Check-in form assigned successfully');
+  });
+
+  getAssignments = asyncHandler(async (req, res) => {
+    const assignments = await checkinFormService.getAssignments(req.user._id, req.query.formId);
+    return successResponse(res, assignments);
+  });
+
+  unassignForm = asyncHandler(async (req, res) => {
+    await checkinFormService.unassignForm(req.user._id, req.params.clientId);
+    return successResponse(res, null, 'Check-in form unassigned');
+  });
+
+  getMyForm = asyncHandler(async (req, res) => {
+    const form = await checkinFormService.getAssignedForm(req.user._id);
+    return successResponse(res, form, form ? 'Success' : 'No check-in form assigned; use the standard check-in');
+  });
+}
+
+module.exports = new CheckinFormController();
@@ -0,0 +1,36 @@
+/**
+ * Check-in Schedule Controller
+ */
+
+const checkinScheduleService = require('../services/checkinSchedule.service');
+const { successResponse } = require('../../../common/utils/response');
+const { asyncHandler } = require('../../../common/middleware/errorHandler');
+
+class CheckinScheduleController {
+  setSchedule = asyncHandler(async (req, res) => {
+    const schedule = await checkinScheduleService.setSchedule(req.user._id, req.params.clientId, req.body);
+    return successResponse(res, schedule, 'Check-in schedule saved successfully');
+  });
+
+  getSchedules = asyncHandler(async (req, res) => {
+    const schedules = await checkinScheduleService.getSchedules(req.user._id, { status: req.query.status });
+    return successResponse(res, schedules);
+  });
+
+  getMySchedule = asyncHandler(async (req, res) => {
+    const schedule = await checkinScheduleService.getClientSchedule(req.user._id);
+    return successResponse(res, schedule);
+  });
+
+  removeSchedule = asyncHandler(async (req, res) => {
+    await checkinScheduleService.removeSchedule(req.user._id, req.params.clientId);
+    return successResponse(res, null, 'Check-in schedule removed');
+  });
+
+  getOverdue = asyncHandler(async (req, res) => {
+    const overdue = await checkinScheduleService.getOverdue(req.user._id);
+    return successResponse(res, overdue);
+  });
+}
+
+module.exports = new CheckinScheduleController();
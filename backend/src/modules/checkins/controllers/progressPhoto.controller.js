@@ -0,0 +1,61 @@
+/**
+ * Progress Photo Controller
+ */
+
+const progressPhotoService = require('../services/progressPhoto.service');
+const { successResponse, createdResponse } = require('../../../common/utils/response');
+const { asyncHandler } = require('../../../common/middleware/errorHandler');
+
+const getBaseUrl = (req) => `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+
+const toViews = (photos, req) => photos.map((photo) => progressPhotoService.toView(photo, getBaseUrl(req)));
+
+class ProgressPhotoController {
+  uploadPhotos = asyncHandler(async (req, res) => {
+    const photos = await progressPhotoService.uploadPhotos(req.user._id, req.files, req.body);
+    return createdResponse(res, toViews(photos, req), 'Progress photos uploaded successfully');
+  });
+
+  getTimeline = asyncHandler(async (req, res) => {
+    const clientId = req.params.clientId || req.user._id;
+    const timeline = await progressPhotoService.getTimeline(clientId, req.user, req.query);
+
+    const views = Object.keys(timeline).reduce((acc, pose) => ({
+      ...acc,
+      [pose]: toViews(timeline[pose], req),
+    }), {});
+
+    return successResponse(res, views);
+  });
+
+  comparePhotos = asyncHandler(async (req, res) => {
+    const clientId = req.params.clientId || req.user._id;
+    const comparison = await progressPhotoService.compare(clientId, req.user, req.query);
+
+    return successResponse(res, {
+      ...comparison,
+      before: { ...comparison.before, photos: toViews(comparison.before.photos, req) },
+      after: { ...comparison.after, photos: toViews(comparison.after.photos, req) },
+    });
+  });
+
+  deletePhoto = asyncHandler(async (req, res) => {
+    await progressPhotoService.deletePhoto(req.params.photoId, req.user);
+    return successResponse(res, null, 'Progress photo deleted');
+  });
+
+  // Public: access is granted by the signature in the URL
+  getPhotoFile = asyncHandler(async (req, res, next) => {
+    const file = await progressPhotoService.getPhotoFile(
+      req.params.photoId,
+      req.query.expires,
+      req.query.signature,
+    );
+
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.type(file.mimeType);
+    return res.sendFile(file.path, (error) => error && next(error));
+  });
+}
+
+module.exports = new ProgressPhotoController();
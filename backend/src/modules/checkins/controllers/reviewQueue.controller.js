@@ -0,0 +1,56 @@
+/**
+ * Review Queue Controller
+ */
+
+const reviewQueueService = require('../services/reviewQueue.service');
+const config = require('../../../common/config');
+const { successResponse, paginatedResponse } = require('../../../common/utils/response');
+const { asyncHandler } = require('../../../common/middleware/errorHandler');
+
+class ReviewQueueController {
+  getQueue = asyncHandler(async (req, res) => {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const { items, total, breached } = await reviewQueueService.getQueue(req.user._id, {
+      coachId: req.query.coachId,
+      type: req.query.type,
+      breached: req.query.breached === 'true',
+      unclaimed: req.query.unclaimed === 'true',
+      page,
+      limit,
+    });
+
+    return paginatedResponse(res, items, page, limit, total, 'Success', {
+      breached,
+      slaHours: config.reviews.slaHours,
+    });
+  });
+
+  claimItem = asyncHandler(async (req, res) => {
+    const item = await reviewQueueService.claim(req.params.type, req.params.id, req.user._id);
+    return successResponse(res, item, 'Claimed for review');
+  });
+
+  releaseItem = asyncHandler(async (req, res) => {
+    const item = await reviewQueueService.release(req.params.type, req.params.id, req.user._id);
+    return successResponse(res, item, 'Review claim released');
+  });
+
+  getAssistants = asyncHandler(async (req, res) => {
+    const assistants = await reviewQueueService.getAssistants(req.user._id);
+    return successResponse(res, assistants);
+  });
+
+  addAssistant = asyncHandler(async (req, res) => {
+    const assistant = await reviewQueueService.addAssistant(req.user._id, req.body.assistantId);
+    return successResponse(res, assistant, 'Assistant coach added');
+  });
+
+  removeAssistant = asyncHandler(async (req, res) => {
+    await reviewQueueService.removeAssistant(req.user._id, req.params.assistantId);
+    return successResponse(res, null, 'Assistant coach removed');
+  });
+}
+
+module.exports = new ReviewQueueController();
@@ -0,0 +1,40 @@
+/**
+ * Check-in Reminder Job
+ * Periodically reminds clients about due and overdue check-ins (see CHECKIN_REMINDER_CRON)
+ */
+
+const { CronJob } = require('cron');
+const config = require('../../../common/config');
+const checkinScheduleService = require('../services/checkinSchedule.service');
+const logger = require('../../../common/utils/logger');
+
+let running = false;
+
+const job = new CronJob(config.cron.checkinReminderSchedule, async () => {
+  // A slow run should not overlap with the next tick on this instance
+  if (running) {
+    return;
+  }
+
+  running = true;
+
+  try {
+    const stats = await checkinScheduleService.dispatchReminders();
+
+    if (stats.sent || stats.failed) {
+      logger.info('Check-in reminders dispatched', stats);
+    }
+  } catch (error) {
+    logger.error('Check-in reminder job failed:', error);
+  } finally {
+    running = false;
+  }
+});
+
+module.exports = {
+  start: () => {
+    job.start();
+    logger.info(`Check-in reminder job scheduled (${config.cron.checkinReminderSchedule})`);
+  },
+  stop: () => job.stop(),
+};
@@ -25,6 +25,22 @@ const checkinSchema = new mongoose.Schema(
       enum: ['weekly', 'monthly', 'custom'],
       default: 'weekly',
     },
+    // Coach-designed form the answers belong to; check-ins without one use the fixed metrics
+    formId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CheckinForm',
+    },
+    formVersion: Number,
+    answers: [{
+      _id: false,
+      key: String,
+      label: String,
+      type: {
+        type: String,
+      },
+      unit: String,
+      value: mongoose.Schema.Types.Mixed,
+    }],
     metrics: {
       weight: Number,
       bodyFat: Number,
@@ -72,6 +88,34 @@ const checkinSchema = new mongoose.Schema(
       },
       overall: Number,
     },
+    // Adherence worked out from the client's workout and nutrition logs for the check-in period
+    computedAdherence: {
+      periodStart: Date,
+      periodEnd: Date,
+      workouts: {
+        completed: Number,
+        planned: Number,
+        percentage: Number,
+      },
+      nutrition: {
+        daysCompleted: Number,
+        daysLogged: Number,
+        totalDays: Number,
+        percentage: Number,
+      },
+      overall: Number,
+    },
+    // Where reported adherence is far from the computed values, for the coach to follow up
+    adherenceFlags: [{
+      _id: false,
+      area: {
+        type: String,
+        enum: ['workouts', 'nutrition', 'overall'],
+      },
+      reported: Number,
+      computed: Number,
+      difference: Number,
+    }],
     progress: {
       achievements: [String],
       challenges: [String],
@@ -94,6 +138,20 @@ const checkinSchema = new mongoose.Schema(
       enum: ['pending', 'reviewed', 'completed'],
       default: 'pending',
     },
+    // Coach review tracking: queue claims and turnaround
+    review: {
+      claimedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      claimedAt: Date,
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      reviewedAt: Date,
+      turnaroundMinutes: Number,
+    },
   },
   {
     timestamps: true,
@@ -105,5 +163,7 @@ const checkinSchema = new mongoose.Schema(
 checkinSchema.index({ clientId: 1, date: -1 });
 // Hot query: coachId + status (pending reviews)
 checkinSchema.index({ coachId: 1, status: 1 });
+// Review turnaround reporting
+checkinSchema.index({ coachId: 1, 'review.reviewedAt': -1 });
 
 module.exports = mongoose.model('Checkin', checkinSchema);
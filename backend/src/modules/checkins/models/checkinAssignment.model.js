@@ -0,0 +1,39 @@
+/**
+ * Check-in Assignment Model
+ * The check-in form (and form version) a client fills in for their coach
+ */
+
+const mongoose = require('mongoose');
+
+const checkinAssignmentSchema = new mongoose.Schema(
+  {
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+    },
+    coachId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    formId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CheckinForm',
+      required: true,
+    },
+    formVersion: {
+      type: Number,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+checkinAssignmentSchema.index({ formId: 1 });
+checkinAssignmentSchema.index({ coachId: 1 });
+
+module.exports = mongoose.model('CheckinAssignment', checkinAssignmentSchema);
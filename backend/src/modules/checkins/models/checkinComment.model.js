@@ -0,0 +1,68 @@
+/**
+ * Check-in Comment Model
+ * Client and coach conversation on a check-in
+ */
+
+const mongoose = require('mongoose');
+const CheckinForm = require('./checkinForm.model');
+
+const checkinCommentSchema = new mongoose.Schema(
+  {
+    checkinId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Checkin',
+      required: true,
+    },
+    authorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    authorRole: {
+      type: String,
+      enum: ['client', 'coach', 'admin'],
+    },
+    // Comment this one replies to, within the same check-in
+    replyTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CheckinComment',
+    },
+    text: {
+      type: String,
+      trim: true,
+      maxlength: 2000,
+    },
+    // Metrics the comment is about, with their value on the check-in when it was written
+    metrics: [{
+      _id: false,
+      metric: {
+        type: String,
+        enum: CheckinForm.METRIC_PATHS,
+      },
+      value: Number,
+    }],
+    attachments: [{
+      storageKey: {
+        type: String,
+        select: false,
+      },
+      mimeType: String,
+      size: Number,
+    }],
+    // Client, coach and everyone who has commented; used for unread counts
+    participantIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    }],
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Hot query: a check-in's thread in order
+checkinCommentSchema.index({ checkinId: 1, createdAt: 1 });
+// Unread counts per participant
+checkinCommentSchema.index({ participantIds: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CheckinComment', checkinCommentSchema);
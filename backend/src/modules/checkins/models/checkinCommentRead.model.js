@@ -0,0 +1,33 @@
+/**
+ * Check-in Comment Read Model
+ * How far each participant has read a check-in's comment thread
+ */
+
+const mongoose = require('mongoose');
+
+const checkinCommentReadSchema = new mongoose.Schema(
+  {
+    checkinId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Checkin',
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    lastReadAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+checkinCommentReadSchema.index({ checkinId: 1, userId: 1 }, { unique: true });
+checkinCommentReadSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('CheckinCommentRead', checkinCommentReadSchema);
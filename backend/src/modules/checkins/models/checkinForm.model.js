@@ -0,0 +1,124 @@
+/**
+ * Check-in Form Model
+ * Coach-designed check-in questionnaires. Every change to the questions is
+ * stored as a new version, so submitted check-ins stay tied to the exact
+ * questions the client answered.
+ */
+
+const mongoose = require('mongoose');
+
+const QUESTION_TYPES = ['scale', 'number', 'text', 'choice', 'photo'];
+
+// Fixed check-in metrics a question can feed, so stats keep working for custom forms
+const METRIC_PATHS = [
+  'weight',
+  'bodyFat',
+  'mood',
+  'energy',
+  'stress',
+  'sleep.hours',
+  'sleep.quality',
+  'measurements.chest',
+  'measurements.waist',
+  'measurements.hips',
+  'measurements.biceps',
+  'measurements.thighs',
+];
+
+const KEY_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+const questionSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      match: [KEY_PATTERN, 'Question keys must be lower_snake_case'],
+    },
+    label: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: QUESTION_TYPES,
+      required: true,
+    },
+    required: {
+      type: Boolean,
+      default: false,
+    },
+    min: Number, // scale and number questions
+    max: Number,
+    unit: String,
+    options: [String], // choice questions
+    multiple: {
+      type: Boolean, // choice questions accept several options
+      default: false,
+    },
+    maxPhotos: {
+      type: Number,
+      min: 1,
+      max: 10,
+    },
+    metric: {
+      type: String,
+      enum: METRIC_PATHS,
+    },
+    helpText: String,
+  },
+  { _id: false },
+);
+
+const checkinFormSchema = new mongoose.Schema(
+  {
+    coachId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Form name is required'],
+      trim: true,
+      maxlength: 100,
+    },
+    description: String,
+    versions: [{
+      version: {
+        type: Number,
+        required: true,
+      },
+      questions: {
+        type: [questionSchema],
+        validate: [(questions) => questions.length > 0, 'A form needs at least one question'],
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
+    currentVersion: {
+      type: Number,
+      default: 1,
+    },
+    isArchived: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+checkinFormSchema.index({ coachId: 1, isArchived: 1, name: 1 });
+
+checkinFormSchema.methods.getVersion = function getVersion(version = this.currentVersion) {
+  return this.versions.find((v) => v.version === version) || null;
+};
+
+checkinFormSchema.statics.QUESTION_TYPES = QUESTION_TYPES;
+checkinFormSchema.statics.METRIC_PATHS = METRIC_PATHS;
+
+module.exports = mongoose.model('CheckinForm', checkinFormSchema);
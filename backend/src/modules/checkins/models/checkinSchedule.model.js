@@ -0,0 +1,87 @@
+/**
+ * Check-in Schedule Model
+ * When a client is expected to check in with their coach
+ */
+
+const mongoose = require('mongoose');
+
+const CADENCES = ['weekly', 'biweekly', 'monthly'];
+const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const checkinScheduleSchema = new mongoose.Schema(
+  {
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+    },
+    coachId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    cadence: {
+      type: String,
+      enum: CADENCES,
+      default: 'weekly',
+    },
+    // Weekly and biweekly schedules
+    dayOfWeek: {
+      type: String,
+      enum: DAYS_OF_WEEK,
+      required() {
+        return this.cadence !== 'monthly';
+      },
+    },
+    // Monthly schedules (capped at 28 so every month has the day)
+    dayOfMonth: {
+      type: Number,
+      min: 1,
+      max: 28,
+      required() {
+        return this.cadence === 'monthly';
+      },
+    },
+    // Local time of day the check-in is due
+    dueTime: {
+      type: String,
+      default: '09:00',
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Due time must be in HH:mm format'],
+    },
+    timeZone: {
+      type: String,
+      default: 'UTC',
+    },
+    // Hours after the due time before a missing check-in counts as overdue
+    graceHours: {
+      type: Number,
+      default: 24,
+      min: 0,
+      max: 72,
+    },
+    // First due date is on or after this date; biweekly schedules count from it
+    startDate: {
+      type: Date,
+      default: Date.now,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // "<dueAt ISO>:<due|overdue>" of the last reminder, claimed before sending
+    lastReminderKey: String,
+    lastRemindedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+);
+
+checkinScheduleSchema.index({ coachId: 1, isActive: 1 });
+checkinScheduleSchema.index({ isActive: 1 });
+
+checkinScheduleSchema.statics.CADENCES = CADENCES;
+checkinScheduleSchema.statics.DAYS_OF_WEEK = DAYS_OF_WEEK;
+
+module.exports = mongoose.model('CheckinSchedule', checkinScheduleSchema);
@@ -0,0 +1,55 @@
+/**
+ * Progress Photo Model
+ * Client progress photos kept in private storage
+ */
+
+const mongoose = require('mongoose');
+
+const POSES = ['front', 'back', 'side', 'other'];
+
+const progressPhotoSchema = new mongoose.Schema(
+  {
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Check-in the photo was taken for, if any
+    checkinId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Checkin',
+    },
+    pose: {
+      type: String,
+      enum: POSES,
+      required: true,
+    },
+    takenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // File name under the private upload path; never exposed directly
+    storageKey: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    mimeType: String,
+    size: Number,
+    notes: {
+      type: String,
+      maxlength: 500,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Hot query: a client's timeline per pose
+progressPhotoSchema.index({ clientId: 1, pose: 1, takenAt: 1 });
+progressPhotoSchema.index({ checkinId: 1 });
+
+progressPhotoSchema.statics.POSES = POSES;
+
+module.exports = mongoose.model('ProgressPhoto', progressPhotoSchema);
@@ -0,0 +1,30 @@
+/**
+ * Review Assistant Model
+ * Assistant coaches who help a coach work through their review queue
+ */
+
+const mongoose = require('mongoose');
+
+const reviewAssistantSchema = new mongoose.Schema(
+  {
+    // Coach whose clients' check-ins and form analyses are reviewed
+    coachId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    assistantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+reviewAssistantSchema.index({ coachId: 1, assistantId: 1 }, { unique: true });
+reviewAssistantSchema.index({ assistantId: 1 });
+
+module.exports = mongoose.model('ReviewAssistant', reviewAssistantSchema);
@@ -46,6 +46,26 @@ class CheckinRepository {
       .populate('coachId', 'firstName lastName');
   }
 
+  /**
+   * A client's check-ins in [from, to) with just the fields trends use, oldest first
+   */
+  async findTrendCheckins(clientId, from, to) {
+    return Checkin.find({ clientId, date: { $gte: from, $lt: to } })
+      .select('date metrics')
+      .sort({ date: 1 })
+      .lean();
+  }
+
+  /**
+   * A client's check-ins in [from, to), for the calendar
+   */
+  async findCalendarCheckins(clientId, from, to) {
+    return Checkin.find({ clientId, date: { $gte: from, $lt: to } })
+      .select('date type status')
+      .sort({ date: 1 })
+      .lean();
+  }
+
   async getCheckinStats(clientId, startDate, endDate) {
     return await Checkin.aggregate([
       {
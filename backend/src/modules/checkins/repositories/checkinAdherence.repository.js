@@ -0,0 +1,73 @@
+/**
+ * Check-in Adherence Repository
+ * Logs and plans that check-in adherence is computed from
+ */
+
+const mongoose = require('mongoose');
+const Checkin = require('../models/checkin.model');
+const WorkoutLog = require('../../workouts/models/workoutLog.model');
+const Program = require('../../workouts/models/program.model');
+const FoodLog = require('../../nutrition/models/foodLog.model');
+const NutritionLog = require('../../nutrition/models/nutritionLog.model');
+const NutritionTarget = require('../../nutrition/models/nutritionTarget.model');
+
+class CheckinAdherenceRepository {
+  async findPreviousCheckinDate(clientId, date) {
+    const checkin = await Checkin.findOne({ clientId, date: { $lt: date } }).sort({ date: -1 }).select('date');
+    return checkin ? checkin.date : null;
+  }
+
+  async findActiveProgram(clientId) {
+    return Program.findOne({ clientId, status: 'active', isCurrentVersion: true })
+      .sort({ startDate: -1 })
+      .select('duration workouts startDate endDate');
+  }
+
+  async countCompletedWorkouts(userId, from, to) {
+    return WorkoutLog.countDocuments({
+      userId,
+      completed: true,
+      date: { $gte: from, $lt: to },
+    });
+  }
+
+  async hasNutritionTarget(userId) {
+    return Boolean(await NutritionTarget.exists({ userId, isActive: true }));
+  }
+
+  /**
+   * One row per local day with a food or nutrition log, within target when
+   * any log that day was
+   * @returns {Array} [{ date: 'YYYY-MM-DD', withinTarget }]
+   */
+  async findNutritionDays(userId, from, to, timeZone) {
+    const pipeline = [
+      {
+        $match: {
+          userId: new mongoose.Types.ObjectId(userId.toString()),
+          date: { $gte: from, $lt: to },
+        },
+      },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$date', timezone: timeZone } },
+          withinTarget: { $max: { $eq: ['$adherence.withinTarget', true] } },
+        },
+      },
+    ];
+
+    const [foodDays, nutritionDays] = await Promise.all([
+      FoodLog.aggregate(pipeline),
+      NutritionLog.aggregate(pipeline),
+    ]);
+
+    const days = [...foodDays, ...nutritionDays].reduce((acc, row) => ({
+      ...acc,
+      [row._id]: Boolean(acc[row._id] || row.withinTarget),
+    }), {});
+
+    return Object.keys(days).sort().map((date) => ({ date, withinTarget: days[date] }));
+  }
+}
+
+module.exports = new CheckinAdherenceRepository();
@@ -0,0 +1,100 @@
+/**
+ * Check-in Comment Repository
+ */
+
+const mongoose = require('mongoose');
+const CheckinComment = require('../models/checkinComment.model');
+const CheckinCommentRead = require('../models/checkinCommentRead.model');
+
+const AUTHOR_FIELDS = 'firstName lastName avatar role';
+
+class CheckinCommentRepository {
+  async create(commentData) {
+    return CheckinComment.create(commentData);
+  }
+
+  async findById(id, { withStorageKeys = false } = {}) {
+    const query = CheckinComment.findById(id);
+    return withStorageKeys ? query.select('+attachments.storageKey') : query;
+  }
+
+  async findThread(checkinId) {
+    return CheckinComment.find({ checkinId })
+      .sort({ createdAt: 1 })
+      .populate('authorId', AUTHOR_FIELDS);
+  }
+
+  async findAuthorIds(checkinId) {
+    return CheckinComment.distinct('authorId', { checkinId });
+  }
+
+  async findWithAttachments(filters) {
+    return CheckinComment.find({ ...filters, 'attachments.0': { $exists: true } })
+      .select('+attachments.storageKey');
+  }
+
+  async deleteById(id) {
+    return CheckinComment.findByIdAndDelete(id);
+  }
+
+  async deleteMany(filters) {
+    return CheckinComment.deleteMany(filters);
+  }
+
+  async deleteReads(filters) {
+    return CheckinCommentRead.deleteMany(filters);
+  }
+
+  /**
+   * Move a participant's read marker forward (never back)
+   */
+  async markRead(checkinId, userId, at) {
+    return CheckinCommentRead.findOneAndUpdate(
+      { checkinId, userId },
+      { $max: { lastReadAt: at } },
+      { new: true, upsert: true },
+    );
+  }
+
+  /**
+   * Comments by others that a participant has not read, per check-in
+   * @returns {Array} [{ _id: checkinId, unread, latestAt }], most recent first
+   */
+  async countUnread(userId) {
+    const participantId = new mongoose.Types.ObjectId(userId.toString());
+
+    return CheckinComment.aggregate([
+      { $match: { participantIds: participantId, authorId: { $ne: participantId } } },
+      {
+        $lookup: {
+          from: CheckinCommentRead.collection.name,
+          let: { checkinId: '$checkinId' },
+          pipeline: [
+            {
+              $match: {
+                $expr: {
+                  $and: [
+                    { $eq: ['$checkinId', '$$checkinId'] },
+                    { $eq: ['$userId', participantId] },
+                  ],
+                },
+              },
+            },
+          ],
+          as: 'read',
+        },
+      },
+      {
+        $match: {
+          $expr: {
+            $gt: ['$createdAt', { $ifNull: [{ $first: '$read.lastReadAt' }, new Date(0)] }],
+          },
+        },
+      },
+      { $group: { _id: '$checkinId', unread: { $sum: 1 }, latestAt: { $max: '$createdAt' } } },
+      { $sort: { latestAt: -1 } },
+    ]);
+  }
+}
+
+module.exports = new CheckinCommentRepository();
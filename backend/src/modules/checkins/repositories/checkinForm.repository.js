@@ -0,0 +1,62 @@
+/**
+ * Check-in Form Repository
+ */
+
+const CheckinForm = require('../models/checkinForm.model');
+const CheckinAssignment = require('../models/checkinAssignment.model');
+
+class CheckinFormRepository {
+  async createForm(formData) {
+    return CheckinForm.create(formData);
+  }
+
+  async findFormById(id) {
+    return CheckinForm.findById(id);
+  }
+
+  async findCoachForm(coachId, formId) {
+    return CheckinForm.findOne({ _id: formId, coachId });
+  }
+
+  async findCoachForms(coachId, { includeArchived = false } = {}) {
+    const query = { coachId };
+
+    if (!includeArchived) {
+      query.isArchived = false;
+    }
+
+    return CheckinForm.find(query).sort({ name: 1 });
+  }
+
+  async findAssignment(clientId) {
+    return CheckinAssignment.findOne({ clientId });
+  }
+
+  async findAssignments(filters = {}) {
+    return CheckinAssignment.find(filters)
+      .populate('clientId', 'firstName lastName email')
+      .populate('formId', 'name currentVersion');
+  }
+
+  async upsertAssignment(clientId, assignment) {
+    return CheckinAssignment.findOneAndUpdate(
+      { clientId },
+      { ...assignment, clientId },
+      { new: true, upsert: true, runValidators: true },
+    );
+  }
+
+  async updateFormAssignments(formId, updates) {
+    return CheckinAssignment.updateMany({ formId }, updates);
+  }
+
+  async deleteAssignment(filters) {
+    return CheckinAssignment.findOneAndDelete(filters);
+  }
+
+  async deleteFormAssignments(formId) {
+    return CheckinAssignment.deleteMany({ formId });
+  }
+}
+
+module.exports = new CheckinFormRepository();
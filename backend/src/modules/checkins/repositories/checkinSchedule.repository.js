@@ -0,0 +1,65 @@
+/**
+ * Check-in Schedule Repository
+ */
+
+const CheckinSchedule = require('../models/checkinSchedule.model');
+const Checkin = require('../models/checkin.model');
+
+class CheckinScheduleRepository {
+  build(data) {
+    return new CheckinSchedule(data);
+  }
+
+  async findByClient(clientId) {
+    return CheckinSchedule.findOne({ clientId });
+  }
+
+  async findCoachSchedules(coachId, { activeOnly = false } = {}) {
+    const query = { coachId };
+
+    if (activeOnly) {
+      query.isActive = true;
+    }
+
+    return CheckinSchedule.find(query).populate('clientId', 'firstName lastName email');
+  }
+
+  activeSchedulesCursor() {
+    return CheckinSchedule.find({ isActive: true }).cursor();
+  }
+
+  async deleteSchedule(filters) {
+    return CheckinSchedule.findOneAndDelete(filters);
+  }
+
+  /**
+   * Record a reminder as sent; null when another run already claimed it
+   */
+  async claimReminder(scheduleId, key, now) {
+    return CheckinSchedule.findOneAndUpdate(
+      { _id: scheduleId, lastReminderKey: { $ne: key } },
+      { $set: { lastReminderKey: key, lastRemindedAt: now } },
+      { new: true },
+    );
+  }
+
+  /**
+   * Date of each client's latest check-in
+   * @returns {Map} Dates keyed by client ID string
+   */
+  async findLatestCheckinDates(clientIds) {
+    const rows = await Checkin.aggregate([
+      { $match: { clientId: { $in: clientIds } } },
+      { $group: { _id: '$clientId', date: { $max: '$date' } } },
+    ]);
+
+    return new Map(rows.map((row) => [row._id.toString(), row.date]));
+  }
+
+  async findLatestCheckinDate(clientId) {
+    const checkin = await Checkin.findOne({ clientId }).sort({ date: -1 }).select('date');
+    return checkin ? checkin.date : null;
+  }
+}
+
+module.exports = new CheckinScheduleRepository();
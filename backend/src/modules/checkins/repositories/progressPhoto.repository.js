@@ -0,0 +1,56 @@
+/**
+ * Progress Photo Repository
+ */
+
+const ProgressPhoto = require('../models/progressPhoto.model');
+const Checkin = require('../models/checkin.model');
+
+class ProgressPhotoRepository {
+  async createMany(photos) {
+    return ProgressPhoto.insertMany(photos);
+  }
+
+  async findById(id, { withStorageKey = false } = {}) {
+    const query = ProgressPhoto.findById(id);
+    return withStorageKey ? query.select('+storageKey') : query;
+  }
+
+  /**
+   * A client's photos in time order
+   * @param {Object} [filters] - pose, from and to (takenAt range, `to` exclusive)
+   */
+  async findClientPhotos(clientId, { pose, from, to } = {}) {
+    const query = { clientId };
+
+    if (pose) {
+      query.pose = pose;
+    }
+
+    if (from || to) {
+      query.takenAt = {};
+      if (from) query.takenAt.$gte = from;
+      if (to) query.takenAt.$lt = to;
+    }
+
+    return ProgressPhoto.find(query).sort({ takenAt: 1 });
+  }
+
+  async deleteById(id) {
+    return ProgressPhoto.findByIdAndDelete(id);
+  }
+
+  async findClientCheckin(clientId, checkinId) {
+    return Checkin.findOne({ _id: checkinId, clientId }).select('date');
+  }
+
+  /**
+   * The client's latest check-in before a date
+   */
+  async findCheckinBefore(clientId, date) {
+    return Checkin.findOne({ clientId, date: { $lt: date } })
+      .sort({ date: -1 })
+      .select('date metrics');
+  }
+}
+
+module.exports = new ProgressPhotoRepository();
@@ -0,0 +1,121 @@
+/**
+ * Review Queue Repository
+ * Pending check-ins and form analyses, claims and assistant coaches
+ */
+
+const mongoose = require('mongoose');
+const Checkin = require('../models/checkin.model');
+const ReviewAssistant = require('../models/reviewAssistant.model');
+const FormAnalysis = require('../../formAnalysis/models/formAnalysis.model');
+const ClientProfile = require('../../clients/models/clientProfile.model');
+
+const MODELS = {
+  checkin: Checkin,
+  'form-analysis': FormAnalysis,
+};
+
+const PERSON_FIELDS = 'firstName lastName';
+
+class ReviewQueueRepository {
+  async findPendingCheckins(coachIds) {
+    return Checkin.find({ coachId: { $in: coachIds }, status: 'pending' })
+      .select('clientId coachId type date createdAt review')
+      .populate('clientId', PERSON_FIELDS)
+      .populate('review.claimedBy', PERSON_FIELDS);
+  }
+
+  /**
+   * Analyses that finished processing and have no coach feedback yet
+   */
+  async findPendingAnalyses(clientIds) {
+    return FormAnalysis.find({
+      userId: { $in: clientIds },
+      status: { $ne: 'reviewed' },
+      analysisStatus: 'completed',
+    })
+      .select('userId exerciseName createdAt review')
+      .populate('userId', PERSON_FIELDS)
+      .populate('review.claimedBy', PERSON_FIELDS);
+  }
+
+  async findClientProfiles(coachIds) {
+    return ClientProfile.find({ coachId: { $in: coachIds } }).select('userId coachId');
+  }
+
+  async findClientCoachId(clientId) {
+    const profile = await ClientProfile.findOne({ userId: clientId }).select('coachId');
+    return profile ? profile.coachId : null;
+  }
+
+  async findItem(type, id) {
+    return MODELS[type].findById(id);
+  }
+
+  /**
+   * Claim an item unless someone else holds it
+   * @returns {Object|null} Updated item, or null when claimed by another reviewer
+   */
+  async claimItem(type, id, reviewerId, now) {
+    return MODELS[type].findOneAndUpdate(
+      { _id: id, 'review.claimedBy': { $in: [null, reviewerId] } },
+      { $set: { 'review.claimedBy': reviewerId, 'review.claimedAt': now } },
+      { new: true },
+    );
+  }
+
+  async releaseItem(type, id) {
+    return MODELS[type].findByIdAndUpdate(
+      id,
+      { $unset: { 'review.claimedBy': 1, 'review.claimedAt': 1 } },
+      { new: true },
+    );
+  }
+
+  async findAssistants(coachId) {
+    return ReviewAssistant.find({ coachId }).populate('assistantId', 'firstName lastName email');
+  }
+
+  async findAssistedCoachIds(assistantId) {
+    const rows = await ReviewAssistant.find({ assistantId }).select('coachId');
+    return rows.map((row) => row.coachId);
+  }
+
+  async isAssistant(coachId, assistantId) {
+    return Boolean(await ReviewAssistant.exists({ coachId, assistantId }));
+  }
+
+  async addAssistant(coachId, assistantId) {
+    return ReviewAssistant.findOneAndUpdate(
+      { coachId, assistantId },
+      { coachId, assistantId },
+      { new: true, upsert: true },
+    );
+  }
+
+  async removeAssistant(coachId, assistantId) {
+    return ReviewAssistant.findOneAndDelete({ coachId, assistantId });
+  }
+
+  /**
+   * Turnaround of reviews completed since a date
+   * @returns {Object} { reviewed, totalMinutes }
+   */
+  async sumTurnaround(coachId, clientIds, since) {
+    const stages = [
+      { $match: { 'review.reviewedAt': { $gte: since }, 'review.turnaroundMinutes': { $ne: null } } },
+      { $group: { _id: null, reviewed: { $sum: 1 }, totalMinutes: { $sum: '$review.turnaroundMinutes' } } },
+    ];
+
+    const [[checkins], [analyses]] = await Promise.all([
+      Checkin.aggregate([{ $match: { coachId: new mongoose.Types.ObjectId(coachId.toString()) } }, ...stages]),
+      FormAnalysis.aggregate([{ $match: { userId: { $in: clientIds } } }, ...stages]),
+    ]);
+
+    return [checkins, analyses].reduce((sum, row) => ({
+      reviewed: sum.reviewed + ((row && row.reviewed) || 0),
+      totalMinutes: sum.totalMinutes + ((row && row.totalMinutes) || 0),
+    }), { reviewed: 0, totalMinutes: 0 });
+  }
+}
+
+module.exports = new ReviewQueueRepository();
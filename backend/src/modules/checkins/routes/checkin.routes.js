@@ -4,22 +4,211 @@
 
 const express = require('express');
 const checkinController = require('../controllers/checkin.controller');
+const checkinCommentController = require('../controllers/checkinComment.controller');
+const checkinFormController = require('../controllers/checkinForm.controller');
+const checkinScheduleController = require('../controllers/checkinSchedule.controller');
+const progressPhotoController = require('../controllers/progressPhoto.controller');
+const reviewQueueController = require('../controllers/reviewQueue.controller');
+const validators = require('../validators/checkin.validators');
 const { authenticate, authorize } = require('../../../common/middleware/auth');
+const { validate } = require('../../../common/middleware/validation');
+const { uploadPrivateImages, validateUploadedFiles } = require('../../../common/middleware/fileUpload');
 
 const router = express.Router();
 
-// All routes require authentication
+// Progress photo files (authenticated by the signature in the URL)
+router.get(
+  '/photos/:photoId/file',
+  validators.getPhotoFile,
+  validate,
+  progressPhotoController.getPhotoFile,
+);
+
+// Comment attachment files (authenticated by the signature in the URL)
+router.get(
+  '/comments/:commentId/attachments/:attachmentId/file',
+  validators.getAttachmentFile,
+  validate,
+  checkinCommentController.getAttachmentFile,
+);
+
+// All other routes require authentication
 router.use(authenticate);
 
+// Progress photos
+router.post(
+  '/photos',
+  authorize('client'),
+  uploadPrivateImages.array('photos', 4),
+  validateUploadedFiles({ allowedCategory: 'images' }),
+  validators.uploadPhotos,
+  validate,
+  progressPhotoController.uploadPhotos,
+);
+router.get(
+  '/photos/timeline/:clientId?',
+  validators.getPhotoTimeline,
+  validate,
+  progressPhotoController.getTimeline,
+);
+router.get(
+  '/photos/compare/:clientId?',
+  validators.comparePhotos,
+  validate,
+  progressPhotoController.comparePhotos,
+);
+router.delete(
+  '/photos/:photoId',
+  validators.validatePhotoId,
+  validate,
+  progressPhotoController.deletePhoto,
+);
+
+// Check-in forms (coach-designed questionnaires)
+router.get('/forms', authorize('coach'), checkinFormController.getForms);
+router.post(
+  '/forms',
+  authorize('coach'),
+  validators.createForm,
+  validate,
+  checkinFormController.createForm,
+);
+router.get('/forms/mine', authorize('client'), checkinFormController.getMyForm);
+router.get(
+  '/forms/assignments',
+  authorize('coach'),
+  validators.getAssignments,
+  validate,
+  checkinFormController.getAssignments,
+);
+router.delete(
+  '/forms/assignments/:clientId',
+  authorize('coach'),
+  validators.unassignForm,
+  validate,
+  checkinFormController.unassignForm,
+);
+router.get(
+  '/forms/:formId',
+  validators.validateFormId,
+  validate,
+  checkinFormController.getForm,
+);
+router.put(
+  '/forms/:formId',
+  authorize('coach'),
+  validators.updateForm,
+  validate,
+  checkinFormController.updateForm,
+);
+router.delete(
+  '/forms/:formId',
+  authorize('coach'),
+  validators.validateFormId,
+  validate,
+  checkinFormController.archiveForm,
+);
+router.post(
+  '/forms/:formId/assign',
+  authorize('coach'),
+  validators.assignForm,
+  validate,
+  checkinFormController.assignForm,
+);
+
+// Check-in schedules and overdue tracking
+router.get(
+  '/schedules',
+  authorize('coach'),
+  validators.getSchedules,
+  validate,
+  checkinScheduleController.getSchedules,
+);
+router.get('/schedules/mine', authorize('client'), checkinScheduleController.getMySchedule);
+router.put(
+  '/schedules/:clientId',
+  authorize('coach'),
+  validators.setSchedule,
+  validate,
+  checkinScheduleController.setSchedule,
+);
+router.delete(
+  '/schedules/:clientId',
+  authorize('coach'),
+  validators.removeSchedule,
+  validate,
+  checkinScheduleController.removeSchedule,
+);
+router.get('/overdue', authorize('coach'), checkinScheduleController.getOverdue);
+
+// Review queue (pending check-ins and form analyses) and assistant coaches
+router.get(
+  '/reviews/queue',
+  authorize('coach'),
+  validators.getReviewQueue,
+  validate,
+  reviewQueueController.getQueue,
+);
+router.post(
+  '/reviews/:type/:id/claim',
+  authorize('coach'),
+  validators.reviewItem,
+  validate,
+  reviewQueueController.claimItem,
+);
+router.delete(
+  '/reviews/:type/:id/claim',
+  authorize('coach'),
+  validators.reviewItem,
+  validate,
+  reviewQueueController.releaseItem,
+);
+router.get('/reviews/assistants', authorize('coach'), reviewQueueController.getAssistants);
+router.post(
+  '/reviews/assistants',
+  authorize('coach'),
+  validators.addAssistant,
+  validate,
+  reviewQueueController.addAssistant,
+);
+router.delete(
+  '/reviews/assistants/:assistantId',
+  authorize('coach'),
+  validators.removeAssistant,
+  validate,
+  reviewQueueController.removeAssistant,
+);
+
+// Unread comment counts across the user's check-in threads
+router.get('/comments/unread', checkinCommentController.getUnreadCounts);
+
 // Check-in routes
-router.post('/', checkinController.createCheckin);
+router.post('/', validators.createCheckin, validate, checkinController.createCheckin);
 router.get('/', checkinController.getCheckins);
 router.get('/latest/:clientId?', checkinController.getLatestCheckin);
 router.get('/stats', checkinController.getCheckinStats);
+router.get('/trends/:clientId?', validators.getTrends, validate, checkinController.getCheckinTrends);
 router.get('/:id', checkinController.getCheckin);
 router.put('/:id', checkinController.updateCheckin);
 router.delete('/:id', checkinController.deleteCheckin);
 
+// Comment threads (client, coach and assistants reviewing for the coach)
+router.get('/:id/comments', validators.validateCheckinId, validate, checkinCommentController.getComments);
+router.post(
+  '/:id/comments',
+  uploadPrivateImages.array('attachments', 4),
+  validateUploadedFiles({ allowedCategory: 'images' }),
+  validators.addComment,
+  validate,
+  checkinCommentController.addComment,
+);
+router.delete(
+  '/:id/comments/:commentId',
+  validators.validateCommentId,
+  validate,
+  checkinCommentController.deleteComment,
+);
+
 // Coach-only routes
 router.post('/:id/feedback', authorize('coach', 'admin'), checkinController.addCoachFeedback);
 
@@ -3,14 +3,47 @@
  */
 
 const checkinRepository = require('../repositories/checkin.repository');
-const { NotFoundError, ForbiddenError } = require('../../../common/utils/errors');
+const checkinFormService = require('./checkinForm.service');
+const checkinAdherenceService = require('./checkinAdherence.service');
+const reviewQueueService = require('./reviewQueue.service');
+const checkinCommentService = require('./checkinComment.service');
+const checkinAdherence = require('../utils/checkinAdherence');
+const reviewSla = require('../utils/reviewSla');
+const { BadRequestError, NotFoundError, ForbiddenError } = require('../../../common/utils/errors');
 const logger = require('../../../common/utils/logger');
 
+// Set when a check-in is submitted
+const FORM_FIELDS = ['formId', 'formVersion'];
+// Worked out from the client's logs, never taken from input
+const COMPUTED_FIELDS = ['computedAdherence', 'adherenceFlags'];
+
 class CheckinService {
+  /**
+   * Create a check-in. Clients with an assigned form have their answers
+   * validated against the assigned form version; the fixed metrics are
+   * accepted either way. Adherence is also computed from the client's logs
+   * and compared with what they reported.
+   */
   async createCheckin(clientId, checkinData) {
+    const { answers, formVersion, ...data } = checkinData;
+    ['formId', ...COMPUTED_FIELDS].forEach((field) => delete data[field]);
+
+    const formFields = await checkinFormService.resolveAnswers(clientId, {
+      answers,
+      formVersion,
+      metrics: data.metrics,
+    });
+    const adherenceFields = await checkinAdherenceService.resolveAdherence(
+      clientId,
+      data.date ? new Date(data.date) : new Date(),
+      data.adherence,
+    );
+
     const checkin = await checkinRepository.create({
       clientId,
-      ...checkinData,
+      ...data,
+      ...formFields,
+      ...adherenceFields,
     });
 
     logger.info(`Check-in created for client: ${clientId}`);
@@ -50,7 +83,22 @@ class CheckinService {
       throw new ForbiddenError('You do not have permission to update this check-in');
     }
 
-    const updatedCheckin = await checkinRepository.updateById(checkinId, updates);
+    // The form a check-in was submitted with cannot change; edited answers are re-validated
+    const changes = { ...updates };
+    [...FORM_FIELDS, ...COMPUTED_FIELDS].forEach((field) => delete changes[field]);
+    if (changes.answers) {
+      // The answers set the metrics they record
+      if (changes.metrics) {
+        throw new BadRequestError('Update either the answers or the metrics of a check-in, not both');
+      }
+
+      Object.assign(changes, await checkinFormService.resolveEditedAnswers(checkin, changes.answers));
+    }
+    if (changes.adherence) {
+      changes.adherenceFlags = checkinAdherence.findDiscrepancies(changes.adherence, checkin.computedAdherence);
+    }
+
+    const updatedCheckin = await checkinRepository.updateById(checkinId, changes);
 
     logger.info(`Check-in updated: ${checkinId}`);
 
@@ -74,6 +122,7 @@ class CheckinService {
     }
 
     await checkinRepository.deleteById(checkinId);
+    await checkinCommentService.deleteThread(checkin._id);
 
     logger.info(`Check-in deleted: ${checkinId}`);
 
@@ -87,17 +136,17 @@ class CheckinService {
       throw new NotFoundError('Check-in');
     }
 
-    // Check if coach owns this check-in
-    if (checkin.coachId._id.toString() !== coachId) {
-      throw new ForbiddenError('You do not have permission to add feedback');
-    }
+    // The client's coach, or an assistant coach reviewing for them
+    await reviewQueueService.assertCanReview(checkin.coachId, coachId);
 
+    const now = new Date();
     const updatedCheckin = await checkinRepository.updateById(checkinId, {
       coachFeedback: {
         ...feedback,
-        date: new Date(),
+        date: now,
       },
       status: 'reviewed',
+      ...reviewSla.completeReview(checkin, coachId, now),
     });
 
     logger.info(`Coach feedback added to check-in: ${checkinId}`);
@@ -0,0 +1,64 @@
+/**
+ * Check-in Adherence Service
+ * Computes workout and nutrition adherence for a check-in from the client's logs
+ */
+
+const checkinAdherenceRepository = require('../repositories/checkinAdherence.repository');
+const checkinScheduleRepository = require('../repositories/checkinSchedule.repository');
+const checkinAdherence = require('../utils/checkinAdherence');
+const sessionTimeZoneService = require('../../sessions/services/sessionTimeZone.service');
+const logger = require('../../../common/utils/logger');
+
+// Longest period a check-in covers, by schedule cadence (weekly without a schedule)
+const PERIOD_DAYS = { weekly: 7, biweekly: 14, monthly: 31 };
+
+class CheckinAdherenceService {
+  /**
+   * Adherence for the period a check-in covers, from completed workout logs
+   * against the active program and nutrition logs against the client's targets
+   */
+  async computeAdherence(clientId, date = new Date()) {
+    const [timeZone, previousDate, schedule] = await Promise.all([
+      sessionTimeZoneService.getUserTimeZone(clientId),
+      checkinAdherenceRepository.findPreviousCheckinDate(clientId, date),
+      checkinScheduleRepository.findByClient(clientId),
+    ]);
+
+    const maxDays = PERIOD_DAYS[schedule ? schedule.cadence : 'weekly'];
+    const period = checkinAdherence.getPeriod(date, previousDate, timeZone, maxDays);
+
+    const [program, completedWorkouts, nutritionDays, hasNutritionTarget] = await Promise.all([
+      checkinAdherenceRepository.findActiveProgram(clientId),
+      checkinAdherenceRepository.countCompletedWorkouts(clientId, period.from, period.to),
+      checkinAdherenceRepository.findNutritionDays(clientId, period.from, period.to, timeZone),
+      checkinAdherenceRepository.hasNutritionTarget(clientId),
+    ]);
+
+    return checkinAdherence.build(period, {
+      completedWorkouts,
+      plannedWorkouts: checkinAdherence.plannedWorkouts(program, period, timeZone),
+      nutritionDays,
+      hasNutritionTarget,
+    });
+  }
+
+  /**
+   * Computed adherence and discrepancy flags to store with a new check-in.
+   * Failures are logged and leave the check-in with the reported values only.
+   */
+  async resolveAdherence(clientId, date, reported) {
+    try {
+      const computedAdherence = await this.computeAdherence(clientId, date);
+
+      return {
+        computedAdherence,
+        adherenceFlags: checkinAdherence.findDiscrepancies(reported, computedAdherence),
+      };
+    } catch (error) {
+      logger.warn(`Could not compute check-in adherence for client ${clientId}: ${error.message}`);
+      return {};
+    }
+  }
+}
+
+module.exports = new CheckinAdherenceService();
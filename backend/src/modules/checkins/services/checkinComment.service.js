@@ -0,0 +1,253 @@
+/**
+ * Check-in Comment Service
+ * Comment threads between clients and coaches on check-ins, with image
+ * attachments, metric mentions, unread counts and reply notifications
+ */
+
+const checkinCommentRepository = require('../repositories/checkinComment.repository');
+const checkinRepository = require('../repositories/checkin.repository');
+const reviewQueueService = require('./reviewQueue.service');
+const { commentAttachments } = require('../utils/privateStorage');
+const User = require('../../auth/models/user.model');
+const notificationService = require('../../notifications/services/notification.service');
+const { createSignature, verifySignature } = require('../../../common/utils/signedUrl');
+const {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+} = require('../../../common/utils/errors');
+const logger = require('../../../common/utils/logger');
+
+const RECIPIENT_FIELDS = 'firstName lastName email phone pushToken preferences role isActive';
+
+const PREVIEW_LENGTH = 140;
+
+class CheckinCommentService {
+  /**
+   * A check-in's comments, oldest first; reading the thread marks it read
+   */
+  async getThread(checkinId, user, now = new Date()) {
+    await this.getCheckinForParticipant(checkinId, user);
+
+    const comments = await checkinCommentRepository.findThread(checkinId);
+    await checkinCommentRepository.markRead(checkinId, user._id, now);
+
+    return comments;
+  }
+
+  /**
+   * Add a comment or reply
+   * @param {Object} data - text, replyTo, metrics (paths such as "weight" or "sleep.hours")
+   * @param {Array} [files] - Image attachments held in memory
+   */
+  async addComment(checkinId, user, data, files = []) {
+    const checkin = await this.getCheckinForParticipant(checkinId, user);
+
+    if (!data.text && files.length === 0) {
+      throw new BadRequestError('A comment needs text or an attachment');
+    }
+
+    if (data.replyTo) {
+      const parent = await checkinCommentRepository.findById(data.replyTo);
+      if (!parent || !parent.checkinId.equals(checkin._id)) {
+        throw new BadRequestError('You can only reply to a comment on the same check-in');
+      }
+    }
+
+    const keys = files.map((file) => commentAttachments.createKey(file));
+    let comment;
+
+    try {
+      await Promise.all(files.map((file, index) => commentAttachments.save(keys[index], file.buffer)));
+
+      const authorIds = await checkinCommentRepository.findAuthorIds(checkin._id);
+      comment = await checkinCommentRepository.create({
+        checkinId: checkin._id,
+        authorId: user._id,
+        authorRole: user.role,
+        replyTo: data.replyTo,
+        text: data.text,
+        metrics: this.snapshotMetrics(checkin, data.metrics),
+        attachments: files.map((file, index) => ({
+          storageKey: keys[index],
+          mimeType: file.mimetype,
+          size: file.size,
+        })),
+        participantIds: this.uniqueIds([
+          checkin.clientId._id,
+          checkin.coachId._id,
+          ...authorIds,
+          user._id,
+        ]),
+      });
+    } catch (error) {
+      await Promise.all(keys.map((key) => commentAttachments.remove(key)));
+      throw error;
+    }
+
+    await checkinCommentRepository.markRead(checkin._id, user._id, comment.createdAt);
+
+    logger.info(`Comment added to check-in ${checkin._id} by ${user._id}`);
+
+    this.notifyParticipants(comment, user).catch((error) => {
+      logger.warn(`Could not notify participants of comment ${comment._id}: ${error.message}`);
+    });
+
+    return comment.populate('authorId', 'firstName lastName avatar role');
+  }
+
+  async deleteComment(checkinId, commentId, user) {
+    const comment = await checkinCommentRepository.findById(commentId, { withStorageKeys: true });
+
+    if (!comment || !comment.checkinId.equals(checkinId)) {
+      throw new NotFoundError('Comment');
+    }
+
+    if (user.role !== 'admin' && !comment.authorId.equals(user._id)) {
+      throw new ForbiddenError('You can only delete your own comments');
+    }
+
+    await this.removeAttachments([comment]);
+    await checkinCommentRepository.deleteById(comment._id);
+
+    logger.info(`Comment deleted: ${comment._id}`);
+
+    return comment;
+  }
+
+  /**
+   * Remove a check-in's whole thread (when the check-in is deleted)
+   */
+  async deleteThread(checkinId) {
+    const withAttachments = await checkinCommentRepository.findWithAttachments({ checkinId });
+
+    await this.removeAttachments(withAttachments);
+    await checkinCommentRepository.deleteMany({ checkinId });
+    await checkinCommentRepository.deleteReads({ checkinId });
+  }
+
+  /**
+   * Unread comments per check-in for a participant
+   * @returns {Object} { total, checkins: [{ checkinId, unread, latestAt }] }
+   */
+  async getUnreadCounts(userId) {
+    const rows = await checkinCommentRepository.countUnread(userId);
+
+    return {
+      total: rows.reduce((sum, row) => sum + row.unread, 0),
+      checkins: rows.map((row) => ({ checkinId: row._id, unread: row.unread, latestAt: row.latestAt })),
+    };
+  }
+
+  /**
+   * File behind a signed attachment URL
+   * @returns {Object} { path, mimeType }
+   */
+  async getAttachmentFile(commentId, attachmentId, expires, signature) {
+    if (!verifySignature(this.getResource(commentId, attachmentId), expires, signature)) {
+      throw new ForbiddenError('This attachment link is invalid or has expired');
+    }
+
+    const comment = await checkinCommentRepository.findById(commentId, { withStorageKeys: true });
+    const attachment = comment && comment.attachments.id(attachmentId);
+
+    if (!attachment) {
+      throw new NotFoundError('Attachment');
+    }
+
+    return { path: commentAttachments.resolve(attachment.storageKey), mimeType: attachment.mimeType };
+  }
+
+  /**
+   * Plain comment with signed, expiring attachment URLs
+   * @param {String} baseUrl - Check-in API base the file route is mounted on
+   */
+  toView(comment, baseUrl) {
+    const view = comment.toObject ? comment.toObject() : { ...comment };
+    delete view.participantIds;
+
+    return {
+      ...view,
+      attachments: (view.attachments || []).map((attachment) => {
+        const { expires, signature } = createSignature(this.getResource(comment._id, attachment._id));
+
+        return {
+          _id: attachment._id,
+          mimeType: attachment.mimeType,
+          size: attachment.size,
+          url: `${baseUrl}/comments/${comment._id}/attachments/${attachment._id}/file`
+            + `?expires=${expires}&signature=${signature}`,
+          urlExpiresAt: new Date(expires * 1000),
+        };
+      }),
+    };
+  }
+
+  getResource(commentId, attachmentId) {
+    return `comment-attachments/${commentId}/${attachmentId}`;
+  }
+
+  /**
+   * The check-in's client, its coach (or an assistant reviewing for them) and admins take part
+   */
+  async getCheckinForParticipant(checkinId, user) {
+    const checkin = await checkinRepository.findById(checkinId);
+
+    if (!checkin) {
+      throw new NotFoundError('Check-in');
+    }
+
+    if (user.role === 'admin') {
+      return checkin;
+    }
+
+    if (user.role === 'client') {
+      if (!checkin.clientId._id.equals(user._id)) {
+        throw new ForbiddenError('You do not have access to this check-in');
+      }
+      return checkin;
+    }
+
+    await reviewQueueService.assertCanReview(checkin.coachId, user._id);
+
+    return checkin;
+  }
+
+  /**
+   * Record the mentioned metrics with their value on the check-in
+   */
+  snapshotMetrics(checkin, metrics = []) {
+    const values = checkin.toObject ? checkin.toObject().metrics : checkin.metrics;
+
+    return [...new Set([].concat(metrics))].map((metric) => {
+      const value = metric.split('.').reduce((obj, key) => (obj ? obj[key] : undefined), values || {});
+      return { metric, value: typeof value === 'number' ? value : undefined };
+    });
+  }
+
+  async notifyParticipants(comment, author) {
+    const recipientIds = comment.participantIds.filter((id) => !id.equals(author._id));
+    const recipients = await User.find({ _id: { $in: recipientIds }, isActive: true }).select(RECIPIENT_FIELDS);
+    const text = comment.text || 'Sent an attachment';
+    const preview = text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH)}...` : text;
+
+    await Promise.all(recipients.map((recipient) => notificationService.sendCheckinComment(recipient, {
+      authorName: author.firstName,
+      preview,
+      checkinId: comment.checkinId,
+      commentId: comment._id,
+    })));
+  }
+
+  async removeAttachments(comments) {
+    const keys = comments.flatMap((comment) => comment.attachments.map((attachment) => attachment.storageKey));
+    await Promise.all(keys.map((key) => commentAttachments.remove(key)));
+  }
+
+  uniqueIds(ids) {
+    const seen = new Map(ids.filter(Boolean).map((id) => [id.toString(), id]));
+    return [...seen.values()];
+  }
+}
+
+module.exports = new CheckinCommentService();
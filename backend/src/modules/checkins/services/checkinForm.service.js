@@ -0,0 +1,277 @@
+/**
+ * Check-in Form Service
+ * Coach-designed check-in questionnaires, their versions and client assignments
+ */
+
+const checkinFormRepository = require('../repositories/checkinForm.repository');
+const checkinQuestions = require('../utils/checkinQuestions');
+const dataIntegrity = require('../../../common/utils/dataIntegrity');
+const {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+} = require('../../../common/utils/errors');
+const logger = require('../../../common/utils/logger');
+
+class CheckinFormService {
+  async createForm(coachId, data) {
+    this.assertValidQuestions(data.questions);
+
+    const form = await checkinFormRepository.createForm({
+      coachId,
+      name: data.name,
+      description: data.description,
+      versions: [{ version: 1, questions: data.questions }],
+      currentVersion: 1,
+    });
+
+    logger.info(`Check-in form created: ${form._id} for coach ${coachId}`);
+
+    return form;
+  }
+
+  async getForms(coachId, options) {
+    return checkinFormRepository.findCoachForms(coachId, options);
+  }
+
+  /**
+   * Coaches see their own forms; clients see the form assigned to them
+   */
+  async getForm(formId, userId, userRole) {
+    const form = await checkinFormRepository.findFormById(formId);
+
+    if (!form) {
+      throw new NotFoundError('Check-in form');
+    }
+
+    if (userRole === 'client') {
+      const assignment = await checkinFormRepository.findAssignment(userId);
+      if (!assignment || !assignment.formId.equals(form._id)) {
+        throw new ForbiddenError('This check-in form is not assigned to you');
+      }
+    } else if (userRole !== 'admin' && form.coachId.toString() !== userId.toString()) {
+      throw new ForbiddenError('You do not have permission to view this check-in form');
+    }
+
+    return form;
+  }
+
+  /**
+   * Update a form. New questions start a new version, which assigned clients
+   * answer from their next check-in; earlier check-ins keep their version.
+   */
+  async updateForm(coachId, formId, data) {
+    const form = await this.getCoachForm(coachId, formId);
+
+    if (form.isArchived) {
+      throw new BadRequestError('Archived forms cannot be changed');
+    }
+
+    if (data.name !== undefined) form.name = data.name;
+    if (data.description !== undefined) form.description = data.description;
+
+    if (data.questions) {
+      this.assertValidQuestions(data.questions);
+
+      form.currentVersion += 1;
+      form.versions.push({ version: form.currentVersion, questions: data.questions });
+    }
+
+    await form.save();
+
+    if (data.questions) {
+      await checkinFormRepository.updateFormAssignments(form._id, { formVersion: form.currentVersion });
+      logger.info(`Check-in form ${form._id} moved to version ${form.currentVersion}`);
+    }
+
+    return form;
+  }
+
+  /**
+   * Archive a form; its clients go back to the standard check-in
+   */
+  async archiveForm(coachId, formId) {
+    const form = await this.getCoachForm(coachId, formId);
+
+    form.isArchived = true;
+    await form.save();
+    await checkinFormRepository.deleteFormAssignments(form._id);
+
+    logger.info(`Check-in form archived: ${form._id}`);
+
+    return form;
+  }
+
+  /**
+   * Assign a form's current version to clients (replacing their previous form)
+   */
+  async assignForm(coachId, formId, clientIds) {
+    const form = await this.getCoachForm(coachId, formId);
+
+    if (form.isArchived) {
+      throw new BadRequestError('Archived forms cannot be assigned');
+    }
+
+    await Promise.all(clientIds.map(
+      (clientId) => dataIntegrity.validateCoachClientRelationship(coachId, clientId),
+    ));
+
+    const assignments = await Promise.all(clientIds.map((clientId) => checkinFormRepository.upsertAssignment(
+      clientId,
+      { coachId, formId: form._id, formVersion: form.currentVersion },
+    )));
+
+    logger.info(`Check-in form ${form._id} assigned to ${clientIds.length} client(s)`);
+
+    return assignments;
+  }
+
+  async unassignForm(coachId, clientId) {
+    const assignment = await checkinFormRepository.deleteAssignment({ clientId, coachId });
+
+    if (!assignment) {
+      throw new NotFoundError('Check-in form assignment');
+    }
+
+    logger.info(`Check-in form unassigned from client ${clientId}`);
+
+    return assignment;
+  }
+
+  async getAssignments(coachId, formId) {
+    const filters = { coachId };
+
+    if (formId) {
+      filters.formId = formId;
+    }
+
+    return checkinFormRepository.findAssignments(filters);
+  }
+
+  /**
+   * The questions a client answers in their next check-in
+   * @returns {Object|null} { formId, name, description, version, questions } or null for the standard check-in
+   */
+  async getAssignedForm(clientId) {
+    const assignment = await checkinFormRepository.findAssignment(clientId);
+
+    if (!assignment) {
+      return null;
+    }
+
+    const form = await checkinFormRepository.findFormById(assignment.formId);
+    const version = form && form.getVersion(assignment.formVersion);
+
+    if (!version) {
+      throw new NotFoundError('Check-in form');
+    }
+
+    return {
+      formId: form._id,
+      coachId: assignment.coachId,
+      name: form.name,
+      description: form.description,
+      version: version.version,
+      questions: version.questions,
+    };
+  }
+
+  /**
+   * Validate a client's answers against the form version assigned to them
+   * @param {ObjectId} clientId
+   * @param {Object} checkinData - Submitted check-in (answers keyed by question key, optional formVersion)
+   * @returns {Object} Check-in fields to store: coachId, formId, formVersion, answers and derived metrics
+   */
+  async resolveAnswers(clientId, checkinData) {
+    const form = await this.getAssignedForm(clientId);
+
+    if (!form) {
+      if (checkinData.answers) {
+        throw new BadRequestError('No check-in form is assigned to you');
+      }
+      return {};
+    }
+
+    // The client may have loaded the form before the coach changed it
+    if (checkinData.formVersion !== undefined && Number(checkinData.formVersion) !== form.version) {
+      throw new ConflictError(
+        `The check-in form has changed (now version ${form.version}); reload it and submit again`,
+      );
+    }
+
+    const answers = this.validateAnswers(form.questions, checkinData.answers);
+    const metrics = checkinQuestions.toMetrics(form.questions, answers);
+    const fixed = checkinData.metrics || {};
+
+    return {
+      coachId: form.coachId,
+      formId: form.formId,
+      formVersion: form.version,
+      answers,
+      metrics: {
+        ...fixed,
+        ...metrics,
+        sleep: { ...fixed.sleep, ...metrics.sleep },
+        measurements: { ...fixed.measurements, ...metrics.measurements },
+      },
+    };
+  }
+
+  /**
+   * Re-validate edited answers against the form version the check-in was
+   * submitted with
+   * @returns {Object} Update with the answers and the metrics they record
+   */
+  async resolveEditedAnswers(checkin, input) {
+    if (!checkin.formId) {
+      throw new BadRequestError('This check-in was not submitted with a check-in form');
+    }
+
+    const form = await checkinFormRepository.findFormById(checkin.formId._id || checkin.formId);
+    const version = form && form.getVersion(checkin.formVersion);
+
+    if (!version) {
+      throw new NotFoundError('Check-in form');
+    }
+
+    const answers = this.validateAnswers(version.questions, input);
+
+    return version.questions
+      .filter((question) => question.metric)
+      .reduce((update, question) => {
+        const answer = answers.find((a) => a.key === question.key);
+        return answer ? { ...update, [`metrics.${question.metric}`]: answer.value } : update;
+      }, { answers });
+  }
+
+  validateAnswers(questions, input = {}) {
+    const { answers, errors } = checkinQuestions.buildAnswers(questions, input);
+
+    if (errors.length > 0) {
+      throw new BadRequestError(`Invalid check-in answers: ${errors.join('; ')}`);
+    }
+
+    return answers;
+  }
+
+  async getCoachForm(coachId, formId) {
+    const form = await checkinFormRepository.findCoachForm(coachId, formId);
+
+    if (!form) {
+      throw new NotFoundError('Check-in form');
+    }
+
+    return form;
+  }
+
+  assertValidQuestions(questions) {
+    const errors = checkinQuestions.validateDefinitions(questions);
+
+    if (errors.length > 0) {
+      throw new BadRequestError(`Invalid check-in questions: ${errors.join('; ')}`);
+    }
+  }
+}
+
+module.exports = new CheckinFormService();
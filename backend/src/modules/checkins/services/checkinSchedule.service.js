@@ -0,0 +1,170 @@
+/**
+ * Check-in Schedule Service
+ * Per-client check-in schedules, due/overdue tracking and reminders
+ */
+
+const checkinScheduleRepository = require('../repositories/checkinSchedule.repository');
+const checkinDue = require('../utils/checkinDue');
+const User = require('../../auth/models/user.model');
+const sessionTimeZoneService = require('../../sessions/services/sessionTimeZone.service');
+const notificationService = require('../../notifications/services/notification.service');
+const dataIntegrity = require('../../../common/utils/dataIntegrity');
+const timezone = require('../../../common/utils/timezone');
+const { NotFoundError } = require('../../../common/utils/errors');
+const logger = require('../../../common/utils/logger');
+
+const RECIPIENT_FIELDS = 'firstName lastName email phone pushToken preferences role isActive';
+
+class CheckinScheduleService {
+  /**
+   * Create or replace a client's check-in schedule. Times are read in the
+   * schedule's zone, which defaults to the client's own.
+   */
+  async setSchedule(coachId, clientId, data) {
+    await dataIntegrity.validateCoachClientRelationship(coachId, clientId);
+
+    const schedule = await checkinScheduleRepository.findByClient(clientId)
+      || checkinScheduleRepository.build({ clientId });
+    const timeZone = data.timeZone || await sessionTimeZoneService.getUserTimeZone(clientId);
+    const cadence = data.cadence || 'weekly';
+    const monthly = cadence === 'monthly';
+
+    schedule.set({
+      coachId,
+      cadence,
+      dayOfWeek: monthly ? undefined : data.dayOfWeek,
+      dayOfMonth: monthly ? data.dayOfMonth : undefined,
+      dueTime: data.dueTime || '09:00',
+      timeZone,
+      graceHours: data.graceHours === undefined ? 24 : data.graceHours,
+      isActive: data.isActive !== false,
+    });
+
+    if (data.startDate) {
+      schedule.startDate = timezone.parseLocal(data.startDate, timeZone);
+    }
+
+    await schedule.save();
+
+    logger.info(`Check-in schedule set for client ${clientId} (${cadence})`);
+
+    return schedule;
+  }
+
+  /**
+   * A coach's schedules with each client's current status
+   * @param {Object} [options]
+   * @param {String} [options.status] - Only schedules in this status
+   */
+  async getSchedules(coachId, { status, now = new Date() } = {}) {
+    const schedules = await checkinScheduleRepository.findCoachSchedules(coachId);
+    const latest = await checkinScheduleRepository.findLatestCheckinDates(
+      schedules.map((schedule) => schedule.clientId._id || schedule.clientId),
+    );
+
+    const results = schedules.map((schedule) => this.withStatus(
+      schedule,
+      latest.get((schedule.clientId._id || schedule.clientId).toString()),
+      now,
+    ));
+
+    return status ? results.filter((result) => result.status === status) : results;
+  }
+
+  /**
+   * Clients whose check-in is past its grace period, longest overdue first
+   */
+  async getOverdue(coachId, now = new Date()) {
+    const overdue = await this.getSchedules(coachId, { status: 'overdue', now });
+    return overdue.sort((a, b) => a.overdueSince - b.overdueSince);
+  }
+
+  async getClientSchedule(clientId, now = new Date()) {
+    const schedule = await checkinScheduleRepository.findByClient(clientId);
+
+    if (!schedule) {
+      throw new NotFoundError('Check-in schedule');
+    }
+
+    const lastCheckinAt = await checkinScheduleRepository.findLatestCheckinDate(clientId);
+
+    return this.withStatus(schedule, lastCheckinAt, now);
+  }
+
+  async removeSchedule(coachId, clientId) {
+    const schedule = await checkinScheduleRepository.deleteSchedule({ clientId, coachId });
+
+    if (!schedule) {
+      throw new NotFoundError('Check-in schedule');
+    }
+
+    logger.info(`Check-in schedule removed for client ${clientId}`);
+
+    return schedule;
+  }
+
+  withStatus(schedule, lastCheckinAt = null, now = new Date()) {
+    const status = schedule.isActive
+      ? checkinDue.getStatus(schedule, lastCheckinAt, now)
+      : { status: 'paused', dueAt: null, overdueSince: null };
+
+    return {
+      ...schedule.toObject(),
+      lastCheckinAt,
+      ...status,
+    };
+  }
+
+  /**
+   * Remind clients whose check-in is due or overdue: one reminder when the
+   * due time passes and one when it becomes overdue.
+   * Safe to run concurrently: each reminder is claimed before it is sent.
+   * @returns {Object} { sent, skipped, failed }
+   */
+  async dispatchReminders(now = new Date()) {
+    const stats = { sent: 0, skipped: 0, failed: 0 };
+
+    await checkinScheduleRepository.activeSchedulesCursor().eachAsync(async (schedule) => {
+      const lastCheckinAt = await checkinScheduleRepository.findLatestCheckinDate(schedule.clientId);
+      const { status, dueAt } = checkinDue.getStatus(schedule, lastCheckinAt, now);
+
+      if (status !== 'due' && status !== 'overdue') {
+        return;
+      }
+
+      const key = `${dueAt.toISOString()}:${status}`;
+      if (schedule.lastReminderKey === key) {
+        return;
+      }
+
+      const claimed = await checkinScheduleRepository.claimReminder(schedule._id, key, now);
+      if (!claimed) {
+        stats.skipped += 1;
+        return;
+      }
+
+      try {
+        const client = await User.findById(schedule.clientId).select(RECIPIENT_FIELDS);
+
+        if (!client || !client.isActive) {
+          stats.skipped += 1;
+          return;
+        }
+
+        await notificationService.sendCheckinReminder(
+          client,
+          { dueAt, overdue: status === 'overdue' },
+          schedule.timeZone,
+        );
+        stats.sent += 1;
+      } catch (error) {
+        logger.error(`Failed to send check-in reminder for schedule ${schedule._id}:`, error);
+        stats.failed += 1;
+      }
+    });
+
+    return stats;
+  }
+}
+
+module.exports = new CheckinScheduleService();
@@ -0,0 +1,78 @@
+/**
+ * Check-in Trend Service
+ * Smoothed metric trends and anomaly flags across a client's check-ins
+ */
+
+const checkinRepository = require('../repositories/checkin.repository');
+const checkinTrends = require('../utils/checkinTrends');
+const dataIntegrity = require('../../../common/utils/dataIntegrity');
+const { BadRequestError, ForbiddenError } = require('../../../common/utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DAYS = 90;
+const MAX_RANGE_DAYS = 366;
+// Earlier check-ins read so the moving average is settled when the range starts
+const WARM_UP_DAYS = 28;
+
+class CheckinTrendService {
+  /**
+   * Trends over [from, to) for weight, body fat, mood, energy, stress and sleep
+   * @param {ObjectId} clientId
+   * @param {Object} viewer - Requesting user
+   * @param {Object} [options]
+   * @param {String} [options.from] - Range start (defaults to 90 days before `to`)
+   * @param {String} [options.to] - Range end (defaults to now)
+   * @param {Array} [options.metrics] - Only these metrics
+   */
+  async getTrends(clientId, viewer, { from, to, metrics } = {}) {
+    await this.assertCanView(clientId, viewer);
+
+    const range = this.getRange(from, to);
+    const checkins = await checkinRepository.findTrendCheckins(
+      clientId,
+      new Date(range.from.getTime() - WARM_UP_DAYS * DAY_MS),
+      range.to,
+    );
+
+    return {
+      period: range,
+      ...checkinTrends.build(checkins, range, metrics && metrics.length > 0 ? metrics : undefined),
+    };
+  }
+
+  getRange(from, to) {
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_DAYS * DAY_MS);
+
+    if (start >= end) {
+      throw new BadRequestError('from must be before to');
+    }
+
+    if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+      throw new BadRequestError(`Trend range cannot exceed ${MAX_RANGE_DAYS} days`);
+    }
+
+    return { from: start, to: end };
+  }
+
+  async assertCanView(clientId, viewer) {
+    if (viewer.role === 'admin') {
+      return;
+    }
+
+    if (viewer.role === 'client') {
+      if (clientId.toString() !== viewer._id.toString()) {
+        throw new ForbiddenError('You can only view your own check-in trends');
+      }
+      return;
+    }
+
+    try {
+      await dataIntegrity.validateCoachClientRelationship(viewer._id, clientId);
+    } catch (error) {
+      throw new ForbiddenError('You can only view check-in trends of your own clients');
+    }
+  }
+}
+
+module.exports = new CheckinTrendService();
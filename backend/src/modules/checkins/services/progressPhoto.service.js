@@ -0,0 +1,226 @@
+/**
+ * Progress Photo Service
+ * Private progress photo uploads, signed access URLs, timelines and comparisons
+ */
+
+const progressPhotoRepository = require('../repositories/progressPhoto.repository');
+const { progressPhotos: photoStorage } = require('../utils/privateStorage');
+const checkinDeltas = require('../utils/checkinDeltas');
+const sessionTimeZoneService = require('../../sessions/services/sessionTimeZone.service');
+const dataIntegrity = require('../../../common/utils/dataIntegrity');
+const timezone = require('../../../common/utils/timezone');
+const { createSignature, verifySignature } = require('../../../common/utils/signedUrl');
+const {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+} = require('../../../common/utils/errors');
+const logger = require('../../../common/utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ProgressPhotoService {
+  /**
+   * Store a client's photos privately, one pose per photo in upload order
+   * @param {ObjectId} clientId
+   * @param {Array} files - Multer files held in memory
+   * @param {Object} data - pose (string or array), takenAt, checkinId, notes
+   */
+  async uploadPhotos(clientId, files = [], data = {}) {
+    if (files.length === 0) {
+      throw new BadRequestError('Attach at least one photo');
+    }
+
+    const poses = [].concat(data.pose);
+    if (poses.length !== files.length) {
+      throw new BadRequestError('Give one pose per photo, in the order the photos are attached');
+    }
+
+    let takenAt = data.takenAt ? new Date(data.takenAt) : new Date();
+    if (data.checkinId) {
+      const checkin = await progressPhotoRepository.findClientCheckin(clientId, data.checkinId);
+      if (!checkin) {
+        throw new NotFoundError('Check-in');
+      }
+      takenAt = data.takenAt ? takenAt : checkin.date;
+    }
+
+    const keys = files.map((file) => photoStorage.createKey(file));
+
+    try {
+      await Promise.all(files.map((file, index) => photoStorage.save(keys[index], file.buffer)));
+
+      const photos = await progressPhotoRepository.createMany(files.map((file, index) => ({
+        clientId,
+        checkinId: data.checkinId,
+        pose: poses[index],
+        takenAt,
+        storageKey: keys[index],
+        mimeType: file.mimetype,
+        size: file.size,
+        notes: data.notes,
+      })));
+
+      logger.info(`${photos.length} progress photo(s) uploaded for client ${clientId}`);
+
+      return photos;
+    } catch (error) {
+      await Promise.all(keys.map((key) => photoStorage.remove(key)));
+      throw error;
+    }
+  }
+
+  /**
+   * A client's photos grouped by pose, oldest first
+   * @returns {Object} Photos keyed by pose
+   */
+  async getTimeline(clientId, viewer, { pose, from, to } = {}) {
+    await this.assertCanView(clientId, viewer);
+
+    const photos = await progressPhotoRepository.findClientPhotos(clientId, {
+      pose,
+      from: from && new Date(from),
+      to: to && new Date(to),
+    });
+
+    return photos.reduce((timeline, photo) => ({
+      ...timeline,
+      [photo.pose]: [...(timeline[photo.pose] || []), photo],
+    }), {});
+  }
+
+  /**
+   * Photos from two days side by side, with the weight and measurement
+   * changes between the latest check-ins on or before each day
+   * @param {Object} options
+   * @param {String} options.before - Earlier day (YYYY-MM-DD)
+   * @param {String} options.after - Later day (YYYY-MM-DD)
+   * @param {String} [options.pose] - Only this pose
+   * @param {String} [options.timeZone] - Zone the days are read in (defaults to the client's)
+   */
+  async compare(clientId, viewer, {
+    before, after, pose, timeZone,
+  }) {
+    await this.assertCanView(clientId, viewer);
+
+    if (before >= after) {
+      throw new BadRequestError('before must be earlier than after');
+    }
+
+    const zone = timezone.isValid(timeZone) ? timeZone : await sessionTimeZoneService.getUserTimeZone(clientId);
+    const [earlier, later] = await Promise.all([
+      this.getDay(clientId, before, pose, zone),
+      this.getDay(clientId, after, pose, zone),
+    ]);
+
+    return {
+      timeZone: zone,
+      before: earlier,
+      after: later,
+      deltas: checkinDeltas.metricDeltas(earlier.checkin, later.checkin),
+    };
+  }
+
+  async getDay(clientId, dateKey, pose, timeZone) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const from = timezone.toUtc({
+      year, month, day, hour: 0, minute: 0,
+    }, timeZone);
+    const nextDay = new Date(Date.UTC(year, month - 1, day) + DAY_MS);
+    const to = timezone.toUtc({
+      year: nextDay.getUTCFullYear(),
+      month: nextDay.getUTCMonth() + 1,
+      day: nextDay.getUTCDate(),
+      hour: 0,
+      minute: 0,
+    }, timeZone);
+
+    const [photos, checkin] = await Promise.all([
+      progressPhotoRepository.findClientPhotos(clientId, { pose, from, to }),
+      progressPhotoRepository.findCheckinBefore(clientId, to),
+    ]);
+
+    return { date: dateKey, photos, checkin };
+  }
+
+  async deletePhoto(photoId, user) {
+    const photo = await progressPhotoRepository.findById(photoId, { withStorageKey: true });
+
+    if (!photo) {
+      throw new NotFoundError('Progress photo');
+    }
+
+    if (user.role !== 'admin' && !photo.clientId.equals(user._id)) {
+      throw new ForbiddenError('You can only delete your own progress photos');
+    }
+
+    await photoStorage.remove(photo.storageKey);
+    await progressPhotoRepository.deleteById(photo._id);
+
+    logger.info(`Progress photo deleted: ${photo._id}`);
+
+    return photo;
+  }
+
+  /**
+   * File behind a signed photo URL
+   * @returns {Object} { path, mimeType }
+   */
+  async getPhotoFile(photoId, expires, signature) {
+    if (!verifySignature(this.getResource(photoId), expires, signature)) {
+      throw new ForbiddenError('This photo link is invalid or has expired');
+    }
+
+    const photo = await progressPhotoRepository.findById(photoId, { withStorageKey: true });
+
+    if (!photo) {
+      throw new NotFoundError('Progress photo');
+    }
+
+    return { path: photoStorage.resolve(photo.storageKey), mimeType: photo.mimeType };
+  }
+
+  /**
+   * Plain photo with a signed, expiring URL to its file
+   * @param {String} baseUrl - Check-in API base the file route is mounted on
+   */
+  toView(photo, baseUrl) {
+    const { expires, signature } = createSignature(this.getResource(photo._id));
+    const view = photo.toObject ? photo.toObject() : { ...photo };
+    delete view.storageKey;
+
+    return {
+      ...view,
+      url: `${baseUrl}/photos/${photo._id}/file?expires=${expires}&signature=${signature}`,
+      urlExpiresAt: new Date(expires * 1000),
+    };
+  }
+
+  getResource(photoId) {
+    return `progress-photos/${photoId}`;
+  }
+
+  /**
+   * Clients see their own photos, coaches their clients', admins all
+   */
+  async assertCanView(clientId, viewer) {
+    if (viewer.role === 'admin') {
+      return;
+    }
+
+    if (viewer.role === 'client') {
+      if (clientId.toString() !== viewer._id.toString()) {
+        throw new ForbiddenError('You can only view your own progress photos');
+      }
+      return;
+    }
+
+    try {
+      await dataIntegrity.validateCoachClientRelationship(viewer._id, clientId);
+    } catch (error) {
+      throw new ForbiddenError('You can only view progress photos of your own clients');
+    }
+  }
+}
+
+module.exports = new ProgressPhotoService();
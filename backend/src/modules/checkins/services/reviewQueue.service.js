@@ -0,0 +1,233 @@
+/**
+ * Review Queue Service
+ * Coach inbox of pending check-ins and form analyses with SLA tracking,
+ * claims by assistant coaches and review turnaround
+ */
+
+const reviewQueueRepository = require('../repositories/reviewQueue.repository');
+const reviewSla = require('../utils/reviewSla');
+const config = require('../../../common/config');
+const dataIntegrity = require('../../../common/utils/dataIntegrity');
+const {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+} = require('../../../common/utils/errors');
+const logger = require('../../../common/utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ITEM_NAMES = {
+  checkin: 'Check-in',
+  'form-analysis': 'Form analysis',
+};
+
+class ReviewQueueService {
+  /**
+   * Pending reviews for the coaches a user reviews for, oldest first
+   * @param {ObjectId} userId - Coach or assistant coach
+   * @param {Object} [filters]
+   * @param {String} [filters.coachId] - Only this coach's clients
+   * @param {String} [filters.type] - 'checkin' or 'form-analysis'
+   * @param {Boolean} [filters.breached] - Only items past the SLA
+   * @param {Boolean} [filters.unclaimed] - Only items nobody has claimed
+   * @returns {Object} { items, total, breached }
+   */
+  async getQueue(userId, {
+    coachId, type, breached, unclaimed, page = 1, limit = 20, now = new Date(),
+  } = {}) {
+    const coachIds = await this.getCoachScope(userId, coachId);
+    const options = { slaHours: config.reviews.slaHours, now };
+
+    const [checkins, analyses] = await Promise.all([
+      type === 'form-analysis' ? [] : reviewQueueRepository.findPendingCheckins(coachIds),
+      type === 'checkin' ? [] : this.findPendingAnalyses(coachIds),
+    ]);
+
+    const queue = reviewSla.sortQueue([
+      ...checkins.map((checkin) => reviewSla.toQueueItem(checkin, {
+        ...options, type: 'checkin', coachId: checkin.coachId,
+      })),
+      ...analyses.map(({ analysis, coachId: clientCoachId }) => reviewSla.toQueueItem(analysis, {
+        ...options, type: 'form-analysis', coachId: clientCoachId,
+      })),
+    ]).filter((item) => (!breached || item.slaBreached) && (!unclaimed || !item.claimedBy));
+
+    return {
+      items: queue.slice((page - 1) * limit, page * limit),
+      total: queue.length,
+      breached: queue.filter((item) => item.slaBreached).length,
+    };
+  }
+
+  /**
+   * Form analyses awaiting review, with the coach their client belongs to
+   */
+  async findPendingAnalyses(coachIds) {
+    const profiles = await reviewQueueRepository.findClientProfiles(coachIds);
+    const coachByClient = new Map(profiles.map((profile) => [profile.userId.toString(), profile.coachId]));
+    const analyses = await reviewQueueRepository.findPendingAnalyses(profiles.map((profile) => profile.userId));
+
+    return analyses.map((analysis) => ({
+      analysis,
+      coachId: coachByClient.get((analysis.userId._id || analysis.userId).toString()),
+    }));
+  }
+
+  /**
+   * Claim an item so other reviewers leave it alone
+   */
+  async claim(type, id, userId, now = new Date()) {
+    const item = await this.getReviewableItem(type, id, userId);
+
+    if (item.review && item.review.reviewedAt) {
+      throw new BadRequestError(`${ITEM_NAMES[type]} has already been reviewed`);
+    }
+
+    const claimed = await reviewQueueRepository.claimItem(type, id, userId, now);
+
+    if (!claimed) {
+      throw new ConflictError(`${ITEM_NAMES[type]} is already claimed by another reviewer`);
+    }
+
+    logger.info(`${ITEM_NAMES[type]} ${id} claimed by ${userId}`);
+
+    return claimed;
+  }
+
+  /**
+   * Release a claim; the claimer or the client's coach can release it
+   */
+  async release(type, id, userId) {
+    const item = await this.getReviewableItem(type, id, userId);
+    const claimedBy = item.review && item.review.claimedBy;
+
+    if (!claimedBy) {
+      return item;
+    }
+
+    const coachId = await this.getItemCoachId(type, item);
+    if (!claimedBy.equals(userId) && !coachId.equals(userId)) {
+      throw new ForbiddenError('Only the reviewer who claimed this item or the coach can release it');
+    }
+
+    return reviewQueueRepository.releaseItem(type, id);
+  }
+
+  async getReviewableItem(type, id, userId) {
+    const item = await reviewQueueRepository.findItem(type, id);
+
+    if (!item) {
+      throw new NotFoundError(ITEM_NAMES[type]);
+    }
+
+    await this.assertCanReview(await this.getItemCoachId(type, item), userId);
+
+    return item;
+  }
+
+  async getItemCoachId(type, item) {
+    const coachId = type === 'checkin'
+      ? item.coachId
+      : await reviewQueueRepository.findClientCoachId(item.userId);
+
+    if (!coachId) {
+      throw new BadRequestError('This client has no coach to review it');
+    }
+
+    return coachId;
+  }
+
+  /**
+   * Coaches review their own clients; assistants review for the coaches they assist
+   */
+  async assertCanReview(coachId, userId) {
+    const ownerId = coachId._id || coachId;
+
+    if (ownerId.toString() === userId.toString()) {
+      return;
+    }
+
+    if (!(await reviewQueueRepository.isAssistant(ownerId, userId))) {
+      throw new ForbiddenError('You do not review for this coach');
+    }
+  }
+
+  /**
+   * The coaches whose queue a user works: themselves and every coach they
+   * assist, or just the requested one
+   */
+  async getCoachScope(userId, coachId) {
+    const assisted = await reviewQueueRepository.findAssistedCoachIds(userId);
+    const scope = [userId, ...assisted];
+
+    if (!coachId) {
+      return scope;
+    }
+
+    if (!scope.some((id) => id.toString() === coachId.toString())) {
+      throw new ForbiddenError('You do not review for this coach');
+    }
+
+    return [coachId];
+  }
+
+  async getAssistants(coachId) {
+    return reviewQueueRepository.findAssistants(coachId);
+  }
+
+  async addAssistant(coachId, assistantId) {
+    if (coachId.toString() === assistantId.toString()) {
+      throw new BadRequestError('You cannot add yourself as an assistant');
+    }
+
+    await dataIntegrity.validateCoachExists(assistantId);
+
+    const assistant = await reviewQueueRepository.addAssistant(coachId, assistantId);
+
+    logger.info(`Coach ${assistantId} now assists coach ${coachId} with reviews`);
+
+    return assistant;
+  }
+
+  async removeAssistant(coachId, assistantId) {
+    const assistant = await reviewQueueRepository.removeAssistant(coachId, assistantId);
+
+    if (!assistant) {
+      throw new NotFoundError('Review assistant');
+    }
+
+    logger.info(`Coach ${assistantId} no longer assists coach ${coachId}`);
+
+    return assistant;
+  }
+
+  /**
+   * Review response times for the coach dashboard
+   * @returns {Object} { averageResponseHours, reviewed, pending, breached }
+   */
+  async getResponseStats(coachId, { days = 30, now = new Date() } = {}) {
+    const profiles = await reviewQueueRepository.findClientProfiles([coachId]);
+    const [turnaround, queue] = await Promise.all([
+      reviewQueueRepository.sumTurnaround(
+        coachId,
+        profiles.map((profile) => profile.userId),
+        new Date(now.getTime() - days * DAY_MS),
+      ),
+      this.getQueue(coachId, { coachId, limit: 0, now }),
+    ]);
+
+    return {
+      averageResponseHours: turnaround.reviewed > 0
+        ? Math.round((turnaround.totalMinutes / turnaround.reviewed / 60) * 10) / 10
+        : null,
+      reviewed: turnaround.reviewed,
+      pending: queue.total,
+      breached: queue.breached,
+      periodDays: days,
+    };
+  }
+}
+
+module.exports = new ReviewQueueService();
@@ -0,0 +1,177 @@
+/**
+ * Check-in Adherence Utilities
+ * Adherence for a check-in period computed from logged workouts and nutrition,
+ * and how it compares with what the client reported
+ *
+ * Periods are whole local days in the client's time zone: from the day after
+ * the previous check-in through the check-in day.
+ */
+
+const timezone = require('../../../common/utils/timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reported and computed percentages this far apart are flagged for the coach
+const DISCREPANCY_POINTS = 20;
+
+const AREAS = ['workouts', 'nutrition', 'overall'];
+
+class CheckinAdherence {
+  /**
+   * Whole percentage capped at 100, or null when nothing was planned
+   */
+  percent(part, total) {
+    return total > 0 ? Math.min(100, Math.round((part / total) * 100)) : null;
+  }
+
+  toDateKey(date, timeZone) {
+    return timezone.toWallClock(date, timeZone).toISOString().slice(0, 10);
+  }
+
+  addDays(dateKey, days) {
+    return new Date(new Date(`${dateKey}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Number of days from one local day to another, both included
+   */
+  countDays(fromKey, toKey) {
+    return Math.round((new Date(`${toKey}T00:00:00Z`) - new Date(`${fromKey}T00:00:00Z`)) / DAY_MS) + 1;
+  }
+
+  startOfDay(dateKey, timeZone) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+
+    return timezone.toUtc({
+      year, month, day, hour: 0, minute: 0,
+    }, timeZone);
+  }
+
+  /**
+   * Local days a check-in covers, at most `maxDays` long
+   * @returns {Object} { fromKey, toKey, days, from, to } where `to` is the start of the day after
+   */
+  getPeriod(date, previousDate, timeZone, maxDays = 7) {
+    const toKey = this.toDateKey(date, timeZone);
+    let fromKey = this.addDays(toKey, 1 - maxDays);
+
+    if (previousDate) {
+      const afterPrevious = this.addDays(this.toDateKey(previousDate, timeZone), 1);
+      if (afterPrevious > fromKey) {
+        // Several check-ins on one day each cover that day
+        fromKey = afterPrevious < toKey ? afterPrevious : toKey;
+      }
+    }
+
+    return {
+      fromKey,
+      toKey,
+      days: this.countDays(fromKey, toKey),
+      from: this.startOfDay(fromKey, timeZone),
+      to: this.startOfDay(this.addDays(toKey, 1), timeZone),
+    };
+  }
+
+  /**
+   * Workouts a program plans for the period, pro rata to the days it ran
+   * @returns {Number|null} null when there is no program or it sets no weekly target
+   */
+  plannedWorkouts(program, period, timeZone) {
+    const perWeek = program
+      && ((program.duration && program.duration.workoutsPerWeek) || (program.workouts || []).length);
+
+    if (!perWeek) {
+      return null;
+    }
+
+    const startKey = program.startDate ? this.toDateKey(program.startDate, timeZone) : period.fromKey;
+    const endKey = program.endDate ? this.toDateKey(program.endDate, timeZone) : period.toKey;
+    const fromKey = startKey > period.fromKey ? startKey : period.fromKey;
+    const toKey = endKey < period.toKey ? endKey : period.toKey;
+
+    return fromKey > toKey ? 0 : Math.round((perWeek * this.countDays(fromKey, toKey)) / 7);
+  }
+
+  /**
+   * Computed adherence in the same shape clients report it
+   * @param {Object} period - From getPeriod
+   * @param {Object} logs
+   * @param {Number} logs.completedWorkouts - Completed workout logs in the period
+   * @param {Number|null} logs.plannedWorkouts - From plannedWorkouts
+   * @param {Array} logs.nutritionDays - One { withinTarget } per local day with a nutrition log
+   * @param {Boolean} logs.hasNutritionTarget - Whether the client has targets to measure against
+   */
+  build(period, {
+    completedWorkouts, plannedWorkouts, nutritionDays, hasNutritionTarget,
+  }) {
+    const daysCompleted = nutritionDays.filter((day) => day.withinTarget).length;
+    const workouts = {
+      completed: completedWorkouts,
+      planned: plannedWorkouts,
+      percentage: this.percent(completedWorkouts, plannedWorkouts),
+    };
+    const nutrition = {
+      daysCompleted,
+      daysLogged: nutritionDays.length,
+      totalDays: period.days,
+      percentage: hasNutritionTarget ? this.percent(daysCompleted, period.days) : null,
+    };
+
+    return {
+      periodStart: period.from,
+      periodEnd: period.to,
+      workouts,
+      nutrition,
+      overall: this.average([workouts.percentage, nutrition.percentage]),
+    };
+  }
+
+  average(values) {
+    const known = values.filter((value) => value !== null && value !== undefined);
+    return known.length > 0 ? Math.round(known.reduce((sum, value) => sum + value, 0) / known.length) : null;
+  }
+
+  /**
+   * Percentages the client reported, worked out from counts when they left them out
+   */
+  reportedPercentages(reported = {}) {
+    const workouts = reported.workouts || {};
+    const nutrition = reported.nutrition || {};
+    const given = (value, fallback) => (value === null || value === undefined ? fallback : value);
+
+    return {
+      workouts: given(workouts.percentage, this.percent(workouts.completed, workouts.planned)),
+      nutrition: given(nutrition.percentage, this.percent(nutrition.daysCompleted, nutrition.totalDays)),
+      overall: given(reported.overall, null),
+    };
+  }
+
+  /**
+   * Areas where the reported percentage is far from the computed one
+   * @returns {Array} [{ area, reported, computed, difference }], difference > 0 when over-reported
+   */
+  findDiscrepancies(reported, computed) {
+    if (!reported || !computed) {
+      return [];
+    }
+
+    const reportedPercentages = this.reportedPercentages(reported);
+    const computedPercentages = {
+      workouts: computed.workouts && computed.workouts.percentage,
+      nutrition: computed.nutrition && computed.nutrition.percentage,
+      overall: computed.overall,
+    };
+
+    return AREAS
+      .map((area) => ({
+        area,
+        reported: reportedPercentages[area],
+        computed: computedPercentages[area],
+      }))
+      .filter((row) => typeof row.reported === 'number' && typeof row.computed === 'number')
+      .map((row) => ({ ...row, difference: row.reported - row.computed }))
+      .filter((row) => Math.abs(row.difference) >= DISCREPANCY_POINTS);
+  }
+}
+
+module.exports = new CheckinAdherence();
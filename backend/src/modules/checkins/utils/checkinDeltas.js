@@ -0,0 +1,40 @@
+/**
+ * Check-in Delta Utilities
+ * Body metric changes between two check-ins
+ */
+
+const MEASUREMENTS = ['chest', 'waist', 'hips', 'biceps', 'thighs'];
+
+class CheckinDeltas {
+  /**
+   * Change from one value to another, null when either is missing
+   */
+  delta(from, to) {
+    return typeof from === 'number' && typeof to === 'number'
+      ? Math.round((to - from) * 100) / 100
+      : null;
+  }
+
+  /**
+   * Weight, body fat and measurement changes from `before` to `after`
+   * @param {Object} [before] - Earlier check-in
+   * @param {Object} [after] - Later check-in
+   */
+  metricDeltas(before, after) {
+    const from = (before && before.metrics) || {};
+    const to = (after && after.metrics) || {};
+    const fromMeasurements = from.measurements || {};
+    const toMeasurements = to.measurements || {};
+
+    return {
+      weight: this.delta(from.weight, to.weight),
+      bodyFat: this.delta(from.bodyFat, to.bodyFat),
+      measurements: MEASUREMENTS.reduce((acc, name) => ({
+        ...acc,
+        [name]: this.delta(fromMeasurements[name], toMeasurements[name]),
+      }), {}),
+    };
+  }
+}
+
+module.exports = new CheckinDeltas();
@@ -0,0 +1,147 @@
+/**
+ * Check-in Due Date Utilities
+ * Works out when a scheduled check-in is due and whether it is late
+ *
+ * Due dates are wall-clock times in the schedule's time zone. Each check-in
+ * counts for one due date: the nearest one, so a late check-in still clears
+ * the overdue flag and an early one covers the next due date.
+ */
+
+const timezone = require('../../../common/utils/timezone');
+
+const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const CADENCE_WEEKS = { weekly: 1, biweekly: 2 };
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const DEFAULT_DUE_TIME = '09:00';
+const DEFAULT_GRACE_HOURS = 24;
+
+class CheckinDue {
+  getTimeZone(schedule) {
+    return schedule.timeZone || 'UTC';
+  }
+
+  graceMs(schedule) {
+    const hours = schedule.graceHours === undefined || schedule.graceHours === null
+      ? DEFAULT_GRACE_HOURS
+      : schedule.graceHours;
+
+    return hours * HOUR_MS;
+  }
+
+  /**
+   * Local calendar day (YYYY-MM-DD) of the n-th candidate due date, counted
+   * from the start date's day
+   */
+  candidateKey(schedule, n) {
+    const startKey = timezone.toWallClock(schedule.startDate, this.getTimeZone(schedule))
+      .toISOString()
+      .slice(0, 10);
+    const [year, month] = startKey.split('-').map(Number);
+
+    if (schedule.cadence === 'monthly') {
+      return new Date(Date.UTC(year, month - 1 + n, schedule.dayOfMonth)).toISOString().slice(0, 10);
+    }
+
+    const start = new Date(`${startKey}T00:00:00Z`);
+    const offset = (DAYS_OF_WEEK.indexOf(schedule.dayOfWeek) - start.getUTCDay() + 7) % 7;
+    const days = offset + n * 7 * CADENCE_WEEKS[schedule.cadence || 'weekly'];
+
+    return new Date(start.getTime() + days * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  candidateAt(schedule, n) {
+    const [year, month, day] = this.candidateKey(schedule, n).split('-').map(Number);
+    const [hour, minute] = (schedule.dueTime || DEFAULT_DUE_TIME).split(':').map(Number);
+
+    return timezone.toUtc({
+      year, month, day, hour, minute,
+    }, this.getTimeZone(schedule));
+  }
+
+  /**
+   * The index-th due date (0-based); the first is the first one at or after the start date
+   */
+  dueAt(schedule, index) {
+    const skip = this.candidateAt(schedule, 0) < new Date(schedule.startDate) ? 1 : 0;
+    return this.candidateAt(schedule, index + skip);
+  }
+
+  /**
+   * Index of the latest due date at or before `now`, or -1 before the first one
+   */
+  latestIndex(schedule, now) {
+    const first = this.dueAt(schedule, 0);
+
+    if (first > now) {
+      return -1;
+    }
+
+    // Estimate from the shortest possible period, then step to the exact index
+    const periodMs = schedule.cadence === 'monthly'
+      ? 28 * DAY_MS
+      : 7 * DAY_MS * CADENCE_WEEKS[schedule.cadence || 'weekly'];
+    let index = Math.floor((now - first) / periodMs);
+
+    while (index > 0 && this.dueAt(schedule, index) > now) {
+      index -= 1;
+    }
+    while (this.dueAt(schedule, index + 1) <= now) {
+      index += 1;
+    }
+
+    return index;
+  }
+
+  /**
+   * Earliest submission that counts for the index-th due date: halfway
+   * through the previous period, and never inside the previous grace period.
+   * Earlier submissions count as late check-ins for the previous due date.
+   */
+  opensAt(schedule, index) {
+    if (index === 0) {
+      return new Date(schedule.startDate);
+    }
+
+    const previous = this.dueAt(schedule, index - 1).getTime();
+    const halfPeriod = (this.dueAt(schedule, index).getTime() - previous) / 2;
+
+    return new Date(previous + Math.max(halfPeriod, this.graceMs(schedule)));
+  }
+
+  /**
+   * Where a client stands on their schedule
+   * @param {Object} schedule
+   * @param {Date} [lastCheckinAt] - Date of the client's latest check-in
+   * @param {Date} [now]
+   * @returns {Object} { status, dueAt, overdueSince } where status is
+   *   upcoming  - next due date ahead, nothing submitted for it yet
+   *   submitted - already checked in for the next due date
+   *   due       - due date passed, still within the grace period
+   *   overdue   - grace period over without a check-in
+   */
+  getStatus(schedule, lastCheckinAt = null, now = new Date()) {
+    const last = lastCheckinAt ? new Date(lastCheckinAt) : null;
+    const submittedFor = (index) => Boolean(last && last >= this.opensAt(schedule, index));
+    const index = this.latestIndex(schedule, now);
+
+    if (index === -1 || submittedFor(index)) {
+      return {
+        status: submittedFor(index + 1) ? 'submitted' : 'upcoming',
+        dueAt: this.dueAt(schedule, index + 1),
+        overdueSince: null,
+      };
+    }
+
+    const dueAt = this.dueAt(schedule, index);
+    const closesAt = new Date(dueAt.getTime() + this.graceMs(schedule));
+
+    return now < closesAt
+      ? { status: 'due', dueAt, overdueSince: null }
+      : { status: 'overdue', dueAt, overdueSince: closesAt };
+  }
+}
+
+module.exports = new CheckinDue();
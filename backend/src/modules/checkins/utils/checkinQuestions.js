@@ -0,0 +1,196 @@
+/**
+ * Check-in Question Utilities
+ * Validates coach-defined check-in questions and the answers given to them
+ */
+
+const QUESTION_TYPES = ['scale', 'number', 'text', 'choice', 'photo'];
+
+const DEFAULT_SCALE = { min: 1, max: 10 };
+// Metrics stored on a 1-10 scale
+const SCALE_METRICS = ['mood', 'energy', 'stress', 'sleep.quality'];
+const DEFAULT_MAX_PHOTOS = 4;
+const MAX_TEXT_LENGTH = 2000;
+const MAX_URL_LENGTH = 2048;
+
+class CheckinQuestions {
+  /**
+   * Check a form's question list
+   * @returns {String[]} Problems found (empty when valid)
+   */
+  validateDefinitions(questions = []) {
+    const errors = [];
+    const keys = new Set();
+    const metrics = new Set();
+
+    if (questions.length === 0) {
+      errors.push('A form needs at least one question');
+    }
+
+    questions.forEach((question) => {
+      if (keys.has(question.key)) {
+        errors.push(`Duplicate question key "${question.key}"`);
+      }
+      keys.add(question.key);
+
+      if (!QUESTION_TYPES.includes(question.type)) {
+        errors.push(`Question "${question.key}" has an unknown type "${question.type}"`);
+      }
+
+      if (question.type === 'choice' && !(question.options && question.options.length > 0)) {
+        errors.push(`Choice question "${question.key}" needs options`);
+      }
+
+      const { min, max } = this.getRange(question);
+      if (min !== undefined && max !== undefined && min > max) {
+        errors.push(`Question "${question.key}" has min greater than max`);
+      }
+
+      if (question.metric) {
+        if (!['scale', 'number'].includes(question.type)) {
+          errors.push(`Question "${question.key}" must be a scale or number to record ${question.metric}`);
+        }
+        if (SCALE_METRICS.includes(question.metric) && !(min >= 1 && max <= 10)) {
+          errors.push(`Question "${question.key}" must stay within 1-10 to record ${question.metric}`);
+        }
+        if (metrics.has(question.metric)) {
+          errors.push(`More than one question records ${question.metric}`);
+        }
+        metrics.add(question.metric);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Validate and coerce answers against the form's questions
+   * @param {Array} questions - Questions of the assigned form version
+   * @param {Object} input - Answers keyed by question key
+   * @returns {Object} { answers, errors }
+   */
+  buildAnswers(questions, input = {}) {
+    const errors = [];
+    const known = new Set(questions.map((question) => question.key));
+
+    Object.keys(input).filter((key) => !known.has(key)).forEach((key) => {
+      errors.push(`Unknown question "${key}"`);
+    });
+
+    const answers = [];
+
+    questions.forEach((question) => {
+      const raw = input[question.key];
+      const empty = raw === undefined || raw === null || raw === ''
+        || (Array.isArray(raw) && raw.length === 0);
+
+      if (empty) {
+        if (question.required) {
+          errors.push(`${question.label} is required`);
+        }
+        return;
+      }
+
+      const { value, error } = this.coerce(question, raw);
+      if (error) {
+        errors.push(`${question.label} ${error}`);
+        return;
+      }
+
+      answers.push({
+        key: question.key,
+        label: question.label,
+        type: question.type,
+        unit: question.unit,
+        value,
+      });
+    });
+
+    return { answers, errors };
+  }
+
+  coerce(question, raw) {
+    switch (question.type) {
+      case 'scale':
+      case 'number': {
+        const value = Number(raw);
+        const { min, max } = this.getRange(question);
+
+        if (!Number.isFinite(value)) {
+          return { error: 'must be a number' };
+        }
+        if (question.type === 'scale' && !Number.isInteger(value)) {
+          return { error: 'must be a whole number' };
+        }
+        if (min !== undefined && value < min) {
+          return { error: `must be at least ${min}` };
+        }
+        if (max !== undefined && value > max) {
+          return { error: `must be at most ${max}` };
+        }
+        return { value };
+      }
+      case 'choice': {
+        const values = Array.isArray(raw) ? raw : [raw];
+
+        if (values.length > 1 && !question.multiple) {
+          return { error: 'accepts a single option' };
+        }
+        if (!values.every((v) => question.options.includes(v))) {
+          return { error: `must be one of: ${question.options.join(', ')}` };
+        }
+        return { value: question.multiple ? values : values[0] };
+      }
+      case 'photo': {
+        const urls = Array.isArray(raw) ? raw : [raw];
+        const maxPhotos = question.maxPhotos || DEFAULT_MAX_PHOTOS;
+
+        if (urls.length > maxPhotos) {
+          return { error: `accepts at most ${maxPhotos} photos` };
+        }
+        if (!urls.every((url) => typeof url === 'string' && url.trim() && url.length <= MAX_URL_LENGTH)) {
+          return { error: 'must be uploaded photo URLs' };
+        }
+        return { value: urls.map((url) => url.trim()) };
+      }
+      default: {
+        const value = String(raw).trim();
+        return value.length > MAX_TEXT_LENGTH
+          ? { error: `cannot exceed ${MAX_TEXT_LENGTH} characters` }
+          : { value };
+      }
+    }
+  }
+
+  /**
+   * Scales default to 1-10; number questions are open unless bounded
+   */
+  getRange(question) {
+    const defaults = question.type === 'scale' ? DEFAULT_SCALE : {};
+    const pick = (bound) => (question[bound] === undefined || question[bound] === null
+      ? defaults[bound]
+      : question[bound]);
+
+    return { min: pick('min'), max: pick('max') };
+  }
+
+  /**
+   * Fixed metrics recorded by answers, e.g. { weight: 81.4, sleep: { hours: 7 } }
+   */
+  toMetrics(questions, answers) {
+    return questions
+      .filter((question) => question.metric)
+      .reduce((metrics, question) => {
+        const answer = answers.find((a) => a.key === question.key);
+        if (!answer) {
+          return metrics;
+        }
+
+        const [group, field] = question.metric.split('.');
+        return field
+          ? { ...metrics, [group]: { ...metrics[group], [field]: answer.value } }
+          : { ...metrics, [group]: answer.value };
+      }, {});
+  }
+}
+
+module.exports = new CheckinQuestions();
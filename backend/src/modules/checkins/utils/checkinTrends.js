@@ -0,0 +1,210 @@
+/**
+ * Check-in Trend Utilities
+ * Smoothed time series, weekly rates of change and anomaly flags for
+ * check-in metrics
+ *
+ * Check-ins arrive at irregular intervals, so smoothing is a time-based
+ * exponential moving average: a check-in's weight in the average depends on
+ * how many days passed since the previous one, not on its position.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Time constant of the moving average, in days
+const EMA_DAYS = 7;
+
+// Consecutive check-ins moving the wrong way before a metric is flagged
+const STREAK_LENGTH = 3;
+
+/**
+ * Tracked metrics. `jump` is the distance from the smoothed value that counts
+ * as a sudden change (`jumpPercent` for weight, whose scale varies by person
+ * and unit). `worse` is the direction coaches care about; metrics without one
+ * are flagged either way and never for streaks.
+ */
+const METRICS = {
+  weight: { path: 'weight', jumpPercent: 2 },
+  bodyFat: { path: 'bodyFat', jump: 1.5 },
+  mood: { path: 'mood', jump: 3, worse: 'down' },
+  energy: { path: 'energy', jump: 3, worse: 'down' },
+  stress: { path: 'stress', jump: 3, worse: 'up' },
+  sleep: { path: 'sleep.hours', jump: 2, worse: 'down' },
+};
+
+class CheckinTrends {
+  get METRICS() {
+    return Object.keys(METRICS);
+  }
+
+  round(value) {
+    return value === null ? null : Math.round(value * 100) / 100;
+  }
+
+  getValue(checkin, path) {
+    const value = path.split('.').reduce((obj, key) => (obj ? obj[key] : undefined), checkin.metrics);
+    return typeof value === 'number' ? value : null;
+  }
+
+  /**
+   * Check-ins with a value for the metric, oldest first
+   * @returns {Array} [{ checkinId, date, value }]
+   */
+  toSeries(checkins, metric) {
+    return checkins
+      .map((checkin) => ({
+        checkinId: checkin._id,
+        date: new Date(checkin.date),
+        value: this.getValue(checkin, METRICS[metric].path),
+      }))
+      .filter((point) => point.value !== null)
+      .sort((a, b) => a.date - b.date);
+  }
+
+  /**
+   * Add the moving average and its change per week to each point
+   */
+  smooth(series) {
+    return series.reduce((points, point) => {
+      const previous = points[points.length - 1];
+
+      if (!previous) {
+        return [{ ...point, ema: point.value, weeklyChange: null }];
+      }
+
+      const days = (point.date - previous.date) / DAY_MS;
+      const alpha = 1 - Math.exp(-days / EMA_DAYS);
+      const ema = previous.ema + alpha * (point.value - previous.ema);
+
+      return [...points, {
+        ...point,
+        ema,
+        weeklyChange: days > 0 ? ((ema - previous.ema) / days) * 7 : null,
+      }];
+    }, []);
+  }
+
+  /**
+   * Least-squares slope of the raw values, per week; null without two
+   * check-ins on different days
+   */
+  ratePerWeek(series) {
+    if (series.length < 2) {
+      return null;
+    }
+
+    const xs = series.map((point) => point.date.getTime() / DAY_MS);
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+    const meanY = series.reduce((sum, point) => sum + point.value, 0) / series.length;
+
+    const covariance = series.reduce((sum, point, i) => sum + (xs[i] - meanX) * (point.value - meanY), 0);
+    const variance = xs.reduce((sum, x) => sum + (x - meanX) ** 2, 0);
+
+    return variance > 0 ? (covariance / variance) * 7 : null;
+  }
+
+  /**
+   * Sudden changes against the smoothed value before each check-in, and
+   * streaks of check-ins moving the wrong way
+   * @param {Array} points - Smoothed series
+   */
+  findFlags(metric, points) {
+    const definition = METRICS[metric];
+    const flags = [];
+    let streak = 0;
+
+    points.forEach((point, index) => {
+      const previous = points[index - 1];
+
+      if (!previous) {
+        return;
+      }
+
+      const change = point.value - previous.ema;
+      const size = definition.jumpPercent ? (Math.abs(change) / previous.ema) * 100 : Math.abs(change);
+      const threshold = definition.jumpPercent || definition.jump;
+      const direction = change > 0 ? 'up' : 'down';
+
+      if (size >= threshold && (!definition.worse || direction === definition.worse)) {
+        flags.push(this.toFlag(metric, point, {
+          type: direction === 'up' ? 'sudden_rise' : 'sudden_drop',
+          reference: previous.ema,
+        }));
+      }
+
+      if (!definition.worse) {
+        return;
+      }
+
+      const moved = point.value - previous.value;
+      const worse = definition.worse === 'down' ? moved < 0 : moved > 0;
+      streak = worse ? streak + 1 : 0;
+
+      if (streak === STREAK_LENGTH) {
+        flags.push(this.toFlag(metric, point, {
+          type: definition.worse === 'down' ? 'sustained_drop' : 'sustained_rise',
+          reference: points[index - STREAK_LENGTH].value,
+        }));
+      }
+    });
+
+    return flags;
+  }
+
+  toFlag(metric, point, { type, reference }) {
+    return {
+      metric,
+      type,
+      checkinId: point.checkinId,
+      date: point.date,
+      value: point.value,
+      reference: this.round(reference),
+      change: this.round(point.value - reference),
+    };
+  }
+
+  /**
+   * Trends for every metric over [from, to). Check-ins before `from` only
+   * warm up the moving average.
+   * @param {Array} checkins - Check-ins with date and metrics
+   * @param {Object} range - { from, to }
+   * @param {Array} [metrics] - Metric names (defaults to all)
+   * @returns {Object} { metrics: { [name]: { latest, average, change, ratePerWeek, points } }, flags }
+   */
+  build(checkins, { from, to }, metrics = this.METRICS) {
+    const inRange = (point) => point.date >= from && point.date < to;
+    let flags = [];
+
+    const trends = metrics.reduce((acc, metric) => {
+      const smoothed = this.smooth(this.toSeries(checkins, metric));
+      const points = smoothed.filter(inRange);
+      const first = points[0];
+      const last = points[points.length - 1];
+
+      flags = flags.concat(this.findFlags(metric, smoothed).filter(inRange));
+
+      return {
+        ...acc,
+        [metric]: {
+          latest: last ? last.value : null,
+          average: last ? this.round(last.ema) : null,
+          change: points.length > 1 ? this.round(last.ema - first.ema) : null,
+          ratePerWeek: this.round(this.ratePerWeek(points)),
+          points: points.map((point) => ({
+            checkinId: point.checkinId,
+            date: point.date,
+            value: point.value,
+            ema: this.round(point.ema),
+            weeklyChange: this.round(point.weeklyChange),
+          })),
+        },
+      };
+    }, {});
+
+    return {
+      metrics: trends,
+      flags: flags.sort((a, b) => b.date - a.date),
+    };
+  }
+}
+
+module.exports = new CheckinTrends();
@@ -0,0 +1,54 @@
+/**
+ * Private Storage
+ * Writes uploaded images to the private upload path, outside any static
+ * route; they are read back through signed, expiring URLs
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../../../common/config');
+const { generateRandomToken } = require('../../../common/utils/security');
+
+class PrivateStorage {
+  /**
+   * @param {String} directory - Subdirectory of the private upload path
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  getDirectory() {
+    return path.resolve(config.upload.privateUploadPath, this.directory);
+  }
+
+  /**
+   * Random, unguessable file name keeping the upload's extension
+   */
+  createKey(file) {
+    return `${generateRandomToken(16)}${path.extname(file.originalname).toLowerCase()}`;
+  }
+
+  async save(key, buffer) {
+    await fs.mkdir(this.getDirectory(), { recursive: true });
+    await fs.writeFile(this.resolve(key), buffer, { mode: 0o600 });
+  }
+
+  resolve(key) {
+    return path.join(this.getDirectory(), path.basename(key));
+  }
+
+  async remove(key) {
+    try {
+      await fs.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = {
+  progressPhotos: new PrivateStorage('progress-photos'),
+  commentAttachments: new PrivateStorage('comment-attachments'),
+};
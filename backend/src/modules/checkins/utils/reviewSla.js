@@ -0,0 +1,65 @@
+/**
+ * Review SLA Utilities
+ * Queue items, SLA breaches and turnaround for coach reviews
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+class ReviewSla {
+  /**
+   * Queue entry for a pending check-in or form analysis
+   * @param {Object} item - Check-in or form analysis (client populated)
+   * @param {Object} options
+   * @param {String} options.type - 'checkin' or 'form-analysis'
+   * @param {ObjectId} options.coachId - Coach the client belongs to
+   * @param {Number} options.slaHours
+   * @param {Date} [options.now]
+   */
+  toQueueItem(item, {
+    type, coachId, slaHours, now = new Date(),
+  }) {
+    const submittedAt = new Date(item.createdAt);
+    const dueAt = new Date(submittedAt.getTime() + slaHours * HOUR_MS);
+    const review = item.review || {};
+
+    return {
+      type,
+      id: item._id,
+      client: type === 'checkin' ? item.clientId : item.userId,
+      coachId,
+      title: type === 'checkin' ? `${item.type || 'weekly'} check-in` : item.exerciseName,
+      submittedAt,
+      ageHours: Math.round(((now - submittedAt) / HOUR_MS) * 10) / 10,
+      dueAt,
+      slaBreached: now > dueAt,
+      claimedBy: review.claimedBy || null,
+      claimedAt: review.claimedAt || null,
+    };
+  }
+
+  /**
+   * Oldest first, so breached items lead the queue
+   */
+  sortQueue(items) {
+    return [...items].sort((a, b) => a.submittedAt - b.submittedAt);
+  }
+
+  /**
+   * Review fields recorded the first time an item is reviewed
+   * @returns {Object} Dotted update, empty when it was already reviewed
+   */
+  completeReview(item, reviewerId, now = new Date()) {
+    if (item.review && item.review.reviewedAt) {
+      return {};
+    }
+
+    return {
+      'review.reviewedBy': reviewerId,
+      'review.reviewedAt': now,
+      'review.turnaroundMinutes': Math.round((now - new Date(item.createdAt)) / MINUTE_MS),
+    };
+  }
+}
+
+module.exports = new ReviewSla();
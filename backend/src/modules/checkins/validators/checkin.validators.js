@@ -0,0 +1,427 @@
+/**
+ * Check-in Validators
+ * Validation rules for check-in forms and submissions
+ */
+
+const { body, param, query } = require('express-validator');
+const { METRIC_PATHS } = require('../models/checkinForm.model');
+const checkinTrends = require('../utils/checkinTrends');
+const timezone = require('../../../common/utils/timezone');
+
+const QUESTION_TYPES = ['scale', 'number', 'text', 'choice', 'photo'];
+const CADENCES = ['weekly', 'biweekly', 'monthly'];
+const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const SCHEDULE_STATUSES = ['upcoming', 'submitted', 'due', 'overdue', 'paused'];
+const POSES = ['front', 'back', 'side', 'other'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const REVIEW_TYPES = ['checkin', 'form-analysis'];
+
+const formFields = (optional) => [
+  (optional ? body('name').optional() : body('name'))
+    .trim()
+    .notEmpty()
+    .withMessage('Form name is required')
+    .isLength({ max: 100 })
+    .withMessage('Form name cannot exceed 100 characters'),
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+  (optional ? body('questions').optional() : body('questions'))
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Questions must be an array of 1 to 50 questions'),
+  body('questions.*.key')
+    .matches(/^[a-z][a-z0-9_]*$/)
+    .withMessage('Question keys must be lower_snake_case'),
+  body('questions.*.label')
+    .trim()
+    .notEmpty()
+    .withMessage('Question label is required'),
+  body('questions.*.type')
+    .isIn(QUESTION_TYPES)
+    .withMessage(`Question type must be one of: ${QUESTION_TYPES.join(', ')}`),
+  body(['questions.*.required', 'questions.*.multiple'])
+    .optional()
+    .isBoolean()
+    .withMessage('required and multiple must be booleans'),
+  body(['questions.*.min', 'questions.*.max'])
+    .optional()
+    .isFloat()
+    .withMessage('min and max must be numbers'),
+  body('questions.*.options')
+    .optional()
+    .isArray()
+    .withMessage('Options must be an array'),
+  body('questions.*.maxPhotos')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('maxPhotos must be between 1 and 10'),
+];
+
+/**
+ * Validate check-in form creation
+ */
+const createForm = formFields(false);
+
+/**
+ * Validate check-in form update
+ */
+const updateForm = [
+  param('formId')
+    .isMongoId()
+    .withMessage('Invalid form ID'),
+  ...formFields(true),
+];
+
+/**
+ * Validate form ID param
+ */
+const validateFormId = [
+  param('formId')
+    .isMongoId()
+    .withMessage('Invalid form ID'),
+];
+
+/**
+ * Validate assigning a form to clients
+ */
+const assignForm = [
+  ...validateFormId,
+  body('clientIds')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('clientIds must be an array of 1 to 100 client IDs'),
+  body('clientIds.*')
+    .isMongoId()
+    .withMessage('Invalid client ID'),
+];
+
+/**
+ * Validate assignment listing
+ */
+const getAssignments = [
+  query('formId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid form ID'),
+];
+
+/**
+ * Validate removing a client's form
+ */
+const unassignForm = [
+  param('clientId')
+    .isMongoId()
+    .withMessage('Invalid client ID'),
+];
+
+/**
+ * Validate check-in submission (answers are checked against the assigned form)
+ */
+const createCheckin = [
+  body('answers')
+    .optional()
+    .isObject()
+    .withMessage('Answers must be an object keyed by question key'),
+  body('formVersion')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('formVersion must be a positive integer'),
+];
+
+/**
+ * Validate setting a client's check-in schedule
+ */
+const setSchedule = [
+  param('clientId')
+    .isMongoId()
+    .withMessage('Invalid client ID'),
+  body('cadence')
+    .optional()
+    .isIn(CADENCES)
+    .withMessage(`Cadence must be one of: ${CADENCES.join(', ')}`),
+  body('dayOfWeek')
+    .if((value, { req }) => req.body.cadence !== 'monthly')
+    .isIn(DAYS_OF_WEEK)
+    .withMessage('Day of week is required for weekly and biweekly schedules'),
+  body('dayOfMonth')
+    .if((value, { req }) => req.body.cadence === 'monthly')
+    .isInt({ min: 1, max: 28 })
+    .withMessage('Day of month (1-28) is required for monthly schedules'),
+  body('dueTime')
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Due time must be in HH:mm format'),
+  body('timeZone')
+    .optional()
+    .custom((value) => timezone.isValid(value))
+    .withMessage('Time zone must be a valid IANA time zone (e.g. Europe/London)'),
+  body('graceHours')
+    .optional()
+    .isInt({ min: 0, max: 72 })
+    .withMessage('Grace period must be between 0 and 72 hours'),
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean'),
+];
+
+/**
+ * Validate removing a client's check-in schedule
+ */
+const removeSchedule = [
+  param('clientId')
+    .isMongoId()
+    .withMessage('Invalid client ID'),
+];
+
+/**
+ * Validate schedule listing
+ */
+const getSchedules = [
+  query('status')
+    .optional()
+    .isIn(SCHEDULE_STATUSES)
+    .withMessage(`Status must be one of: ${SCHEDULE_STATUSES.join(', ')}`),
+];
+
+/**
+ * Validate progress photo upload (multipart; one pose per photo)
+ */
+const uploadPhotos = [
+  body('pose')
+    .customSanitizer((value) => [].concat(value || []))
+    .custom((poses) => poses.length > 0 && poses.every((pose) => POSES.includes(pose)))
+    .withMessage(`Each photo needs a pose: ${POSES.join(', ')}`),
+  body('takenAt')
+    .optional()
+    .isISO8601()
+    .withMessage('takenAt must be a valid date'),
+  body('checkinId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid check-in ID'),
+  body('notes')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+];
+
+const optionalClientId = param('clientId')
+  .optional()
+  .isMongoId()
+  .withMessage('Invalid client ID');
+
+/**
+ * Validate photo timeline query
+ */
+const getPhotoTimeline = [
+  optionalClientId,
+  query('pose')
+    .optional()
+    .isIn(POSES)
+    .withMessage(`Pose must be one of: ${POSES.join(', ')}`),
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('from and to must be valid dates'),
+];
+
+/**
+ * Validate check-in trends query
+ */
+const getTrends = [
+  optionalClientId,
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('from and to must be valid dates'),
+  query('metrics')
+    .optional()
+    .customSanitizer((value) => String(value).split(',').map((metric) => metric.trim()).filter(Boolean))
+    .custom((metrics) => metrics.every((metric) => checkinTrends.METRICS.includes(metric)))
+    .withMessage(`Metrics must be from: ${checkinTrends.METRICS.join(', ')}`),
+];
+
+/**
+ * Validate photo comparison query
+ */
+const comparePhotos = [
+  optionalClientId,
+  query(['before', 'after'])
+    .matches(DATE_PATTERN)
+    .withMessage('before and after must be dates in YYYY-MM-DD format'),
+  query('pose')
+    .optional()
+    .isIn(POSES)
+    .withMessage(`Pose must be one of: ${POSES.join(', ')}`),
+  query('timeZone')
+    .optional()
+    .custom((value) => timezone.isValid(value))
+    .withMessage('Time zone must be a valid IANA time zone (e.g. Europe/London)'),
+];
+
+/**
+ * Validate photo ID param
+ */
+const validatePhotoId = [
+  param('photoId')
+    .isMongoId()
+    .withMessage('Invalid photo ID'),
+];
+
+/**
+ * Validate a signed photo file URL
+ */
+const getPhotoFile = [
+  ...validatePhotoId,
+  query('expires')
+    .isInt()
+    .withMessage('Invalid photo link'),
+  query('signature')
+    .isHexadecimal()
+    .withMessage('Invalid photo link'),
+];
+
+/**
+ * Validate review queue query
+ */
+const getReviewQueue = [
+  query('coachId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid coach ID'),
+  query('type')
+    .optional()
+    .isIn(REVIEW_TYPES)
+    .withMessage(`Type must be one of: ${REVIEW_TYPES.join(', ')}`),
+  query(['breached', 'unclaimed'])
+    .optional()
+    .isBoolean()
+    .withMessage('breached and unclaimed must be booleans'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+];
+
+/**
+ * Validate claiming or releasing a review item
+ */
+const reviewItem = [
+  param('type')
+    .isIn(REVIEW_TYPES)
+    .withMessage(`Type must be one of: ${REVIEW_TYPES.join(', ')}`),
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID'),
+];
+
+/**
+ * Validate adding an assistant coach
+ */
+const addAssistant = [
+  body('assistantId')
+    .isMongoId()
+    .withMessage('Invalid assistant ID'),
+];
+
+/**
+ * Validate removing an assistant coach
+ */
+const removeAssistant = [
+  param('assistantId')
+    .isMongoId()
+    .withMessage('Invalid assistant ID'),
+];
+
+/**
+ * Validate check-in ID param
+ */
+const validateCheckinId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid check-in ID'),
+];
+
+/**
+ * Validate a check-in comment (multipart when it has attachments)
+ */
+const addComment = [
+  ...validateCheckinId,
+  body('text')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Comments cannot exceed 2000 characters'),
+  body('replyTo')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid comment ID'),
+  body('metrics')
+    .customSanitizer((value) => [].concat(value || []))
+    .custom((metrics) => metrics.every((metric) => METRIC_PATHS.includes(metric)))
+    .withMessage(`Metrics must be from: ${METRIC_PATHS.join(', ')}`),
+];
+
+/**
+ * Validate check-in and comment ID params
+ */
+const validateCommentId = [
+  ...validateCheckinId,
+  param('commentId')
+    .isMongoId()
+    .withMessage('Invalid comment ID'),
+];
+
+/**
+ * Validate a signed comment attachment URL
+ */
+const getAttachmentFile = [
+  param(['commentId', 'attachmentId'])
+    .isMongoId()
+    .withMessage('Invalid attachment link'),
+  query('expires')
+    .isInt()
+    .withMessage('Invalid attachment link'),
+  query('signature')
+    .isHexadecimal()
+    .withMessage('Invalid attachment link'),
+];
+
+module.exports = {
+  createForm,
+  updateForm,
+  validateFormId,
+  assignForm,
+  getAssignments,
+  unassignForm,
+  createCheckin,
+  setSchedule,
+  removeSchedule,
+  getSchedules,
+  uploadPhotos,
+  getPhotoTimeline,
+  getTrends,
+  comparePhotos,
+  validatePhotoId,
+  getPhotoFile,
+  getReviewQueue,
+  reviewItem,
+  addAssistant,
+  removeAssistant,
+  validateCheckinId,
+  addComment,
+  validateCommentId,
+  getAttachmentFile,
+};
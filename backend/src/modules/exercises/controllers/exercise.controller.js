@@ -0,0 +1,60 @@
+/**
+ * Exercise Controller
+ */
+
+const exerciseService = require('../services/exercise.service');
+const { successResponse, createdResponse, paginatedResponse } = require('../../../common/utils/response');
+const { asyncHandler } = require('../../../common/middleware/errorHandler');
+const { NotFoundError } = require('../../../common/utils/errors');
+
+class ExerciseController {
+  createExercise = asyncHandler(async (req, res) => {
+    const exercise = await exerciseService.createExercise(req.user, req.body);
+    return createdResponse(res, exercise, 'Exercise created successfully');
+  });
+
+  getExercises = asyncHandler(async (req, res) => {
+    const {
+      page = 1, limit = 20, q, muscle, equipment, movementPattern, difficulty, custom,
+    } = req.query;
+
+    const options = { page: parseInt(page, 10), limit: parseInt(limit, 10) };
+    const { exercises, total } = await exerciseService.getExercises(req.user, {
+      q, muscle, equipment, movementPattern, difficulty, custom,
+    }, options);
+
+    return paginatedResponse(res, exercises, options.page, options.limit, total);
+  });
+
+  getExercise = asyncHandler(async (req, res) => {
+    const exercise = await exerciseService.getExercise(req.params.id, req.user);
+    return successResponse(res, exercise);
+  });
+
+  updateExercise = asyncHandler(async (req, res) => {
+    const exercise = await exerciseService.updateExercise(req.params.id, req.user, req.body);
+    return successResponse(res, exercise, 'Exercise updated successfully');
+  });
+
+  archiveExercise = asyncHandler(async (req, res) => {
+    await exerciseService.archiveExercise(req.params.id, req.user);
+    return successResponse(res, null, 'Exercise archived');
+  });
+
+  getAlternatives = asyncHandler(async (req, res) => {
+    const { reason, availableEquipment, minSimilarity } = req.query;
+    const alternatives = await exerciseService.getAlternatives(
+      req.params.id,
+      { reason, availableEquipment, minSimilarity },
+      req.user,
+    );
+
+    if (!alternatives) {
+      throw new NotFoundError('Exercise');
+    }
+
+    return successResponse(res, alternatives);
+  });
+}
+
+module.exports = new ExerciseController();
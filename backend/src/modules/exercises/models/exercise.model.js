@@ -0,0 +1,102 @@
+/**
+ * Exercise Model
+ * Shared exercise library and coaches' private custom exercises
+ */
+
+const mongoose = require('mongoose');
+const exerciseLibrary = require('../utils/exerciseLibrary');
+
+const exerciseSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    // Matching key derived from the name, e.g. "bench_press"
+    key: {
+      type: String,
+      required: true,
+    },
+    aliases: [{
+      type: String,
+      trim: true,
+    }],
+    // Keys of the name and aliases; searched and matched against free-form exercise names
+    searchKeys: [String],
+    primaryMuscles: [{
+      type: String,
+      enum: exerciseLibrary.MUSCLES,
+    }],
+    secondaryMuscles: [{
+      type: String,
+      enum: exerciseLibrary.MUSCLES,
+    }],
+    equipment: [{
+      type: String,
+      lowercase: true,
+      trim: true,
+    }],
+    movementPattern: {
+      type: String,
+      enum: exerciseLibrary.MOVEMENT_PATTERNS,
+    },
+    difficulty: {
+      type: String,
+      enum: exerciseLibrary.DIFFICULTIES,
+      default: 'intermediate',
+    },
+    demoVideoUrl: String,
+    coachingCues: [String],
+    alternatives: [{
+      _id: false,
+      exerciseId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Exercise',
+        required: true,
+      },
+      reason: {
+        type: String,
+        enum: exerciseLibrary.ALTERNATIVE_REASONS,
+        required: true,
+      },
+      similarity: {
+        type: Number,
+        min: 0,
+        max: 1,
+      },
+      notes: String,
+    }],
+    // Coach who owns a custom exercise; shared library exercises have none
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // Archived exercises stay readable for workouts and logs that use them
+    isArchived: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+exerciseSchema.pre('validate', function deriveKeys(next) {
+  this.key = exerciseLibrary.toKey(this.name);
+  this.searchKeys = [...new Set([this.name, ...this.aliases].map((name) => exerciseLibrary.toKey(name)))];
+  next();
+});
+
+// One live exercise per name in the shared library and in each coach's library
+exerciseSchema.index(
+  { ownerId: 1, key: 1 },
+  { unique: true, partialFilterExpression: { isArchived: false } },
+);
+exerciseSchema.index({ searchKeys: 1 });
+exerciseSchema.index({ primaryMuscles: 1 });
+
+module.exports = mongoose.model('Exercise', exerciseSchema);
@@ -0,0 +1,49 @@
+/**
+ * Exercise Repository
+ */
+
+const Exercise = require('../models/exercise.model');
+const ClientProfile = require('../../clients/models/clientProfile.model');
+
+const ALTERNATIVE_FIELDS = 'name key equipment primaryMuscles difficulty movementPattern ownerId isArchived';
+
+class ExerciseRepository {
+  build(exerciseData) {
+    return new Exercise(exerciseData);
+  }
+
+  async findById(id) {
+    return Exercise.findById(id);
+  }
+
+  async findByIdWithAlternatives(id) {
+    return Exercise.findById(id).populate('alternatives.exerciseId', ALTERNATIVE_FIELDS);
+  }
+
+  async findOne(filters) {
+    return Exercise.findOne(filters).populate('alternatives.exerciseId', ALTERNATIVE_FIELDS);
+  }
+
+  async findAll(filters = {}, options = {}) {
+    const { page = 1, limit = 20, sort = 'name' } = options;
+    const skip = (page - 1) * limit;
+
+    const [exercises, total] = await Promise.all([
+      Exercise.find(filters).sort(sort).skip(skip).limit(limit),
+      Exercise.countDocuments(filters),
+    ]);
+
+    return { exercises, total };
+  }
+
+  async find(filters) {
+    return Exercise.find(filters);
+  }
+
+  async findClientCoachId(clientId) {
+    const profile = await ClientProfile.findOne({ userId: clientId }).select('coachId');
+    return profile ? profile.coachId : null;
+  }
+}
+
+module.exports = new ExerciseRepository();
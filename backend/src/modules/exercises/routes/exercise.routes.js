@@ -0,0 +1,41 @@
+/**
+ * Exercise Routes
+ */
+
+const express = require('express');
+const exerciseController = require('../controllers/exercise.controller');
+const validators = require('../validators/exercise.validators');
+const { authenticate, authorize } = require('../../../common/middleware/auth');
+const { validate } = require('../../../common/middleware/validation');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+router.get('/', validators.searchExercises, validate, exerciseController.getExercises);
+router.post(
+  '/',
+  authorize('coach', 'admin'),
+  validators.createExercise,
+  validate,
+  exerciseController.createExercise,
+);
+router.get('/:id', validators.validateExerciseId, validate, exerciseController.getExercise);
+router.put(
+  '/:id',
+  authorize('coach', 'admin'),
+  validators.updateExercise,
+  validate,
+  exerciseController.updateExercise,
+);
+router.delete(
+  '/:id',
+  authorize('coach', 'admin'),
+  validators.validateExerciseId,
+  validate,
+  exerciseController.archiveExercise,
+);
+router.get('/:id/alternatives', validators.getAlternatives, validate, exerciseController.getAlternatives);
+
+module.exports = router;
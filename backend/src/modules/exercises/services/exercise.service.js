@@ -0,0 +1,374 @@
+/**
+ * Exercise Service
+ * Exercise library CRUD, search, alternatives and linking of workout and log
+ * entries to library exercises
+ *
+ * Shared library exercises (no owner) are managed by admins; coaches add
+ * private custom exercises that only they and their clients see.
+ */
+
+const mongoose = require('mongoose');
+const exerciseRepository = require('../repositories/exercise.repository');
+const exerciseLibrary = require('../utils/exerciseLibrary');
+const { exerciseAlternatives } = require('../../ai-programs/data/exerciseAlternatives');
+const {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+} = require('../../../common/utils/errors');
+const logger = require('../../../common/utils/logger');
+
+const EDITABLE_FIELDS = [
+  'name', 'aliases', 'primaryMuscles', 'secondaryMuscles', 'equipment', 'movementPattern',
+  'difficulty', 'demoVideoUrl', 'coachingCues', 'alternatives',
+];
+
+class ExerciseService {
+  /**
+   * Coaches create private custom exercises; admins add to the shared library
+   */
+  async createExercise(user, data) {
+    const exercise = exerciseRepository.build({
+      ...this.pickFields(data),
+      ownerId: user.role === 'admin' ? null : user._id,
+    });
+
+    await this.assertValidAlternatives(exercise);
+    await this.save(exercise);
+
+    logger.info(`Exercise created: ${exercise._id} by ${user._id}`);
+
+    return exercise;
+  }
+
+  /**
+   * Search the exercises visible to a user
+   * @param {Object} [query] - q, muscle, equipment, movementPattern, difficulty, custom
+   */
+  async getExercises(user, query = {}, options = {}) {
+    const visibility = await this.getVisibility(user);
+
+    return exerciseRepository.findAll({
+      $and: [
+        exerciseLibrary.visibilityFilter(visibility.ownerId, visibility),
+        exerciseLibrary.searchFilter(query),
+        { isArchived: false },
+      ],
+    }, options);
+  }
+
+  async getExercise(exerciseId, user) {
+    const exercise = await exerciseRepository.findByIdWithAlternatives(exerciseId);
+    const visibility = await this.getVisibility(user);
+
+    if (!exercise || !this.isVisible(exercise, visibility)) {
+      throw new NotFoundError('Exercise');
+    }
+
+    return exercise;
+  }
+
+  async updateExercise(exerciseId, user, data) {
+    const exercise = await this.getEditableExercise(exerciseId, user);
+
+    if (exercise.isArchived) {
+      throw new BadRequestError('Archived exercises cannot be changed');
+    }
+
+    exercise.set(this.pickFields(data));
+    await this.assertValidAlternatives(exercise);
+    await this.save(exercise);
+
+    logger.info(`Exercise updated: ${exercise._id}`);
+
+    return exercise;
+  }
+
+  /**
+   * Archive an exercise. Workouts and logs that use it keep their reference;
+   * it just stops showing up in the library.
+   */
+  async archiveExercise(exerciseId, user) {
+    const exercise = await this.getEditableExercise(exerciseId, user);
+
+    exercise.isArchived = true;
+    await exercise.save();
+
+    logger.info(`Exercise archived: ${exercise._id}`);
+
+    return exercise;
+  }
+
+  /**
+   * Ranked alternatives for an exercise given by ID or name
+   * @param {Object} [criteria] - reason, availableEquipment, minSimilarity
+   * @returns {Object|null} { original, alternatives }, or null for an unknown exercise
+   */
+  async getAlternatives(idOrName, criteria = {}, user = null) {
+    const visibility = await this.getVisibility(user);
+    const exercise = await this.findExercise(idOrName, visibility);
+
+    if (!exercise) {
+      return null;
+    }
+
+    const alternatives = exercise.alternatives
+      .filter((alt) => alt.exerciseId && !alt.exerciseId.isArchived && this.isVisible(alt.exerciseId, visibility))
+      .map((alt) => ({
+        exercise: alt.exerciseId.name,
+        exerciseId: alt.exerciseId._id,
+        reason: alt.reason,
+        similarity: alt.similarity,
+        equipment: alt.exerciseId.equipment,
+        difficulty: alt.exerciseId.difficulty,
+        notes: alt.notes,
+      }));
+
+    return {
+      original: {
+        exercise: exercise.name,
+        exerciseId: exercise._id,
+        primaryMuscles: exercise.primaryMuscles,
+        equipment: exercise.equipment,
+        difficulty: exercise.difficulty,
+        movementPattern: exercise.movementPattern,
+      },
+      alternatives: exerciseLibrary.rankAlternatives(alternatives, criteria),
+    };
+  }
+
+  /**
+   * The closest alternative, or null when none matches the criteria
+   */
+  async findBestAlternative(idOrName, criteria = {}, user = null) {
+    const result = await this.getAlternatives(idOrName, criteria, user);
+
+    if (!result || result.alternatives.length === 0) {
+      return null;
+    }
+
+    return {
+      original: result.original,
+      recommended: result.alternatives[0],
+      otherOptions: result.alternatives.slice(1),
+    };
+  }
+
+  /**
+   * Point workout or log exercise entries at library exercises. Entries
+   * with an `exercise` ID are checked; the rest are matched by their
+   * exerciseId or name against names and aliases, preferring the coach's own
+   * custom exercises. Unmatched entries are left as they are.
+   * @param {Array} entries - Exercise entries ({ exercise, exerciseId, name, ... })
+   * @param {ObjectId} [ownerId] - Coach whose custom exercises may be used
+   * @returns {Array} Entries with `exercise`, `exerciseId` and `name` filled in where known
+   */
+  async linkExercises(entries = [], ownerId = null) {
+    const visibility = { ownerId };
+    const ids = entries.filter((entry) => entry.exercise).map((entry) => entry.exercise.toString());
+    const keys = entries
+      .filter((entry) => !entry.exercise)
+      .flatMap((entry) => [entry.exerciseId, entry.name].map((name) => exerciseLibrary.toKey(name)))
+      .filter(Boolean);
+
+    const [byId, byKey] = await Promise.all([
+      ids.length > 0 ? exerciseRepository.find({ _id: { $in: ids } }) : [],
+      keys.length > 0
+        ? exerciseRepository.find({
+          ...exerciseLibrary.visibilityFilter(ownerId),
+          searchKeys: { $in: keys },
+          isArchived: false,
+        })
+        : [],
+    ]);
+
+    const found = new Map(byId.filter((exercise) => this.isVisible(exercise, visibility))
+      .map((exercise) => [exercise._id.toString(), exercise]));
+    const unknown = ids.find((id) => !found.has(id));
+
+    if (unknown) {
+      throw new BadRequestError(`Unknown exercise: ${unknown}`);
+    }
+
+    // Shared first so a coach's custom exercise with the same name wins
+    const matches = new Map();
+    [...byKey].sort((a, b) => Number(Boolean(a.ownerId)) - Number(Boolean(b.ownerId)))
+      .forEach((exercise) => exercise.searchKeys.forEach((key) => matches.set(key, exercise)));
+
+    return entries.map((entry) => {
+      const exercise = entry.exercise
+        ? found.get(entry.exercise.toString())
+        : matches.get(exerciseLibrary.toKey(entry.exerciseId)) || matches.get(exerciseLibrary.toKey(entry.name));
+
+      if (!exercise) {
+        return entry;
+      }
+
+      return {
+        ...entry,
+        exercise: exercise._id,
+        exerciseId: entry.exerciseId || exercise.key,
+        name: entry.name || exercise.name,
+      };
+    });
+  }
+
+  /**
+   * Add the legacy alternatives map to the shared library. Existing
+   * exercises are kept as they are; alternatives are only filled in where an
+   * exercise has none.
+   * @returns {Object} { created, linked }
+   */
+  async seedLibrary(alternativesMap) {
+    const entries = exerciseLibrary.fromAlternativesMap(alternativesMap);
+    const existing = await exerciseRepository.find({ ownerId: null, isArchived: false });
+    const byKey = new Map(existing.map((exercise) => [exercise.key, exercise]));
+
+    const created = entries.filter((entry) => !byKey.has(entry.key));
+    await Promise.all(created.map(async (entry) => {
+      const exercise = exerciseRepository.build({
+        name: entry.name,
+        primaryMuscles: entry.primaryMuscles,
+        equipment: entry.equipment,
+        difficulty: entry.difficulty,
+        movementPattern: entry.movementPattern,
+      });
+      await exercise.save();
+      byKey.set(exercise.key, exercise);
+    }));
+
+    const toLink = entries.filter((entry) => entry.alternatives.length > 0
+      && byKey.get(entry.key).alternatives.length === 0);
+    await Promise.all(toLink.map((entry) => {
+      const exercise = byKey.get(entry.key);
+      exercise.alternatives = entry.alternatives.map((alt) => ({
+        exerciseId: byKey.get(alt.key)._id,
+        reason: alt.reason,
+        similarity: alt.similarity,
+        notes: alt.notes,
+      }));
+      return exercise.save();
+    }));
+
+    logger.info(`Exercise library seeded: ${created.length} created, ${toLink.length} linked`);
+
+    return { created: created.length, linked: toLink.length };
+  }
+
+  /**
+   * Seed the shared library with the built-in exercises when it is empty, so
+   * alternatives work on deployments that never ran `npm run exercises:seed`
+   * @returns {Object|null} { created, linked }, or null when the library had exercises
+   */
+  async ensureLibrary() {
+    const shared = await exerciseRepository.findOne({ ownerId: null });
+
+    if (shared) {
+      return null;
+    }
+
+    return this.seedLibrary(exerciseAlternatives);
+  }
+
+  /**
+   * Which custom exercises a user sees: coaches their own, clients their coach's
+   * @returns {Object} { ownerId, isAdmin }
+   */
+  async getVisibility(user) {
+    if (!user) {
+      return { ownerId: null, isAdmin: false };
+    }
+
+    if (user.role === 'admin') {
+      return { ownerId: null, isAdmin: true };
+    }
+
+    if (user.role === 'client') {
+      return { ownerId: await exerciseRepository.findClientCoachId(user._id), isAdmin: false };
+    }
+
+    return { ownerId: user._id, isAdmin: false };
+  }
+
+  isVisible(exercise, { ownerId, isAdmin = false }) {
+    return isAdmin || !exercise.ownerId || Boolean(ownerId && exercise.ownerId.equals(ownerId));
+  }
+
+  async findExercise(idOrName, visibility) {
+    if (mongoose.isObjectIdOrHexString(idOrName)) {
+      const exercise = await exerciseRepository.findByIdWithAlternatives(idOrName);
+      return exercise && this.isVisible(exercise, visibility) ? exercise : null;
+    }
+
+    const key = exerciseLibrary.toKey(idOrName);
+    const filters = { searchKeys: key, isArchived: false };
+
+    if (visibility.ownerId) {
+      const custom = await exerciseRepository.findOne({ ...filters, ownerId: visibility.ownerId });
+      if (custom) {
+        return custom;
+      }
+    }
+
+    return exerciseRepository.findOne({ ...filters, ownerId: null });
+  }
+
+  /**
+   * Admins edit the shared library; coaches only their own exercises
+   */
+  async getEditableExercise(exerciseId, user) {
+    const exercise = await exerciseRepository.findById(exerciseId);
+
+    if (!exercise) {
+      throw new NotFoundError('Exercise');
+    }
+
+    if (user.role !== 'admin' && !(exercise.ownerId && exercise.ownerId.equals(user._id))) {
+      throw new ForbiddenError('You can only change your own custom exercises');
+    }
+
+    return exercise;
+  }
+
+  /**
+   * Alternatives come from the shared library or the same coach's custom exercises
+   */
+  async assertValidAlternatives(exercise) {
+    const ids = exercise.alternatives.map((alt) => alt.exerciseId.toString());
+
+    if (ids.includes(exercise._id.toString())) {
+      throw new BadRequestError('An exercise cannot be its own alternative');
+    }
+
+    if (ids.length === 0) {
+      return;
+    }
+
+    const alternatives = await exerciseRepository.find({ _id: { $in: ids }, isArchived: false });
+    const valid = alternatives.filter((alt) => this.isVisible(alt, { ownerId: exercise.ownerId }));
+
+    if (valid.length !== new Set(ids).size) {
+      throw new BadRequestError('Alternatives must be exercises from the library or your own custom exercises');
+    }
+  }
+
+  async save(exercise) {
+    try {
+      await exercise.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError(`An exercise named "${exercise.name}" already exists`);
+      }
+      throw error;
+    }
+  }
+
+  pickFields(data) {
+    return EDITABLE_FIELDS
+      .filter((field) => data[field] !== undefined)
+      .reduce((acc, field) => ({ ...acc, [field]: data[field] }), {});
+  }
+}
+
+module.exports = new ExerciseService();
@@ -0,0 +1,153 @@
+/**
+ * Exercise Library Utilities
+ * Name matching, search filters and alternative ranking for the exercise library
+ */
+
+const MUSCLES = [
+  'chest', 'back', 'lats', 'traps', 'shoulders', 'biceps', 'triceps', 'forearms',
+  'core', 'obliques', 'lower_back', 'legs', 'glutes', 'quadriceps', 'hamstrings', 'calves',
+  'hip_flexors', 'adductors', 'abductors', 'full_body',
+];
+const MOVEMENT_PATTERNS = [
+  'push', 'pull', 'squat', 'hinge', 'lunge', 'carry', 'rotation', 'anti_rotation',
+  'isolation', 'isometric', 'cardio', 'mobility', 'other',
+];
+const DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+const ALTERNATIVE_REASONS = ['equipment', 'injury', 'difficulty', 'variation', 'progression'];
+
+class ExerciseLibrary {
+  get MUSCLES() {
+    return MUSCLES;
+  }
+
+  get MOVEMENT_PATTERNS() {
+    return MOVEMENT_PATTERNS;
+  }
+
+  get DIFFICULTIES() {
+    return DIFFICULTIES;
+  }
+
+  get ALTERNATIVE_REASONS() {
+    return ALTERNATIVE_REASONS;
+  }
+
+  /**
+   * Matching key for a name: "Bench Press", "bench-press" and "bench_press"
+   * all become "bench_press"
+   */
+  toKey(name) {
+    return String(name || '')
+      .toLowerCase()
+      .trim()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+  }
+
+  /**
+   * Display name for a key: "bench_press" -> "Bench Press"
+   */
+  toName(key) {
+    return key.split('_').map((word) => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+  }
+
+  escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Exercises a user may use: the shared library plus their coach's (or
+   * their own) custom exercises. Admins see everything.
+   * @param {ObjectId|null} ownerId - Coach whose custom exercises are visible
+   */
+  visibilityFilter(ownerId, { isAdmin = false } = {}) {
+    if (isAdmin) {
+      return {};
+    }
+
+    return ownerId ? { ownerId: { $in: [null, ownerId] } } : { ownerId: null };
+  }
+
+  /**
+   * Search filter from query options; `q` matches the start of any word in
+   * the name or an alias
+   */
+  searchFilter({
+    q, muscle, equipment, movementPattern, difficulty, custom,
+  } = {}) {
+    const filter = {};
+
+    if (q) {
+      const pattern = new RegExp(`(^|_)${this.escapeRegex(this.toKey(q))}`);
+      filter.searchKeys = pattern;
+    }
+    if (muscle) {
+      filter.$or = [{ primaryMuscles: muscle }, { secondaryMuscles: muscle }];
+    }
+    if (equipment) {
+      filter.equipment = { $in: [].concat(equipment) };
+    }
+    if (movementPattern) filter.movementPattern = movementPattern;
+    if (difficulty) filter.difficulty = difficulty;
+    if (custom !== undefined) {
+      filter.ownerId = custom ? { $ne: null } : null;
+    }
+
+    return filter;
+  }
+
+  /**
+   * Filter and rank an exercise's alternatives
+   * @param {Array} alternatives - [{ exercise, reason, similarity, equipment, notes }]
+   * @param {Object} [criteria] - reason, availableEquipment, minSimilarity
+   */
+  rankAlternatives(alternatives, { reason, availableEquipment, minSimilarity } = {}) {
+    return alternatives
+      .filter((alt) => !reason || alt.reason === reason)
+      .filter((alt) => !availableEquipment || (alt.equipment || []).every((item) => availableEquipment.includes(item)))
+      .filter((alt) => !minSimilarity || alt.similarity >= minSimilarity)
+      .sort((a, b) => b.similarity - a.similarity);
+  }
+
+  /**
+   * Library entries from the legacy alternatives map ({ key: { primary, alternatives } }).
+   * Alternatives reference other entries by key until they are saved.
+   */
+  fromAlternativesMap(map) {
+    const entries = new Map();
+    const ensure = (key, fields = {}) => {
+      const entry = entries.get(key) || { key, name: this.toName(key), alternatives: [] };
+      entries.set(key, { ...entry, ...fields });
+      return entries.get(key);
+    };
+
+    Object.entries(map).forEach(([key, data]) => {
+      const { primary } = data;
+
+      ensure(key, {
+        primaryMuscles: [primary.muscleGroup],
+        equipment: primary.equipment,
+        difficulty: primary.difficulty,
+        movementPattern: primary.type === 'isolation' || primary.type === 'isometric' ? primary.type : undefined,
+        alternatives: data.alternatives.map((alt) => ({
+          key: alt.exercise,
+          reason: alt.reason,
+          similarity: alt.similarity,
+          notes: alt.notes,
+        })),
+      });
+
+      data.alternatives.forEach((alt) => {
+        const existing = entries.get(alt.exercise);
+        ensure(alt.exercise, {
+          primaryMuscles: (existing && existing.primaryMuscles) || [primary.muscleGroup],
+          equipment: (existing && existing.equipment) || alt.equipment,
+        });
+      });
+    });
+
+    return [...entries.values()];
+  }
+}
+
+module.exports = new ExerciseLibrary();
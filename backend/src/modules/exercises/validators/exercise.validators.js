@@ -0,0 +1,159 @@
+/**
+ * Exercise Validators
+ * Validation rules for the exercise library
+ */
+
+const { body, param, query } = require('express-validator');
+const exerciseLibrary = require('../utils/exerciseLibrary');
+
+const {
+  MUSCLES, MOVEMENT_PATTERNS, DIFFICULTIES, ALTERNATIVE_REASONS,
+} = exerciseLibrary;
+
+const stringList = (field, max) => body(field)
+  .optional()
+  .isArray({ max })
+  .withMessage(`${field} must be a list of at most ${max} entries`);
+
+const exerciseFields = (optional) => [
+  (optional ? body('name').optional() : body('name'))
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Exercise name is required')
+    .isLength({ max: 100 })
+    .withMessage('Exercise name cannot exceed 100 characters'),
+  stringList('aliases', 20),
+  body('aliases.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Aliases must be 1-100 characters'),
+  body(['primaryMuscles', 'secondaryMuscles'])
+    .optional()
+    .isArray()
+    .withMessage('Muscles must be a list'),
+  body(['primaryMuscles.*', 'secondaryMuscles.*'])
+    .isIn(MUSCLES)
+    .withMessage(`Muscles must be from: ${MUSCLES.join(', ')}`),
+  stringList('equipment', 20),
+  body('equipment.*')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Equipment entries must be names'),
+  body('movementPattern')
+    .optional()
+    .isIn(MOVEMENT_PATTERNS)
+    .withMessage(`Movement pattern must be one of: ${MOVEMENT_PATTERNS.join(', ')}`),
+  body('difficulty')
+    .optional()
+    .isIn(DIFFICULTIES)
+    .withMessage(`Difficulty must be one of: ${DIFFICULTIES.join(', ')}`),
+  body('demoVideoUrl')
+    .optional()
+    .isURL()
+    .withMessage('Demo video must be a valid URL'),
+  stringList('coachingCues', 20),
+  body('coachingCues.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 300 })
+    .withMessage('Coaching cues must be 1-300 characters'),
+  body('alternatives')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('alternatives must be a list of at most 20 entries'),
+  body('alternatives.*.exerciseId')
+    .isMongoId()
+    .withMessage('Alternatives need a valid exerciseId'),
+  body('alternatives.*.reason')
+    .isIn(ALTERNATIVE_REASONS)
+    .withMessage(`Alternative reason must be one of: ${ALTERNATIVE_REASONS.join(', ')}`),
+  body('alternatives.*.similarity')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Similarity must be between 0 and 1'),
+];
+
+/**
+ * Validate exercise ID param
+ */
+const validateExerciseId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid exercise ID'),
+];
+
+const createExercise = exerciseFields(false);
+
+const updateExercise = [
+  ...validateExerciseId,
+  ...exerciseFields(true),
+];
+
+/**
+ * Validate library search
+ */
+const searchExercises = [
+  query('q')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Search text cannot exceed 100 characters'),
+  query('muscle')
+    .optional()
+    .isIn(MUSCLES)
+    .withMessage(`Muscle must be one of: ${MUSCLES.join(', ')}`),
+  query('equipment')
+    .optional()
+    .customSanitizer((value) => String(value).split(',').map((item) => item.trim().toLowerCase()).filter(Boolean)),
+  query('movementPattern')
+    .optional()
+    .isIn(MOVEMENT_PATTERNS)
+    .withMessage(`Movement pattern must be one of: ${MOVEMENT_PATTERNS.join(', ')}`),
+  query('difficulty')
+    .optional()
+    .isIn(DIFFICULTIES)
+    .withMessage(`Difficulty must be one of: ${DIFFICULTIES.join(', ')}`),
+  query('custom')
+    .optional()
+    .isBoolean()
+    .withMessage('custom must be a boolean')
+    .toBoolean(),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+];
+
+/**
+ * Validate alternatives query
+ */
+const getAlternatives = [
+  ...validateExerciseId,
+  query('reason')
+    .optional()
+    .isIn(ALTERNATIVE_REASONS)
+    .withMessage(`Reason must be one of: ${ALTERNATIVE_REASONS.join(', ')}`),
+  query('availableEquipment')
+    .optional()
+    .customSanitizer((value) => String(value).split(',').map((item) => item.trim().toLowerCase()).filter(Boolean)),
+  query('minSimilarity')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('minSimilarity must be between 0 and 1')
+    .toFloat(),
+];
+
+module.exports = {
+  createExercise,
+  updateExercise,
+  validateExerciseId,
+  searchExercises,
+  getAlternatives,
+};
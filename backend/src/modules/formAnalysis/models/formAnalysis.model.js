@@ -76,6 +76,20 @@ const formAnalysisSchema = new mongoose.Schema(
       enum: ['draft', 'submitted', 'reviewed'],
       default: 'draft',
     },
+    // Coach review tracking: queue claims and turnaround
+    review: {
+      claimedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      claimedAt: Date,
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      reviewedAt: Date,
+      turnaroundMinutes: Number,
+    },
   },
   {
     timestamps: true,
@@ -86,5 +100,7 @@ const formAnalysisSchema = new mongoose.Schema(
 formAnalysisSchema.index({ userId: 1, createdAt: -1 });
 formAnalysisSchema.index({ coachId: 1 });
 formAnalysisSchema.index({ analysisStatus: 1 });
+// Review queue: a coach's clients' analyses awaiting review
+formAnalysisSchema.index({ userId: 1, status: 1 });
 
 module.exports = mongoose.model('FormAnalysis', formAnalysisSchema);
@@ -7,6 +7,7 @@ const axios = require('axios');
 const FormData = require('form-data');
 const fs = require('fs');
 const FormAnalysis = require('../models/formAnalysis.model');
+const reviewSla = require('../../checkins/utils/reviewSla');
 const config = require('../../../common/config');
 const logger = require('../../../common/utils/logger');
 const { NotFoundError, InternalServerError } = require('../../../common/utils/errors');
@@ -126,15 +127,17 @@ class FormAnalysisService {
       throw new NotFoundError('Form analysis');
     }
 
+    const now = new Date();
     const updatedAnalysis = await FormAnalysis.findByIdAndUpdate(
       analysisId,
       {
         coachId,
         coachFeedback: {
           text: feedback,
-          addedAt: new Date(),
+          addedAt: now,
         },
         status: 'reviewed',
+        ...reviewSla.completeReview(analysis, coachId, now),
       },
       { new: true },
     ).populate('userId coachId', 'firstName lastName email');
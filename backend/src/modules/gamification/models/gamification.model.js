@@ -96,6 +96,10 @@ const gamificationSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      personalRecords: {
+        type: Number,
+        default: 0,
+      },
     },
   },
   {
@@ -11,6 +11,7 @@ const XP_AWARDS = {
   NUTRITION_LOGGED: 20,
   CHECKIN_SUBMITTED: 30,
   PROGRAM_COMPLETED: 200,
+  PERSONAL_RECORD: 25,
   STREAK_7_DAYS: 100,
   STREAK_30_DAYS: 500,
 };
@@ -35,6 +36,9 @@ const BADGES = {
   PROGRAM_COMPLETE: {
     id: 'program_complete', name: 'Program Master', description: 'Complete a full program', icon: '🏆',
   },
+  FIRST_PR: {
+    id: 'first_pr', name: 'Record Breaker', description: 'Set your first personal record', icon: '🥇',
+  },
 };
 
 class GamificationService {
@@ -153,6 +157,22 @@ class GamificationService {
     return profile;
   }
 
+  /**
+   * XP for each record in a workout that beat an earlier best
+   */
+  async handlePersonalRecords(userId, records) {
+    const profile = await this.getOrCreateProfile(userId);
+
+    await this.awardXP(userId, XP_AWARDS.PERSONAL_RECORD * records.length, 'Personal record');
+
+    profile.achievements.personalRecords += records.length;
+    profile.awardBadge(BADGES.FIRST_PR);
+
+    await profile.save();
+
+    return profile;
+  }
+
   async getLeaderboard(limit = 10) {
     return await Gamification.find()
       .populate('userId', 'firstName lastName avatar')
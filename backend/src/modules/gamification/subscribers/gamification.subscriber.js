@@ -0,0 +1,20 @@
+/**
+ * Gamification Subscriber
+ * Awards XP and badges for events published by other modules
+ */
+
+const eventBus = require('../../../common/utils/eventBus');
+const gamificationService = require('../services/gamification.service');
+
+module.exports = {
+  register: () => {
+    eventBus.subscribe(
+      eventBus.EVENTS.PERSONAL_RECORD,
+      ({ userId, records }) => gamificationService.handlePersonalRecords(userId, records),
+    );
+    eventBus.subscribe(
+      eventBus.EVENTS.PROGRAM_COMPLETED,
+      ({ userId }) => gamificationService.handleProgramCompleted(userId),
+    );
+  },
+};
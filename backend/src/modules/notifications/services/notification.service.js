@@ -8,6 +8,7 @@ const twilio = require('twilio');
 const admin = require('firebase-admin');
 const config = require('../../../common/config');
 const logger = require('../../../common/utils/logger');
+const timezone = require('../../../common/utils/timezone');
 
 class NotificationService {
   constructor() {
@@ -173,20 +174,183 @@ class NotificationService {
     return await this.sendEmail(user.email, 'Password Reset', html);
   }
 
-  async sendSessionReminder(session) {
-    const client = session.clientId;
+  /**
+   * Remind a client of an upcoming session over their preferred channels
+   * @param {Object} session - Session with populated coachId
+   * @param {Object} [client] - Recipient (defaults to the populated session client)
+   * @param {String} [timeZone] - Zone to show the time in (defaults to the recipient's preference)
+   */
+  async sendSessionReminder(session, client = session.clientId, timeZone = this.getTimeZone(client)) {
     const coach = session.coachId;
+    const time = timezone.format(session.startTime, timeZone);
 
     const html = `
       <h1>Session Reminder</h1>
       <p>Hi ${client.firstName},</p>
       <p>This is a reminder for your upcoming session with ${coach.firstName}.</p>
-      <p><strong>Time:</strong> ${new Date(session.startTime).toLocaleString()}</p>
+      <p><strong>Time:</strong> ${time}</p>
       <p><strong>Duration:</strong> ${session.duration} minutes</p>
       ${session.meetingLink ? `<p><a href="${session.meetingLink}">Join Meeting</a></p>` : ''}
     `;
+    const text = `Reminder: ${session.title} with ${coach.firstName} at ${time}`;
+
+    return this.sendNotification(client, {
+      subject: 'Session Reminder',
+      html,
+      text,
+      title: 'Session Reminder',
+      data: { type: 'session_reminder', sessionId: session._id.toString() },
+    });
+  }
+
+  /**
+   * Session titles, locations and cancellation reasons are free text, so like
+   * comments they only go into the plain-text part, never into the HTML
+   */
+  async sendWaitlistPromotion(user, session, timeZone = this.getTimeZone(user)) {
+    const time = timezone.format(session.startTime, timeZone);
+    const html = `
+      <h1>You're In!</h1>
+      <p>Hi ${user.firstName},</p>
+      <p>A spot opened up and you have been moved from the waitlist into the group session on ${time}.</p>
+      <p>Open the app for the session details.</p>
+    `;
+    const text = [
+      `A spot opened up: you are booked into ${session.title} on ${time}.`,
+      session.location && `Location: ${session.location}`,
+    ].filter(Boolean).join('\n');
+
+    return this.sendEmail(user.email, 'Waitlist Spot Confirmed', html, text);
+  }
+
+  async sendSessionCancelled(user, session, timeZone = this.getTimeZone(user)) {
+    const time = timezone.format(session.startTime, timeZone);
+    const html = `
+      <h1>Session Cancelled</h1>
+      <p>Hi ${user.firstName},</p>
+      <p>Your session on ${time} has been cancelled. Open the app for the details.</p>
+    `;
+    const text = [
+      `${session.title} on ${time} has been cancelled.`,
+      session.cancellationReason && `Reason: ${session.cancellationReason}`,
+    ].filter(Boolean).join('\n');
+
+    return this.sendEmail(user.email, 'Session Cancelled', html, text);
+  }
+
+  async sendPolicyOutcome(user, session, outcome, timeZone = this.getTimeZone(user)) {
+    const events = {
+      cancellation: 'Cancellation',
+      late_cancellation: 'Late cancellation',
+      no_show: 'No-show',
+    };
+    const penalties = {
+      fee: `a fee of ${outcome.feeAmount} ${outcome.currency}`,
+      forfeit_credit: outcome.creditForfeited ? 'one package credit forfeited' : 'a package credit forfeit (no credit available)',
+    };
+
+    const time = timezone.format(session.startTime, timeZone);
+    const recorded = `was recorded as a ${events[outcome.event].toLowerCase()}`;
+
+    const html = `
+      <h1>${events[outcome.event]} Policy Applied</h1>
+      <p>Hi ${user.firstName},</p>
+      <p>Your session on ${time} ${recorded}.</p>
+      <p><strong>Penalty:</strong> ${penalties[outcome.penalty]}</p>
+    `;
+    const text = `${session.title} on ${time} ${recorded}. Penalty: ${penalties[outcome.penalty]}`;
+
+    return this.sendEmail(user.email, `Session ${events[outcome.event]}`, html, text);
+  }
+
+  /**
+   * Remind a client that their scheduled check-in is due, or overdue
+   */
+  async sendCheckinReminder(user, { dueAt, overdue = false }, timeZone = this.getTimeZone(user)) {
+    const due = timezone.format(dueAt, timeZone);
+    const title = overdue ? 'Check-in Overdue' : 'Check-in Due';
+    const text = overdue
+      ? `Your check-in was due on ${due} and hasn't been submitted yet.`
+      : `Your check-in is due on ${due}.`;
+
+    const html = `
+      <h1>${title}</h1>
+      <p>Hi ${user.firstName},</p>
+      <p>${text}</p>
+      <p>Take a few minutes to let your coach know how things are going.</p>
+    `;
+
+    return this.sendNotification(user, {
+      subject: title,
+      html,
+      text,
+      title,
+      data: { type: 'checkin_reminder', dueAt: new Date(dueAt).toISOString(), overdue },
+    });
+  }
 
-    return await this.sendEmail(client.email, 'Session Reminder', html);
+  /**
+   * New comment on a check-in thread the user takes part in. The comment
+   * itself only goes out as plain text (SMS and push), never into the HTML.
+   */
+  async sendCheckinComment(user, {
+    authorName, preview, checkinId, commentId,
+  }) {
+    const title = 'New Check-in Comment';
+    const html = `
+      <h1>${title}</h1>
+      <p>Hi ${user.firstName},</p>
+      <p>${authorName} commented on a check-in. Open the app to read and reply.</p>
+    `;
+
+    return this.sendNotification(user, {
+      subject: title,
+      html,
+      text: `${authorName}: ${preview}`,
+      title,
+      data: { type: 'checkin_comment', checkinId: checkinId.toString(), commentId: commentId.toString() },
+    });
+  }
+
+  /**
+   * Personal records set in a workout. Exercise names can be free text, so
+   * like comments they only go into the plain-text channels.
+   */
+  async sendPersonalRecords(user, { workoutLogId, records }) {
+    const title = records.length === 1 ? 'New Personal Record' : `${records.length} New Personal Records`;
+    const describe = {
+      weight: (record) => `${record.value} kg heaviest set`,
+      estimated_1rm: (record) => `${record.value} kg estimated 1RM`,
+      reps: (record) => `${record.value} reps at ${record.weight} kg`,
+      volume: (record) => `${record.value} kg session volume`,
+    };
+    const unit = (record) => (record.type === 'reps' ? 'reps' : 'kg');
+
+    const html = `
+      <h1>${title}</h1>
+      <p>Hi ${user.firstName},</p>
+      <p>You beat ${records.length === 1 ? 'a previous best' : `${records.length} previous bests`} in your latest workout.
+        Open the app to see your records.</p>
+    `;
+    const text = records
+      .map((record) => `${record.exerciseName}: ${describe[record.type](record)}`
+        + ` (previous best ${record.previousBest} ${unit(record)})`)
+      .join('\n');
+
+    return this.sendNotification(user, {
+      subject: title,
+      html,
+      text,
+      title,
+      data: { type: 'personal_record', workoutLogId: workoutLogId.toString() },
+    });
+  }
+
+  /**
+   * Recipient's preferred time zone for dates in messages
+   */
+  getTimeZone(user) {
+    return timezone.resolve(user && user.preferences && user.preferences.timezone);
   }
 }
 
@@ -0,0 +1,22 @@
+/**
+ * Notification Subscriber
+ * Tells users about events published by other modules
+ */
+
+const User = require('../../auth/models/user.model');
+const eventBus = require('../../../common/utils/eventBus');
+const notificationService = require('../services/notification.service');
+
+const RECIPIENT_FIELDS = 'firstName lastName email phone pushToken preferences role isActive';
+
+module.exports = {
+  register: () => {
+    eventBus.subscribe(eventBus.EVENTS.PERSONAL_RECORD, async ({ userId, workoutLogId, records }) => {
+      const user = await User.findOne({ _id: userId, isActive: true }).select(RECIPIENT_FIELDS);
+
+      if (user) {
+        await notificationService.sendPersonalRecords(user, { workoutLogId, records });
+      }
+    });
+  },
+};
@@ -4,6 +4,7 @@
  */
 
 const WorkoutLog = require('../../workouts/models/workoutLog.model');
+const PersonalRecord = require('../../workouts/models/personalRecord.model');
 const FoodLog = require('../../nutrition/models/foodLog.model');
 const Checkin = require('../../checkins/models/checkin.model');
 const logger = require('../../../common/utils/logger');
@@ -19,6 +20,13 @@ class ReportService {
       date: { $gte: weekStartDate, $lt: weekEnd },
     });
 
+    // Records beaten this week (first records of a kind are only baselines)
+    const personalRecords = await PersonalRecord.find({
+      userId,
+      achievedAt: { $gte: weekStartDate, $lt: weekEnd },
+      previousBest: { $ne: null },
+    }).sort('achievedAt');
+
     const workoutStats = {
       totalWorkouts: workoutLogs.length,
       totalDuration: workoutLogs.reduce((sum, log) => sum + (log.duration || 0), 0),
@@ -26,6 +34,7 @@ class ReportService {
       avgRating: workoutLogs.length > 0
         ? workoutLogs.reduce((sum, log) => sum + (log.rating || 0), 0) / workoutLogs.length
         : 0,
+      exercises: this.summarizeExercises(workoutLogs, personalRecords),
     };
 
     // Nutrition stats
@@ -62,6 +71,15 @@ class ReportService {
       workoutStats,
       nutritionStats,
       checkinStats,
+      highlights: {
+        personalRecords: personalRecords.map((record) => ({
+          exercise: record.exerciseName,
+          type: record.type,
+          value: record.value,
+          previousBest: record.previousBest,
+          achievedAt: record.achievedAt,
+        })),
+      },
       generatedAt: new Date(),
     };
 
@@ -70,6 +88,34 @@ class ReportService {
     return summary;
   }
 
+  /**
+   * Per-exercise totals for the week's logs, flagging exercises with a new record
+   */
+  summarizeExercises(workoutLogs, personalRecords) {
+    const recordNames = new Set(personalRecords.map((record) => record.exerciseName));
+    const byName = workoutLogs.flatMap((log) => log.exercises).reduce((map, exercise) => {
+      const name = exercise.name || exercise.exerciseId;
+      const sets = exercise.sets.filter((set) => set.reps > 0);
+      const summary = map.get(name) || {
+        name, frequency: 0, totalSets: 0, totalReps: 0, totalWeight: 0,
+      };
+
+      return map.set(name, {
+        ...summary,
+        frequency: summary.frequency + 1,
+        totalSets: summary.totalSets + sets.length,
+        totalReps: summary.totalReps + sets.reduce((sum, set) => sum + set.reps, 0),
+        totalWeight: summary.totalWeight + sets.reduce((sum, set) => sum + (set.weight || 0), 0),
+      });
+    }, new Map());
+
+    return [...byName.values()].map(({ totalWeight, ...summary }) => ({
+      ...summary,
+      averageWeight: summary.totalSets > 0 ? Math.round((totalWeight / summary.totalSets) * 10) / 10 : 0,
+      prAchieved: recordNames.has(summary.name),
+    }));
+  }
+
   async generateMonthlyReport(userId, month, year) {
     const startDate = new Date(year, month - 1, 1);
     const endDate = new Date(year, month, 0);
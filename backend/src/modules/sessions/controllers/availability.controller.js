@@ -0,0 +1,35 @@
+/**
+ * Coach Availability Controller
+ */
+
+const availabilityService = require('../services/availability.service');
+const sessionTimeZoneService = require('../services/sessionTimeZone.service');
+const { successResponse } = require('../../../common/utils/response');
+const { asyncHandler } = require('../../../common/middleware/errorHandler');
+
+class AvailabilityController {
+  getMyAvailability = asyncHandler(async (req, res) => {
+    const availability = await availabilityService.getAvailability(req.user._id);
+    return successResponse(res, availability);
+  });
+
+  updateMyAvailability = asyncHandler(async (req, res) => {
+    const availability = await availabilityService.updateAvailability(req.user._id, req.body);
+    return successResponse(res, availability, 'Availability updated successfully');
+  });
+
+  getAvailableSlots = asyncHandler(async (req, res) => {
+    const { from, to, duration } = req.query;
+    const timeZone = await sessionTimeZoneService.getViewerTimeZone(req.user, req.query.timeZone);
+    const slots = await availabilityService.getAvailableSlots(
+      req.params.coachId,
+      from,
+      to,
+      duration ? parseInt(duration, 10) : undefined,
+      timeZone,
+    );
+    return successResponse(res, slots, 'Success', 200, { timeZone });
+  });
+}
+
+module.exports = new AvailabilityController();
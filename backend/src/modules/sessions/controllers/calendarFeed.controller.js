@@ -0,0 +1,44 @@
+/**
+ * Calendar Feed Controller
+ */
+
+const calendarFeedService = require('../services/calendarFeed.service');
+const { successResponse } = require('../../../common/utils/response');
+const { asyncHandler } = require('../../../common/middleware/errorHandler');
+
+const sendCalendar = (res, ics, filename) => {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  return res.send(ics);
+};
+
+class CalendarFeedController {
+  generateFeedToken = asyncHandler(async (req, res) => {
+    const token = await calendarFeedService.generateFeedToken(req.user._id);
+    const url = `${req.protocol}://${req.get('host')}${req.baseUrl}/calendar/feed/${token}.ics`;
+
+    return successResponse(res, {
+      token,
+      url,
+      webcalUrl: url.replace(/^https?:/, 'webcal:'),
+    }, 'Calendar feed URL generated - previous URLs no longer work');
+  });
+
+  revokeFeedToken = asyncHandler(async (req, res) => {
+    await calendarFeedService.revokeFeedToken(req.user._id);
+    return successResponse(res, null, 'Calendar feed URL revoked');
+  });
+
+  // Public: calendar apps authenticate with the secret token in the URL
+  getFeed = asyncHandler(async (req, res) => {
+    const ics = await calendarFeedService.getFeed(req.params.token);
+    return sendCalendar(res, ics, 'coachflow-sessions.ics');
+  });
+
+  downloadSession = asyncHandler(async (req, res) => {
+    const ics = await calendarFeedService.getSessionIcs(req.params.id, req.user._id, req.user.role);
+    return sendCalendar(res, ics, `session-${req.params.id}.ics`);
+  });
+}
+
+module.exports = new CalendarFeedController();
@@ -0,0 +1,55 @@
+/**
+ * Calendar Import Controller
+ */
+
+const calendarImportService = require('../services/calendarImport.service');
+const { successResponse, createdResponse } = require('../../../common/utils/response');
+const { asyncHandler } = require('../../../common/middleware/errorHandler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const importMessage = (calendar) => (calendar.lastSyncStatus === 'success'
+  ? `Calendar imported: ${calendar.blockCount} busy blocks`
+  : `Calendar saved but import failed: ${calendar.lastSyncError}`);
+
+class CalendarImportController {
+  getCalendars = asyncHandler(async (req, res) => {
+    const calendars = await calendarImportService.getCalendars(req.user._id);
+    return successResponse(res, calendars, 'External calendars retrieved successfully');
+  });
+
+  registerUrl = asyncHandler(async (req, res) => {
+    const calendar = await calendarImportService.registerUrl(req.user._id, req.body);
+    return createdResponse(res, calendar, importMessage(calendar));
+  });
+
+  uploadFile = asyncHandler(async (req, res) => {
+    const calendar = await calendarImportService.importFile(req.user._id, req.body, req.file);
+    return createdResponse(res, calendar, importMessage(calendar));
+  });
+
+  syncCalendar = asyncHandler(async (req, res) => {
+    const calendar = await calendarImportService.syncCalendar(req.user._id, req.params.calendarId);
+
+    if (!calendar) {
+      return successResponse(res, null, 'Calendar import already in progress');
+    }
+
+    return successResponse(res, calendar, importMessage(calendar));
+  });
+
+  deleteCalendar = asyncHandler(async (req, res) => {
+    await calendarImportService.deleteCalendar(req.user._id, req.params.calendarId);
+    return successResponse(res, null, 'External calendar removed');
+  });
+
+  getBusyBlocks = asyncHandler(async (req, res) => {
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 7 * DAY_MS);
+
+    const blocks = await calendarImportService.getBusyBlocks(req.user._id, from, to);
+    return successResponse(res, blocks, 'Busy blocks retrieved successfully');
+  });
+}
+
+module.exports = new CalendarImportController();
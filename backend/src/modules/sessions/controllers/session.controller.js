@@ -3,18 +3,28 @@
  */
 
 const sessionService = require('../services/session.service');
+const sessionTimeZoneService = require('../services/sessionTimeZone.service');
 const { successResponse, createdResponse, paginatedResponse } = require('../../../common/utils/response');
 const { asyncHandler } = require('../../../common/middleware/errorHandler');
 
+// Session responses carry local times in the viewer's zone next to the UTC ones
+const localized = async (req, result) => {
+  const timeZone = await sessionTimeZoneService.getViewerTimeZone(req.user, req.query.timeZone);
+  return sessionTimeZoneService.localizeResult(result, timeZone);
+};
+
 class SessionController {
   createSession = asyncHandler(async (req, res) => {
-    const session = await sessionService.createSession(req.user._id, req.body);
-    return createdResponse(res, session, 'Session created successfully');
+    // Coaches book for themselves; admins must name the coach
+    const coachId = req.user.role === 'admin' ? req.body.coachId : req.user._id;
+    const result = await sessionService.createSession({ ...req.body, coachId });
+    const message = req.body.recurrence ? 'Session series created successfully' : 'Session created successfully';
+    return createdResponse(res, await localized(req, result), message);
   });
 
   getSession = asyncHandler(async (req, res) => {
-    const session = await sessionService.getSessionById(req.params.id);
-    return successResponse(res, session);
+    const session = await sessionService.getSessionForParticipant(req.params.id, req.user._id, req.user.role);
+    return successResponse(res, await localized(req, session));
   });
 
   getSessions = asyncHandler(async (req, res) => {
@@ -25,10 +35,19 @@ class SessionController {
     if (coachId) filters.coachId = coachId;
     if (status) filters.status = status;
 
+    // Coaches and clients only see their own sessions
+    if (req.user.role === 'coach') filters.coachId = req.user._id;
+    if (req.user.role === 'client') filters.clientId = req.user._id;
+
     const options = { page: parseInt(page), limit: parseInt(limit), sort };
     const { sessions, total } = await sessionService.getSessions(filters, options);
 
-    return paginatedResponse(res, sessions, parseInt(page), parseInt(limit), total);
+    // Coaches see their clients' remaining package credits next to the list
+    const meta = req.user.role === 'coach'
+      ? { creditBalances: await sessionService.getCreditBalances(req.user._id, sessions) }
+      : {};
+
+    return paginatedResponse(res, await localized(req, sessions), parseInt(page), parseInt(limit), total, 'Success', meta);
   });
 
   updateSession = asyncHandler(async (req, res) => {
@@ -38,18 +57,107 @@ class SessionController {
       req.user.role,
       req.body
     );
-    return successResponse(res, session, 'Session updated successfully');
+    return successResponse(res, await localized(req, session), 'Session updated successfully');
+  });
+
+  getSeries = asyncHandler(async (req, res) => {
+    const series = await sessionService.getSeries(req.params.seriesId, req.user._id, req.user.role);
+    return successResponse(res, await localized(req, series));
+  });
+
+  updateFollowingOccurrences = asyncHandler(async (req, res) => {
+    const result = await sessionService.updateFollowingOccurrences(
+      req.params.id,
+      req.user._id,
+      req.user.role,
+      req.body,
+    );
+    return successResponse(res, await localized(req, result), 'Session series updated successfully');
   });
 
   cancelSession = asyncHandler(async (req, res) => {
     const { reason } = req.body;
-    const session = await sessionService.cancelSession(req.params.id, req.user._id, reason);
-    return successResponse(res, session, 'Session cancelled successfully');
+    const session = await sessionService.cancelSession(req.params.id, req.user._id, reason, {
+      userRole: req.user.role,
+      clientId: req.body.clientId,
+    });
+    return successResponse(res, await localized(req, session), 'Session cancelled successfully');
+  });
+
+  requestSession = asyncHandler(async (req, res) => {
+    const session = await sessionService.requestSession(req.user._id, req.body);
+    return createdResponse(res, await localized(req, session), 'Session requested successfully');
+  });
+
+  approveSession = asyncHandler(async (req, res) => {
+    const session = await sessionService.approveSession(req.params.id, req.user._id, req.user.role);
+    return successResponse(res, await localized(req, session), 'Session request approved');
+  });
+
+  regenerateMeetingLink = asyncHandler(async (req, res) => {
+    const session = await sessionService.regenerateMeetingLink(req.params.id, req.user._id, req.user.role);
+    return successResponse(res, await localized(req, session), 'Meeting link regenerated');
+  });
+
+  declineSession = asyncHandler(async (req, res) => {
+    const session = await sessionService.declineSession(
+      req.params.id,
+      req.user._id,
+      req.user.role,
+      req.body.reason,
+    );
+    return successResponse(res, await localized(req, session), 'Session request declined');
+  });
+
+  proposeReschedule = asyncHandler(async (req, res) => {
+    const session = await sessionService.proposeReschedule(
+      req.params.id,
+      req.user._id,
+      req.user.role,
+      req.body,
+    );
+    return successResponse(res, await localized(req, session), 'Reschedule proposed successfully');
+  });
+
+  respondToReschedule = asyncHandler(async (req, res) => {
+    const session = await sessionService.respondToReschedule(
+      req.params.id,
+      req.user._id,
+      req.user.role,
+      req.body.accept,
+    );
+    return successResponse(
+      res,
+      await localized(req, session),
+      req.body.accept ? 'Reschedule accepted' : 'Reschedule rejected',
+    );
+  });
+
+  addGroupAttendee = asyncHandler(async (req, res) => {
+    const { session, waitlisted } = await sessionService.addGroupAttendee(
+      req.params.id,
+      req.user._id,
+      req.user.role,
+      req.body.clientId,
+    );
+    const message = waitlisted ? 'Session is full - added to waitlist' : 'Booked into group session';
+    return successResponse(res, await localized(req, session), message, 200, { waitlisted });
+  });
+
+  markGroupAttendance = asyncHandler(async (req, res) => {
+    const session = await sessionService.markGroupAttendance(
+      req.params.id,
+      req.user._id,
+      req.user.role,
+      req.params.clientId,
+      req.body.status,
+    );
+    return successResponse(res, await localized(req, session), 'Attendance recorded successfully');
   });
 
   getUpcomingSessions = asyncHandler(async (req, res) => {
     const sessions = await sessionService.getUpcomingSessions(req.user._id, req.user.role);
-    return successResponse(res, sessions);
+    return successResponse(res, await localized(req, sessions));
   });
 }
 
@@ -0,0 +1,22 @@
+/**
+ * Session Analytics Controller
+ */
+
+const sessionAnalyticsService = require('../services/sessionAnalytics.service');
+const sessionTimeZoneService = require('../services/sessionTimeZone.service');
+const { successResponse } = require('../../../common/utils/response');
+const { asyncHandler } = require('../../../common/middleware/errorHandler');
+
+class SessionAnalyticsController {
+  getCoachAnalytics = asyncHandler(async (req, res) => {
+    const timeZone = await sessionTimeZoneService.getViewerTimeZone(req.user, req.query.timeZone);
+    const analytics = await sessionAnalyticsService.getCoachAnalytics(req.user._id, {
+      from: req.query.from,
+      to: req.query.to,
+      timeZone,
+    });
+    return successResponse(res, analytics);
+  });
+}
+
+module.exports = new SessionAnalyticsController();
@@ -0,0 +1,54 @@
+/**
+ * Session Package Controller
+ */
+
+const sessionPackageService = require('../services/sessionPackage.service');
+const { successResponse, createdResponse } = require('../../../common/utils/response');
+const { asyncHandler } = require('../../../common/middleware/errorHandler');
+
+class SessionPackageController {
+  purchasePackage = asyncHandler(async (req, res) => {
+    // Coaches sell their own packages; admins must name the coach
+    const coachId = req.user.role === 'admin' ? req.body.coachId : req.user._id;
+    const pkg = await sessionPackageService.purchasePackage(coachId, req.body, req.user._id);
+    return createdResponse(res, pkg, 'Session package purchased successfully');
+  });
+
+  getPackages = asyncHandler(async (req, res) => {
+    const { clientId, coachId, status } = req.query;
+    const packages = await sessionPackageService.getPackages(req.user._id, req.user.role, {
+      clientId,
+      coachId,
+      status,
+    });
+    return successResponse(res, packages);
+  });
+
+  getBalances = asyncHandler(async (req, res) => {
+    const coachId = req.user.role === 'admin' ? req.query.coachId : req.user._id;
+    const balances = await sessionPackageService.getBalances(coachId);
+    return successResponse(res, balances);
+  });
+
+  getPackageLedger = asyncHandler(async (req, res) => {
+    const ledger = await sessionPackageService.getPackageLedger(
+      req.params.packageId,
+      req.user._id,
+      req.user.role,
+    );
+    return successResponse(res, ledger);
+  });
+
+  adjustCredits = asyncHandler(async (req, res) => {
+    const pkg = await sessionPackageService.adjustCredits(
+      req.params.packageId,
+      req.user._id,
+      req.user.role,
+      req.body.credits,
+      req.body.reason,
+    );
+    return successResponse(res, pkg, 'Package credits adjusted successfully');
+  });
+}
+
+module.exports = new SessionPackageController();
@@ -0,0 +1,27 @@
+/**
+ * Session Policy Controller
+ */
+
+const sessionPolicyService = require('../services/sessionPolicy.service');
+const { successResponse } = require('../../../common/utils/response');
+const { asyncHandler } = require('../../../common/middleware/errorHandler');
+
+class SessionPolicyController {
+  getMyPolicy = asyncHandler(async (req, res) => {
+    const policy = await sessionPolicyService.getPolicy(req.user._id);
+    return successResponse(res, policy);
+  });
+
+  updateMyPolicy = asyncHandler(async (req, res) => {
+    const policy = await sessionPolicyService.updatePolicy(req.user._id, req.body);
+    return successResponse(res, policy, 'Session policy updated successfully');
+  });
+
+  // Clients can review their coach's terms before booking
+  getCoachPolicy = asyncHandler(async (req, res) => {
+    const policy = await sessionPolicyService.getPolicy(req.params.coachId);
+    return successResponse(res, policy);
+  });
+}
+
+module.exports = new SessionPolicyController();
@@ -0,0 +1,65 @@
+/**
+ * Session Record Controller
+ */
+
+const sessionRecordService = require('../services/sessionRecord.service');
+const { successResponse, createdResponse, paginatedResponse } = require('../../../common/utils/response');
+const { asyncHandler } = require('../../../common/middleware/errorHandler');
+
+class SessionRecordController {
+  createTemplate = asyncHandler(async (req, res) => {
+    const template = await sessionRecordService.createTemplate(req.user._id, req.body);
+    return createdResponse(res, template, 'Note template created successfully');
+  });
+
+  getTemplates = asyncHandler(async (req, res) => {
+    const templates = await sessionRecordService.getTemplates(req.user._id, {
+      includeArchived: req.query.includeArchived === 'true',
+    });
+    return successResponse(res, templates);
+  });
+
+  updateTemplate = asyncHandler(async (req, res) => {
+    const template = await sessionRecordService.updateTemplate(req.user._id, req.params.templateId, req.body);
+    return successResponse(res, template, 'Note template updated successfully');
+  });
+
+  archiveTemplate = asyncHandler(async (req, res) => {
+    const template = await sessionRecordService.archiveTemplate(req.user._id, req.params.templateId);
+    return successResponse(res, template, 'Note template archived');
+  });
+
+  getRecord = asyncHandler(async (req, res) => {
+    const record = await sessionRecordService.getRecord(
+      req.params.id,
+      req.user._id,
+      req.user.role,
+      req.query.clientId,
+    );
+    return successResponse(res, record);
+  });
+
+  saveRecord = asyncHandler(async (req, res) => {
+    const record = await sessionRecordService.saveRecord(req.params.id, req.user._id, req.user.role, req.body);
+    return successResponse(res, record, 'Session record saved successfully');
+  });
+
+  searchRecords = asyncHandler(async (req, res) => {
+    const {
+      page = 1, limit = 20, clientId, templateId, status, from, to, q,
+    } = req.query;
+
+    const { records, total } = await sessionRecordService.searchRecords(
+      req.user._id,
+      req.user.role,
+      {
+        clientId, templateId, status, from, to, q,
+      },
+      { page: parseInt(page, 10), limit: parseInt(limit, 10) },
+    );
+
+    return paginatedResponse(res, records, parseInt(page, 10), parseInt(limit, 10), total);
+  });
+}
+
+module.exports = new SessionRecordController();
@@ -0,0 +1,39 @@
+/**
+ * Calendar Import Job
+ * Periodically re-imports coaches' subscribed ICS calendars (see CALENDAR_IMPORT_CRON)
+ */
+
+const { CronJob } = require('cron');
+const config = require('../../../common/config');
+const calendarImportService = require('../services/calendarImport.service');
+const logger = require('../../../common/utils/logger');
+
+let running = false;
+
+const job = new CronJob(config.cron.calendarImportSchedule, async () => {
+  if (running) {
+    return;
+  }
+
+  running = true;
+
+  try {
+    const stats = await calendarImportService.syncAll();
+
+    if (stats.synced || stats.failed) {
+      logger.info('External calendars re-imported', stats);
+    }
+  } catch (error) {
+    logger.error('Calendar import job failed:', error);
+  } finally {
+    running = false;
+  }
+});
+
+module.exports = {
+  start: () => {
+    job.start();
+    logger.info(`Calendar import job scheduled (${config.cron.calendarImportSchedule})`);
+  },
+  stop: () => job.stop(),
+};
@@ -0,0 +1,40 @@
+/**
+ * Session Reminder Job
+ * Periodically dispatches due session reminders (see SESSION_REMINDER_CRON)
+ */
+
+const { CronJob } = require('cron');
+const config = require('../../../common/config');
+const sessionReminderService = require('../services/sessionReminder.service');
+const logger = require('../../../common/utils/logger');
+
+let running = false;
+
+const job = new CronJob(config.cron.sessionReminderSchedule, async () => {
+  // A slow run should not overlap with the next tick on this instance
+  if (running) {
+    return;
+  }
+
+  running = true;
+
+  try {
+    const stats = await sessionReminderService.dispatchDueReminders();
+
+    if (stats.sent || stats.failed) {
+      logger.info('Session reminders dispatched', stats);
+    }
+  } catch (error) {
+    logger.error('Session reminder job failed:', error);
+  } finally {
+    running = false;
+  }
+});
+
+module.exports = {
+  start: () => {
+    job.start();
+    logger.info(`Session reminder job scheduled (${config.cron.sessionReminderSchedule})`);
+  },
+  stop: () => job.stop(),
+};
@@ -0,0 +1,41 @@
+/**
+ * Busy Block Model
+ * Time a coach is unavailable because of an event in an imported calendar
+ */
+
+const mongoose = require('mongoose');
+
+const busyBlockSchema = new mongoose.Schema(
+  {
+    coachId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    calendarId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExternalCalendar',
+      required: true,
+    },
+    uid: String, // iCalendar UID of the source event
+    summary: String, // shown to the coach only
+    startTime: {
+      type: Date,
+      required: true,
+    },
+    endTime: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Indexes
+// Hot query: coachId + time range (booking conflict checks)
+busyBlockSchema.index({ coachId: 1, startTime: 1, endTime: 1 });
+busyBlockSchema.index({ calendarId: 1 });
+
+module.exports = mongoose.model('BusyBlock', busyBlockSchema);
@@ -0,0 +1,112 @@
+/**
+ * Coach Availability Model
+ * Weekly working hours, date overrides, time off and booking buffers per coach
+ */
+
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const timeRangeSchema = new mongoose.Schema(
+  {
+    startTime: {
+      type: String,
+      required: true,
+      match: [TIME_PATTERN, 'Start time must be in HH:mm format'],
+    },
+    endTime: {
+      type: String,
+      required: true,
+      match: [TIME_PATTERN, 'End time must be in HH:mm format'],
+    },
+  },
+  { _id: false },
+);
+
+const coachAvailabilitySchema = new mongoose.Schema(
+  {
+    coachId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+    },
+    // Recurring weekly hours; a day may have several ranges (split shifts)
+    weeklyHours: [{
+      day: {
+        type: String,
+        enum: DAYS_OF_WEEK,
+        required: true,
+      },
+      startTime: {
+        type: String,
+        required: true,
+        match: [TIME_PATTERN, 'Start time must be in HH:mm format'],
+      },
+      endTime: {
+        type: String,
+        required: true,
+        match: [TIME_PATTERN, 'End time must be in HH:mm format'],
+      },
+    }],
+    // Date-specific overrides replace the weekly hours for that date
+    overrides: [{
+      date: {
+        type: String, // YYYY-MM-DD
+        required: true,
+        match: [DATE_PATTERN, 'Override date must be in YYYY-MM-DD format'],
+      },
+      isAvailable: {
+        type: Boolean,
+        default: true,
+      },
+      hours: [timeRangeSchema],
+      reason: String,
+    }],
+    // Vacation / time-off blocks
+    timeOff: [{
+      startDate: {
+        type: Date,
+        required: true,
+      },
+      endDate: {
+        type: Date,
+        required: true,
+      },
+      reason: String,
+    }],
+    bufferMinutes: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 240,
+    },
+    slotDuration: {
+      type: Number, // default bookable session length in minutes
+      default: 60,
+      min: 15,
+      max: 480,
+    },
+    slotInterval: {
+      type: Number, // minutes between consecutive slot start times
+      default: 30,
+      min: 5,
+      max: 480,
+    },
+    // Zone the weekly hours and override dates are expressed in
+    timeZone: {
+      type: String,
+      default: 'UTC',
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+coachAvailabilitySchema.statics.DAYS_OF_WEEK = DAYS_OF_WEEK;
+
+module.exports = mongoose.model('CoachAvailability', coachAvailabilitySchema);
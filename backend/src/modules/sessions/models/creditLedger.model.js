@@ -0,0 +1,62 @@
+/**
+ * Credit Ledger Model
+ * Append-only history of session credit movements per package
+ */
+
+const mongoose = require('mongoose');
+
+const creditLedgerSchema = new mongoose.Schema(
+  {
+    packageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SessionPackage',
+      required: true,
+    },
+    coachId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ['purchase', 'consume', 'forfeit', 'adjustment'],
+      required: true,
+    },
+    credits: {
+      type: Number, // positive adds credits, negative removes them
+      required: true,
+    },
+    balanceAfter: Number,
+    sessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Session',
+    },
+    reason: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Indexes
+creditLedgerSchema.index({ packageId: 1, createdAt: -1 });
+creditLedgerSchema.index({ coachId: 1, clientId: 1, createdAt: -1 });
+// A session draws at most one credit per client
+creditLedgerSchema.index(
+  { sessionId: 1, clientId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { type: { $in: ['consume', 'forfeit'] } },
+  },
+);
+
+module.exports = mongoose.model('CreditLedger', creditLedgerSchema);
@@ -0,0 +1,64 @@
+/**
+ * External Calendar Model
+ * A coach's imported personal calendar (uploaded ICS file or subscribed URL)
+ */
+
+const mongoose = require('mongoose');
+
+const externalCalendarSchema = new mongoose.Schema(
+  {
+    coachId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    sourceType: {
+      type: String,
+      enum: ['url', 'file'],
+      required: true,
+    },
+    // Only URL calendars are re-imported periodically
+    url: {
+      type: String,
+      required() {
+        return this.sourceType === 'url';
+      },
+    },
+    // Zone used for floating (zone-less) event times
+    timeZone: {
+      type: String,
+      default: 'UTC',
+    },
+    syncEnabled: {
+      type: Boolean,
+      default: true,
+    },
+    lastSyncedAt: Date,
+    lastSyncStatus: {
+      type: String,
+      enum: ['success', 'failed'],
+    },
+    lastSyncError: String,
+    lastSyncWarnings: [String],
+    blockCount: {
+      type: Number,
+      default: 0,
+    },
+    // Import lease so concurrent instances do not import the same calendar
+    importLockedUntil: Date,
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Indexes
+externalCalendarSchema.index({ coachId: 1 });
+externalCalendarSchema.index({ sourceType: 1, syncEnabled: 1, lastSyncedAt: 1 });
+
+module.exports = mongoose.model('ExternalCalendar', externalCalendarSchema);
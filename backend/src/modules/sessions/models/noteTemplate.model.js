@@ -0,0 +1,91 @@
+/**
+ * Note Template Model
+ * Coach-defined structured forms (SOAP notes, assessments) filled in for completed sessions
+ */
+
+const mongoose = require('mongoose');
+
+const FIELD_TYPES = ['text', 'number', 'select', 'boolean', 'date'];
+
+const KEY_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+const templateFieldSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      match: [KEY_PATTERN, 'Field keys must be lower_snake_case'],
+    },
+    label: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: FIELD_TYPES,
+      required: true,
+    },
+    // Optional grouping, e.g. SOAP "subjective" / "objective"
+    section: String,
+    required: {
+      type: Boolean,
+      default: false,
+    },
+    options: [String], // select fields
+    min: Number, // number fields
+    max: Number,
+    unit: String,
+    helpText: String,
+  },
+  { _id: false },
+);
+
+const noteTemplateSchema = new mongoose.Schema(
+  {
+    coachId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Template name is required'],
+      trim: true,
+      maxlength: 100,
+    },
+    description: String,
+    fields: {
+      type: [templateFieldSchema],
+      validate: [(fields) => fields.length > 0, 'A template needs at least one field'],
+    },
+    // Attach a draft record to completed sessions automatically
+    autoAttach: {
+      type: Boolean,
+      default: false,
+    },
+    // Session types the template auto-attaches to (empty means all)
+    sessionTypes: [{
+      type: String,
+      enum: ['consultation', 'training', 'follow_up', 'assessment', 'virtual', 'in_person'],
+    }],
+    // Bumped whenever the fields change; records keep the version they were written with
+    version: {
+      type: Number,
+      default: 1,
+    },
+    isArchived: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+noteTemplateSchema.index({ coachId: 1, isArchived: 1, name: 1 });
+
+noteTemplateSchema.statics.FIELD_TYPES = FIELD_TYPES;
+
+module.exports = mongoose.model('NoteTemplate', noteTemplateSchema);
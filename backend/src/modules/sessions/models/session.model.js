@@ -4,6 +4,39 @@
 
 const mongoose = require('mongoose');
 
+// Result of evaluating the coach's cancellation / no-show policy
+const policyOutcomeSchema = new mongoose.Schema(
+  {
+    event: {
+      type: String,
+      enum: ['cancellation', 'late_cancellation', 'no_show'],
+      required: true,
+    },
+    penalty: {
+      type: String,
+      enum: ['none', 'fee', 'forfeit_credit'],
+      required: true,
+    },
+    feeAmount: Number,
+    currency: String,
+    creditForfeited: {
+      type: Boolean,
+      default: false,
+    },
+    windowHours: Number,
+    hoursBeforeStart: Number,
+    triggeredBy: {
+      type: String,
+      enum: ['client', 'coach', 'admin'],
+    },
+    evaluatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+);
+
 const sessionSchema = new mongoose.Schema(
   {
     coachId: {
@@ -11,11 +44,59 @@ const sessionSchema = new mongoose.Schema(
       ref: 'User',
       required: true,
     },
+    // Single client for 1:1 sessions; group sessions use attendees instead
     clientId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: true,
+      required() {
+        return !this.isGroup;
+      },
     },
+    // Group classes
+    isGroup: {
+      type: Boolean,
+      default: false,
+    },
+    capacity: {
+      type: Number,
+      min: 1,
+      required() {
+        return this.isGroup;
+      },
+    },
+    attendees: [{
+      clientId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+      },
+      status: {
+        type: String,
+        enum: ['booked', 'attended', 'no_show', 'late_cancel', 'cancelled'],
+        default: 'booked',
+      },
+      bookedAt: {
+        type: Date,
+        default: Date.now,
+      },
+      promotedFromWaitlist: {
+        type: Boolean,
+        default: false,
+      },
+      cancelledAt: Date,
+      policyOutcome: policyOutcomeSchema,
+    }],
+    waitlist: [{
+      clientId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+      },
+      joinedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
     title: {
       type: String,
       required: true,
@@ -33,14 +114,70 @@ const sessionSchema = new mongoose.Schema(
       type: Date,
       required: true,
     },
+    // IANA zone the session was scheduled in (times are stored in UTC)
+    timeZone: {
+      type: String,
+      default: 'UTC',
+    },
     duration: Number, // in minutes
     location: String,
     meetingLink: String,
+    // Room generated for virtual sessions; meetingLink mirrors its URL
+    meeting: {
+      provider: String,
+      roomId: String,
+      url: String,
+      createdAt: Date,
+    },
     status: {
       type: String,
-      enum: ['scheduled', 'confirmed', 'completed', 'cancelled', 'no_show'],
+      enum: [
+        'requested',
+        'scheduled',
+        'confirmed',
+        'reschedule_proposed',
+        'completed',
+        'cancelled',
+        'declined',
+        'no_show',
+      ],
       default: 'scheduled',
     },
+    // Client self-booking
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    declineReason: String,
+    // Pending reschedule proposal (status: reschedule_proposed)
+    rescheduleProposal: {
+      startTime: Date,
+      endTime: Date,
+      reason: String,
+      proposedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      proposedAt: Date,
+      previousStatus: String,
+    },
+    rescheduleHistory: [{
+      fromStartTime: Date,
+      fromEndTime: Date,
+      toStartTime: Date,
+      toEndTime: Date,
+      reason: String,
+      proposedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      respondedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      accepted: Boolean,
+      respondedAt: Date,
+    }],
     notes: String,
     coachNotes: String,
     price: Number,
@@ -55,12 +192,42 @@ const sessionSchema = new mongoose.Schema(
       },
       sentAt: Date,
     },
+    // One entry per reminder offset, claimed atomically by the dispatcher
+    reminders: [{
+      offsetMinutes: {
+        type: Number,
+        required: true,
+      },
+      status: {
+        type: String,
+        enum: ['sending', 'sent', 'skipped', 'failed'],
+        default: 'sending',
+      },
+      claimedAt: {
+        type: Date,
+        default: Date.now,
+      },
+      sentAt: Date,
+      channels: [String],
+      error: String,
+    }],
+    // Recurring series membership
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SessionSeries',
+    },
+    originalStartTime: Date, // occurrence start as generated by the series rule
+    isException: {
+      type: Boolean,
+      default: false,
+    },
     cancellationReason: String,
     cancelledBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
     },
     cancelledAt: Date,
+    policyOutcome: policyOutcomeSchema,
   },
   {
     timestamps: true,
@@ -75,5 +242,8 @@ sessionSchema.index({ clientId: 1, startTime: 1 });
 sessionSchema.index({ status: 1 });
 // Hot query: status + startTime (upcoming sessions)
 sessionSchema.index({ status: 1, startTime: 1 });
+sessionSchema.index({ seriesId: 1, originalStartTime: 1 });
+// Hot query: client's group class bookings
+sessionSchema.index({ 'attendees.clientId': 1, startTime: 1 });
 
 module.exports = mongoose.model('Session', sessionSchema);
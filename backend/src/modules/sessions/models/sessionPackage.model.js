@@ -0,0 +1,74 @@
+/**
+ * Session Package Model
+ * Prepaid session credits for a client-coach pair (e.g. "10 sessions for $500")
+ */
+
+const mongoose = require('mongoose');
+
+const sessionPackageSchema = new mongoose.Schema(
+  {
+    coachId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    totalCredits: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // Denormalized balance, kept in step with the credit ledger
+    creditsRemaining: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    price: Number,
+    currency: {
+      type: String,
+      default: 'USD',
+    },
+    purchasedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: Date,
+    status: {
+      type: String,
+      enum: ['active', 'exhausted', 'cancelled'],
+      default: 'active',
+    },
+    notes: String,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+sessionPackageSchema.virtual('isExpired').get(function isExpired() {
+  return Boolean(this.expiresAt && this.expiresAt <= new Date());
+});
+
+// Indexes
+// Hot query: coachId + clientId + status (balance lookup / credit consumption)
+sessionPackageSchema.index({
+  coachId: 1,
+  clientId: 1,
+  status: 1,
+  expiresAt: 1,
+});
+sessionPackageSchema.index({ clientId: 1, status: 1 });
+
+module.exports = mongoose.model('SessionPackage', sessionPackageSchema);
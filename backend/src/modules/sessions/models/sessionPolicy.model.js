@@ -0,0 +1,72 @@
+/**
+ * Session Policy Model
+ * Coach-configurable cancellation, no-show, reschedule and reminder rules
+ */
+
+const mongoose = require('mongoose');
+
+const PENALTIES = ['none', 'fee', 'forfeit_credit'];
+
+const sessionPolicySchema = new mongoose.Schema(
+  {
+    coachId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+    },
+    // Client cancellations closer than this to the start are late
+    cancellationWindowHours: {
+      type: Number,
+      default: 24,
+      min: 0,
+      max: 720,
+    },
+    lateCancel: {
+      penalty: {
+        type: String,
+        enum: PENALTIES,
+        default: 'forfeit_credit',
+      },
+      feeAmount: {
+        type: Number,
+        min: 0,
+        default: 0,
+      },
+    },
+    noShow: {
+      penalty: {
+        type: String,
+        enum: PENALTIES,
+        default: 'forfeit_credit',
+      },
+      feeAmount: {
+        type: Number,
+        min: 0,
+        default: 0,
+      },
+    },
+    // Accepted client reschedules per calendar month; null means unlimited
+    maxReschedulesPerMonth: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    currency: {
+      type: String,
+      default: 'USD',
+    },
+    // Minutes before the session start at which the client is reminded
+    reminderOffsetsMinutes: {
+      type: [{ type: Number, min: 5, max: 10080 }],
+      default: [1440, 60],
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+sessionPolicySchema.statics.PENALTIES = PENALTIES;
+
+module.exports = mongoose.model('SessionPolicy', sessionPolicySchema);
@@ -0,0 +1,80 @@
+/**
+ * Session Record Model
+ * Structured notes for one client in a completed session, written from a note template
+ */
+
+const mongoose = require('mongoose');
+
+// Each value carries its field definition so records stay readable after the template changes
+const recordValueSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+    },
+    label: String,
+    type: String,
+    section: String,
+    unit: String,
+    value: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false },
+);
+
+const sessionRecordSchema = new mongoose.Schema(
+  {
+    sessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Session',
+      required: true,
+    },
+    coachId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    templateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'NoteTemplate',
+    },
+    templateName: String,
+    templateVersion: Number,
+    // Session start, copied for history ordering and date filters
+    sessionDate: {
+      type: Date,
+      required: true,
+    },
+    values: [recordValueSchema],
+    summary: String,
+    status: {
+      type: String,
+      enum: ['draft', 'final'],
+      default: 'draft',
+    },
+    finalizedAt: Date,
+    sharedWithClient: {
+      type: Boolean,
+      default: false,
+    },
+    // Text values, labels and summary flattened for full-text search
+    searchText: {
+      type: String,
+      select: false,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// One record per client per session
+sessionRecordSchema.index({ sessionId: 1, clientId: 1 }, { unique: true });
+sessionRecordSchema.index({ coachId: 1, clientId: 1, sessionDate: -1 });
+sessionRecordSchema.index({ searchText: 'text', templateName: 'text' });
+
+module.exports = mongoose.model('SessionRecord', sessionRecordSchema);
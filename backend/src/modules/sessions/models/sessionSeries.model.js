@@ -0,0 +1,107 @@
+/**
+ * Session Series Model
+ * Recurring session definition; occurrences are materialized as Session documents
+ */
+
+const mongoose = require('mongoose');
+
+const sessionSeriesSchema = new mongoose.Schema(
+  {
+    coachId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Template copied onto each occurrence
+    title: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ['consultation', 'training', 'follow_up', 'assessment', 'virtual', 'in_person'],
+      default: 'training',
+    },
+    duration: {
+      type: Number, // in minutes
+      required: true,
+    },
+    location: String,
+    meetingLink: String,
+    notes: String,
+    price: Number,
+    // First occurrence start; also fixes the time of day
+    startTime: {
+      type: Date,
+      required: true,
+    },
+    // Occurrences keep the local time of day in this zone across DST changes
+    timeZone: {
+      type: String,
+      default: 'UTC',
+    },
+    recurrence: {
+      frequency: {
+        type: String,
+        enum: ['daily', 'weekly', 'monthly'],
+        required: true,
+      },
+      interval: {
+        type: Number,
+        default: 1,
+        min: 1,
+      },
+      byDay: [{
+        type: String,
+        enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'],
+      }],
+      count: Number,
+      until: Date,
+    },
+    rrule: String,
+    // Occurrences that no longer follow the series template
+    exceptions: [{
+      originalStartTime: {
+        type: Date,
+        required: true,
+      },
+      type: {
+        type: String,
+        enum: ['modified', 'cancelled'],
+        required: true,
+      },
+      sessionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Session',
+      },
+      recordedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
+    // Set when a "this and following" edit splits the series
+    previousSeriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SessionSeries',
+    },
+    status: {
+      type: String,
+      enum: ['active', 'ended', 'cancelled'],
+      default: 'active',
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Indexes
+sessionSeriesSchema.index({ coachId: 1, status: 1 });
+sessionSeriesSchema.index({ clientId: 1, status: 1 });
+
+module.exports = mongoose.model('SessionSeries', sessionSeriesSchema);
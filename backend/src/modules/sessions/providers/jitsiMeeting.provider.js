@@ -0,0 +1,33 @@
+/**
+ * Jitsi Meeting Provider
+ * Room URLs on a (self-hosted) Jitsi Meet server
+ *
+ * Jitsi rooms exist only while someone is in them, so a room is "created"
+ * by handing out an unguessable name and "revoked" by never handing it out
+ * again.
+ */
+
+const config = require('../../../common/config');
+const { generateRandomToken } = require('../../../common/utils/security');
+
+class JitsiMeetingProvider {
+  constructor() {
+    this.name = 'jitsi';
+  }
+
+  async createMeeting() {
+    const { baseUrl, roomPrefix } = config.meetings.jitsi;
+    const roomId = `${roomPrefix}-${generateRandomToken(12)}`;
+
+    return {
+      roomId,
+      url: `${baseUrl.replace(/\/+$/, '')}/${roomId}`,
+    };
+  }
+
+  async revokeMeeting() {
+    return true;
+  }
+}
+
+module.exports = new JitsiMeetingProvider();
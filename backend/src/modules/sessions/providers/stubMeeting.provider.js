@@ -0,0 +1,38 @@
+/**
+ * Stub Meeting Provider
+ * In-memory rooms for tests and local development; nothing leaves the process
+ */
+
+class StubMeetingProvider {
+  constructor() {
+    this.name = 'stub';
+    this.reset();
+  }
+
+  async createMeeting(session) {
+    this.created += 1;
+    const roomId = `stub-${this.created}`;
+
+    this.rooms.set(roomId, { sessionId: session._id, startTime: session.startTime });
+
+    return {
+      roomId,
+      url: `https://meetings.test/${roomId}`,
+    };
+  }
+
+  async revokeMeeting(meeting) {
+    return this.rooms.delete(meeting.roomId);
+  }
+
+  isActive(roomId) {
+    return this.rooms.has(roomId);
+  }
+
+  reset() {
+    this.created = 0;
+    this.rooms = new Map();
+  }
+}
+
+module.exports = new StubMeetingProvider();
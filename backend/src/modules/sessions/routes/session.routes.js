@@ -4,18 +4,271 @@
 
 const express = require('express');
 const sessionController = require('../controllers/session.controller');
+const availabilityController = require('../controllers/availability.controller');
+const sessionPackageController = require('../controllers/sessionPackage.controller');
+const sessionPolicyController = require('../controllers/sessionPolicy.controller');
+const calendarFeedController = require('../controllers/calendarFeed.controller');
+const calendarImportController = require('../controllers/calendarImport.controller');
+const sessionRecordController = require('../controllers/sessionRecord.controller');
+const sessionAnalyticsController = require('../controllers/sessionAnalytics.controller');
+const validators = require('../validators/session.validators');
 const { authenticate, authorize } = require('../../../common/middleware/auth');
+const { validate } = require('../../../common/middleware/validation');
+const { uploadCalendar, validateUploadedFiles } = require('../../../common/middleware/fileUpload');
 
 const router = express.Router();
 
-// All routes require authentication
+// Calendar subscription feed (authenticated by the secret token in the URL)
+router.get(
+  '/calendar/feed/:token.ics',
+  validators.calendarFeed,
+  validate,
+  calendarFeedController.getFeed,
+);
+
+// All other routes require authentication
 router.use(authenticate);
 
+// Calendar feed URL management
+router.post('/calendar/token', calendarFeedController.generateFeedToken);
+router.delete('/calendar/token', calendarFeedController.revokeFeedToken);
+
+// External calendars (imported busy times)
+router.get('/calendars', authorize('coach'), calendarImportController.getCalendars);
+router.post(
+  '/calendars',
+  authorize('coach'),
+  validators.registerCalendar,
+  validate,
+  calendarImportController.registerUrl,
+);
+router.post(
+  '/calendars/upload',
+  authorize('coach'),
+  uploadCalendar.single('file'),
+  validateUploadedFiles({ allowedCategory: 'calendars' }),
+  validators.uploadCalendar,
+  validate,
+  calendarImportController.uploadFile,
+);
+router.get(
+  '/calendars/busy',
+  authorize('coach'),
+  validators.getBusyBlocks,
+  validate,
+  calendarImportController.getBusyBlocks,
+);
+router.post(
+  '/calendars/:calendarId/sync',
+  authorize('coach'),
+  validators.validateCalendarId,
+  validate,
+  calendarImportController.syncCalendar,
+);
+router.delete(
+  '/calendars/:calendarId',
+  authorize('coach'),
+  validators.validateCalendarId,
+  validate,
+  calendarImportController.deleteCalendar,
+);
+
+// Coach availability
+router.get('/availability', authorize('coach'), availabilityController.getMyAvailability);
+router.put(
+  '/availability',
+  authorize('coach'),
+  validators.updateAvailability,
+  validate,
+  availabilityController.updateMyAvailability,
+);
+router.get(
+  '/availability/:coachId/slots',
+  validators.getAvailableSlots,
+  validate,
+  availabilityController.getAvailableSlots,
+);
+
+// Cancellation / no-show policy
+router.get('/policy', authorize('coach'), sessionPolicyController.getMyPolicy);
+router.put(
+  '/policy',
+  authorize('coach'),
+  validators.updatePolicy,
+  validate,
+  sessionPolicyController.updateMyPolicy,
+);
+router.get(
+  '/policy/:coachId',
+  validators.validateCoachId,
+  validate,
+  sessionPolicyController.getCoachPolicy,
+);
+
+// Session packages and credits
+router.post(
+  '/packages',
+  authorize('coach', 'admin'),
+  validators.purchasePackage,
+  validate,
+  sessionPackageController.purchasePackage,
+);
+router.get('/packages', sessionPackageController.getPackages);
+router.get('/packages/balances', authorize('coach', 'admin'), sessionPackageController.getBalances);
+router.get(
+  '/packages/:packageId/ledger',
+  validators.validatePackageId,
+  validate,
+  sessionPackageController.getPackageLedger,
+);
+router.post(
+  '/packages/:packageId/adjust',
+  authorize('coach', 'admin'),
+  validators.adjustCredits,
+  validate,
+  sessionPackageController.adjustCredits,
+);
+
+// Note templates and structured session records
+router.get('/note-templates', authorize('coach'), sessionRecordController.getTemplates);
+router.post(
+  '/note-templates',
+  authorize('coach'),
+  validators.createNoteTemplate,
+  validate,
+  sessionRecordController.createTemplate,
+);
+router.put(
+  '/note-templates/:templateId',
+  authorize('coach'),
+  validators.updateNoteTemplate,
+  validate,
+  sessionRecordController.updateTemplate,
+);
+router.delete(
+  '/note-templates/:templateId',
+  authorize('coach'),
+  validators.validateTemplateId,
+  validate,
+  sessionRecordController.archiveTemplate,
+);
+router.get(
+  '/records',
+  validators.searchSessionRecords,
+  validate,
+  sessionRecordController.searchRecords,
+);
+
+// Coach analytics
+router.get(
+  '/analytics',
+  authorize('coach'),
+  validators.getCoachAnalytics,
+  validate,
+  sessionAnalyticsController.getCoachAnalytics,
+);
+
+// Client self-booking
+router.post(
+  '/requests',
+  authorize('client'),
+  validators.requestSession,
+  validate,
+  sessionController.requestSession,
+);
+
 router.post('/', authorize('coach', 'admin'), sessionController.createSession);
 router.get('/', sessionController.getSessions);
 router.get('/upcoming', sessionController.getUpcomingSessions);
+router.get(
+  '/series/:seriesId',
+  validators.validateSeriesId,
+  validate,
+  sessionController.getSeries,
+);
 router.get('/:id', sessionController.getSession);
-router.put('/:id', sessionController.updateSession);
+router.get(
+  '/:id/ics',
+  validators.validateSessionId,
+  validate,
+  calendarFeedController.downloadSession,
+);
+router.get(
+  '/:id/record',
+  validators.getSessionRecord,
+  validate,
+  sessionRecordController.getRecord,
+);
+router.put(
+  '/:id/record',
+  authorize('coach', 'admin'),
+  validators.saveSessionRecord,
+  validate,
+  sessionRecordController.saveRecord,
+);
+router.put(
+  '/:id',
+  validators.updateSession,
+  validate,
+  sessionController.updateSession,
+);
+router.put(
+  '/:id/following',
+  authorize('coach', 'admin'),
+  validators.updateFollowingOccurrences,
+  validate,
+  sessionController.updateFollowingOccurrences,
+);
 router.post('/:id/cancel', sessionController.cancelSession);
+router.post(
+  '/:id/meeting-link',
+  authorize('coach', 'admin'),
+  validators.validateSessionId,
+  validate,
+  sessionController.regenerateMeetingLink,
+);
+
+// Group sessions
+router.post(
+  '/:id/attendees',
+  validators.addGroupAttendee,
+  validate,
+  sessionController.addGroupAttendee,
+);
+router.put(
+  '/:id/attendees/:clientId',
+  authorize('coach', 'admin'),
+  validators.markGroupAttendance,
+  validate,
+  sessionController.markGroupAttendance,
+);
+
+// Booking workflow
+router.post(
+  '/:id/approve',
+  authorize('coach', 'admin'),
+  validators.validateSessionId,
+  validate,
+  sessionController.approveSession,
+);
+router.post(
+  '/:id/decline',
+  authorize('coach', 'admin'),
+  validators.declineSession,
+  validate,
+  sessionController.declineSession,
+);
+router.post(
+  '/:id/reschedule',
+  validators.proposeReschedule,
+  validate,
+  sessionController.proposeReschedule,
+);
+router.post(
+  '/:id/reschedule/respond',
+  validators.respondToReschedule,
+  validate,
+  sessionController.respondToReschedule,
+);
 
 module.exports = router;
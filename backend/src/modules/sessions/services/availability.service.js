@@ -0,0 +1,136 @@
+/**
+ * Coach Availability Service
+ * Working hours, bookable slots and booking validation against availability
+ */
+
+const CoachAvailability = require('../models/coachAvailability.model');
+const Session = require('../models/session.model');
+const BusyBlock = require('../models/busyBlock.model');
+const sessionTimeZoneService = require('./sessionTimeZone.service');
+const slotCalculator = require('../utils/slotCalculator');
+const dataIntegrity = require('../../../common/utils/dataIntegrity');
+const timezone = require('../../../common/utils/timezone');
+const { BadRequestError } = require('../../../common/utils/errors');
+const logger = require('../../../common/utils/logger');
+
+const MAX_SLOT_RANGE_DAYS = 62;
+
+class AvailabilityService {
+  /**
+   * Get a coach's availability (null when the coach has not configured any)
+   */
+  async getAvailability(coachId) {
+    return CoachAvailability.findOne({ coachId });
+  }
+
+  /**
+   * Create or replace a coach's availability
+   */
+  async updateAvailability(coachId, data) {
+    (data.weeklyHours || []).forEach((range) => {
+      if (slotCalculator.toMinutes(range.startTime) >= slotCalculator.toMinutes(range.endTime)) {
+        throw new BadRequestError(`Weekly hours on ${range.day} must start before they end`);
+      }
+    });
+
+    (data.timeOff || []).forEach((block) => {
+      dataIntegrity.validateDateRange(block.startDate, block.endDate, 'time off');
+    });
+
+    if (data.timeZone && !timezone.isValid(data.timeZone)) {
+      throw new BadRequestError(`Unknown time zone: ${data.timeZone}`);
+    }
+
+    const update = { ...data, coachId };
+
+    // Hours are read in the coach's own zone unless another one is given
+    if (!data.timeZone) {
+      update.$setOnInsert = { timeZone: await sessionTimeZoneService.getUserTimeZone(coachId) };
+    }
+
+    const availability = await CoachAvailability.findOneAndUpdate(
+      { coachId },
+      update,
+      {
+        new: true,
+        upsert: true,
+        runValidators: true,
+        setDefaultsOnInsert: true,
+      },
+    );
+
+    logger.info(`Availability updated for coach: ${coachId}`);
+
+    return availability;
+  }
+
+  /**
+   * List open slots for a coach in a date range
+   * @param {String} [timeZone] - Viewer's zone: offset-less from/to are read in it
+   *   and every slot carries its local time there
+   */
+  async getAvailableSlots(coachId, from, to, duration, timeZone = 'UTC') {
+    await dataIntegrity.validateCoachExists(coachId);
+
+    const { start, end } = dataIntegrity.validateDateRange(
+      timezone.parseLocal(from, timeZone),
+      timezone.parseLocal(to, timeZone),
+      'slot range',
+    );
+
+    if (end - start > MAX_SLOT_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+      throw new BadRequestError(`Slot range cannot exceed ${MAX_SLOT_RANGE_DAYS} days`);
+    }
+
+    const availability = await this.getAvailability(coachId);
+
+    if (!availability) {
+      return [];
+    }
+
+    const bufferMs = (availability.bufferMinutes || 0) * 60 * 1000;
+
+    const range = {
+      startTime: { $lt: new Date(end.getTime() + bufferMs) },
+      endTime: { $gt: new Date(start.getTime() - bufferMs) },
+    };
+
+    // Booked sessions plus events imported from external calendars
+    const [sessions, blocks] = await Promise.all([
+      Session.find({ coachId, status: { $nin: ['cancelled', 'declined'] }, ...range }).select('startTime endTime'),
+      BusyBlock.find({ coachId, ...range }).select('startTime endTime'),
+    ]);
+
+    const slots = slotCalculator.generateSlots(availability, {
+      from: start,
+      to: end,
+      duration,
+      busy: [...sessions, ...blocks],
+    });
+
+    return sessionTimeZoneService.localizeAll(slots, timeZone);
+  }
+
+  /**
+   * Ensure a booking fits the coach's availability and buffer rules.
+   * Coaches without configured availability are only checked for overlaps.
+   */
+  async validateBookable(coachId, startTime, endTime, excludeSessionId = null) {
+    const availability = await this.getAvailability(coachId);
+
+    if (availability && !slotCalculator.isWithinAvailability(availability, startTime, endTime)) {
+      throw new BadRequestError('Requested time is outside the coach\'s availability');
+    }
+
+    const bufferMs = ((availability && availability.bufferMinutes) || 0) * 60 * 1000;
+
+    await dataIntegrity.validateCoachAvailability(
+      coachId,
+      new Date(new Date(startTime).getTime() - bufferMs),
+      new Date(new Date(endTime).getTime() + bufferMs),
+      excludeSessionId,
+    );
+  }
+}
+
+module.exports = new AvailabilityService();
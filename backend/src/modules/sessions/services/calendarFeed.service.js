@@ -0,0 +1,85 @@
+/**
+ * Calendar Feed Service
+ * Secret-token ICS subscriptions and single-session .ics exports
+ */
+
+const User = require('../../auth/models/user.model');
+const sessionService = require('./session.service');
+const icsGenerator = require('../utils/icsGenerator');
+const { generateRandomToken, hashSHA256 } = require('../../../common/utils/security');
+const { NotFoundError } = require('../../../common/utils/errors');
+const logger = require('../../../common/utils/logger');
+
+// Window of sessions published in a subscription feed
+const FEED_PAST_DAYS = 90;
+const FEED_FUTURE_DAYS = 365;
+const FEED_MAX_SESSIONS = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class CalendarFeedService {
+  /**
+   * Issue a new feed token, invalidating any previous subscription URL.
+   * Only the hash is stored, so the token is returned once.
+   */
+  async generateFeedToken(userId) {
+    const token = generateRandomToken();
+
+    await User.updateOne({ _id: userId }, { calendarFeedToken: hashSHA256(token) });
+
+    logger.info(`Calendar feed token issued for user: ${userId}`);
+
+    return token;
+  }
+
+  async revokeFeedToken(userId) {
+    await User.updateOne({ _id: userId }, { $unset: { calendarFeedToken: 1 } });
+
+    logger.info(`Calendar feed token revoked for user: ${userId}`);
+  }
+
+  /**
+   * Build the ICS feed for the owner of a subscription token
+   */
+  async getFeed(token) {
+    const user = await User.findOne({ calendarFeedToken: hashSHA256(token), isActive: true });
+
+    if (!user) {
+      throw new NotFoundError('Calendar feed');
+    }
+
+    const now = Date.now();
+    const filters = {
+      startDate: new Date(now - FEED_PAST_DAYS * DAY_MS),
+      endDate: new Date(now + FEED_FUTURE_DAYS * DAY_MS),
+    };
+
+    if (user.role === 'client') {
+      filters.clientId = user._id;
+    } else {
+      filters.coachId = user._id;
+    }
+
+    const { sessions } = await sessionService.getSessions(filters, {
+      page: 1,
+      limit: FEED_MAX_SESSIONS,
+      sort: { startTime: 1 },
+    });
+
+    return icsGenerator.buildCalendar(sessions, {
+      name: `CoachFlow - ${user.firstName} ${user.lastName}`,
+      viewerId: user._id,
+    });
+  }
+
+  /**
+   * Build a one-off .ics file for a single session
+   */
+  async getSessionIcs(sessionId, userId, userRole) {
+    const session = await sessionService.getSessionForParticipant(sessionId, userId, userRole);
+
+    return icsGenerator.buildCalendar([session], { name: session.title, viewerId: userId });
+  }
+}
+
+module.exports = new CalendarFeedService();
@@ -0,0 +1,263 @@
+/**
+ * Calendar Import Service
+ * Imports busy times from coaches' external ICS calendars
+ */
+
+const axios = require('axios');
+const ExternalCalendar = require('../models/externalCalendar.model');
+const BusyBlock = require('../models/busyBlock.model');
+const icsParser = require('../utils/icsParser');
+const timezone = require('../../../common/utils/timezone');
+const networkGuard = require('../../../common/utils/networkGuard');
+const {
+  BadRequestError,
+  NotFoundError,
+} = require('../../../common/utils/errors');
+const logger = require('../../../common/utils/logger');
+
+// Imported window around "now"
+const IMPORT_PAST_DAYS = 1;
+const IMPORT_FUTURE_DAYS = 180;
+
+const MAX_CALENDAR_BYTES = 5 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_REDIRECTS = 3;
+const IMPORT_LOCK_MS = 10 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Shown on the calendar; the cause is only logged so fetch errors don't reveal what the server can reach
+const SYNC_ERROR = 'The calendar could not be downloaded or read';
+
+class CalendarImportService {
+  /**
+   * Register a calendar URL and import it straight away
+   */
+  async registerUrl(coachId, { name, url, timeZone }) {
+    const calendar = await ExternalCalendar.create({
+      coachId,
+      name,
+      sourceType: 'url',
+      url: this.normalizeUrl(url),
+      timeZone: this.validateTimeZone(timeZone),
+    });
+
+    return this.importCalendar(calendar);
+  }
+
+  /**
+   * Import an uploaded ICS file as a one-off calendar
+   */
+  async importFile(coachId, { name, timeZone }, file) {
+    if (!file) {
+      throw new BadRequestError('An .ics file is required');
+    }
+
+    const content = file.buffer.toString('utf8');
+
+    if (!content.includes('BEGIN:VCALENDAR')) {
+      throw new BadRequestError('File is not an iCalendar document');
+    }
+
+    const calendar = await ExternalCalendar.create({
+      coachId,
+      name: name || file.originalname,
+      sourceType: 'file',
+      timeZone: this.validateTimeZone(timeZone),
+      syncEnabled: false,
+    });
+
+    return this.importCalendar(calendar, content);
+  }
+
+  async getCalendars(coachId) {
+    return ExternalCalendar.find({ coachId }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Re-import a URL calendar on demand
+   */
+  async syncCalendar(coachId, calendarId) {
+    const calendar = await this.getCoachCalendar(coachId, calendarId);
+
+    if (calendar.sourceType !== 'url') {
+      throw new BadRequestError('Uploaded calendars are replaced by uploading the file again');
+    }
+
+    return this.importCalendar(calendar);
+  }
+
+  async deleteCalendar(coachId, calendarId) {
+    const calendar = await this.getCoachCalendar(coachId, calendarId);
+
+    await BusyBlock.deleteMany({ calendarId: calendar._id });
+    await calendar.deleteOne();
+
+    logger.info(`External calendar ${calendarId} removed for coach ${coachId}`);
+  }
+
+  /**
+   * Busy blocks for a coach in a range (coach-facing view of imported events)
+   */
+  async getBusyBlocks(coachId, from, to) {
+    return BusyBlock.find({
+      coachId,
+      startTime: { $lt: new Date(to) },
+      endTime: { $gt: new Date(from) },
+    }).sort({ startTime: 1 });
+  }
+
+  /**
+   * Re-import every subscribed URL calendar (periodic job)
+   * @returns {Object} { synced, failed }
+   */
+  async syncAll() {
+    const calendars = await ExternalCalendar.find({ sourceType: 'url', syncEnabled: true })
+      .select('_id');
+
+    const stats = { synced: 0, failed: 0 };
+
+    await calendars.reduce(async (previous, { _id }) => {
+      await previous;
+      const calendar = await this.importCalendar(await ExternalCalendar.findById(_id))
+        .catch((error) => {
+          logger.warn(`Calendar ${_id} sync failed: ${error.message}`);
+          return null;
+        });
+
+      if (calendar && calendar.lastSyncStatus === 'success') {
+        stats.synced += 1;
+      } else if (calendar) {
+        stats.failed += 1;
+      }
+    }, Promise.resolve());
+
+    return stats;
+  }
+
+  /**
+   * Fetch (for URLs), parse and replace the calendar's busy blocks.
+   * Guarded by a short lease so only one instance imports a calendar at a time.
+   * @returns {Object} The calendar with its sync status, or null when another import holds the lease
+   */
+  async importCalendar(calendar, content = null) {
+    if (!calendar) {
+      return null;
+    }
+
+    const now = new Date();
+    const locked = await ExternalCalendar.findOneAndUpdate(
+      {
+        _id: calendar._id,
+        $or: [{ importLockedUntil: null }, { importLockedUntil: { $lt: now } }],
+      },
+      { importLockedUntil: new Date(now.getTime() + IMPORT_LOCK_MS) },
+      { new: true },
+    );
+
+    if (!locked) {
+      return null;
+    }
+
+    try {
+      const ics = content || await this.fetchCalendar(locked.url);
+      const events = icsParser.parse(ics, { timeZone: locked.timeZone });
+      const { blocks, warnings } = icsParser.toBusyBlocks(events, {
+        from: new Date(now.getTime() - IMPORT_PAST_DAYS * DAY_MS),
+        to: new Date(now.getTime() + IMPORT_FUTURE_DAYS * DAY_MS),
+      });
+
+      await BusyBlock.deleteMany({ calendarId: locked._id });
+      await BusyBlock.insertMany(blocks.map((block) => ({
+        ...block,
+        coachId: locked.coachId,
+        calendarId: locked._id,
+      })));
+
+      Object.assign(locked, {
+        lastSyncedAt: now,
+        lastSyncStatus: 'success',
+        lastSyncError: undefined,
+        lastSyncWarnings: warnings,
+        blockCount: blocks.length,
+      });
+
+      logger.info(`External calendar ${locked._id} imported: ${blocks.length} busy blocks`);
+    } catch (error) {
+      Object.assign(locked, {
+        lastSyncedAt: now,
+        lastSyncStatus: 'failed',
+        lastSyncError: SYNC_ERROR,
+      });
+
+      logger.warn(`External calendar ${locked._id} import failed: ${error.message}`);
+    }
+
+    locked.importLockedUntil = undefined;
+    await locked.save();
+
+    return locked;
+  }
+
+  /**
+   * Download a calendar; internal addresses are refused, redirects included
+   */
+  async fetchCalendar(url) {
+    networkGuard.assertPublicUrl(url);
+
+    const response = await axios.get(url, {
+      ...networkGuard.requestOptions,
+      maxRedirects: MAX_REDIRECTS,
+      timeout: FETCH_TIMEOUT_MS,
+      maxContentLength: MAX_CALENDAR_BYTES,
+      responseType: 'text',
+      headers: { Accept: 'text/calendar' },
+    });
+
+    if (!String(response.data).includes('BEGIN:VCALENDAR')) {
+      throw new Error('URL did not return an iCalendar document');
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Accept http(s) and webcal URLs; webcal is fetched over https.
+   * Hosts that resolve to internal addresses are refused when fetching.
+   */
+  normalizeUrl(url) {
+    const normalized = String(url).trim().replace(/^webcals?:\/\//i, 'https://');
+
+    if (!/^https?:\/\//i.test(normalized)) {
+      throw new BadRequestError('Calendar URL must use http, https or webcal');
+    }
+
+    networkGuard.assertPublicUrl(normalized);
+
+    return normalized;
+  }
+
+  validateTimeZone(timeZone) {
+    if (!timeZone) {
+      return undefined;
+    }
+
+    if (!timezone.isValid(timeZone)) {
+      throw new BadRequestError(`Unknown time zone: ${timeZone}`);
+    }
+
+    return timeZone;
+  }
+
+  async getCoachCalendar(coachId, calendarId) {
+    const calendar = await ExternalCalendar.findOne({ _id: calendarId, coachId });
+
+    if (!calendar) {
+      throw new NotFoundError('External calendar');
+    }
+
+    return calendar;
+  }
+}
+
+module.exports = new CalendarImportService();
@@ -0,0 +1,313 @@
+/**
+ * Group Session Service
+ * Rosters, capacity, waitlists and per-attendee attendance for group classes
+ */
+
+const Session = require('../models/session.model');
+const User = require('../../auth/models/user.model');
+const notificationService = require('../../notifications/services/notification.service');
+const sessionPackageService = require('./sessionPackage.service');
+const sessionPolicyService = require('./sessionPolicy.service');
+const sessionTimeZoneService = require('./sessionTimeZone.service');
+const sessionRecordService = require('./sessionRecord.service');
+const dataIntegrity = require('../../../common/utils/dataIntegrity');
+const {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+} = require('../../../common/utils/errors');
+const logger = require('../../../common/utils/logger');
+
+const BOOKABLE_STATUSES = ['scheduled', 'confirmed'];
+const ATTENDANCE_STATUSES = ['attended', 'no_show', 'late_cancel'];
+
+// Query condition: fewer booked attendees than the capacity
+const HAS_FREE_PLACE = {
+  $lt: [
+    { $size: { $filter: { input: '$attendees', cond: { $eq: ['$$this.status', 'booked'] } } } },
+    '$capacity',
+  ],
+};
+
+// Times a promotion is retried when the waitlist changed underneath it
+const MAX_PROMOTION_RETRIES = 5;
+
+class GroupSessionService {
+  isOnRoster(session, clientId) {
+    const id = clientId.toString();
+    return session.attendees.some((a) => a.clientId.toString() === id && a.status === 'booked')
+      || session.waitlist.some((w) => w.clientId.toString() === id);
+  }
+
+  /**
+   * Book a client into a group session, or waitlist them when it is full.
+   * Capacity is enforced atomically so concurrent bookings cannot overfill.
+   */
+  async addAttendee(session, clientId) {
+    if (!session.isGroup) {
+      throw new BadRequestError('Session is not a group session');
+    }
+
+    if (!BOOKABLE_STATUSES.includes(session.status)) {
+      throw new BadRequestError(`Cannot book a ${session.status} session`);
+    }
+
+    dataIntegrity.validateFutureDate(session.startTime, 'session start');
+
+    await dataIntegrity.validateCoachClientRelationship(session.coachId, clientId);
+
+    if (this.isOnRoster(session, clientId)) {
+      throw new ConflictError('Client is already booked or waitlisted for this session');
+    }
+
+    const booked = await Session.findOneAndUpdate(
+      {
+        _id: session._id,
+        // Earlier cancelled entries are kept as history
+        attendees: { $not: { $elemMatch: { clientId, status: 'booked' } } },
+        $expr: HAS_FREE_PLACE,
+      },
+      { $push: { attendees: { clientId, status: 'booked' } } },
+      { new: true },
+    );
+
+    if (booked) {
+      logger.info(`Client ${clientId} booked into group session ${session._id}`);
+      return { session: booked, waitlisted: false };
+    }
+
+    const waitlisted = await Session.findOneAndUpdate(
+      { _id: session._id, 'waitlist.clientId': { $ne: clientId } },
+      { $push: { waitlist: { clientId } } },
+      { new: true },
+    );
+
+    if (!waitlisted) {
+      throw new ConflictError('Client is already waitlisted for this session');
+    }
+
+    logger.info(`Client ${clientId} waitlisted for group session ${session._id}`);
+
+    return { session: waitlisted, waitlisted: true };
+  }
+
+  /**
+   * Cancel one client's place (or waitlist entry) and promote the next
+   * client from the waitlist into the freed spot. The coach's cancellation
+   * policy decides whether it counts as a late cancellation.
+   */
+  async cancelAttendance(session, clientId, triggeredBy) {
+    if (!BOOKABLE_STATUSES.includes(session.status)) {
+      throw new BadRequestError(`Cannot cancel attendance for a ${session.status} session`);
+    }
+
+    const left = await Session.findOneAndUpdate(
+      { _id: session._id, 'waitlist.clientId': clientId },
+      { $pull: { waitlist: { clientId } } },
+      { new: true },
+    );
+
+    if (left) {
+      logger.info(`Client ${clientId} left waitlist for group session ${session._id}`);
+      return left;
+    }
+
+    if (!session.attendees.some((a) => a.clientId.toString() === clientId.toString() && a.status === 'booked')) {
+      throw new BadRequestError('Client is not booked into this session');
+    }
+
+    const outcome = await sessionPolicyService.resolveCancellation(session, clientId, { triggeredBy });
+
+    const cancelled = await Session.findOneAndUpdate(
+      {
+        _id: session._id,
+        status: { $in: BOOKABLE_STATUSES },
+        attendees: { $elemMatch: { clientId, status: 'booked' } },
+      },
+      {
+        $set: {
+          'attendees.$.status': outcome.event === 'late_cancellation' ? 'late_cancel' : 'cancelled',
+          'attendees.$.cancelledAt': new Date(),
+          'attendees.$.policyOutcome': outcome,
+        },
+      },
+      { new: true },
+    );
+
+    if (!cancelled) {
+      throw new BadRequestError('Client is not booked into this session');
+    }
+
+    logger.info(`Client ${clientId} cancelled attendance for group session ${session._id}`);
+
+    await sessionPolicyService.notifyOutcome(cancelled, clientId, outcome);
+
+    return this.fillFromWaitlist(cancelled._id);
+  }
+
+  /**
+   * Promote waitlisted clients, first come first served, into the free
+   * places of an open group session and tell them
+   * @returns {Object} The session as it is afterwards
+   */
+  async fillFromWaitlist(sessionId) {
+    const { session, promoted } = await this.promoteWaitlist(sessionId);
+
+    await Promise.all(promoted.map((clientId) => this.notifyPromotion(session, clientId)));
+
+    return session;
+  }
+
+  /**
+   * Move the first waitlisted client into a free place, one at a time. Each
+   * move only applies while that client still heads the waitlist and a place
+   * is free, so it cannot overwrite concurrent bookings or overfill.
+   * @returns {Object} { session, promoted } - latest session, promoted client IDs
+   */
+  async promoteWaitlist(sessionId, promoted = [], retries = 0) {
+    const session = await Session.findById(sessionId);
+    const next = session && session.waitlist[0];
+    const booked = session ? session.attendees.filter((a) => a.status === 'booked').length : 0;
+
+    if (!next || !BOOKABLE_STATUSES.includes(session.status) || booked >= session.capacity) {
+      return { session, promoted };
+    }
+
+    const updated = await Session.findOneAndUpdate(
+      {
+        _id: sessionId,
+        status: { $in: BOOKABLE_STATUSES },
+        'waitlist.0.clientId': next.clientId,
+        $expr: HAS_FREE_PLACE,
+      },
+      {
+        $pop: { waitlist: -1 },
+        $push: { attendees: { clientId: next.clientId, status: 'booked', promotedFromWaitlist: true } },
+      },
+      { new: true },
+    );
+
+    if (updated) {
+      logger.info(`Client ${next.clientId} promoted from waitlist of group session ${sessionId}`);
+      return this.promoteWaitlist(sessionId, [...promoted, next.clientId], retries);
+    }
+
+    if (retries >= MAX_PROMOTION_RETRIES) {
+      return { session, promoted };
+    }
+
+    return this.promoteWaitlist(sessionId, promoted, retries + 1);
+  }
+
+  /**
+   * Cancel every booked place and empty the waitlist when the whole class is
+   * cancelled. Each place goes through the coach's cancellation policy like
+   * a single cancellation (coach cancellations are never penalized, so no
+   * credit is forfeited). Does not save the session.
+   * @returns {Array} IDs of the clients who lost a place or waitlist entry
+   */
+  async cancelRoster(session, triggeredBy, at = new Date()) {
+    const booked = session.attendees.filter((a) => a.status === 'booked');
+    const outcomes = await Promise.all(booked.map((attendee) => sessionPolicyService.resolveCancellation(
+      session,
+      attendee.clientId,
+      { triggeredBy, at },
+    )));
+
+    booked.forEach((attendee, index) => Object.assign(attendee, {
+      status: 'cancelled',
+      cancelledAt: at,
+      policyOutcome: outcomes[index],
+    }));
+
+    const waitlisted = session.waitlist.splice(0);
+
+    return [...booked, ...waitlisted].map((entry) => entry.clientId);
+  }
+
+  /**
+   * Tell the roster that the class was cancelled
+   */
+  async notifyCancellation(session, clientIds) {
+    try {
+      const users = await User.find({ _id: { $in: clientIds } });
+      await Promise.all(users.map(async (user) => notificationService.sendSessionCancelled(
+        user,
+        session,
+        await sessionTimeZoneService.getUserTimeZone(user),
+      )));
+    } catch (error) {
+      logger.warn(`Failed to notify attendees of cancelled session ${session._id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Coach records attendance for one attendee
+   */
+  async markAttendance(session, clientId, status, triggeredBy) {
+    if (!ATTENDANCE_STATUSES.includes(status)) {
+      throw new BadRequestError(`Attendance status must be one of: ${ATTENDANCE_STATUSES.join(', ')}`);
+    }
+
+    if (status !== 'late_cancel' && new Date(session.startTime) > new Date()) {
+      throw new BadRequestError('Attendance can only be recorded once the session has started');
+    }
+
+    // Latest roster entry for this client
+    const attendee = [...session.attendees].reverse().find(
+      (a) => a.clientId.toString() === clientId.toString() && a.status !== 'cancelled',
+    );
+
+    if (!attendee) {
+      throw new BadRequestError('Client is not booked into this session');
+    }
+
+    let outcome = null;
+    if (status === 'late_cancel') {
+      outcome = await sessionPolicyService.resolveCancellation(session, clientId, { triggeredBy, forceLate: true });
+    } else if (status === 'no_show') {
+      outcome = await sessionPolicyService.resolveNoShow(session, clientId, { triggeredBy });
+    } else {
+      await sessionPackageService.consumeCredit(session, clientId, status);
+    }
+
+    attendee.status = status;
+    if (outcome) {
+      attendee.policyOutcome = outcome;
+    }
+    await session.save();
+
+    await sessionPolicyService.notifyOutcome(session, clientId, outcome);
+
+    if (status === 'attended') {
+      await sessionRecordService.attachOnCompletion(session, clientId);
+    }
+
+    logger.info(`Attendance for client ${clientId} in session ${session._id} marked as ${status}`);
+
+    return session;
+  }
+
+  assertCoach(session, userId, userRole) {
+    if (userRole !== 'admin' && session.coachId.toString() !== userId.toString()) {
+      throw new ForbiddenError('Only the coach can manage this group session');
+    }
+  }
+
+  async notifyPromotion(session, clientId) {
+    try {
+      const user = await User.findById(clientId);
+      if (user) {
+        await notificationService.sendWaitlistPromotion(
+          user,
+          session,
+          await sessionTimeZoneService.getUserTimeZone(user),
+        );
+      }
+    } catch (error) {
+      logger.warn(`Failed to notify waitlist promotion for session ${session._id}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new GroupSessionService();
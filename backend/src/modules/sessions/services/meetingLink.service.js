@@ -0,0 +1,142 @@
+/**
+ * Meeting Link Service
+ * Generates, regenerates and revokes video meeting rooms for virtual sessions
+ *
+ * A provider implements:
+ *   name
+ *   createMeeting(session) -> { roomId, url }
+ *   revokeMeeting(meeting) -> invalidates a room handed out earlier
+ */
+
+const config = require('../../../common/config');
+const jitsiMeetingProvider = require('../providers/jitsiMeeting.provider');
+const stubMeetingProvider = require('../providers/stubMeeting.provider');
+const { APIError, BadRequestError } = require('../../../common/utils/errors');
+const logger = require('../../../common/utils/logger');
+
+const PROVIDERS = {
+  [jitsiMeetingProvider.name]: jitsiMeetingProvider,
+  [stubMeetingProvider.name]: stubMeetingProvider,
+};
+
+class MeetingLinkService {
+  getProvider(name = config.meetings.provider) {
+    const provider = PROVIDERS[name];
+
+    if (!provider) {
+      throw new APIError(`Unknown meeting provider: ${name}`, 500);
+    }
+
+    return provider;
+  }
+
+  /**
+   * Whether the session's link is a generated room (not one pasted by the coach)
+   */
+  hasGeneratedMeeting(session) {
+    return Boolean(session.meeting && session.meeting.roomId);
+  }
+
+  /**
+   * Give a virtual session its own room, unless it already has a link.
+   * Works on documents and plain objects; the caller saves. Provider
+   * failures are logged and leave the session without a link.
+   */
+  async provision(session) {
+    if (session.type !== 'virtual' || session.meetingLink) {
+      return session;
+    }
+
+    try {
+      await this.attachMeeting(session);
+    } catch (error) {
+      logger.warn(`Could not create a meeting room for session ${session._id}: ${error.message}`);
+    }
+
+    return session;
+  }
+
+  async provisionAll(sessions) {
+    await Promise.all(sessions.map((session) => this.provision(session)));
+    return sessions;
+  }
+
+  /**
+   * Replace a generated room with a new one (e.g. after a reschedule) so the
+   * old link stops working. Hand-pasted links are left alone.
+   * @param {Object} [options]
+   * @param {Boolean} [options.strict] - Throw instead of logging provider failures
+   */
+  async regenerate(session, { strict = false } = {}) {
+    if (session.type !== 'virtual') {
+      if (strict) {
+        throw new BadRequestError('Only virtual sessions have meeting links');
+      }
+      return session;
+    }
+
+    if (!strict && session.meetingLink && !this.hasGeneratedMeeting(session)) {
+      return session;
+    }
+
+    await this.revoke(session);
+
+    try {
+      await this.attachMeeting(session);
+    } catch (error) {
+      if (strict) {
+        throw error;
+      }
+      logger.warn(`Could not regenerate the meeting room for session ${session._id}: ${error.message}`);
+    }
+
+    return session;
+  }
+
+  /**
+   * Revoke a generated room and clear the link (on cancellation, or when the
+   * session stops being virtual)
+   */
+  async revoke(session) {
+    if (!this.hasGeneratedMeeting(session)) {
+      return session;
+    }
+
+    const { meeting } = session;
+
+    try {
+      await this.getProvider(meeting.provider).revokeMeeting(meeting);
+    } catch (error) {
+      logger.warn(`Could not revoke meeting room ${meeting.roomId} for session ${session._id}: ${error.message}`);
+    }
+
+    return Object.assign(session, {
+      meeting: undefined,
+      meetingLink: session.meetingLink === meeting.url ? undefined : session.meetingLink,
+    });
+  }
+
+  async revokeAll(sessions) {
+    await Promise.all(sessions.map((session) => this.revoke(session)));
+    return sessions;
+  }
+
+  async attachMeeting(session) {
+    const provider = this.getProvider();
+    const { roomId, url } = await provider.createMeeting(session);
+
+    logger.info(`Meeting room ${roomId} created with the ${provider.name} provider`);
+
+    return Object.assign(session, {
+      meeting: {
+        provider: provider.name,
+        roomId,
+        url,
+        createdAt: new Date(),
+      },
+      meetingLink: url,
+    });
+  }
+}
+
+module.exports = new MeetingLinkService();
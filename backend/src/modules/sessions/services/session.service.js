@@ -4,24 +4,111 @@
  */
 
 const Session = require('../models/session.model');
+const availabilityService = require('./availability.service');
+const sessionSeriesService = require('./sessionSeries.service');
+const groupSessionService = require('./groupSession.service');
+const sessionPackageService = require('./sessionPackage.service');
+const sessionPolicyService = require('./sessionPolicy.service');
+const sessionTimeZoneService = require('./sessionTimeZone.service');
+const sessionRecordService = require('./sessionRecord.service');
+const meetingLinkService = require('./meetingLink.service');
 const dataIntegrity = require('../../../common/utils/dataIntegrity');
-const { BadRequestError } = require('../../../common/utils/errors');
+const ClientProfile = require('../../clients/models/clientProfile.model');
+const {
+  BadRequestError,
+  NotFoundError,
+  ForbiddenError,
+} = require('../../../common/utils/errors');
 const logger = require('../../../common/utils/logger');
 
+/**
+ * Session status state machine
+ */
+const ALLOWED_TRANSITIONS = {
+  requested: ['confirmed', 'declined', 'cancelled'],
+  scheduled: ['confirmed', 'reschedule_proposed', 'cancelled'],
+  confirmed: ['completed', 'reschedule_proposed', 'cancelled', 'no_show'],
+  reschedule_proposed: ['scheduled', 'confirmed', 'cancelled'],
+  completed: [],
+  cancelled: [],
+  declined: [],
+  no_show: [],
+};
+
+// Fields that make an occurrence diverge from its recurring series
+const SERIES_TEMPLATE_FIELDS = [
+  'startTime',
+  'endTime',
+  'title',
+  'type',
+  'location',
+  'meetingLink',
+  'notes',
+  'price',
+];
+
+// Fields each role may change through a plain update. Times, proposals, rosters,
+// policy outcomes and reminders go through their own endpoints for clients.
+const EDITABLE_FIELDS = {
+  coach: [
+    'title',
+    'type',
+    'startTime',
+    'endTime',
+    'timeZone',
+    'location',
+    'meetingLink',
+    'notes',
+    'coachNotes',
+    'price',
+    'isPaid',
+    'capacity',
+    'status',
+  ],
+  client: ['notes', 'status'],
+};
+
+// Statuses a client may set on a session directly
+const CLIENT_STATUSES = ['confirmed'];
+
+// Statuses that still lie ahead of the participants
+const UPCOMING_STATUSES = ['requested', 'scheduled', 'confirmed', 'reschedule_proposed'];
+const UPCOMING_LIMIT = 10;
+
+// Booked sessions that keep a meeting room for virtual calls
+const MEETING_STATUSES = ['scheduled', 'confirmed', 'reschedule_proposed'];
+
 class SessionService {
   /**
    * Create session with integrity checks
    */
-  async createSession(sessionData) {
+  async createSession(input) {
     // 1. Validate foreign keys
-    await dataIntegrity.validateCoachExists(sessionData.coachId);
-    await dataIntegrity.validateClientExists(sessionData.clientId);
-    
-    // 2. Validate coach-client relationship
-    await dataIntegrity.validateCoachClientRelationship(
-      sessionData.coachId,
-      sessionData.clientId
-    );
+    await dataIntegrity.validateCoachExists(input.coachId);
+
+    // Offset-less times are wall-clock times in the session's zone (the coach's by default)
+    const timeZone = input.timeZone || await sessionTimeZoneService.getUserTimeZone(input.coachId);
+    const sessionData = { ...sessionTimeZoneService.parseTimes(input, timeZone), timeZone };
+
+    // Group classes have a roster instead of a single client
+    if (sessionData.isGroup) {
+      if (!sessionData.capacity || sessionData.capacity < 1) {
+        throw new BadRequestError('Group sessions require a capacity of at least 1');
+      }
+
+      // Series occurrences are 1:1 sessions; they carry no roster
+      if (sessionData.recurrence) {
+        throw new BadRequestError('Group sessions cannot be recurring; create each class separately');
+      }
+    } else {
+      await dataIntegrity.validateClientExists(sessionData.clientId);
+      
+      // 2. Validate coach-client relationship
+      await dataIntegrity.validateCoachClientRelationship(
+        sessionData.coachId,
+        sessionData.clientId
+      );
+    }
     
     // 3. Validate date range
     dataIntegrity.validateDateRange(
@@ -33,15 +120,22 @@ class SessionService {
     // 4. Validate future date
     dataIntegrity.validateFutureDate(sessionData.startTime, 'session start');
     
+    // Recurring sessions generate a whole series, checked occurrence by occurrence
+    if (sessionData.recurrence) {
+      return sessionSeriesService.createSeries(sessionData);
+    }
+    
     // 5. Validate no duplicate session
-    await dataIntegrity.validateNoDuplicateSession(
-      sessionData.coachId,
-      sessionData.clientId,
-      sessionData.startTime
-    );
+    if (!sessionData.isGroup) {
+      await dataIntegrity.validateNoDuplicateSession(
+        sessionData.coachId,
+        sessionData.clientId,
+        sessionData.startTime
+      );
+    }
     
-    // 6. Validate coach availability
-    await dataIntegrity.validateCoachAvailability(
+    // 6. Validate coach availability (working hours, time off, buffers, overlaps)
+    await availabilityService.validateBookable(
       sessionData.coachId,
       sessionData.startTime,
       sessionData.endTime
@@ -53,7 +147,12 @@ class SessionService {
     sessionData.duration = Math.round((end - start) / 1000 / 60); // minutes
     
     // 8. Create session
-    const session = new Session(sessionData);
+    const session = new Session(sessionData.isGroup
+      ? {
+        ...sessionData, clientId: undefined, attendees: [], waitlist: [],
+      }
+      : sessionData);
+    await meetingLinkService.provision(session);
     await session.save();
     
     logger.info(`Session created: ${session._id}`);
@@ -77,35 +176,41 @@ class SessionService {
       throw new BadRequestError('Access denied');
     }
     
-    if (userRole === 'client' && session.clientId.toString() !== userId.toString()) {
+    if (userRole === 'client' && (!session.clientId || session.clientId.toString() !== userId.toString())) {
       throw new BadRequestError('Access denied');
     }
+
+    this.assertEditableFields(session, userRole, updates);
     
     // 3. Validate status transitions
     if (updates.status && updates.status !== session.status) {
-      const allowedTransitions = {
-        scheduled: ['confirmed', 'cancelled'],
-        confirmed: ['completed', 'cancelled', 'no_show'],
-        completed: [],
-        cancelled: [],
-        no_show: [],
-      };
-      
       dataIntegrity.validateStatusTransition(
         session.status,
         updates.status,
-        allowedTransitions
+        ALLOWED_TRANSITIONS
       );
+
+      // Booking workflow transitions carry extra data and go through their own endpoints
+      if (updates.status === 'reschedule_proposed') {
+        throw new BadRequestError('Use the reschedule endpoint to propose a new time');
+      }
+
+      if (session.status === 'requested' && userRole === 'client') {
+        throw new ForbiddenError('Only the coach can approve or decline a session request');
+      }
     }
     
     // 4. If time is being updated, validate availability
-    if (updates.startTime || updates.endTime) {
+    const timeChanged = Boolean(updates.startTime || updates.endTime);
+    if (timeChanged) {
+      Object.assign(updates, sessionTimeZoneService.parseTimes(updates, updates.timeZone || session.timeZone));
+
       const startTime = updates.startTime || session.startTime;
       const endTime = updates.endTime || session.endTime;
       
       dataIntegrity.validateDateRange(startTime, endTime, 'session time');
       
-      await dataIntegrity.validateCoachAvailability(
+      await availabilityService.validateBookable(
         session.coachId,
         startTime,
         endTime,
@@ -116,25 +221,399 @@ class SessionService {
       const start = new Date(startTime);
       const end = new Date(endTime);
       updates.duration = Math.round((end - start) / 1000 / 60);
+
+      // Reminders are re-sent for the new time
+      session.reminders = [];
     }
     
+    const previousStatus = session.status;
+
     // 5. Apply updates
     Object.assign(session, updates);
+
+    // Editing a single occurrence detaches it from the series template
+    const isOccurrenceEdit = session.seriesId
+      && SERIES_TEMPLATE_FIELDS.some((field) => updates[field] !== undefined);
+
+    if (isOccurrenceEdit) {
+      session.isException = true;
+    }
+
+    await this.syncMeetingLink(session, updates, timeChanged);
+
     await session.save();
+
+    if (isOccurrenceEdit) {
+      await sessionSeriesService.recordException(session, 'modified');
+    }
+
+    // Completed sessions use a package credit and get the coach's note template;
+    // no-shows follow the coach's policy
+    if (!session.isGroup && session.status !== previousStatus) {
+      if (session.status === 'completed') {
+        await sessionPackageService.consumeCredit(session, session.clientId, session.status);
+        await sessionRecordService.attachOnCompletion(session, session.clientId);
+      } else if (session.status === 'no_show') {
+        session.policyOutcome = await sessionPolicyService.resolveNoShow(session, session.clientId, {
+          triggeredBy: userRole,
+        });
+        await session.save();
+        await sessionPolicyService.notifyOutcome(session, session.clientId, session.policyOutcome);
+      }
+    }
     
     logger.info(`Session updated: ${sessionId}`);
+
+    // New places in a group session go to the waitlist first
+    if (session.isGroup && updates.capacity !== undefined) {
+      return groupSessionService.fillFromWaitlist(session._id);
+    }
     
     return session;
   }
 
   /**
-   * Cancel session with validation
+   * Reject fields the user's role may not change through a plain update
    */
-  async cancelSession(sessionId, userId, cancellationReason) {
+  assertEditableFields(session, userRole, updates) {
+    const isClient = userRole === 'client';
+
+    if (isClient && (updates.startTime || updates.endTime)) {
+      throw new BadRequestError('Use POST /sessions/:id/reschedule to propose a new time');
+    }
+
+    const editable = EDITABLE_FIELDS[isClient ? 'client' : 'coach'];
+    const blocked = Object.keys(updates).filter((field) => !editable.includes(field));
+
+    if (blocked.length > 0) {
+      throw new ForbiddenError(`These fields cannot be updated: ${blocked.join(', ')}`);
+    }
+
+    // Cancellations and group no-shows carry policy outcomes, rosters and notifications
+    if (updates.status === 'cancelled' && session.status !== 'cancelled') {
+      throw new BadRequestError('Use POST /sessions/:id/cancel to cancel a session');
+    }
+
+    if (session.isGroup && updates.status === 'no_show') {
+      throw new BadRequestError('Use PUT /sessions/:id/attendees/:clientId to record no-shows for group sessions');
+    }
+
+    if (isClient && updates.status && updates.status !== session.status && !CLIENT_STATUSES.includes(updates.status)) {
+      throw new ForbiddenError(`Clients cannot mark a session as ${updates.status}`);
+    }
+
+    if (updates.capacity !== undefined) {
+      if (!session.isGroup) {
+        throw new BadRequestError('Only group sessions have a capacity');
+      }
+
+      // Booked attendees keep their places
+      const minimum = Math.max(session.attendees.filter((attendee) => attendee.status === 'booked').length, 1);
+
+      if (!(updates.capacity >= minimum)) {
+        throw new BadRequestError(`Capacity must be at least ${minimum}`);
+      }
+    }
+  }
+
+  /**
+   * Load a session and ensure the user is its coach, its client or an admin
+   */
+  async getSessionForParticipant(sessionId, userId, userRole) {
     const session = await Session.findById(sessionId);
-    
+
     if (!session) {
-      throw new BadRequestError('Session not found');
+      throw new NotFoundError('Session');
+    }
+
+    const id = userId.toString();
+    const isCoach = session.coachId.toString() === id;
+    const isClient = session.isGroup
+      ? [...session.attendees, ...session.waitlist].some((a) => a.clientId.toString() === id)
+      : session.clientId.toString() === id;
+
+    if (userRole !== 'admin' && !isCoach && !isClient) {
+      throw new ForbiddenError('You do not have permission to access this session');
+    }
+
+    return session;
+  }
+
+  /**
+   * Client requests a session slot; the coach must approve it
+   */
+  async requestSession(clientId, requestData) {
+    let { coachId } = requestData;
+
+    if (!coachId) {
+      const profile = await ClientProfile.findOne({ userId: clientId });
+
+      if (!profile || !profile.coachId) {
+        throw new BadRequestError('You do not have an assigned coach');
+      }
+
+      ({ coachId } = profile);
+    }
+
+    await dataIntegrity.validateCoachClientRelationship(coachId, clientId);
+
+    // Times without an offset are in the client's own zone
+    const timeZone = requestData.timeZone || await sessionTimeZoneService.getUserTimeZone(clientId);
+    const { startTime: start, endTime: end } = sessionTimeZoneService.parseTimes(requestData, timeZone);
+
+    dataIntegrity.validateDateRange(start, end, 'session time');
+    dataIntegrity.validateFutureDate(start, 'session start');
+
+    await dataIntegrity.validateNoDuplicateSession(coachId, clientId, start);
+    await availabilityService.validateBookable(coachId, start, end);
+
+    const session = await Session.create({
+      coachId,
+      clientId,
+      title: requestData.title || 'Session request',
+      type: requestData.type,
+      startTime: start,
+      endTime: end,
+      timeZone,
+      duration: Math.round((end - start) / 1000 / 60),
+      location: requestData.location,
+      notes: requestData.notes,
+      status: 'requested',
+      requestedBy: clientId,
+    });
+
+    logger.info(`Session requested: ${session._id} by client ${clientId}`);
+
+    return session;
+  }
+
+  /**
+   * Coach approves a client's session request
+   */
+  async approveSession(sessionId, userId, userRole) {
+    const session = await this.getSessionForParticipant(sessionId, userId, userRole);
+
+    if (userRole !== 'admin' && session.coachId.toString() !== userId.toString()) {
+      throw new ForbiddenError('Only the coach can approve this session');
+    }
+
+    dataIntegrity.validateStatusTransition(session.status, 'confirmed', ALLOWED_TRANSITIONS);
+
+    session.status = 'confirmed';
+    await meetingLinkService.provision(session);
+    await session.save();
+
+    logger.info(`Session request approved: ${sessionId}`);
+
+    return session;
+  }
+
+  /**
+   * Coach declines a client's session request
+   */
+  async declineSession(sessionId, userId, userRole, reason) {
+    const session = await this.getSessionForParticipant(sessionId, userId, userRole);
+
+    if (userRole !== 'admin' && session.coachId.toString() !== userId.toString()) {
+      throw new ForbiddenError('Only the coach can decline this session');
+    }
+
+    dataIntegrity.validateStatusTransition(session.status, 'declined', ALLOWED_TRANSITIONS);
+
+    session.status = 'declined';
+    session.declineReason = reason;
+    await session.save();
+
+    logger.info(`Session request declined: ${sessionId}`);
+
+    return session;
+  }
+
+  /**
+   * Either participant proposes a new time for a booked session
+   */
+  async proposeReschedule(sessionId, userId, userRole, proposal) {
+    const session = await this.getSessionForParticipant(sessionId, userId, userRole);
+
+    if (session.isGroup) {
+      throw new BadRequestError('Group sessions can only be rescheduled by the coach');
+    }
+
+    dataIntegrity.validateStatusTransition(session.status, 'reschedule_proposed', ALLOWED_TRANSITIONS);
+
+    if (userRole === 'client') {
+      await sessionPolicyService.assertRescheduleAllowed(session.coachId, userId);
+    }
+
+    // Times without an offset are in the proposer's zone
+    const timeZone = proposal.timeZone || await sessionTimeZoneService.getUserTimeZone(userId);
+    const { startTime, endTime } = sessionTimeZoneService.parseTimes(proposal, timeZone);
+
+    dataIntegrity.validateDateRange(startTime, endTime, 'session time');
+    dataIntegrity.validateFutureDate(startTime, 'session start');
+
+    await availabilityService.validateBookable(
+      session.coachId,
+      startTime,
+      endTime,
+      session._id,
+    );
+
+    session.rescheduleProposal = {
+      startTime,
+      endTime,
+      reason: proposal.reason,
+      proposedBy: userId,
+      proposedAt: new Date(),
+      previousStatus: session.status,
+    };
+    session.status = 'reschedule_proposed';
+    await session.save();
+
+    logger.info(`Reschedule proposed for session ${sessionId} by ${userId}`);
+
+    return session;
+  }
+
+  /**
+   * The other participant accepts or rejects a pending reschedule proposal
+   */
+  async respondToReschedule(sessionId, userId, userRole, accept) {
+    const session = await this.getSessionForParticipant(sessionId, userId, userRole);
+
+    if (session.status !== 'reschedule_proposed') {
+      throw new BadRequestError('Session has no pending reschedule proposal');
+    }
+
+    const proposal = session.rescheduleProposal;
+
+    if (userRole !== 'admin' && proposal.proposedBy.toString() === userId.toString()) {
+      throw new ForbiddenError('You cannot respond to your own reschedule proposal');
+    }
+
+    if (accept) {
+      // The client's monthly allowance may have been used up since proposing
+      if (proposal.proposedBy.toString() === session.clientId.toString()) {
+        await sessionPolicyService.assertRescheduleAllowed(session.coachId, session.clientId);
+      }
+
+      // Re-check: the slot may have been taken since the proposal was made
+      await availabilityService.validateBookable(
+        session.coachId,
+        proposal.startTime,
+        proposal.endTime,
+        session._id,
+      );
+    }
+
+    session.rescheduleHistory.push({
+      fromStartTime: session.startTime,
+      fromEndTime: session.endTime,
+      toStartTime: proposal.startTime,
+      toEndTime: proposal.endTime,
+      reason: proposal.reason,
+      proposedBy: proposal.proposedBy,
+      respondedBy: userId,
+      accepted: Boolean(accept),
+      respondedAt: new Date(),
+    });
+
+    if (accept) {
+      session.startTime = proposal.startTime;
+      session.endTime = proposal.endTime;
+      session.duration = Math.round((proposal.endTime - proposal.startTime) / 1000 / 60);
+      session.status = 'confirmed';
+      session.isException = Boolean(session.seriesId);
+      session.reminders = [];
+
+      // The old meeting link stops working once the session moves
+      await meetingLinkService.regenerate(session);
+    } else {
+      session.status = proposal.previousStatus === 'scheduled' ? 'scheduled' : 'confirmed';
+    }
+
+    session.rescheduleProposal = undefined;
+    await session.save();
+
+    if (accept) {
+      await sessionSeriesService.recordException(session, 'modified');
+    }
+
+    logger.info(`Reschedule ${accept ? 'accepted' : 'rejected'} for session ${sessionId}`);
+
+    return session;
+  }
+
+  /**
+   * Get a recurring series with its occurrences
+   */
+  async getSeries(seriesId, userId, userRole) {
+    return sessionSeriesService.getSeries(seriesId, userId, userRole);
+  }
+
+  /**
+   * Edit an occurrence and every following occurrence of its series
+   */
+  async updateFollowingOccurrences(sessionId, userId, userRole, updates) {
+    return sessionSeriesService.updateFollowing(sessionId, userId, userRole, updates);
+  }
+
+  /**
+   * Book a client into a group session (clients book themselves, coaches book their clients)
+   */
+  async addGroupAttendee(sessionId, userId, userRole, clientId) {
+    const session = await Session.findById(sessionId);
+
+    if (!session) {
+      throw new NotFoundError('Session');
+    }
+
+    if (userRole === 'client') {
+      return groupSessionService.addAttendee(session, userId);
+    }
+
+    groupSessionService.assertCoach(session, userId, userRole);
+
+    if (!clientId) {
+      throw new BadRequestError('clientId is required');
+    }
+
+    return groupSessionService.addAttendee(session, clientId);
+  }
+
+  /**
+   * Coach records attendance for a group session attendee
+   */
+  async markGroupAttendance(sessionId, userId, userRole, clientId, status) {
+    const session = await Session.findById(sessionId);
+
+    if (!session) {
+      throw new NotFoundError('Session');
+    }
+
+    if (!session.isGroup) {
+      throw new BadRequestError('Session is not a group session');
+    }
+
+    groupSessionService.assertCoach(session, userId, userRole);
+
+    return groupSessionService.markAttendance(session, clientId, status, userRole);
+  }
+
+  /**
+   * Cancel session with validation
+   */
+  async cancelSession(sessionId, userId, cancellationReason, { userRole, clientId } = {}) {
+    const session = await this.getSessionForParticipant(sessionId, userId, userRole);
+
+    // Group sessions: clients cancel their own place; coaches may cancel one attendee
+    if (session.isGroup && (userRole === 'client' || clientId)) {
+      if (userRole === 'client') {
+        return groupSessionService.cancelAttendance(session, userId, userRole);
+      }
+
+      groupSessionService.assertCoach(session, userId, userRole);
+      return groupSessionService.cancelAttendance(session, clientId, userRole);
     }
     
     // Validate can be cancelled
@@ -145,28 +624,110 @@ class SessionService {
     if (session.status === 'cancelled') {
       throw new BadRequestError('Session already cancelled');
     }
+
+    if (session.status === 'declined') {
+      throw new BadRequestError('Cannot cancel declined session');
+    }
     
+    // Pending requests were never booked, so the cancellation policy does not apply
+    const wasBooked = session.status !== 'requested';
+
     // Update session
     session.status = 'cancelled';
     session.cancellationReason = cancellationReason;
     session.cancelledBy = userId;
     session.cancelledAt = new Date();
+
+    // Cancelling a whole group session cancels every attendee's place
+    const rosterIds = session.isGroup
+      ? await groupSessionService.cancelRoster(session, userRole, session.cancelledAt)
+      : [];
+
+    if (wasBooked && !session.isGroup) {
+      session.policyOutcome = await sessionPolicyService.resolveCancellation(session, session.clientId, {
+        triggeredBy: userRole,
+        at: session.cancelledAt,
+      });
+    }
+
+    await meetingLinkService.revoke(session);
     
     await session.save();
+
+    // Keep the rest of a recurring series intact
+    await sessionSeriesService.recordException(session, 'cancelled');
+
+    if (session.isGroup) {
+      await groupSessionService.notifyCancellation(session, rosterIds);
+    } else {
+      await sessionPolicyService.notifyOutcome(session, session.clientId, session.policyOutcome);
+    }
     
     logger.info(`Session cancelled: ${sessionId} by ${userId}`);
     
     return session;
   }
 
+  /**
+   * Coach replaces a virtual session's meeting room, e.g. when the link leaked
+   */
+  async regenerateMeetingLink(sessionId, userId, userRole) {
+    const session = await this.getSessionForParticipant(sessionId, userId, userRole);
+
+    if (userRole !== 'admin' && session.coachId.toString() !== userId.toString()) {
+      throw new ForbiddenError('Only the coach can regenerate the meeting link');
+    }
+
+    if (!MEETING_STATUSES.includes(session.status)) {
+      throw new BadRequestError(`Cannot regenerate the meeting link of a ${session.status} session`);
+    }
+
+    await meetingLinkService.regenerate(session, { strict: true });
+    await session.save();
+
+    logger.info(`Meeting link regenerated for session ${sessionId}`);
+
+    return session;
+  }
+
+  /**
+   * Keep a session's generated meeting room in step with an update: revoke it
+   * when the session is cancelled, stops being virtual or gets a link set by
+   * hand, and replace it when the time changes
+   */
+  async syncMeetingLink(session, updates, timeChanged) {
+    const linkReplaced = updates.meetingLink !== undefined
+      && meetingLinkService.hasGeneratedMeeting(session)
+      && updates.meetingLink !== session.meeting.url;
+
+    const isOpen = MEETING_STATUSES.includes(session.status);
+    const hasEnded = ['completed', 'no_show'].includes(session.status);
+
+    if ((!isOpen && !hasEnded) || session.type !== 'virtual' || linkReplaced) {
+      return meetingLinkService.revoke(session);
+    }
+
+    // Past sessions keep the room they were held in
+    if (hasEnded) {
+      return session;
+    }
+
+    return timeChanged
+      ? meetingLinkService.regenerate(session)
+      : meetingLinkService.provision(session);
+  }
+
   /**
    * Get sessions with filters
+   * @returns {Object} { sessions, total }
    */
-  async getSessions(filters) {
+  async getSessions(filters, options = {}) {
     const query = {};
     
     if (filters.coachId) query.coachId = filters.coachId;
-    if (filters.clientId) query.clientId = filters.clientId;
+    if (filters.clientId) {
+      query.$or = [{ clientId: filters.clientId }, { 'attendees.clientId': filters.clientId }];
+    }
     if (filters.status) query.status = filters.status;
     
     if (filters.startDate || filters.endDate) {
@@ -174,13 +735,74 @@ class SessionService {
       if (filters.startDate) query.startTime.$gte = new Date(filters.startDate);
       if (filters.endDate) query.startTime.$lte = new Date(filters.endDate);
     }
-    
-    const sessions = await Session.find(query)
+
+    const page = options.page || 1;
+    const limit = options.limit || 10;
+    
+    const [sessions, total] = await Promise.all([
+      Session.find(query)
+        .populate('coachId', 'firstName lastName email')
+        .populate('clientId', 'firstName lastName email')
+        .sort(options.sort || { startTime: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Session.countDocuments(query),
+    ]);
+    
+    return { sessions, total };
+  }
+
+  /**
+   * Next sessions for a participant (booked group places included)
+   */
+  async getUpcomingSessions(userId, userRole, { limit = UPCOMING_LIMIT } = {}) {
+    const query = {
+      startTime: { $gte: new Date() },
+      status: { $in: UPCOMING_STATUSES },
+    };
+
+    if (userRole === 'coach') {
+      query.coachId = userId;
+    } else if (userRole === 'client') {
+      query.$or = [
+        { clientId: userId },
+        { attendees: { $elemMatch: { clientId: userId, status: 'booked' } } },
+      ];
+    }
+
+    return Session.find(query)
       .populate('coachId', 'firstName lastName email')
       .populate('clientId', 'firstName lastName email')
-      .sort({ startTime: 1 });
-    
-    return sessions;
+      .sort({ startTime: 1 })
+      .limit(limit);
+  }
+
+  /**
+   * A client's sessions starting in [from, to), booked group places included
+   */
+  async getClientSessionsBetween(clientId, from, to) {
+    return Session.find({
+      $or: [
+        { clientId },
+        { attendees: { $elemMatch: { clientId, status: { $in: ['booked', 'attended'] } } } },
+      ],
+      status: { $nin: ['cancelled', 'declined'] },
+      startTime: { $gte: from, $lt: to },
+    })
+      .select('title type status startTime endTime isGroup location')
+      .sort({ startTime: 1 })
+      .lean();
+  }
+
+  /**
+   * Package credit balances for the clients in a page of sessions
+   */
+  async getCreditBalances(coachId, sessions) {
+    const clientIds = sessions
+      .filter((session) => session.clientId)
+      .map((session) => session.clientId._id || session.clientId);
+
+    return sessionPackageService.getBalances(coachId, clientIds);
   }
 
   /**
@@ -207,6 +829,7 @@ class SessionService {
       throw new BadRequestError('Cannot delete completed sessions');
     }
     
+    await meetingLinkService.revoke(session);
     await session.remove();
     
     logger.info(`Session deleted: ${sessionId}`);
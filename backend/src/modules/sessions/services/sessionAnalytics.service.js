@@ -0,0 +1,311 @@
+/**
+ * Session Analytics Service
+ * Attendance, utilization and revenue analytics for a coach's sessions
+ */
+
+const mongoose = require('mongoose');
+const Session = require('../models/session.model');
+const CoachAvailability = require('../models/coachAvailability.model');
+const User = require('../../auth/models/user.model');
+const slotCalculator = require('../utils/slotCalculator');
+const sessionMetrics = require('../utils/sessionMetrics');
+const timezone = require('../../../common/utils/timezone');
+const { BadRequestError } = require('../../../common/utils/errors');
+
+const DEFAULT_WEEKS = 8;
+const MAX_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sessions that take up the coach's time; they are billed once they start
+const BOOKED_STATUSES = ['scheduled', 'confirmed', 'reschedule_proposed', 'completed', 'no_show'];
+// Delivered sessions; unpaid ones are outstanding
+const DELIVERED_STATUSES = ['completed', 'no_show'];
+// Never booked, so left out of attendance
+const UNBOOKED_STATUSES = ['requested', 'declined'];
+
+class SessionAnalyticsService {
+  /**
+   * Coach analytics over [from, to): per-client attendance, booked vs
+   * available hours, revenue and week-over-week trends.
+   * @param {ObjectId} coachId
+   * @param {Object} [options]
+   * @param {String} [options.from] - Range start (defaults to eight weeks before `to`)
+   * @param {String} [options.to] - Range end (defaults to now)
+   * @param {String} [options.timeZone] - Zone for reading dates and bucketing weeks
+   * @param {Date} [now] - Sessions starting after this are not billed yet
+   */
+  async getCoachAnalytics(coachId, { from, to, timeZone = 'UTC' } = {}, now = new Date()) {
+    const range = this.getRange(from, to, timeZone);
+
+    const [[facets], availability] = await Promise.all([
+      Session.aggregate(this.buildPipeline(coachId, range, timeZone, now)),
+      CoachAvailability.findOne({ coachId }),
+    ]);
+
+    const windows = availability
+      ? slotCalculator.getWorkingWindowsBetween(availability, range.from, range.to)
+      : [];
+    const availableByWeek = sessionMetrics.minutesByWeek(windows, timeZone);
+
+    const clients = facets.clients.map((row) => this.toClient(row));
+    const totals = facets.totals[0] || {};
+    const attendance = this.sumAttendance(clients);
+    const availableMinutes = Object.values(availableByWeek).reduce((sum, minutes) => sum + minutes, 0);
+
+    return {
+      period: {
+        from: range.from,
+        to: range.to,
+        timeZone,
+      },
+      summary: {
+        sessions: totals.sessions || 0,
+        ...attendance,
+        ...sessionMetrics.rates(attendance),
+        ...this.toUtilization(totals.bookedMinutes || 0, availableMinutes),
+        revenue: this.toRevenue(totals),
+      },
+      clients,
+      weeks: this.buildWeeks(range, timeZone, facets, availableByWeek),
+    };
+  }
+
+  /**
+   * Parse and check the requested range
+   */
+  getRange(from, to, timeZone) {
+    const end = to ? timezone.parseLocal(to, timeZone) : new Date();
+    const start = from
+      ? timezone.parseLocal(from, timeZone)
+      : new Date(end.getTime() - DEFAULT_WEEKS * 7 * DAY_MS);
+
+    if (start >= end) {
+      throw new BadRequestError('from must be before to');
+    }
+
+    if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+      throw new BadRequestError(`Analytics range cannot exceed ${MAX_RANGE_DAYS} days`);
+    }
+
+    return { from: start, to: end };
+  }
+
+  /**
+   * Trends are grouped by local day and rolled up into weeks afterwards
+   * (see buildWeeks), which keeps the pipeline to MongoDB 4.x operators
+   */
+  buildPipeline(coachId, range, timeZone, now = new Date()) {
+    const day = this.dayOf('$startTime', timeZone);
+
+    return [
+      {
+        $match: {
+          coachId: new mongoose.Types.ObjectId(coachId.toString()),
+          startTime: { $gte: range.from, $lt: range.to },
+        },
+      },
+      {
+        $facet: {
+          clients: [
+            ...this.participantStages(),
+            {
+              $group: {
+                _id: '$participant.clientId',
+                ...this.outcomeCounts(),
+                lastSessionAt: { $max: '$startTime' },
+              },
+            },
+            {
+              $lookup: {
+                from: User.collection.name,
+                localField: '_id',
+                foreignField: '_id',
+                as: 'client',
+              },
+            },
+            {
+              $addFields: {
+                firstName: { $first: '$client.firstName' },
+                lastName: { $first: '$client.lastName' },
+              },
+            },
+            { $project: { client: 0 } },
+            { $sort: { attended: -1, lastSessionAt: -1 } },
+          ],
+          attendanceByDay: [
+            ...this.participantStages(),
+            { $group: { _id: day, ...this.outcomeCounts() } },
+          ],
+          sessionsByDay: [
+            { $match: { status: { $in: BOOKED_STATUSES } } },
+            { $group: { _id: day, ...this.sessionTotals(now) } },
+          ],
+          totals: [
+            { $match: { status: { $in: BOOKED_STATUSES } } },
+            { $group: { _id: null, ...this.sessionTotals(now) } },
+          ],
+        },
+      },
+    ];
+  }
+
+  /**
+   * One row per client per session: 1:1 sessions map their status to an
+   * attendance outcome, group sessions use each attendee's own status
+   */
+  participantStages() {
+    return [
+      { $match: { status: { $nin: UNBOOKED_STATUSES } } },
+      {
+        $project: {
+          startTime: 1,
+          participants: {
+            $cond: [
+              '$isGroup',
+              {
+                $map: {
+                  input: '$attendees',
+                  in: { clientId: '$$this.clientId', outcome: '$$this.status' },
+                },
+              },
+              [{
+                clientId: '$clientId',
+                outcome: {
+                  $switch: {
+                    branches: [
+                      { case: { $eq: ['$status', 'completed'] }, then: 'attended' },
+                      { case: { $eq: ['$status', 'no_show'] }, then: 'no_show' },
+                      { case: { $eq: ['$policyOutcome.event', 'late_cancellation'] }, then: 'late_cancel' },
+                      { case: { $eq: ['$status', 'cancelled'] }, then: 'cancelled' },
+                    ],
+                    default: 'booked',
+                  },
+                },
+              }],
+            ],
+          },
+        },
+      },
+      { $unwind: '$participants' },
+      { $project: { startTime: 1, participant: '$participants' } },
+    ];
+  }
+
+  outcomeCounts() {
+    const count = (outcome) => ({
+      $sum: { $cond: [{ $eq: ['$participant.outcome', outcome] }, 1, 0] },
+    });
+
+    return {
+      sessions: { $sum: 1 },
+      attended: count('attended'),
+      noShows: count('no_show'),
+      lateCancels: count('late_cancel'),
+      cancellations: count('cancelled'),
+      pending: count('booked'),
+    };
+  }
+
+  sessionTotals(now = new Date()) {
+    const price = { $ifNull: ['$price', 0] };
+    const started = { $or: [{ $lte: ['$startTime', now] }, { $in: ['$status', DELIVERED_STATUSES] }] };
+
+    return {
+      sessions: { $sum: 1 },
+      bookedMinutes: {
+        $sum: { $divide: [{ $subtract: ['$endTime', '$startTime'] }, 60 * 1000] },
+      },
+      billed: { $sum: { $cond: [started, price, 0] } },
+      collected: { $sum: { $cond: ['$isPaid', price, 0] } },
+      outstanding: {
+        $sum: {
+          $cond: [
+            { $and: [{ $not: ['$isPaid'] }, { $in: ['$status', DELIVERED_STATUSES] }] },
+            price,
+            0,
+          ],
+        },
+      },
+    };
+  }
+
+  /**
+   * Local date (YYYY-MM-DD) a date falls on
+   */
+  dayOf(date, timeZone) {
+    return { $dateToString: { format: '%Y-%m-%d', date, timezone: timeZone } };
+  }
+
+  buildWeeks(range, timeZone, facets, availableByWeek) {
+    const sessionsByWeek = sessionMetrics.sumByWeek(facets.sessionsByDay);
+    const attendanceByWeek = sessionMetrics.sumByWeek(facets.attendanceByDay);
+
+    const weeks = sessionMetrics.weekKeys(range.from, range.to, timeZone).map((weekStart) => {
+      const sessions = sessionsByWeek[weekStart] || {};
+      const attendance = this.pickAttendance(attendanceByWeek[weekStart] || {});
+
+      return {
+        weekStart,
+        sessions: sessions.sessions || 0,
+        ...attendance,
+        ...sessionMetrics.rates(attendance),
+        ...this.toUtilization(sessions.bookedMinutes || 0, availableByWeek[weekStart] || 0),
+        revenue: sessionMetrics.money(sessions.billed || 0),
+      };
+    });
+
+    return sessionMetrics.withChanges(weeks);
+  }
+
+  toClient(row) {
+    const attendance = this.pickAttendance(row);
+
+    return {
+      clientId: row._id,
+      firstName: row.firstName,
+      lastName: row.lastName,
+      sessions: row.sessions,
+      ...attendance,
+      ...sessionMetrics.rates(attendance),
+      lastSessionAt: row.lastSessionAt,
+    };
+  }
+
+  pickAttendance(row) {
+    return {
+      attended: row.attended || 0,
+      noShows: row.noShows || 0,
+      lateCancels: row.lateCancels || 0,
+      cancellations: row.cancellations || 0,
+      pending: row.pending || 0,
+    };
+  }
+
+  sumAttendance(clients) {
+    return clients.reduce((sum, client) => this.pickAttendance({
+      attended: sum.attended + client.attended,
+      noShows: sum.noShows + client.noShows,
+      lateCancels: sum.lateCancels + client.lateCancels,
+      cancellations: sum.cancellations + client.cancellations,
+      pending: sum.pending + client.pending,
+    }), this.pickAttendance({}));
+  }
+
+  toUtilization(bookedMinutes, availableMinutes) {
+    return {
+      bookedHours: sessionMetrics.hours(bookedMinutes),
+      availableHours: sessionMetrics.hours(availableMinutes),
+      utilization: sessionMetrics.percent(bookedMinutes, availableMinutes),
+    };
+  }
+
+  toRevenue(totals) {
+    return {
+      billed: sessionMetrics.money(totals.billed || 0),
+      collected: sessionMetrics.money(totals.collected || 0),
+      outstanding: sessionMetrics.money(totals.outstanding || 0),
+    };
+  }
+}
+
+module.exports = new SessionAnalyticsService();
@@ -0,0 +1,302 @@
+/**
+ * Session Package Service
+ * Prepaid session packages and the credit ledger per client-coach pair
+ */
+
+const mongoose = require('mongoose');
+const SessionPackage = require('../models/sessionPackage.model');
+const CreditLedger = require('../models/creditLedger.model');
+const dataIntegrity = require('../../../common/utils/dataIntegrity');
+const {
+  BadRequestError,
+  NotFoundError,
+  ForbiddenError,
+} = require('../../../common/utils/errors');
+const logger = require('../../../common/utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SessionPackageService {
+  /**
+   * Record a package purchase and credit the client
+   */
+  async purchasePackage(coachId, data, createdBy) {
+    await dataIntegrity.validateClientExists(data.clientId);
+    await dataIntegrity.validateCoachClientRelationship(coachId, data.clientId);
+
+    const purchasedAt = data.purchasedAt ? new Date(data.purchasedAt) : new Date();
+    let { expiresAt } = data;
+
+    if (!expiresAt && data.validityDays) {
+      expiresAt = new Date(purchasedAt.getTime() + data.validityDays * DAY_MS);
+    }
+
+    if (expiresAt && new Date(expiresAt) <= purchasedAt) {
+      throw new BadRequestError('Package expiry must be after the purchase date');
+    }
+
+    const pkg = await SessionPackage.create({
+      coachId,
+      clientId: data.clientId,
+      name: data.name,
+      totalCredits: data.credits,
+      creditsRemaining: data.credits,
+      price: data.price,
+      currency: data.currency,
+      purchasedAt,
+      expiresAt,
+      notes: data.notes,
+    });
+
+    await CreditLedger.create({
+      packageId: pkg._id,
+      coachId,
+      clientId: pkg.clientId,
+      type: 'purchase',
+      credits: pkg.totalCredits,
+      balanceAfter: pkg.creditsRemaining,
+      reason: data.name,
+      createdBy,
+    });
+
+    logger.info(`Session package ${pkg._id} purchased: ${pkg.totalCredits} credits for client ${pkg.clientId}`);
+
+    return pkg;
+  }
+
+  /**
+   * List packages visible to the user
+   */
+  async getPackages(userId, userRole, filters = {}) {
+    const query = {};
+
+    if (userRole === 'client') {
+      query.clientId = userId;
+    } else if (userRole === 'coach') {
+      query.coachId = userId;
+    }
+
+    if (filters.clientId && userRole !== 'client') query.clientId = filters.clientId;
+    if (filters.coachId && userRole !== 'coach') query.coachId = filters.coachId;
+    if (filters.status) query.status = filters.status;
+
+    return SessionPackage.find(query)
+      .populate('clientId', 'firstName lastName email')
+      .sort({ purchasedAt: -1 });
+  }
+
+  /**
+   * Get a package and its ledger history
+   */
+  async getPackageLedger(packageId, userId, userRole) {
+    const pkg = await this.getPackageForParticipant(packageId, userId, userRole);
+
+    const entries = await CreditLedger.find({ packageId: pkg._id }).sort({ createdAt: -1 });
+
+    return { package: pkg, entries };
+  }
+
+  /**
+   * Manual credit correction by the coach (positive or negative)
+   */
+  async adjustCredits(packageId, userId, userRole, credits, reason) {
+    const pkg = await this.getPackageForParticipant(packageId, userId, userRole);
+
+    if (userRole === 'client') {
+      throw new ForbiddenError('Only the coach can adjust package credits');
+    }
+
+    if (!Number.isInteger(credits) || credits === 0) {
+      throw new BadRequestError('Adjustment must be a non-zero whole number of credits');
+    }
+
+    const updated = await SessionPackage.findOneAndUpdate(
+      { _id: pkg._id, creditsRemaining: { $gte: -credits } },
+      { $inc: { creditsRemaining: credits } },
+      { new: true },
+    );
+
+    if (!updated) {
+      throw new BadRequestError('Adjustment would leave the package with a negative balance');
+    }
+
+    await this.syncStatus(updated);
+
+    await CreditLedger.create({
+      packageId: updated._id,
+      coachId: updated.coachId,
+      clientId: updated.clientId,
+      type: 'adjustment',
+      credits,
+      balanceAfter: updated.creditsRemaining,
+      reason,
+      createdBy: userId,
+    });
+
+    return updated;
+  }
+
+  /**
+   * Remaining credits and nearest expiry per client for a coach
+   * @param {ObjectId} coachId
+   * @param {Array} [clientIds] - Restrict to these clients
+   * @returns {Object} Map of clientId -> { credits, packages, nextExpiry }
+   */
+  async getBalances(coachId, clientIds) {
+    if (!coachId) {
+      throw new BadRequestError('Coach ID is required');
+    }
+
+    const match = {
+      coachId: new mongoose.Types.ObjectId(coachId.toString()),
+      status: 'active',
+      creditsRemaining: { $gt: 0 },
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    };
+
+    if (clientIds) {
+      match.clientId = { $in: clientIds.map((id) => new mongoose.Types.ObjectId(id.toString())) };
+    }
+
+    const rows = await SessionPackage.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$clientId',
+          credits: { $sum: '$creditsRemaining' },
+          packages: { $sum: 1 },
+          nextExpiry: { $min: '$expiresAt' },
+        },
+      },
+    ]);
+
+    return rows.reduce((balances, row) => ({
+      ...balances,
+      [row._id.toString()]: {
+        credits: row.credits,
+        packages: row.packages,
+        nextExpiry: row.nextExpiry || null,
+      },
+    }), {});
+  }
+
+  /**
+   * Consume one credit for a completed or no-show session.
+   * Idempotent per session and client; sessions without an available
+   * credit are left unpaid.
+   */
+  async consumeCredit(session, clientId, reason) {
+    return this.drawCredit(session, clientId, 'consume', reason);
+  }
+
+  /**
+   * Forfeit a credit as a late-cancellation or no-show penalty
+   */
+  async forfeitCredit(session, clientId, reason) {
+    return this.drawCredit(session, clientId, 'forfeit', reason);
+  }
+
+  async drawCredit(session, clientId, type, reason) {
+    const existing = await CreditLedger.findOne({
+      sessionId: session._id,
+      clientId,
+      type: { $in: ['consume', 'forfeit'] },
+    });
+
+    if (existing) {
+      return existing;
+    }
+
+    const pkg = await this.takeCredit(session.coachId, clientId);
+
+    if (!pkg) {
+      logger.info(`No package credit available for client ${clientId} on session ${session._id}`);
+      return null;
+    }
+
+    try {
+      const entry = await CreditLedger.create({
+        packageId: pkg._id,
+        coachId: pkg.coachId,
+        clientId,
+        type,
+        credits: -1,
+        balanceAfter: pkg.creditsRemaining,
+        sessionId: session._id,
+        reason,
+      });
+
+      await this.syncStatus(pkg);
+
+      logger.info(`Credit ${type} for session ${session._id} from package ${pkg._id}`);
+
+      return entry;
+    } catch (error) {
+      // Lost a race with a concurrent draw for the same session; give the credit back
+      await SessionPackage.updateOne({ _id: pkg._id }, { $inc: { creditsRemaining: 1 } });
+
+      if (error.code === 11000) {
+        return CreditLedger.findOne({ sessionId: session._id, clientId, type: { $in: ['consume', 'forfeit'] } });
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Atomically take one credit, soonest-expiring package first
+   */
+  async takeCredit(coachId, clientId) {
+    const base = {
+      coachId,
+      clientId,
+      status: 'active',
+      creditsRemaining: { $gt: 0 },
+    };
+    const update = { $inc: { creditsRemaining: -1 } };
+
+    // Packages without an expiry are used last (null sorts first in MongoDB)
+    const expiring = await SessionPackage.findOneAndUpdate(
+      { ...base, expiresAt: { $gt: new Date() } },
+      update,
+      { sort: { expiresAt: 1, purchasedAt: 1 }, new: true },
+    );
+
+    if (expiring) {
+      return expiring;
+    }
+
+    return SessionPackage.findOneAndUpdate(
+      { ...base, expiresAt: null },
+      update,
+      { sort: { purchasedAt: 1 }, new: true },
+    );
+  }
+
+  async syncStatus(pkg) {
+    const status = pkg.creditsRemaining > 0 ? 'active' : 'exhausted';
+
+    if (pkg.status !== status && pkg.status !== 'cancelled') {
+      await SessionPackage.updateOne({ _id: pkg._id }, { status });
+    }
+  }
+
+  async getPackageForParticipant(packageId, userId, userRole) {
+    const pkg = await SessionPackage.findById(packageId);
+
+    if (!pkg) {
+      throw new NotFoundError('Session package');
+    }
+
+    const isParticipant = [pkg.coachId, pkg.clientId]
+      .some((id) => id.toString() === userId.toString());
+
+    if (userRole !== 'admin' && !isParticipant) {
+      throw new ForbiddenError('You do not have permission to access this package');
+    }
+
+    return pkg;
+  }
+}
+
+module.exports = new SessionPackageService();
@@ -0,0 +1,192 @@
+/**
+ * Session Policy Service
+ * Evaluates coach cancellation / no-show policies and enforces their penalties
+ */
+
+const SessionPolicy = require('../models/sessionPolicy.model');
+const Session = require('../models/session.model');
+const User = require('../../auth/models/user.model');
+const sessionPackageService = require('./sessionPackage.service');
+const sessionTimeZoneService = require('./sessionTimeZone.service');
+const notificationService = require('../../notifications/services/notification.service');
+const { BadRequestError } = require('../../../common/utils/errors');
+const logger = require('../../../common/utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class SessionPolicyService {
+  /**
+   * Get a coach's policy, falling back to the defaults when none is configured
+   */
+  async getPolicy(coachId) {
+    const policy = await SessionPolicy.findOne({ coachId });
+    return policy || new SessionPolicy({ coachId });
+  }
+
+  /**
+   * Create or replace a coach's policy
+   */
+  async updatePolicy(coachId, data) {
+    const policy = await SessionPolicy.findOneAndUpdate(
+      { coachId },
+      { ...data, coachId },
+      {
+        new: true,
+        upsert: true,
+        runValidators: true,
+        setDefaultsOnInsert: true,
+      },
+    );
+
+    logger.info(`Session policy updated for coach: ${coachId}`);
+
+    return policy;
+  }
+
+  /**
+   * Decide the outcome of a cancellation. Only client cancellations inside
+   * the window are penalized; `forceLate` is used when the coach records a
+   * late cancellation directly.
+   */
+  evaluateCancellation(policy, session, { triggeredBy, at = new Date(), forceLate = false }) {
+    const windowHours = policy.cancellationWindowHours;
+    const hoursBeforeStart = Math.round(((new Date(session.startTime) - new Date(at)) / HOUR_MS) * 100) / 100;
+    const isLate = forceLate || (triggeredBy === 'client' && hoursBeforeStart < windowHours);
+
+    if (!isLate) {
+      return {
+        event: 'cancellation',
+        penalty: 'none',
+        windowHours,
+        hoursBeforeStart,
+        triggeredBy,
+      };
+    }
+
+    return this.buildPenalty('late_cancellation', policy.lateCancel, policy, {
+      windowHours,
+      hoursBeforeStart,
+      triggeredBy,
+    });
+  }
+
+  /**
+   * Decide the outcome of a no-show
+   */
+  evaluateNoShow(policy, session, { triggeredBy }) {
+    return this.buildPenalty('no_show', policy.noShow, policy, { triggeredBy });
+  }
+
+  buildPenalty(event, rule, policy, details) {
+    const outcome = {
+      event,
+      penalty: rule.penalty,
+      ...details,
+    };
+
+    if (rule.penalty === 'fee') {
+      outcome.feeAmount = rule.feeAmount;
+      outcome.currency = policy.currency;
+    }
+
+    return outcome;
+  }
+
+  /**
+   * Evaluate and enforce the policy for a cancelled booking
+   * @returns {Object} Outcome to record on the session (or roster entry)
+   */
+  async resolveCancellation(session, clientId, options) {
+    const policy = await this.getPolicy(session.coachId);
+    const outcome = this.evaluateCancellation(policy, session, options);
+
+    return this.enforce(session, clientId, outcome);
+  }
+
+  /**
+   * Evaluate and enforce the policy for a no-show
+   */
+  async resolveNoShow(session, clientId, options) {
+    const policy = await this.getPolicy(session.coachId);
+    const outcome = this.evaluateNoShow(policy, session, options);
+
+    return this.enforce(session, clientId, outcome);
+  }
+
+  async enforce(session, clientId, outcome) {
+    if (outcome.penalty !== 'forfeit_credit') {
+      return { ...outcome, evaluatedAt: new Date() };
+    }
+
+    const entry = await sessionPackageService.forfeitCredit(session, clientId, outcome.event);
+
+    return { ...outcome, creditForfeited: Boolean(entry), evaluatedAt: new Date() };
+  }
+
+  /**
+   * Reject a client reschedule once the monthly limit has been used up
+   */
+  async assertRescheduleAllowed(coachId, clientId, at = new Date()) {
+    const policy = await this.getPolicy(coachId);
+
+    if (policy.maxReschedulesPerMonth === null || policy.maxReschedulesPerMonth === undefined) {
+      return;
+    }
+
+    const used = await this.countReschedules(coachId, clientId, at);
+
+    if (used >= policy.maxReschedulesPerMonth) {
+      throw new BadRequestError(
+        `Reschedule limit reached: ${policy.maxReschedulesPerMonth} per month allowed`,
+      );
+    }
+  }
+
+  /**
+   * Accepted reschedules proposed by the client in the calendar month (UTC) of `at`
+   */
+  async countReschedules(coachId, clientId, at = new Date()) {
+    const date = new Date(at);
+    const monthStart = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+    const monthEnd = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+    const inMonth = (entry) => entry.accepted
+      && entry.proposedBy && entry.proposedBy.toString() === clientId.toString()
+      && entry.respondedAt >= monthStart && entry.respondedAt < monthEnd;
+
+    const sessions = await Session.find({
+      coachId,
+      rescheduleHistory: {
+        $elemMatch: {
+          proposedBy: clientId,
+          accepted: true,
+          respondedAt: { $gte: monthStart, $lt: monthEnd },
+        },
+      },
+    }).select('rescheduleHistory');
+
+    return sessions.reduce((total, session) => total + session.rescheduleHistory.filter(inMonth).length, 0);
+  }
+
+  /**
+   * Let both the client and the coach know when a penalty was applied
+   */
+  async notifyOutcome(session, clientId, outcome) {
+    if (!outcome || outcome.penalty === 'none') {
+      return;
+    }
+
+    try {
+      const users = await User.find({ _id: { $in: [clientId, session.coachId] } });
+      await Promise.all(users.map(async (user) => notificationService.sendPolicyOutcome(
+        user,
+        session,
+        outcome,
+        await sessionTimeZoneService.getUserTimeZone(user),
+      )));
+    } catch (error) {
+      logger.warn(`Failed to send policy outcome for session ${session._id}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new SessionPolicyService();
@@ -0,0 +1,350 @@
+/**
+ * Session Record Service
+ * Coach note templates and the structured records written for completed sessions
+ */
+
+const Session = require('../models/session.model');
+const NoteTemplate = require('../models/noteTemplate.model');
+const SessionRecord = require('../models/sessionRecord.model');
+const noteFields = require('../utils/noteFields');
+const {
+  BadRequestError,
+  NotFoundError,
+  ForbiddenError,
+} = require('../../../common/utils/errors');
+const logger = require('../../../common/utils/logger');
+
+const TEMPLATE_FIELDS = ['name', 'description', 'fields', 'autoAttach', 'sessionTypes'];
+
+class SessionRecordService {
+  /**
+   * Create a note template for a coach
+   */
+  async createTemplate(coachId, data) {
+    this.assertValidFields(data.fields);
+
+    const template = await NoteTemplate.create({
+      ...this.pickTemplate(data),
+      coachId,
+    });
+
+    logger.info(`Note template created: ${template._id} for coach ${coachId}`);
+
+    return template;
+  }
+
+  async getTemplates(coachId, { includeArchived = false } = {}) {
+    const query = { coachId };
+
+    if (!includeArchived) {
+      query.isArchived = false;
+    }
+
+    return NoteTemplate.find(query).sort({ name: 1 });
+  }
+
+  /**
+   * Update a template. Changing the fields starts a new version; existing
+   * records keep the field definitions they were written with.
+   */
+  async updateTemplate(coachId, templateId, data) {
+    const template = await this.getCoachTemplate(coachId, templateId);
+
+    if (data.fields) {
+      this.assertValidFields(data.fields);
+      template.version += 1;
+    }
+
+    Object.assign(template, this.pickTemplate(data));
+    await template.save();
+
+    return template;
+  }
+
+  /**
+   * Archive a template (records written with it are kept)
+   */
+  async archiveTemplate(coachId, templateId) {
+    const template = await this.getCoachTemplate(coachId, templateId);
+
+    template.isArchived = true;
+    template.autoAttach = false;
+    await template.save();
+
+    return template;
+  }
+
+  /**
+   * Attach a draft record from the coach's auto-attach template once a
+   * client's session is completed. Never blocks completing the session.
+   */
+  async attachOnCompletion(session, clientId) {
+    try {
+      const templates = await NoteTemplate.find({
+        coachId: session.coachId,
+        autoAttach: true,
+        isArchived: false,
+      }).sort({ updatedAt: -1 });
+
+      // A template for this session type wins over a catch-all one
+      const template = templates.find((t) => t.sessionTypes.includes(session.type))
+        || templates.find((t) => t.sessionTypes.length === 0);
+
+      if (!template) {
+        return null;
+      }
+
+      const existing = await SessionRecord.exists({ sessionId: session._id, clientId });
+      if (existing) {
+        return null;
+      }
+
+      const { values } = noteFields.buildValues(template.fields);
+
+      return await SessionRecord.create({
+        ...this.fromTemplate(template),
+        sessionId: session._id,
+        coachId: session.coachId,
+        clientId,
+        sessionDate: session.startTime,
+        values,
+        searchText: '',
+      });
+    } catch (error) {
+      logger.warn(`Could not attach a note template to session ${session._id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Read the record for one client of a session. Clients only see records
+   * their coach finalized and shared with them.
+   */
+  async getRecord(sessionId, userId, userRole, clientId = null) {
+    const session = await this.getSession(sessionId);
+    const isClient = userRole === 'client';
+
+    if (!isClient) {
+      this.assertCoach(session, userId, userRole);
+    }
+
+    const query = {
+      sessionId: session._id,
+      clientId: isClient ? userId : this.getRecordClientId(session, clientId),
+    };
+
+    if (isClient) {
+      query.status = 'final';
+      query.sharedWithClient = true;
+    }
+
+    const record = await SessionRecord.findOne(query).populate('templateId', 'name version');
+
+    if (!record) {
+      throw new NotFoundError('Session record');
+    }
+
+    return record;
+  }
+
+  /**
+   * Create or update the structured record for a completed session
+   */
+  async saveRecord(sessionId, userId, userRole, data) {
+    const session = await this.getSession(sessionId);
+    this.assertCoach(session, userId, userRole);
+
+    const clientId = this.getRecordClientId(session, data.clientId);
+    this.assertCompleted(session, clientId);
+
+    let record = await SessionRecord.findOne({ sessionId: session._id, clientId });
+
+    if (record && record.status === 'final' && data.status === 'draft') {
+      throw new BadRequestError('A finalized record cannot be returned to draft');
+    }
+
+    const templateId = data.templateId || (record && record.templateId);
+    if (!templateId) {
+      throw new BadRequestError('templateId is required');
+    }
+
+    const template = await this.getCoachTemplate(session.coachId, templateId);
+    const sameTemplate = Boolean(record && record.templateId && record.templateId.equals(template._id));
+
+    if (template.isArchived && !sameTemplate) {
+      throw new BadRequestError('Archived templates cannot be used for new records');
+    }
+
+    // Values not sent again are kept, as long as the template still has the field
+    const keys = template.fields.map((field) => field.key);
+    const previous = sameTemplate
+      ? record.values
+        .filter((v) => keys.includes(v.key))
+        .reduce((acc, v) => ({ ...acc, [v.key]: v.value }), {})
+      : {};
+
+    const status = data.status || (record ? record.status : 'draft');
+    const { values, errors } = noteFields.buildValues(
+      template.fields,
+      { ...previous, ...(data.values || {}) },
+      { final: status === 'final' },
+    );
+
+    if (errors.length > 0) {
+      throw new BadRequestError(`Invalid session record: ${errors.join('; ')}`);
+    }
+
+    if (!record) {
+      record = new SessionRecord({
+        sessionId: session._id,
+        coachId: session.coachId,
+        clientId,
+        sessionDate: session.startTime,
+      });
+    }
+
+    Object.assign(record, this.fromTemplate(template), { values, status });
+
+    if (data.summary !== undefined) {
+      record.summary = data.summary;
+    }
+    if (data.sharedWithClient !== undefined) {
+      record.sharedWithClient = data.sharedWithClient;
+    }
+    if (status === 'final' && !record.finalizedAt) {
+      record.finalizedAt = new Date();
+    }
+
+    record.searchText = noteFields.buildSearchText(values, record.summary);
+    await record.save();
+
+    logger.info(`Session record saved for session ${session._id}, client ${clientId}`);
+
+    return record;
+  }
+
+  /**
+   * A client's record history, filterable and full-text searchable
+   * @returns {Object} { records, total }
+   */
+  async searchRecords(userId, userRole, filters = {}, options = {}) {
+    const query = {};
+
+    if (userRole === 'client') {
+      Object.assign(query, { clientId: userId, status: 'final', sharedWithClient: true });
+    } else {
+      if (userRole === 'coach') query.coachId = userId;
+      if (filters.clientId) query.clientId = filters.clientId;
+      if (filters.status) query.status = filters.status;
+    }
+
+    if (filters.templateId) query.templateId = filters.templateId;
+
+    if (filters.from || filters.to) {
+      query.sessionDate = {};
+      if (filters.from) query.sessionDate.$gte = new Date(filters.from);
+      if (filters.to) query.sessionDate.$lte = new Date(filters.to);
+    }
+
+    if (filters.q) {
+      query.$text = { $search: filters.q };
+    }
+
+    const page = options.page || 1;
+    const limit = options.limit || 20;
+
+    const [records, total] = await Promise.all([
+      SessionRecord.find(query)
+        .populate('clientId', 'firstName lastName')
+        .populate('sessionId', 'title type startTime status')
+        .sort({ sessionDate: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      SessionRecord.countDocuments(query),
+    ]);
+
+    return { records, total };
+  }
+
+  async getSession(sessionId) {
+    const session = await Session.findById(sessionId);
+
+    if (!session) {
+      throw new NotFoundError('Session');
+    }
+
+    return session;
+  }
+
+  async getCoachTemplate(coachId, templateId) {
+    const template = await NoteTemplate.findOne({ _id: templateId, coachId });
+
+    if (!template) {
+      throw new NotFoundError('Note template');
+    }
+
+    return template;
+  }
+
+  assertCoach(session, userId, userRole) {
+    if (userRole !== 'admin' && session.coachId.toString() !== userId.toString()) {
+      throw new ForbiddenError('Only the coach can manage session records');
+    }
+  }
+
+  /**
+   * Group sessions keep one record per attendee, so the client must be named
+   */
+  getRecordClientId(session, clientId) {
+    if (!session.isGroup) {
+      return session.clientId;
+    }
+
+    if (!clientId) {
+      throw new BadRequestError('clientId is required for group sessions');
+    }
+
+    return clientId;
+  }
+
+  assertCompleted(session, clientId) {
+    if (!session.isGroup) {
+      if (session.status !== 'completed') {
+        throw new BadRequestError('Records can only be written for completed sessions');
+      }
+      return;
+    }
+
+    const attendee = [...session.attendees].reverse().find(
+      (a) => a.clientId.toString() === clientId.toString() && a.status !== 'cancelled',
+    );
+
+    if (!attendee || attendee.status !== 'attended') {
+      throw new BadRequestError('Records can only be written for attendees marked as attended');
+    }
+  }
+
+  assertValidFields(fields) {
+    const errors = noteFields.validateDefinitions(fields);
+
+    if (errors.length > 0) {
+      throw new BadRequestError(`Invalid template fields: ${errors.join('; ')}`);
+    }
+  }
+
+  fromTemplate(template) {
+    return {
+      templateId: template._id,
+      templateName: template.name,
+      templateVersion: template.version,
+    };
+  }
+
+  pickTemplate(source) {
+    return TEMPLATE_FIELDS
+      .filter((field) => source[field] !== undefined)
+      .reduce((template, field) => ({ ...template, [field]: source[field] }), {});
+  }
+}
+
+module.exports = new SessionRecordService();
@@ -0,0 +1,192 @@
+/**
+ * Session Reminder Service
+ * Finds upcoming sessions and sends each configured reminder exactly once
+ */
+
+const Session = require('../models/session.model');
+const sessionPolicyService = require('./sessionPolicy.service');
+const sessionTimeZoneService = require('./sessionTimeZone.service');
+const notificationService = require('../../notifications/services/notification.service');
+const logger = require('../../../common/utils/logger');
+
+const REMINDABLE_STATUSES = ['scheduled', 'confirmed'];
+
+// Largest offset a coach can configure (7 days)
+const MAX_OFFSET_MINUTES = 10080;
+
+const MINUTE_MS = 60 * 1000;
+
+const RECIPIENT_FIELDS = 'firstName lastName email phone pushToken preferences role';
+
+class SessionReminderService {
+  /**
+   * Send every reminder that has come due.
+   * Safe to run concurrently on several instances: each reminder offset is
+   * claimed with a conditional update before anything is sent.
+   * @returns {Object} { sent, skipped, failed }
+   */
+  async dispatchDueReminders(now = new Date()) {
+    const stats = { sent: 0, skipped: 0, failed: 0 };
+    const offsetsByCoach = new Map();
+
+    const getOffsets = async (coachId) => {
+      const key = coachId.toString();
+      if (!offsetsByCoach.has(key)) {
+        const policy = await sessionPolicyService.getPolicy(coachId);
+        offsetsByCoach.set(key, policy.reminderOffsetsMinutes);
+      }
+      return offsetsByCoach.get(key);
+    };
+
+    // Served by the { status, startTime } index
+    const cursor = Session.find({
+      status: { $in: REMINDABLE_STATUSES },
+      startTime: { $gt: now, $lte: new Date(now.getTime() + MAX_OFFSET_MINUTES * MINUTE_MS) },
+    })
+      .select('coachId startTime reminders')
+      .cursor();
+
+    await cursor.eachAsync(async (session) => {
+      const offsets = await getOffsets(session.coachId);
+      const handled = session.reminders.map((r) => r.offsetMinutes);
+      const due = this.getDueOffsets(offsets, session.startTime, now, handled);
+
+      if (due.length === 0) {
+        return;
+      }
+
+      const result = await this.sendReminder(session._id, due);
+
+      if (result) {
+        stats[result.status] += 1;
+        stats.skipped += due.length - 1;
+      }
+    });
+
+    return stats;
+  }
+
+  /**
+   * Offsets whose reminder time has passed and that were not handled yet,
+   * closest to the session first
+   */
+  getDueOffsets(offsets, startTime, now, handled = []) {
+    const minutesUntilStart = (new Date(startTime) - new Date(now)) / MINUTE_MS;
+
+    return [...new Set(offsets)]
+      .filter((offset) => offset >= minutesUntilStart && !handled.includes(offset))
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Reminder entries that claim the due offsets: the closest one is sent,
+   * older offsets that were missed (e.g. the session was booked late) are
+   * marked skipped rather than sending several reminders at once
+   */
+  buildClaim(dueOffsets) {
+    const [offset, ...missed] = dueOffsets;
+
+    return [
+      { offsetMinutes: offset, status: 'sending' },
+      ...missed.map((offsetMinutes) => ({ offsetMinutes, status: 'skipped' })),
+    ];
+  }
+
+  /**
+   * Outcome of a reminder: failed when it errored for every recipient (it is
+   * retried), sent when it went out over at least one channel, and skipped
+   * when there was no one to send it to or no channel to send it over
+   */
+  getStatus(recipientCount, channels, errorCount) {
+    if (recipientCount > 0 && errorCount === recipientCount) {
+      return 'failed';
+    }
+
+    return channels.length > 0 ? 'sent' : 'skipped';
+  }
+
+  /**
+   * Claim the due offsets and send the closest one. A reminder that could
+   * not be sent to anyone is released again, so the next run retries it.
+   */
+  async sendReminder(sessionId, dueOffsets) {
+    const [offset] = dueOffsets;
+
+    const session = await Session.findOneAndUpdate(
+      {
+        _id: sessionId,
+        status: { $in: REMINDABLE_STATUSES },
+        'reminders.offsetMinutes': { $nin: dueOffsets },
+      },
+      { $push: { reminders: { $each: this.buildClaim(dueOffsets) } } },
+      { new: true },
+    )
+      .populate('coachId', 'firstName lastName')
+      .populate('clientId', RECIPIENT_FIELDS)
+      .populate('attendees.clientId', RECIPIENT_FIELDS);
+
+    // Claimed by another instance, or cancelled in the meantime
+    if (!session) {
+      return null;
+    }
+
+    const recipients = session.isGroup
+      ? session.attendees.filter((a) => a.status === 'booked' && a.clientId).map((a) => a.clientId)
+      : [session.clientId].filter(Boolean);
+
+    const channels = new Set();
+    const errors = [];
+
+    await Promise.all(recipients.map(async (client) => {
+      try {
+        const timeZone = await sessionTimeZoneService.getUserTimeZone(client);
+        const results = await notificationService.sendSessionReminder(session, client, timeZone);
+        // Channels that are off or not configured report success: false
+        Object.keys(results)
+          .filter((channel) => results[channel] && results[channel].success !== false)
+          .forEach((channel) => channels.add(channel));
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }));
+
+    const status = this.getStatus(recipients.length, [...channels], errors.length);
+
+    if (status === 'failed') {
+      await Session.updateOne(
+        { _id: session._id },
+        { $pull: { reminders: { offsetMinutes: offset, status: 'sending' } } },
+      );
+
+      logger.warn(`Session reminder (${offset} min) failed for session ${session._id}, will retry: ${errors.join('; ')}`);
+
+      return { status };
+    }
+
+    const sentAt = new Date();
+    const update = {
+      'reminders.$.status': status,
+      'reminders.$.channels': [...channels],
+    };
+
+    if (status === 'sent') {
+      Object.assign(update, {
+        'reminders.$.sentAt': sentAt,
+        'reminder.sent': true,
+        'reminder.sentAt': sentAt,
+      });
+    }
+
+    if (errors.length > 0) {
+      update['reminders.$.error'] = errors.join('; ');
+    }
+
+    await Session.updateOne({ _id: session._id, 'reminders.offsetMinutes': offset }, { $set: update });
+
+    logger.info(`Session reminder (${offset} min) ${status} for session ${session._id}`);
+
+    return { status };
+  }
+}
+
+module.exports = new SessionReminderService();
@@ -0,0 +1,353 @@
+/**
+ * Session Series Service
+ * Recurring sessions: series generation, per-occurrence exceptions and
+ * "this and following" edits
+ */
+
+const Session = require('../models/session.model');
+const SessionSeries = require('../models/sessionSeries.model');
+const availabilityService = require('./availability.service');
+const sessionTimeZoneService = require('./sessionTimeZone.service');
+const meetingLinkService = require('./meetingLink.service');
+const recurrenceUtil = require('../utils/recurrence');
+const dataIntegrity = require('../../../common/utils/dataIntegrity');
+const {
+  APIError,
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  ForbiddenError,
+} = require('../../../common/utils/errors');
+const logger = require('../../../common/utils/logger');
+
+const MAX_SERIES_OCCURRENCES = 104;
+
+// Series fields copied onto every generated occurrence
+const TEMPLATE_FIELDS = ['title', 'type', 'location', 'meetingLink', 'notes', 'price'];
+
+// Occurrences still open for changes when a series is edited
+const OPEN_STATUSES = ['scheduled', 'confirmed', 'reschedule_proposed'];
+
+const MINUTE_MS = 60 * 1000;
+
+class SessionSeriesService {
+  /**
+   * Create a recurring series and materialize all of its occurrences
+   */
+  async createSeries(sessionData) {
+    const recurrence = recurrenceUtil.normalize(sessionData.recurrence);
+
+    if (!recurrence.count && !recurrence.until) {
+      throw new BadRequestError('Recurring sessions require an end date (until) or an occurrence count');
+    }
+
+    const startTime = new Date(sessionData.startTime);
+    const duration = Math.round((new Date(sessionData.endTime) - startTime) / MINUTE_MS);
+
+    const starts = this.expandOccurrences(recurrence, startTime, sessionData.timeZone);
+
+    await this.validateOccurrences(sessionData.coachId, starts, duration);
+
+    const series = await SessionSeries.create({
+      ...this.pickTemplate(sessionData),
+      coachId: sessionData.coachId,
+      clientId: sessionData.clientId,
+      startTime,
+      timeZone: sessionData.timeZone,
+      duration,
+      recurrence,
+      rrule: recurrenceUtil.toRule(recurrence),
+    });
+
+    // Every virtual occurrence gets its own meeting room
+    const occurrences = await meetingLinkService.provisionAll(this.buildOccurrences(series, starts));
+    const sessions = await Session.insertMany(occurrences);
+
+    logger.info(`Session series created: ${series._id} with ${sessions.length} occurrences`);
+
+    return { series, sessions };
+  }
+
+  /**
+   * Get a series with its occurrences
+   */
+  async getSeries(seriesId, userId, userRole) {
+    const series = await SessionSeries.findById(seriesId);
+
+    if (!series) {
+      throw new NotFoundError('Session series');
+    }
+
+    const isParticipant = [series.coachId, series.clientId]
+      .some((id) => id.toString() === userId.toString());
+
+    if (userRole !== 'admin' && !isParticipant) {
+      throw new ForbiddenError('You do not have permission to access this series');
+    }
+
+    const sessions = await Session.find({ seriesId }).sort({ startTime: 1 });
+
+    return { series, sessions };
+  }
+
+  /**
+   * Record that an occurrence diverged from its series (edited or cancelled)
+   */
+  async recordException(session, type) {
+    if (!session.seriesId) {
+      return;
+    }
+
+    const originalStartTime = session.originalStartTime || session.startTime;
+
+    await SessionSeries.updateOne(
+      { _id: session.seriesId },
+      { $pull: { exceptions: { originalStartTime } } },
+    );
+
+    await SessionSeries.updateOne(
+      { _id: session.seriesId },
+      {
+        $push: {
+          exceptions: {
+            originalStartTime,
+            type,
+            sessionId: session._id,
+          },
+        },
+      },
+    );
+  }
+
+  /**
+   * Edit this occurrence and all following ones.
+   * The current series is ended before this occurrence and a new series
+   * takes over from it with the updated template and/or schedule.
+   */
+  async updateFollowing(sessionId, userId, userRole, updates) {
+    const session = await Session.findById(sessionId);
+
+    if (!session) {
+      throw new NotFoundError('Session');
+    }
+
+    if (!session.seriesId) {
+      throw new BadRequestError('Session is not part of a recurring series');
+    }
+
+    if (userRole !== 'admin' && session.coachId.toString() !== userId.toString()) {
+      throw new ForbiddenError('Only the coach can edit a recurring series');
+    }
+
+    const series = await SessionSeries.findById(session.seriesId);
+
+    if (!series) {
+      throw new NotFoundError('Session series');
+    }
+
+    const cutoff = session.originalStartTime || session.startTime;
+    const oldRecurrence = series.toObject().recurrence;
+
+    // Occurrences generated before the cutoff stay with the old series
+    const previousCount = this.expandOccurrences(oldRecurrence, series.startTime, series.timeZone)
+      .filter((start) => start < cutoff)
+      .length;
+
+    // Offset-less times are wall-clock times in the series' zone
+    const timeZone = updates.timeZone || series.timeZone;
+    const times = sessionTimeZoneService.parseTimes(updates, timeZone);
+
+    const newStart = times.startTime || cutoff;
+    const duration = times.startTime && times.endTime
+      ? Math.round((times.endTime - newStart) / MINUTE_MS)
+      : series.duration;
+
+    if (duration <= 0) {
+      throw new BadRequestError('session time start must be before end date');
+    }
+
+    dataIntegrity.validateFutureDate(newStart, 'session start');
+
+    let newRecurrence;
+    if (updates.recurrence) {
+      newRecurrence = recurrenceUtil.normalize(updates.recurrence);
+    } else {
+      newRecurrence = { ...oldRecurrence };
+      if (oldRecurrence.count) {
+        newRecurrence.count = oldRecurrence.count - previousCount;
+      }
+    }
+
+    if (!newRecurrence.count && !newRecurrence.until) {
+      throw new BadRequestError('Recurring sessions require an end date (until) or an occurrence count');
+    }
+
+    const scheduleChanged = newStart.getTime() !== cutoff.getTime()
+      || duration !== series.duration
+      || timeZone !== series.timeZone
+      || Boolean(updates.recurrence);
+
+    // Cancelled occurrences stay cancelled as long as the schedule is unchanged
+    const carriedExceptions = scheduleChanged
+      ? []
+      : series.exceptions.filter((e) => e.type === 'cancelled' && e.originalStartTime >= cutoff);
+    const cancelledStarts = carriedExceptions.map((e) => e.originalStartTime.getTime());
+
+    const starts = this.expandOccurrences(newRecurrence, newStart, timeZone)
+      .filter((start) => !cancelledStarts.includes(start.getTime()));
+
+    const following = await Session.find({
+      seriesId: series._id,
+      originalStartTime: { $gte: cutoff },
+      status: { $in: OPEN_STATUSES },
+    }).select('_id originalStartTime meeting meetingLink type');
+    const followingIds = following.map((s) => s._id);
+
+    await this.validateOccurrences(series.coachId, starts, duration, followingIds);
+
+    const newSeries = await SessionSeries.create({
+      ...this.pickTemplate(series),
+      ...this.pickTemplate(updates),
+      coachId: series.coachId,
+      clientId: series.clientId,
+      startTime: newStart,
+      timeZone,
+      duration,
+      recurrence: newRecurrence,
+      rrule: recurrenceUtil.toRule(newRecurrence),
+      exceptions: carriedExceptions.map((e) => ({
+        originalStartTime: e.originalStartTime,
+        type: e.type,
+        sessionId: e.sessionId,
+      })),
+      previousSeriesId: series._id,
+    });
+
+    // End the old series just before the cutoff
+    series.recurrence.until = new Date(cutoff.getTime() - 1);
+    series.recurrence.count = oldRecurrence.count ? previousCount : undefined;
+    series.rrule = recurrenceUtil.toRule(series.recurrence);
+    series.status = 'ended';
+    await series.save();
+
+    const occurrences = await this.carryMeetings(
+      this.buildOccurrences(newSeries, starts),
+      following,
+      scheduleChanged,
+    );
+
+    await Session.deleteMany({ _id: { $in: followingIds } });
+    const sessions = await Session.insertMany(occurrences);
+
+    // Cancelled occurrences now belong to the new series
+    await Session.updateMany(
+      { _id: { $in: carriedExceptions.map((e) => e.sessionId).filter(Boolean) } },
+      { seriesId: newSeries._id },
+    );
+
+    logger.info(`Session series ${series._id} split at ${cutoff.toISOString()} into ${newSeries._id}`);
+
+    return { series: newSeries, sessions };
+  }
+
+  /**
+   * Occurrences whose time is unchanged keep their meeting rooms; rooms of
+   * moved or dropped occurrences are revoked and new ones created
+   */
+  async carryMeetings(occurrences, previous, scheduleChanged) {
+    const rooms = new Map(scheduleChanged ? [] : previous
+      .filter((session) => meetingLinkService.hasGeneratedMeeting(session))
+      .map((session) => [session.originalStartTime.getTime(), session]));
+
+    occurrences.forEach((occurrence) => {
+      const session = rooms.get(occurrence.originalStartTime.getTime());
+
+      if (session && occurrence.type === 'virtual' && !occurrence.meetingLink) {
+        const {
+          provider, roomId, url, createdAt,
+        } = session.meeting;
+
+        Object.assign(occurrence, {
+          meeting: {
+            provider, roomId, url, createdAt,
+          },
+          meetingLink: url,
+        });
+      }
+    });
+
+    const carried = new Set(occurrences.filter((o) => o.meeting).map((o) => o.meeting.roomId));
+    await meetingLinkService.revokeAll(previous.filter(
+      (session) => meetingLinkService.hasGeneratedMeeting(session) && !carried.has(session.meeting.roomId),
+    ));
+
+    return meetingLinkService.provisionAll(occurrences);
+  }
+
+  expandOccurrences(recurrence, startTime, timeZone = 'UTC') {
+    const starts = recurrenceUtil.expand(recurrence, startTime, {
+      limit: MAX_SERIES_OCCURRENCES + 1,
+      timeZone,
+    });
+
+    if (starts.length === 0) {
+      throw new BadRequestError('Recurrence rule does not produce any sessions');
+    }
+
+    if (starts.length > MAX_SERIES_OCCURRENCES) {
+      throw new BadRequestError(`A series cannot have more than ${MAX_SERIES_OCCURRENCES} sessions`);
+    }
+
+    return starts;
+  }
+
+  /**
+   * Check every occurrence against availability and existing bookings,
+   * reporting all conflicting dates at once
+   */
+  async validateOccurrences(coachId, starts, duration, excludeSessionIds = []) {
+    const results = await Promise.allSettled(starts.map((start) => availabilityService.validateBookable(
+      coachId,
+      start,
+      new Date(start.getTime() + duration * MINUTE_MS),
+      excludeSessionIds,
+    )));
+
+    const conflicts = [];
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        if (!(result.reason instanceof APIError)) {
+          throw result.reason;
+        }
+        conflicts.push(starts[index].toISOString());
+      }
+    });
+
+    if (conflicts.length > 0) {
+      throw new ConflictError(`Coach is not available for these occurrences: ${conflicts.join(', ')}`);
+    }
+  }
+
+  buildOccurrences(series, starts) {
+    return starts.map((start) => ({
+      ...this.pickTemplate(series),
+      coachId: series.coachId,
+      clientId: series.clientId,
+      startTime: start,
+      endTime: new Date(start.getTime() + series.duration * MINUTE_MS),
+      duration: series.duration,
+      timeZone: series.timeZone,
+      seriesId: series._id,
+      originalStartTime: start,
+      status: 'scheduled',
+    }));
+  }
+
+  pickTemplate(source) {
+    return TEMPLATE_FIELDS
+      .filter((field) => source[field] !== undefined)
+      .reduce((template, field) => ({ ...template, [field]: source[field] }), {});
+  }
+}
+
+module.exports = new SessionSeriesService();
@@ -0,0 +1,102 @@
+/**
+ * Session Time Zone Service
+ * Resolves participants' time zones and localizes session times
+ */
+
+const User = require('../../auth/models/user.model');
+const ClientProfile = require('../../clients/models/clientProfile.model');
+const timezone = require('../../../common/utils/timezone');
+const { BadRequestError } = require('../../../common/utils/errors');
+
+class SessionTimeZoneService {
+  /**
+   * A user's time zone: the client profile's schedule zone for clients,
+   * then the account preference, then UTC
+   * @param {Object|ObjectId} user - User document (with role and preferences) or ID
+   */
+  async getUserTimeZone(user) {
+    const doc = user && user.preferences
+      ? user
+      : await User.findById(user).select('role preferences');
+
+    if (!doc) {
+      return timezone.resolve();
+    }
+
+    let profileTimeZone;
+    if (doc.role === 'client') {
+      const profile = await ClientProfile.findOne({ userId: doc._id }).select('schedule.timeZone');
+      profileTimeZone = profile && profile.schedule && profile.schedule.timeZone;
+    }
+
+    return timezone.resolve(profileTimeZone, doc.preferences && doc.preferences.timezone);
+  }
+
+  /**
+   * Zone used for a request: an explicit ?timeZone= wins over the user's own zone
+   */
+  async getViewerTimeZone(user, requested) {
+    return timezone.isValid(requested) ? requested : this.getUserTimeZone(user);
+  }
+
+  /**
+   * Read offset-less startTime / endTime values as wall-clock time in the zone
+   */
+  parseTimes(data, timeZone) {
+    if (!timezone.isValid(timeZone)) {
+      throw new BadRequestError(`Unknown time zone: ${timeZone}`);
+    }
+
+    const times = {};
+
+    ['startTime', 'endTime'].forEach((field) => {
+      if (data[field]) {
+        times[field] = timezone.parseLocal(data[field], timeZone);
+      }
+    });
+
+    return { ...data, ...times };
+  }
+
+  /**
+   * Plain session object with a `local` block of times in the viewer's zone
+   */
+  localize(session, timeZone) {
+    if (!session) {
+      return session;
+    }
+
+    const data = typeof session.toObject === 'function' ? session.toObject() : { ...session };
+
+    return {
+      ...data,
+      local: {
+        timeZone,
+        startTime: timezone.toLocalIso(data.startTime, timeZone),
+        endTime: timezone.toLocalIso(data.endTime, timeZone),
+        display: timezone.format(data.startTime, timeZone),
+      },
+    };
+  }
+
+  localizeAll(sessions, timeZone) {
+    return sessions.map((session) => this.localize(session, timeZone));
+  }
+
+  /**
+   * Localize a session, a list of sessions or a series with its occurrences
+   */
+  localizeResult(result, timeZone) {
+    if (Array.isArray(result)) {
+      return this.localizeAll(result, timeZone);
+    }
+
+    if (result && result.sessions) {
+      return { ...result, sessions: this.localizeAll(result.sessions, timeZone) };
+    }
+
+    return this.localize(result, timeZone);
+  }
+}
+
+module.exports = new SessionTimeZoneService();
@@ -0,0 +1,158 @@
+/**
+ * iCalendar Generator
+ * Serializes sessions as RFC 5545 VEVENTs for calendar feeds and downloads
+ */
+
+const PRODUCT_ID = '-//CoachFlow//Sessions//EN';
+const UID_DOMAIN = 'coachflow';
+
+// Session status -> VEVENT STATUS
+const EVENT_STATUS = {
+  requested: 'TENTATIVE',
+  reschedule_proposed: 'TENTATIVE',
+  scheduled: 'CONFIRMED',
+  confirmed: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  no_show: 'CONFIRMED',
+  cancelled: 'CANCELLED',
+  declined: 'CANCELLED',
+};
+
+// Lines longer than this (in octets) must be folded
+const MAX_LINE_OCTETS = 75;
+
+class IcsGenerator {
+  /**
+   * Build a VCALENDAR document
+   * @param {Array} sessions
+   * @param {Object} [options]
+   * @param {String} [options.name] - Calendar display name
+   * @param {ObjectId} [options.viewerId] - User the calendar is for (per-attendee status in group sessions)
+   * @returns {String}
+   */
+  buildCalendar(sessions, { name = 'CoachFlow Sessions', viewerId = null } = {}) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this.escapeText(name)}`,
+      ...sessions.flatMap((session) => this.buildEvent(session, viewerId)),
+      'END:VCALENDAR',
+    ];
+
+    return `${lines.map((line) => this.foldLine(line)).join('\r\n')}\r\n`;
+  }
+
+  /**
+   * VEVENT lines for one session. UID is stable so calendar clients update
+   * the existing event on reschedule; SEQUENCE increases with every change.
+   */
+  buildEvent(session, viewerId = null) {
+    const updatedAt = new Date(session.updatedAt || session.createdAt || Date.now());
+    const description = [session.notes, session.meetingLink && `Join: ${session.meetingLink}`]
+      .filter(Boolean)
+      .join('\n');
+
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${session._id}@${UID_DOMAIN}`,
+      `DTSTAMP:${this.formatDate(updatedAt)}`,
+      `LAST-MODIFIED:${this.formatDate(updatedAt)}`,
+      `SEQUENCE:${Math.floor(updatedAt.getTime() / 1000)}`,
+      `DTSTART:${this.formatDate(session.startTime)}`,
+      `DTEND:${this.formatDate(session.endTime)}`,
+      `SUMMARY:${this.escapeText(session.title)}`,
+      `STATUS:${this.getStatus(session, viewerId)}`,
+    ];
+
+    if (description) {
+      lines.push(`DESCRIPTION:${this.escapeText(description)}`);
+    }
+
+    if (session.location || session.meetingLink) {
+      lines.push(`LOCATION:${this.escapeText(session.location || session.meetingLink)}`);
+    }
+
+    if (session.meetingLink) {
+      lines.push(`URL:${session.meetingLink}`);
+    }
+
+    lines.push('END:VEVENT');
+
+    return lines;
+  }
+
+  /**
+   * A group class stays on the calendar only while the viewer holds a place
+   * (tentative while waitlisted)
+   */
+  getStatus(session, viewerId) {
+    const status = EVENT_STATUS[session.status] || 'CONFIRMED';
+
+    if (!session.isGroup || !viewerId || status === 'CANCELLED') {
+      return status;
+    }
+
+    const coachId = session.coachId && (session.coachId._id || session.coachId);
+    if (coachId && coachId.toString() === viewerId.toString()) {
+      return status;
+    }
+
+    const isViewer = (entry) => {
+      const id = entry.clientId && (entry.clientId._id || entry.clientId);
+      return Boolean(id) && id.toString() === viewerId.toString();
+    };
+
+    if ((session.attendees || []).some((a) => isViewer(a) && ['booked', 'attended', 'no_show'].includes(a.status))) {
+      return status;
+    }
+
+    return (session.waitlist || []).some(isViewer) ? 'TENTATIVE' : 'CANCELLED';
+  }
+
+  /**
+   * UTC DATE-TIME value (20300107T100000Z)
+   */
+  formatDate(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Escape a TEXT value (RFC 5545 section 3.3.11)
+   */
+  escapeText(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Fold a content line to 75 octets, continuing with a leading space
+   */
+  foldLine(line) {
+    if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) {
+      return line;
+    }
+
+    const parts = [];
+    let current = '';
+
+    Array.from(line).forEach((char) => {
+      const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+      if (Buffer.byteLength(current + char) > limit) {
+        parts.push(current);
+        current = '';
+      }
+      current += char;
+    });
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  }
+}
+
+module.exports = new IcsGenerator();
@@ -0,0 +1,357 @@
+/**
+ * iCalendar Parser
+ * Reads VEVENTs from external calendars and expands them into busy blocks
+ *
+ * Supported: DTSTART/DTEND/DURATION (UTC, TZID, floating and all-day values),
+ * RRULE (via the recurrence utilities, plus YEARLY as 12-monthly), EXDATE,
+ * RECURRENCE-ID overrides, STATUS:CANCELLED and TRANSP:TRANSPARENT.
+ */
+
+const recurrenceUtil = require('./recurrence');
+const timezone = require('../../../common/utils/timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Windows zone names some calendar servers emit instead of IANA ids
+const WINDOWS_TIME_ZONES = {
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'Mountain Standard Time': 'America/Denver',
+  'Central Standard Time': 'America/Chicago',
+  'Eastern Standard Time': 'America/New_York',
+  'GMT Standard Time': 'Europe/London',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+  'India Standard Time': 'Asia/Kolkata',
+  'Tokyo Standard Time': 'Asia/Tokyo',
+  UTC: 'UTC',
+};
+
+// RRULE parts the expansion understands; anything else is not expanded
+const SUPPORTED_RULE_PARTS = ['FREQ', 'INTERVAL', 'BYDAY', 'COUNT', 'UNTIL', 'WKST'];
+
+class IcsParser {
+  /**
+   * Parse the VEVENTs of an iCalendar document
+   * @param {String} text - ICS content
+   * @param {Object} [options]
+   * @param {String} [options.timeZone] - Zone for floating times (default UTC)
+   * @returns {Array} Parsed events
+   */
+  parse(text, { timeZone = 'UTC' } = {}) {
+    const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const events = [];
+    let current = null;
+
+    lines.forEach((line) => {
+      if (line === 'BEGIN:VEVENT') {
+        current = { exdates: [] };
+        return;
+      }
+
+      if (line === 'END:VEVENT') {
+        if (current && current.start) {
+          events.push(this.finalizeEvent(current));
+        }
+        current = null;
+        return;
+      }
+
+      if (!current) {
+        return;
+      }
+
+      const property = this.parseLine(line);
+      if (!property) {
+        return;
+      }
+
+      const { name, params, value } = property;
+
+      try {
+        Object.assign(current, this.readProperty(current, name, params, value, timeZone));
+      } catch (error) {
+        current.invalid = error.message;
+      }
+    });
+
+    return events;
+  }
+
+  /**
+   * Event fields set by one property
+   */
+  readProperty(event, name, params, value, timeZone) {
+    switch (name) {
+      case 'UID':
+        return { uid: value };
+      case 'SUMMARY':
+        return { summary: value };
+      case 'DTSTART':
+        return {
+          ...this.parseDateValue(value, params, timeZone),
+          timeZone: this.resolveTimeZone(params.TZID) || timeZone,
+        };
+      case 'DTEND':
+        return { end: this.parseDateValue(value, params, timeZone).start };
+      case 'DURATION':
+        return { durationMs: this.parseDuration(value) };
+      case 'RRULE':
+        return { rrule: value };
+      case 'EXDATE':
+        return {
+          exdates: [
+            ...event.exdates,
+            ...value.split(',').map((date) => this.parseDateValue(date, params, timeZone).start),
+          ],
+        };
+      case 'RECURRENCE-ID':
+        return { recurrenceId: this.parseDateValue(value, params, timeZone).start };
+      case 'STATUS':
+        return { status: value.toUpperCase() };
+      case 'TRANSP':
+        return { transparent: value.toUpperCase() === 'TRANSPARENT' };
+      default:
+        return {};
+    }
+  }
+
+  finalizeEvent(event) {
+    let { end } = event;
+
+    if (!end) {
+      // RFC 5545: all-day events default to one day, timed events to zero length
+      end = new Date(event.start.getTime() + (event.durationMs || (event.allDay ? DAY_MS : 0)));
+    }
+
+    return { ...event, end };
+  }
+
+  /**
+   * Split a content line into name, parameters and value
+   */
+  parseLine(line) {
+    let inQuotes = false;
+    let separator = -1;
+
+    for (let i = 0; i < line.length; i += 1) {
+      if (line[i] === '"') inQuotes = !inQuotes;
+      if (line[i] === ':' && !inQuotes) {
+        separator = i;
+        break;
+      }
+    }
+
+    if (separator === -1) {
+      return null;
+    }
+
+    const [name, ...paramParts] = line.slice(0, separator).split(';');
+    const params = paramParts.reduce((acc, part) => {
+      const [key, val = ''] = part.split('=');
+      return { ...acc, [key.toUpperCase()]: val.replace(/^"|"$/g, '') };
+    }, {});
+
+    return { name: name.toUpperCase(), params, value: line.slice(separator + 1) };
+  }
+
+  /**
+   * Parse a DATE / DATE-TIME value into a UTC instant
+   * @returns {Object} { start, allDay }
+   */
+  parseDateValue(value, params, defaultTimeZone) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+
+    if (!match) {
+      throw new Error(`Invalid iCalendar date: ${value}`);
+    }
+
+    const [, year, month, day, hour, minute, second, utc] = match;
+    const parts = {
+      year: parseInt(year, 10),
+      month: parseInt(month, 10),
+      day: parseInt(day, 10),
+      hour: parseInt(hour || '0', 10),
+      minute: parseInt(minute || '0', 10),
+      second: parseInt(second || '0', 10),
+    };
+    const allDay = params.VALUE === 'DATE' || hour === undefined;
+
+    if (utc) {
+      return {
+        start: new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)),
+        allDay,
+      };
+    }
+
+    const zone = this.resolveTimeZone(params.TZID) || defaultTimeZone;
+
+    return { start: timezone.toUtc(parts, zone), allDay };
+  }
+
+  resolveTimeZone(tzid) {
+    if (!tzid) {
+      return null;
+    }
+
+    const zone = WINDOWS_TIME_ZONES[tzid] || tzid;
+
+    return timezone.isValid(zone) ? zone : null;
+  }
+
+  /**
+   * Parse an ISO 8601 duration (P1W, PT1H30M, P1DT2H)
+   */
+  parseDuration(value) {
+    const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+
+    if (!match) {
+      return 0;
+    }
+
+    const [, sign, weeks, days, hours, minutes, seconds] = match.map((part, index) => (
+      index > 1 ? parseInt(part || '0', 10) : part
+    ));
+
+    const ms = ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+
+    return sign === '-' ? -ms : ms;
+  }
+
+  /**
+   * Expand parsed events into busy blocks inside [from, to]
+   * @returns {Object} { blocks: [{ uid, summary, startTime, endTime }], warnings: [String] }
+   */
+  toBusyBlocks(events, { from, to }) {
+    const rangeStart = new Date(from);
+    const rangeEnd = new Date(to);
+    const warnings = [];
+
+    const isBusy = (event) => event.status !== 'CANCELLED' && !event.transparent;
+
+    // Instances moved or cancelled individually replace their generated occurrence
+    const overridden = events
+      .filter((event) => event.recurrenceId)
+      .reduce((acc, event) => {
+        acc.add(`${event.uid}|${event.recurrenceId.getTime()}`);
+        return acc;
+      }, new Set());
+
+    const blocks = [];
+
+    events.filter((event) => event.invalid).forEach((event) => {
+      warnings.push(`Skipped "${event.summary || event.uid}": ${event.invalid}`);
+    });
+
+    events.filter((event) => !event.invalid && isBusy(event)).forEach((event) => {
+      const duration = event.end - event.start;
+      const starts = event.rrule && !event.recurrenceId
+        ? this.expandEvent(event, { rangeStart, rangeEnd }, warnings)
+        : [event.start];
+
+      const excluded = new Set(event.exdates.map((date) => date.getTime()));
+
+      starts
+        .filter((start) => !excluded.has(start.getTime()))
+        .filter((start) => event.recurrenceId || !overridden.has(`${event.uid}|${start.getTime()}`))
+        .forEach((start) => {
+          const end = new Date(start.getTime() + duration);
+          if (start < rangeEnd && end > rangeStart) {
+            blocks.push({
+              uid: event.uid,
+              summary: event.summary,
+              startTime: start,
+              endTime: end,
+            });
+          }
+        });
+    });
+
+    return { blocks, warnings };
+  }
+
+  /**
+   * Expand a recurring event in its own wall-clock time so that occurrences
+   * keep their local time across DST changes
+   */
+  expandEvent(event, { rangeStart, rangeEnd }, warnings) {
+    const rule = this.toRecurrence(event.rrule);
+
+    if (!rule) {
+      warnings.push(`Unsupported recurrence for "${event.summary || event.uid}" (${event.rrule}); `
+        + 'only the first occurrence was imported');
+      return [event.start];
+    }
+
+    const zone = event.timeZone;
+
+    // A UTC UNTIL is an instant; a date-only UNTIL is already wall-clock
+    if (rule.until && /UNTIL=\d{8}T\d{6}Z/i.test(event.rrule)) {
+      rule.until = timezone.toWallClock(rule.until, zone);
+    }
+
+    const wallStart = this.alignStart(rule, timezone.toWallClock(event.start, zone), rangeStart);
+
+    return recurrenceUtil
+      .expand(rule, wallStart, { rangeEnd: new Date(rangeEnd.getTime() + DAY_MS) })
+      .map((wall) => timezone.fromWallClock(wall, zone));
+  }
+
+  /**
+   * Move the start of an old open-ended daily/weekly rule to just before the
+   * import range (by whole intervals) so expansion limits are spent on the
+   * range rather than on the past
+   */
+  alignStart(rule, wallStart, rangeStart) {
+    const periodDays = { daily: 1, weekly: 7 }[rule.frequency];
+
+    if (rule.count || !periodDays) {
+      return wallStart;
+    }
+
+    const periodMs = periodDays * (rule.interval || 1) * DAY_MS;
+    const periods = Math.floor((rangeStart - wallStart) / periodMs) - 1;
+
+    return periods > 0 ? new Date(wallStart.getTime() + periods * periodMs) : wallStart;
+  }
+
+  /**
+   * Convert an RRULE to the structured recurrence, or null when it uses
+   * parts the expansion cannot honour
+   */
+  toRecurrence(rrule) {
+    const parts = rrule.replace(/^RRULE:/i, '').split(';').filter(Boolean);
+    const keys = parts.map((part) => part.split('=')[0].toUpperCase());
+    const valueOf = (key) => {
+      const part = parts.find((p) => p.toUpperCase().startsWith(`${key}=`));
+      return part ? part.split('=')[1].toUpperCase() : null;
+    };
+
+    if (keys.some((key) => !SUPPORTED_RULE_PARTS.includes(key))) {
+      return null;
+    }
+
+    const frequency = valueOf('FREQ');
+    const rest = parts.filter((part) => !/^(FREQ|INTERVAL|WKST)=/i.test(part));
+    const interval = parseInt(valueOf('INTERVAL') || '1', 10);
+
+    // Monthly/yearly BYDAY (e.g. 2nd Tuesday) is not supported by the expansion
+    if (['MONTHLY', 'YEARLY'].includes(frequency) && keys.includes('BYDAY')) {
+      return null;
+    }
+
+    try {
+      // Yearly rules without BY* parts are every 12 months
+      if (frequency === 'YEARLY') {
+        return recurrenceUtil.parseRule([...rest, 'FREQ=MONTHLY', `INTERVAL=${12 * interval}`].join(';'));
+      }
+
+      return recurrenceUtil.parseRule([...rest, `FREQ=${frequency}`, `INTERVAL=${interval}`].join(';'));
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new IcsParser();
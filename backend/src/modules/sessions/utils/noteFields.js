@@ -0,0 +1,147 @@
+/**
+ * Note Field Utilities
+ * Validates note template definitions and the values recorded against them
+ */
+
+const FIELD_TYPES = ['text', 'number', 'select', 'boolean', 'date'];
+
+const MAX_TEXT_LENGTH = 5000;
+
+class NoteFields {
+  /**
+   * Check a template's field list
+   * @returns {String[]} Problems found (empty when valid)
+   */
+  validateDefinitions(fields = []) {
+    const errors = [];
+    const seen = new Set();
+
+    if (fields.length === 0) {
+      errors.push('A template needs at least one field');
+    }
+
+    fields.forEach((field) => {
+      if (seen.has(field.key)) {
+        errors.push(`Duplicate field key "${field.key}"`);
+      }
+      seen.add(field.key);
+
+      if (!FIELD_TYPES.includes(field.type)) {
+        errors.push(`Field "${field.key}" has an unknown type "${field.type}"`);
+      }
+
+      if (field.type === 'select' && !(field.options && field.options.length > 0)) {
+        errors.push(`Select field "${field.key}" needs options`);
+      }
+
+      if (field.min !== undefined && field.max !== undefined && field.min > field.max) {
+        errors.push(`Field "${field.key}" has min greater than max`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Validate and coerce submitted values against the template fields.
+   * Required fields are only enforced when the record is finalized.
+   * @param {Array} fields - Template fields
+   * @param {Object} input - Values keyed by field key
+   * @param {Object} [options]
+   * @param {Boolean} [options.final] - Record is being finalized
+   * @returns {Object} { values, errors }
+   */
+  buildValues(fields, input = {}, { final = false } = {}) {
+    const errors = [];
+    const known = new Set(fields.map((field) => field.key));
+
+    Object.keys(input).filter((key) => !known.has(key)).forEach((key) => {
+      errors.push(`Unknown field "${key}"`);
+    });
+
+    const values = fields.map((field) => {
+      const raw = input[field.key];
+      const empty = raw === undefined || raw === null || raw === '';
+
+      if (empty) {
+        if (final && field.required) {
+          errors.push(`${field.label} is required`);
+        }
+        return this.toValue(field, null);
+      }
+
+      const { value, error } = this.coerce(field, raw);
+      if (error) {
+        errors.push(`${field.label} ${error}`);
+      }
+
+      return this.toValue(field, error ? null : value);
+    });
+
+    return { values, errors };
+  }
+
+  coerce(field, raw) {
+    switch (field.type) {
+      case 'number': {
+        const value = Number(raw);
+        if (!Number.isFinite(value)) {
+          return { error: 'must be a number' };
+        }
+        if (field.min !== undefined && field.min !== null && value < field.min) {
+          return { error: `must be at least ${field.min}` };
+        }
+        if (field.max !== undefined && field.max !== null && value > field.max) {
+          return { error: `must be at most ${field.max}` };
+        }
+        return { value };
+      }
+      case 'select':
+        return field.options.includes(raw)
+          ? { value: raw }
+          : { error: `must be one of: ${field.options.join(', ')}` };
+      case 'boolean':
+        if (typeof raw === 'boolean') {
+          return { value: raw };
+        }
+        return ['true', 'false'].includes(raw) ? { value: raw === 'true' } : { error: 'must be true or false' };
+      case 'date': {
+        const value = new Date(raw);
+        return Number.isNaN(value.getTime()) ? { error: 'must be a valid date' } : { value };
+      }
+      default: {
+        const value = String(raw).trim();
+        return value.length > MAX_TEXT_LENGTH
+          ? { error: `cannot exceed ${MAX_TEXT_LENGTH} characters` }
+          : { value };
+      }
+    }
+  }
+
+  toValue(field, value) {
+    return {
+      key: field.key,
+      label: field.label,
+      type: field.type,
+      section: field.section,
+      unit: field.unit,
+      value,
+    };
+  }
+
+  /**
+   * Flatten a record's text for full-text search
+   */
+  buildSearchText(values, summary) {
+    return [
+      ...values
+        .filter((v) => ['text', 'select'].includes(v.type) && v.value)
+        .map((v) => `${v.label}: ${v.value}`),
+      summary,
+    ]
+      .filter(Boolean)
+      .join('\n');
+  }
+}
+
+module.exports = new NoteFields();
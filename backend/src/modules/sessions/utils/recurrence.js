@@ -0,0 +1,226 @@
+/**
+ * Recurrence Utilities
+ * Parse, serialize and expand RRULE-style recurrence rules (RFC 5545 subset)
+ *
+ * Supported: FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, BYDAY (weekly), COUNT, UNTIL.
+ * Expansion is done in UTC, or in a time zone's wall-clock time when one is given.
+ */
+
+const timezone = require('../../../common/utils/timezone');
+const { BadRequestError } = require('../../../common/utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Monday-first, matching the RFC 5545 default week start (WKST=MO)
+const DAY_CODES = {
+  MO: 'monday',
+  TU: 'tuesday',
+  WE: 'wednesday',
+  TH: 'thursday',
+  FR: 'friday',
+  SA: 'saturday',
+  SU: 'sunday',
+};
+const WEEK_DAYS = Object.values(DAY_CODES);
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Hard ceiling on generated occurrences per expansion
+const MAX_OCCURRENCES = 500;
+
+class Recurrence {
+  /**
+   * Parse an RRULE string ("FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH;COUNT=10")
+   * into a structured recurrence object
+   */
+  parseRule(rule) {
+    const parts = String(rule)
+      .replace(/^RRULE:/i, '')
+      .split(';')
+      .filter(Boolean)
+      .reduce((acc, part) => {
+        const [key, value] = part.split('=');
+        acc[key.toUpperCase()] = value;
+        return acc;
+      }, {});
+
+    const frequency = (parts.FREQ || '').toLowerCase();
+
+    if (!FREQUENCIES.includes(frequency)) {
+      throw new BadRequestError(`Unsupported recurrence frequency: ${parts.FREQ}`);
+    }
+
+    const recurrence = {
+      frequency,
+      interval: parts.INTERVAL ? parseInt(parts.INTERVAL, 10) : 1,
+    };
+
+    if (parts.BYDAY) {
+      recurrence.byDay = parts.BYDAY.split(',').map((code) => {
+        // Ignore ordinal prefixes such as 1MO / -1FR
+        const day = DAY_CODES[code.replace(/^[+-]?\d+/, '').toUpperCase()];
+        if (!day) {
+          throw new BadRequestError(`Invalid BYDAY value: ${code}`);
+        }
+        return day;
+      });
+    }
+
+    if (parts.COUNT) {
+      recurrence.count = parseInt(parts.COUNT, 10);
+    }
+
+    if (parts.UNTIL) {
+      recurrence.until = this.parseDateTime(parts.UNTIL);
+    }
+
+    return recurrence;
+  }
+
+  /**
+   * Parse an iCalendar DATE or DATE-TIME value (20250131 / 20250131T070000Z)
+   */
+  parseDateTime(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+
+    if (!match) {
+      throw new BadRequestError(`Invalid date value: ${value}`);
+    }
+
+    const [, year, month, day, hours = '23', minutes = '59', seconds = '59'] = match;
+
+    return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+  }
+
+  /**
+   * Serialize a structured recurrence back to an RRULE string
+   */
+  toRule(recurrence) {
+    const parts = [`FREQ=${recurrence.frequency.toUpperCase()}`];
+
+    if (recurrence.interval && recurrence.interval > 1) {
+      parts.push(`INTERVAL=${recurrence.interval}`);
+    }
+
+    if (recurrence.byDay && recurrence.byDay.length > 0) {
+      const codes = Object.keys(DAY_CODES);
+      parts.push(`BYDAY=${recurrence.byDay.map((day) => codes.find((c) => DAY_CODES[c] === day)).join(',')}`);
+    }
+
+    if (recurrence.count) {
+      parts.push(`COUNT=${recurrence.count}`);
+    } else if (recurrence.until) {
+      parts.push(`UNTIL=${new Date(recurrence.until).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+    }
+
+    return parts.join(';');
+  }
+
+  /**
+   * Normalize user input: an RRULE string or a structured object
+   */
+  normalize(input) {
+    const recurrence = typeof input === 'string' || input.rule
+      ? this.parseRule(input.rule || input)
+      : { ...input, frequency: String(input.frequency || '').toLowerCase() };
+
+    if (!FREQUENCIES.includes(recurrence.frequency)) {
+      throw new BadRequestError(`Unsupported recurrence frequency: ${recurrence.frequency}`);
+    }
+
+    recurrence.interval = parseInt(recurrence.interval, 10) || 1;
+
+    if (recurrence.interval < 1) {
+      throw new BadRequestError('Recurrence interval must be at least 1');
+    }
+
+    if ((recurrence.byDay || []).some((day) => !WEEK_DAYS.includes(day))) {
+      throw new BadRequestError('Invalid day in recurrence byDay');
+    }
+
+    if (recurrence.until) {
+      recurrence.until = new Date(recurrence.until);
+    }
+
+    return recurrence;
+  }
+
+  /**
+   * Expand a recurrence into occurrence start dates
+   * @param {Object} recurrence - Structured recurrence
+   * @param {Date} dtstart - First occurrence start (also sets the time of day)
+   * @param {Object} [options]
+   * @param {Date} [options.rangeEnd] - Stop expanding after this date (for open-ended rules)
+   * @param {Number} [options.limit] - Maximum occurrences to return
+   * @param {String} [options.timeZone] - Keep occurrences at the same local time in this zone across DST
+   * @returns {Date[]}
+   */
+  expand(recurrence, dtstart, { rangeEnd = null, limit = MAX_OCCURRENCES, timeZone = null } = {}) {
+    if (timeZone && timeZone !== 'UTC') {
+      const toWall = (date) => date && timezone.toWallClock(date, timeZone);
+
+      return this.expand(
+        { ...recurrence, until: toWall(recurrence.until) },
+        toWall(dtstart),
+        { rangeEnd: toWall(rangeEnd), limit },
+      ).map((wall) => timezone.fromWallClock(wall, timeZone));
+    }
+
+    const start = new Date(dtstart);
+    const interval = recurrence.interval || 1;
+    const max = Math.min(recurrence.count || Infinity, limit, MAX_OCCURRENCES);
+    const stopAt = [recurrence.until, rangeEnd]
+      .filter(Boolean)
+      .map((d) => new Date(d).getTime())
+      .reduce((a, b) => Math.min(a, b), Infinity);
+
+    const occurrences = [];
+    const push = (date) => {
+      if (date < start || date.getTime() > stopAt || occurrences.length >= max) {
+        return;
+      }
+      occurrences.push(date);
+    };
+
+    const done = (candidate) => occurrences.length >= max || candidate.getTime() > stopAt;
+
+    if (recurrence.frequency === 'daily') {
+      for (let i = 0; ; i += interval) {
+        const candidate = new Date(start.getTime() + i * DAY_MS);
+        if (done(candidate)) break;
+        push(candidate);
+      }
+    } else if (recurrence.frequency === 'weekly') {
+      const mondayOffset = (start.getUTCDay() + 6) % 7;
+      const weekStart = new Date(start.getTime() - mondayOffset * DAY_MS);
+      const dayIndexes = (recurrence.byDay && recurrence.byDay.length > 0
+        ? recurrence.byDay.map((day) => WEEK_DAYS.indexOf(day))
+        : [mondayOffset]).sort((a, b) => a - b);
+
+      for (let week = 0; ; week += interval) {
+        const weekBase = weekStart.getTime() + week * 7 * DAY_MS;
+        if (done(new Date(weekBase))) break;
+        dayIndexes.forEach((index) => push(new Date(weekBase + index * DAY_MS)));
+      }
+    } else if (recurrence.frequency === 'monthly') {
+      for (let i = 0; ; i += interval) {
+        const candidate = new Date(start);
+        candidate.setUTCDate(1);
+        candidate.setUTCMonth(start.getUTCMonth() + i);
+        if (done(candidate)) break;
+
+        // Skip months that do not have this day (e.g. the 31st)
+        const daysInMonth = new Date(Date.UTC(candidate.getUTCFullYear(), candidate.getUTCMonth() + 1, 0))
+          .getUTCDate();
+        if (start.getUTCDate() <= daysInMonth) {
+          candidate.setUTCDate(start.getUTCDate());
+          push(candidate);
+        }
+      }
+    }
+
+    return occurrences;
+  }
+}
+
+module.exports = new Recurrence();
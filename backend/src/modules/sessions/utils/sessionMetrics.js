@@ -0,0 +1,129 @@
+/**
+ * Session Metrics Utilities
+ * Rates, weekly buckets and week-over-week changes for coach analytics
+ */
+
+const slotCalculator = require('./slotCalculator');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const TREND_FIELDS = ['sessions', 'bookedHours', 'utilization', 'attendanceRate', 'revenue'];
+
+class SessionMetrics {
+  /**
+   * Percentage rounded to one decimal, or null when there is nothing to measure
+   */
+  percent(part, total) {
+    return total > 0 ? Math.round((part / total) * 1000) / 10 : null;
+  }
+
+  hours(minutes) {
+    return Math.round((minutes / 60) * 100) / 100;
+  }
+
+  money(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  /**
+   * Attendance, no-show and late-cancel rates. On-time cancellations and
+   * sessions not marked yet are left out, so the three rates add up to 100.
+   */
+  rates({ attended = 0, noShows = 0, lateCancels = 0 }) {
+    const resolved = attended + noShows + lateCancels;
+
+    return {
+      attendanceRate: this.percent(attended, resolved),
+      noShowRate: this.percent(noShows, resolved),
+      lateCancelRate: this.percent(lateCancels, resolved),
+    };
+  }
+
+  addDays(dateKey, days) {
+    return new Date(new Date(`${dateKey}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Monday (YYYY-MM-DD) of the week containing a local date
+   */
+  weekKey(dateKey) {
+    const mondayOffset = (new Date(`${dateKey}T00:00:00Z`).getUTCDay() + 6) % 7;
+    return this.addDays(dateKey, -mondayOffset);
+  }
+
+  /**
+   * Monday of every local week that overlaps [from, to)
+   */
+  weekKeys(from, to, timeZone) {
+    const lastDay = slotCalculator.toDateKey(new Date(new Date(to).getTime() - 1), timeZone);
+    const keys = [];
+
+    for (
+      let key = this.weekKey(slotCalculator.toDateKey(from, timeZone));
+      key <= lastDay;
+      key = this.addDays(key, 7)
+    ) {
+      keys.push(key);
+    }
+
+    return keys;
+  }
+
+  /**
+   * Total minutes of { start, end } windows per local week
+   * @returns {Object} Minutes keyed by week Monday
+   */
+  minutesByWeek(windows, timeZone) {
+    return windows.reduce((weeks, window) => {
+      const key = this.weekKey(slotCalculator.toDateKey(window.start, timeZone));
+      const minutes = (new Date(window.end) - new Date(window.start)) / MINUTE_MS;
+
+      return { ...weeks, [key]: (weeks[key] || 0) + minutes };
+    }, {});
+  }
+
+  /**
+   * Roll per-day rows ({ _id: YYYY-MM-DD, ...counts }) up into their weeks
+   * @returns {Object} Summed counts keyed by week Monday
+   */
+  sumByWeek(rows) {
+    return rows.reduce((weeks, { _id: day, ...counts }) => {
+      const key = this.weekKey(day);
+      const week = weeks[key] || {};
+
+      return {
+        ...weeks,
+        [key]: Object.keys(counts).reduce((acc, field) => ({
+          ...acc,
+          [field]: (week[field] || 0) + counts[field],
+        }), week),
+      };
+    }, {});
+  }
+
+  /**
+   * Add each week's change against the week before. Changes are plain
+   * differences (percentage points for rates), null when either side is.
+   */
+  withChanges(weeks) {
+    return weeks.map((week, index) => {
+      const previous = weeks[index - 1];
+
+      if (!previous) {
+        return { ...week, change: null };
+      }
+
+      const change = TREND_FIELDS.reduce((acc, field) => ({
+        ...acc,
+        [field]: week[field] === null || previous[field] === null
+          ? null
+          : Math.round((week[field] - previous[field]) * 100) / 100,
+      }), {});
+
+      return { ...week, change };
+    });
+  }
+}
+
+module.exports = new SessionMetrics();
@@ -0,0 +1,211 @@
+/**
+ * Slot Calculator Utilities
+ * Turns a coach's availability definition into concrete bookable time slots
+ *
+ * Days and HH:mm values in the availability definition are wall-clock times
+ * in the availability's time zone (UTC when none is set), so working hours
+ * keep their local time across DST changes.
+ */
+
+const timezone = require('../../../common/utils/timezone');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+class SlotCalculator {
+  /**
+   * Convert "HH:mm" to minutes since midnight
+   */
+  toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  getTimeZone(availability) {
+    return availability.timeZone || 'UTC';
+  }
+
+  /**
+   * Format the local calendar day of an instant as YYYY-MM-DD
+   */
+  toDateKey(date, timeZone = 'UTC') {
+    return timezone.toWallClock(date, timeZone).toISOString().slice(0, 10);
+  }
+
+  nextDateKey(dateKey) {
+    return new Date(new Date(`${dateKey}T00:00:00Z`).getTime() + DAY_MS).toISOString().slice(0, 10);
+  }
+
+  /**
+   * UTC instant of a local wall-clock time on a YYYY-MM-DD day
+   */
+  atLocalTime(dateKey, minutes, timeZone) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+
+    return timezone.toUtc({
+      year,
+      month,
+      day,
+      hour: Math.floor(minutes / 60),
+      minute: minutes % 60,
+    }, timeZone);
+  }
+
+  /**
+   * Get working windows ({ start, end } Dates) for the local calendar day
+   * containing `day`. A date override takes precedence over the weekly hours.
+   */
+  getWorkingWindows(availability, day) {
+    const timeZone = this.getTimeZone(availability);
+    const dateKey = this.toDateKey(day, timeZone);
+
+    const override = (availability.overrides || []).find((o) => o.date === dateKey);
+
+    let ranges;
+    if (override) {
+      ranges = override.isAvailable === false ? [] : (override.hours || []);
+    } else {
+      const dayName = DAYS_OF_WEEK[new Date(`${dateKey}T00:00:00Z`).getUTCDay()];
+      ranges = (availability.weeklyHours || []).filter((h) => h.day === dayName);
+    }
+
+    const windows = ranges
+      .map((range) => ({
+        start: this.atLocalTime(dateKey, this.toMinutes(range.startTime), timeZone),
+        end: this.atLocalTime(dateKey, this.toMinutes(range.endTime), timeZone),
+      }))
+      .filter((w) => w.start < w.end);
+
+    const timeOff = (availability.timeOff || []).map((block) => ({
+      start: new Date(block.startDate),
+      end: new Date(block.endDate),
+    }));
+
+    return this.subtractIntervals(windows, timeOff);
+  }
+
+  /**
+   * Working windows clipped to [from, to), across every local day they touch
+   */
+  getWorkingWindowsBetween(availability, from, to) {
+    const timeZone = this.getTimeZone(availability);
+    const rangeStart = new Date(from);
+    const rangeEnd = new Date(to);
+    const windows = [];
+
+    for (
+      let dateKey = this.toDateKey(rangeStart, timeZone);
+      this.atLocalTime(dateKey, 0, timeZone) < rangeEnd;
+      dateKey = this.nextDateKey(dateKey)
+    ) {
+      const noon = this.atLocalTime(dateKey, 12 * 60, timeZone);
+
+      this.getWorkingWindows(availability, noon).forEach((window) => {
+        const start = window.start > rangeStart ? window.start : rangeStart;
+        const end = window.end < rangeEnd ? window.end : rangeEnd;
+
+        if (start < end) {
+          windows.push({ start, end });
+        }
+      });
+    }
+
+    return windows;
+  }
+
+  /**
+   * Remove busy intervals from a list of windows
+   */
+  subtractIntervals(windows, busy) {
+    return busy.reduce((remaining, block) => remaining.flatMap((window) => {
+      if (block.end <= window.start || block.start >= window.end) {
+        return [window];
+      }
+
+      const parts = [];
+      if (block.start > window.start) {
+        parts.push({ start: window.start, end: block.start });
+      }
+      if (block.end < window.end) {
+        parts.push({ start: block.end, end: window.end });
+      }
+      return parts;
+    }), windows);
+  }
+
+  /**
+   * Check whether [start, end) falls entirely inside one working window
+   */
+  isWithinAvailability(availability, start, end) {
+    const startDate = new Date(start);
+    const endDate = new Date(end);
+
+    return this.getWorkingWindows(availability, startDate)
+      .some((w) => w.start <= startDate && w.end >= endDate);
+  }
+
+  /**
+   * Generate bookable slots between `from` and `to`
+   * @param {Object} availability - Coach availability document
+   * @param {Object} params
+   * @param {Date} params.from - Range start
+   * @param {Date} params.to - Range end
+   * @param {Number} [params.duration] - Slot length in minutes (defaults to availability.slotDuration)
+   * @param {Array} [params.busy] - Existing bookings as { startTime, endTime }
+   * @param {Date} [params.now] - Slots starting before this instant are skipped
+   * @returns {Array} Slots as { startTime, endTime }
+   */
+  generateSlots(availability, {
+    from, to, duration, busy = [], now = new Date(),
+  }) {
+    const slotMinutes = duration || availability.slotDuration || 60;
+    const intervalMinutes = availability.slotInterval || slotMinutes;
+    const bufferMs = (availability.bufferMinutes || 0) * MINUTE_MS;
+
+    const rangeStart = new Date(Math.max(new Date(from).getTime(), new Date(now).getTime()));
+    const rangeEnd = new Date(to);
+
+    // Existing bookings block their own time plus the buffer on either side
+    const busyIntervals = busy.map((b) => ({
+      start: new Date(new Date(b.startTime).getTime() - bufferMs),
+      end: new Date(new Date(b.endTime).getTime() + bufferMs),
+    }));
+
+    const timeZone = this.getTimeZone(availability);
+    const slots = [];
+
+    // Walk local calendar days; local noon always falls inside its own day
+    for (
+      let dateKey = this.toDateKey(from, timeZone);
+      this.atLocalTime(dateKey, 0, timeZone) < rangeEnd;
+      dateKey = this.nextDateKey(dateKey)
+    ) {
+      const noon = this.atLocalTime(dateKey, 12 * 60, timeZone);
+
+      this.getWorkingWindows(availability, noon).forEach((window) => {
+        for (
+          let slotStart = window.start.getTime();
+          slotStart + slotMinutes * MINUTE_MS <= window.end.getTime();
+          slotStart += intervalMinutes * MINUTE_MS
+        ) {
+          const slotEnd = slotStart + slotMinutes * MINUTE_MS;
+
+          const inRange = slotStart >= rangeStart.getTime() && slotEnd <= rangeEnd.getTime();
+          const conflicts = busyIntervals.some(
+            (b) => b.start.getTime() < slotEnd && b.end.getTime() > slotStart,
+          );
+
+          if (inRange && !conflicts) {
+            slots.push({ startTime: new Date(slotStart), endTime: new Date(slotEnd) });
+          }
+        }
+      });
+    }
+
+    return slots;
+  }
+}
+
+module.exports = new SlotCalculator();
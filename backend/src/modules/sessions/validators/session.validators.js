@@ -0,0 +1,608 @@
+/**
+ * Session Validators
+ * Validation rules for session booking and coach availability endpoints
+ */
+
+const { body, param, query } = require('express-validator');
+const timezone = require('../../../common/utils/timezone');
+
+const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const TIME_ZONE_MESSAGE = 'Time zone must be a valid IANA time zone (e.g. Europe/London)';
+const isTimeZone = (value) => timezone.isValid(value);
+
+/**
+ * Validate availability update request
+ */
+const updateAvailability = [
+  body('weeklyHours')
+    .optional()
+    .isArray()
+    .withMessage('Weekly hours must be an array'),
+  body('weeklyHours.*.day')
+    .isIn(DAYS_OF_WEEK)
+    .withMessage(`Day must be one of: ${DAYS_OF_WEEK.join(', ')}`),
+  body(['weeklyHours.*.startTime', 'weeklyHours.*.endTime'])
+    .matches(TIME_PATTERN)
+    .withMessage('Times must be in HH:mm format'),
+  body('overrides')
+    .optional()
+    .isArray()
+    .withMessage('Overrides must be an array'),
+  body('overrides.*.date')
+    .matches(DATE_PATTERN)
+    .withMessage('Override date must be in YYYY-MM-DD format'),
+  body('overrides.*.isAvailable')
+    .optional()
+    .isBoolean()
+    .withMessage('isAvailable must be a boolean'),
+  body(['overrides.*.hours.*.startTime', 'overrides.*.hours.*.endTime'])
+    .matches(TIME_PATTERN)
+    .withMessage('Times must be in HH:mm format'),
+  body('timeOff')
+    .optional()
+    .isArray()
+    .withMessage('Time off must be an array'),
+  body(['timeOff.*.startDate', 'timeOff.*.endDate'])
+    .isISO8601()
+    .withMessage('Time off dates must be valid ISO 8601 dates'),
+  body('bufferMinutes')
+    .optional()
+    .isInt({ min: 0, max: 240 })
+    .withMessage('Buffer must be between 0 and 240 minutes'),
+  body('slotDuration')
+    .optional()
+    .isInt({ min: 15, max: 480 })
+    .withMessage('Slot duration must be between 15 and 480 minutes'),
+  body('slotInterval')
+    .optional()
+    .isInt({ min: 5, max: 480 })
+    .withMessage('Slot interval must be between 5 and 480 minutes'),
+  body('timeZone')
+    .optional()
+    .custom(isTimeZone)
+    .withMessage(TIME_ZONE_MESSAGE),
+];
+
+/**
+ * Validate available slots query
+ */
+const getAvailableSlots = [
+  param('coachId')
+    .isMongoId()
+    .withMessage('Invalid coach ID'),
+  query('from')
+    .isISO8601()
+    .withMessage('from must be a valid ISO 8601 date'),
+  query('to')
+    .isISO8601()
+    .withMessage('to must be a valid ISO 8601 date'),
+  query('duration')
+    .optional()
+    .isInt({ min: 15, max: 480 })
+    .withMessage('Duration must be between 15 and 480 minutes'),
+  query('timeZone')
+    .optional()
+    .custom(isTimeZone)
+    .withMessage(TIME_ZONE_MESSAGE),
+];
+
+/**
+ * Validate client session request
+ */
+const requestSession = [
+  body('coachId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid coach ID'),
+  body('startTime')
+    .isISO8601()
+    .withMessage('Start time must be a valid ISO 8601 date'),
+  body('endTime')
+    .isISO8601()
+    .withMessage('End time must be a valid ISO 8601 date'),
+  body('timeZone')
+    .optional()
+    .custom(isTimeZone)
+    .withMessage(TIME_ZONE_MESSAGE),
+  body('title')
+    .optional()
+    .isString()
+    .trim()
+    .withMessage('Title must be a string'),
+  body('type')
+    .optional()
+    .isIn(['consultation', 'training', 'follow_up', 'assessment', 'virtual', 'in_person'])
+    .withMessage('Invalid session type'),
+  body('notes')
+    .optional()
+    .isString()
+    .trim()
+    .withMessage('Notes must be a string'),
+];
+
+/**
+ * Validate session ID param
+ */
+const validateSessionId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid session ID'),
+];
+
+/**
+ * Validate session update
+ */
+const updateSession = [
+  ...validateSessionId,
+  body('startTime')
+    .optional()
+    .isISO8601()
+    .withMessage('Start time must be a valid ISO 8601 date'),
+  body('endTime')
+    .optional()
+    .isISO8601()
+    .withMessage('End time must be a valid ISO 8601 date'),
+  body('timeZone')
+    .optional()
+    .custom(isTimeZone)
+    .withMessage(TIME_ZONE_MESSAGE),
+];
+
+/**
+ * Validate decline request
+ */
+const declineSession = [
+  ...validateSessionId,
+  body('reason')
+    .optional()
+    .isString()
+    .trim()
+    .withMessage('Reason must be a string'),
+];
+
+/**
+ * Validate reschedule proposal
+ */
+const proposeReschedule = [
+  ...validateSessionId,
+  body('startTime')
+    .isISO8601()
+    .withMessage('Start time must be a valid ISO 8601 date'),
+  body('endTime')
+    .isISO8601()
+    .withMessage('End time must be a valid ISO 8601 date'),
+  body('timeZone')
+    .optional()
+    .custom(isTimeZone)
+    .withMessage(TIME_ZONE_MESSAGE),
+  body('reason')
+    .optional()
+    .isString()
+    .trim()
+    .withMessage('Reason must be a string'),
+];
+
+/**
+ * Validate reschedule response
+ */
+const respondToReschedule = [
+  ...validateSessionId,
+  body('accept')
+    .isBoolean()
+    .withMessage('accept must be a boolean')
+    .toBoolean(),
+];
+
+/**
+ * Validate series ID param
+ */
+const validateSeriesId = [
+  param('seriesId')
+    .isMongoId()
+    .withMessage('Invalid series ID'),
+];
+
+/**
+ * Validate "this and following" series edit
+ */
+const updateFollowingOccurrences = [
+  ...validateSessionId,
+  body('startTime')
+    .optional()
+    .isISO8601()
+    .withMessage('Start time must be a valid ISO 8601 date'),
+  body('endTime')
+    .optional()
+    .isISO8601()
+    .withMessage('End time must be a valid ISO 8601 date'),
+  body('timeZone')
+    .optional()
+    .custom(isTimeZone)
+    .withMessage(TIME_ZONE_MESSAGE),
+  body('recurrence')
+    .optional()
+    .custom((value) => typeof value === 'string' || (value && typeof value === 'object'))
+    .withMessage('Recurrence must be an RRULE string or an object'),
+  body('type')
+    .optional()
+    .isIn(['consultation', 'training', 'follow_up', 'assessment', 'virtual', 'in_person'])
+    .withMessage('Invalid session type'),
+  body('price')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a non-negative number'),
+];
+
+/**
+ * Validate group session booking
+ */
+const addGroupAttendee = [
+  ...validateSessionId,
+  body('clientId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid client ID'),
+];
+
+/**
+ * Validate group attendance update
+ */
+const markGroupAttendance = [
+  ...validateSessionId,
+  param('clientId')
+    .isMongoId()
+    .withMessage('Invalid client ID'),
+  body('status')
+    .isIn(['attended', 'no_show', 'late_cancel'])
+    .withMessage('Status must be one of: attended, no_show, late_cancel'),
+];
+
+/**
+ * Validate package purchase
+ */
+const purchasePackage = [
+  body('clientId')
+    .isMongoId()
+    .withMessage('Invalid client ID'),
+  body('coachId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid coach ID'),
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Package name is required'),
+  body('credits')
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Credits must be between 1 and 500')
+    .toInt(),
+  body('price')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a non-negative number'),
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry must be a valid ISO 8601 date'),
+  body('validityDays')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Validity must be at least 1 day')
+    .toInt(),
+];
+
+/**
+ * Validate package ID param
+ */
+const validatePackageId = [
+  param('packageId')
+    .isMongoId()
+    .withMessage('Invalid package ID'),
+];
+
+/**
+ * Validate manual credit adjustment
+ */
+const adjustCredits = [
+  ...validatePackageId,
+  body('credits')
+    .isInt()
+    .withMessage('Credits must be a whole number')
+    .toInt(),
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('A reason is required for credit adjustments'),
+];
+
+/**
+ * Validate cancellation / no-show policy update
+ */
+const updatePolicy = [
+  body('cancellationWindowHours')
+    .optional()
+    .isFloat({ min: 0, max: 720 })
+    .withMessage('Cancellation window must be between 0 and 720 hours'),
+  body(['lateCancel.penalty', 'noShow.penalty'])
+    .optional()
+    .isIn(['none', 'fee', 'forfeit_credit'])
+    .withMessage('Penalty must be one of: none, fee, forfeit_credit'),
+  body(['lateCancel.feeAmount', 'noShow.feeAmount'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Fee amount must be a non-negative number'),
+  body('maxReschedulesPerMonth')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Max reschedules per month must be a non-negative integer')
+    .toInt(),
+  body('currency')
+    .optional()
+    .isLength({ min: 3, max: 3 })
+    .withMessage('Currency must be a 3-letter code'),
+  body('reminderOffsetsMinutes')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Reminder offsets must be an array of at most 5 values'),
+  body('reminderOffsetsMinutes.*')
+    .isInt({ min: 5, max: 10080 })
+    .withMessage('Reminder offsets must be between 5 minutes and 7 days')
+    .toInt(),
+];
+
+/**
+ * Validate coach ID param
+ */
+const validateCoachId = [
+  param('coachId')
+    .isMongoId()
+    .withMessage('Invalid coach ID'),
+];
+
+/**
+ * Validate calendar feed token param
+ */
+const calendarFeed = [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid calendar feed token'),
+];
+
+/**
+ * Validate external calendar registration (URL subscription)
+ */
+const registerCalendar = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Calendar name is required')
+    .isLength({ max: 100 })
+    .withMessage('Calendar name cannot exceed 100 characters'),
+  body('url')
+    .trim()
+    .isURL({ protocols: ['http', 'https', 'webcal', 'webcals'], require_protocol: true })
+    .withMessage('A valid http(s) or webcal calendar URL is required'),
+  body('timeZone')
+    .optional()
+    .custom(isTimeZone)
+    .withMessage(TIME_ZONE_MESSAGE),
+];
+
+/**
+ * Validate external calendar file upload fields
+ */
+const uploadCalendar = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Calendar name cannot exceed 100 characters'),
+  body('timeZone')
+    .optional()
+    .custom(isTimeZone)
+    .withMessage(TIME_ZONE_MESSAGE),
+];
+
+/**
+ * Validate external calendar ID param
+ */
+const validateCalendarId = [
+  param('calendarId')
+    .isMongoId()
+    .withMessage('Invalid calendar ID'),
+];
+
+/**
+ * Validate busy block range query
+ */
+const getBusyBlocks = [
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('from and to must be valid ISO 8601 dates'),
+];
+
+/**
+ * Validate coach analytics query
+ */
+const getCoachAnalytics = [
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('from and to must be valid ISO 8601 dates'),
+  query('timeZone')
+    .optional()
+    .custom(isTimeZone)
+    .withMessage(TIME_ZONE_MESSAGE),
+];
+
+const SESSION_TYPES = ['consultation', 'training', 'follow_up', 'assessment', 'virtual', 'in_person'];
+
+const noteTemplateFields = (optional) => [
+  (optional ? body('name').optional() : body('name'))
+    .trim()
+    .notEmpty()
+    .withMessage('Template name is required')
+    .isLength({ max: 100 })
+    .withMessage('Template name cannot exceed 100 characters'),
+  (optional ? body('fields').optional() : body('fields'))
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Fields must be an array of 1 to 50 fields'),
+  body('fields.*.key')
+    .matches(/^[a-z][a-z0-9_]*$/)
+    .withMessage('Field keys must be lower_snake_case'),
+  body('fields.*.label')
+    .trim()
+    .notEmpty()
+    .withMessage('Field label is required'),
+  body('fields.*.type')
+    .isIn(['text', 'number', 'select', 'boolean', 'date'])
+    .withMessage('Field type must be one of: text, number, select, boolean, date'),
+  body('fields.*.required')
+    .optional()
+    .isBoolean()
+    .withMessage('required must be a boolean'),
+  body('fields.*.options')
+    .optional()
+    .isArray()
+    .withMessage('Options must be an array'),
+  body(['fields.*.min', 'fields.*.max'])
+    .optional()
+    .isFloat()
+    .withMessage('min and max must be numbers'),
+  body('autoAttach')
+    .optional()
+    .isBoolean()
+    .withMessage('autoAttach must be a boolean'),
+  body('sessionTypes')
+    .optional()
+    .isArray()
+    .withMessage('Session types must be an array'),
+  body('sessionTypes.*')
+    .isIn(SESSION_TYPES)
+    .withMessage('Invalid session type'),
+];
+
+/**
+ * Validate note template creation
+ */
+const createNoteTemplate = noteTemplateFields(false);
+
+/**
+ * Validate note template ID param
+ */
+const validateTemplateId = [
+  param('templateId')
+    .isMongoId()
+    .withMessage('Invalid template ID'),
+];
+
+/**
+ * Validate note template update
+ */
+const updateNoteTemplate = [
+  ...validateTemplateId,
+  ...noteTemplateFields(true),
+];
+
+/**
+ * Validate reading a session record
+ */
+const getSessionRecord = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid session ID'),
+  query('clientId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid client ID'),
+];
+
+/**
+ * Validate writing a session record
+ */
+const saveSessionRecord = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid session ID'),
+  body(['templateId', 'clientId'])
+    .optional()
+    .isMongoId()
+    .withMessage('templateId and clientId must be valid IDs'),
+  body('values')
+    .optional()
+    .isObject()
+    .withMessage('Values must be an object keyed by field'),
+  body('summary')
+    .optional()
+    .isString()
+    .isLength({ max: 5000 })
+    .withMessage('Summary cannot exceed 5000 characters'),
+  body('status')
+    .optional()
+    .isIn(['draft', 'final'])
+    .withMessage('Status must be draft or final'),
+  body('sharedWithClient')
+    .optional()
+    .isBoolean()
+    .withMessage('sharedWithClient must be a boolean'),
+];
+
+/**
+ * Validate session record search
+ */
+const searchSessionRecords = [
+  query(['clientId', 'templateId'])
+    .optional()
+    .isMongoId()
+    .withMessage('clientId and templateId must be valid IDs'),
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('from and to must be valid ISO 8601 dates'),
+  query('status')
+    .optional()
+    .isIn(['draft', 'final'])
+    .withMessage('Status must be draft or final'),
+  query('q')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Search text cannot exceed 200 characters'),
+];
+
+module.exports = {
+  updateAvailability,
+  getAvailableSlots,
+  requestSession,
+  validateSessionId,
+  updateSession,
+  declineSession,
+  proposeReschedule,
+  respondToReschedule,
+  validateSeriesId,
+  updateFollowingOccurrences,
+  addGroupAttendee,
+  markGroupAttendance,
+  purchasePackage,
+  validatePackageId,
+  adjustCredits,
+  updatePolicy,
+  validateCoachId,
+  calendarFeed,
+  registerCalendar,
+  uploadCalendar,
+  validateCalendarId,
+  getBusyBlocks,
+  getCoachAnalytics,
+  createNoteTemplate,
+  updateNoteTemplate,
+  validateTemplateId,
+  getSessionRecord,
+  saveSessionRecord,
+  searchSessionRecords,
+};
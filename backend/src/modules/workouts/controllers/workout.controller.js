@@ -4,6 +4,9 @@
  */
 
 const workoutService = require('../services/workout.service');
+const personalRecordService = require('../services/personalRecord.service');
+const trainingMaxService = require('../services/trainingMax.service');
+const programCalendarService = require('../services/programCalendar.service');
 const { successResponse, createdResponse, paginatedResponse } = require('../../../common/utils/response');
 const { asyncHandler } = require('../../../common/middleware/errorHandler');
 const { auditHelpers } = require('../../../common/utils/auditLogger');
@@ -118,16 +121,38 @@ class WorkoutController {
   });
 
   assignProgram = asyncHandler(async (req, res) => {
-    const { clientId } = req.body;
+    const { clientId, startDate, days } = req.body;
     const program = await workoutService.assignProgramToClient(
       req.params.id,
       clientId,
       req.user._id,
-      req.user.role
+      req.user.role,
+      { startDate, days },
     );
     return successResponse(res, program, 'Program assigned successfully');
   });
 
+  getProgramSchedule = asyncHandler(async (req, res) => {
+    const schedule = await programCalendarService.getSchedule(req.params.id, req.user);
+    return successResponse(res, schedule);
+  });
+
+  moveProgramDay = asyncHandler(async (req, res) => {
+    const schedule = await programCalendarService.moveDay(req.params.id, req.user, req.params.date, req.body.date);
+    return successResponse(res, schedule, 'Workout day moved successfully');
+  });
+
+  shiftProgramSchedule = asyncHandler(async (req, res) => {
+    const result = await programCalendarService.shiftProgram(req.params.id, req.user);
+    return successResponse(res, result, `${result.shifted} workouts shifted`);
+  });
+
+  getCalendar = asyncHandler(async (req, res) => {
+    const { userId, from, to } = req.query;
+    const calendar = await programCalendarService.getCalendar(userId || req.user._id, req.user, { from, to });
+    return successResponse(res, calendar);
+  });
+
   // Workout Log endpoints
   logWorkout = asyncHandler(async (req, res) => {
     const log = await workoutService.logWorkout(req.user._id, req.body);
@@ -166,6 +191,64 @@ class WorkoutController {
     return successResponse(res, log, 'Workout log updated successfully');
   });
 
+  deleteWorkoutLog = asyncHandler(async (req, res) => {
+    const result = await workoutService.deleteWorkoutLog(req.params.id, req.user._id, req.user.role);
+    return successResponse(res, result);
+  });
+
+  getPersonalRecords = asyncHandler(async (req, res) => {
+    const { userId, exercise } = req.query;
+    const records = await personalRecordService.getPersonalRecords(userId || req.user._id, req.user, { exercise });
+    return successResponse(res, records);
+  });
+
+  getPersonalRecordHistory = asyncHandler(async (req, res) => {
+    const {
+      page = 1, limit = 20, userId, exercise, type, workoutLogId, from, to,
+    } = req.query;
+
+    const options = { page: parseInt(page, 10), limit: parseInt(limit, 10) };
+    const { records, total } = await personalRecordService.getPersonalRecordHistory(
+      userId || req.user._id,
+      req.user,
+      {
+        exercise, type, workoutLogId, from, to,
+      },
+      options,
+    );
+
+    return paginatedResponse(res, records, options.page, options.limit, total);
+  });
+
+  getTrainingMaxes = asyncHandler(async (req, res) => {
+    const trainingMaxes = await trainingMaxService.getTrainingMaxes(req.query.userId || req.user._id, req.user);
+    return successResponse(res, trainingMaxes);
+  });
+
+  setTrainingMax = asyncHandler(async (req, res) => {
+    const {
+      userId, exercise, value, formula, percentage,
+    } = req.body;
+
+    const trainingMax = await trainingMaxService.setTrainingMax(userId || req.user._id, req.user, {
+      exercise, value, formula, percentage,
+    });
+
+    return successResponse(res, trainingMax, 'Training max updated successfully');
+  });
+
+  estimateOneRepMax = asyncHandler(async (req, res) => {
+    const {
+      weight, reps, rpe, percentage,
+    } = req.query;
+
+    const result = trainingMaxService.estimateOneRepMax({
+      weight, reps, rpe, percentage,
+    });
+
+    return successResponse(res, result);
+  });
+
   getWorkoutStats = asyncHandler(async (req, res) => {
     const { userId, startDate, endDate } = req.query;
     const targetUserId = userId || req.user._id;
@@ -0,0 +1,39 @@
+/**
+ * Missed Workout Job
+ * Periodically shifts program workouts past a missed day (see MISSED_WORKOUT_CRON)
+ */
+
+const { CronJob } = require('cron');
+const config = require('../../../common/config');
+const programCalendarService = require('../services/programCalendar.service');
+const logger = require('../../../common/utils/logger');
+
+let running = false;
+
+const job = new CronJob(config.cron.missedWorkoutSchedule, async () => {
+  if (running) {
+    return;
+  }
+
+  running = true;
+
+  try {
+    const stats = await programCalendarService.shiftAllMissedWorkouts();
+
+    if (stats.programs || stats.failed) {
+      logger.info('Missed workouts shifted', stats);
+    }
+  } catch (error) {
+    logger.error('Missed workout job failed:', error);
+  } finally {
+    running = false;
+  }
+});
+
+module.exports = {
+  start: () => {
+    job.start();
+    logger.info(`Missed workout job scheduled (${config.cron.missedWorkoutSchedule})`);
+  },
+  stop: () => job.stop(),
+};
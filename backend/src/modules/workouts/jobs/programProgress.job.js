@@ -0,0 +1,40 @@
+/**
+ * Program Progress Job
+ * Periodically moves active programs' current week along their calendar and
+ * completes programs whose end date passed (see PROGRAM_PROGRESS_CRON)
+ */
+
+const { CronJob } = require('cron');
+const config = require('../../../common/config');
+const programProgressService = require('../services/programProgress.service');
+const logger = require('../../../common/utils/logger');
+
+let running = false;
+
+const job = new CronJob(config.cron.programProgressSchedule, async () => {
+  if (running) {
+    return;
+  }
+
+  running = true;
+
+  try {
+    const stats = await programProgressService.syncActivePrograms();
+
+    if (stats.completed || stats.failed) {
+      logger.info('Program progress updated', stats);
+    }
+  } catch (error) {
+    logger.error('Program progress job failed:', error);
+  } finally {
+    running = false;
+  }
+});
+
+module.exports = {
+  start: () => {
+    job.start();
+    logger.info(`Program progress job scheduled (${config.cron.programProgressSchedule})`);
+  },
+  stop: () => job.stop(),
+};
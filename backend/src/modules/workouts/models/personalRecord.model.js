@@ -0,0 +1,66 @@
+/**
+ * Personal Record Model
+ * A lifter's record history per exercise: one entry each time a logged
+ * workout set a new best (see utils/personalRecords for the record types)
+ */
+
+const mongoose = require('mongoose');
+const personalRecords = require('../utils/personalRecords');
+
+const personalRecordSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Library exercise, when the logged entry is linked to one
+    exercise: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Exercise',
+    },
+    // Library exercise ID, or `name:<key>` for unlinked entries
+    exerciseKey: {
+      type: String,
+      required: true,
+    },
+    exerciseName: String,
+    type: {
+      type: String,
+      enum: personalRecords.TYPES,
+      required: true,
+    },
+    // kg, or reps for rep records
+    value: {
+      type: Number,
+      required: true,
+    },
+    // The set behind the record (not set for volume)
+    weight: Number,
+    reps: Number,
+    // Null for the first record of its kind
+    previousBest: {
+      type: Number,
+      default: null,
+    },
+    workoutLogId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WorkoutLog',
+      required: true,
+    },
+    achievedAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Indexes
+personalRecordSchema.index({ userId: 1, exerciseKey: 1, type: 1 });
+personalRecordSchema.index({ userId: 1, achievedAt: -1 });
+personalRecordSchema.index({ workoutLogId: 1 });
+
+module.exports = mongoose.model('PersonalRecord', personalRecordSchema);
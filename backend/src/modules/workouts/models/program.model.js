@@ -69,6 +69,20 @@ const programSchema = new mongoose.Schema(
     },
     startDate: Date,
     endDate: Date,
+    // Training days the client's workouts are laid out on
+    schedule: {
+      days: [{
+        type: String,
+        enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'],
+      }],
+      timeZone: String,
+      // Move the remaining workouts forward when a day is missed
+      autoShift: {
+        type: Boolean,
+        default: true,
+      },
+      lastShiftedAt: Date,
+    },
     status: {
       type: String,
       enum: ['draft', 'active', 'completed', 'paused', 'cancelled'],
@@ -87,6 +101,9 @@ const programSchema = new mongoose.Schema(
         type: Number,
         default: 1,
       },
+      completedAt: Date,
+      // Set once the client was rewarded for finishing, so it happens only once
+      completionAwardedAt: Date,
     },
     tags: [String],
   },
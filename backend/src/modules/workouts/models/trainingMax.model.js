@@ -0,0 +1,77 @@
+/**
+ * Training Max Model
+ * The working max per lifter and exercise that percentage-based
+ * prescriptions are calculated from
+ */
+
+const mongoose = require('mongoose');
+const strength = require('../utils/strength');
+
+const trainingMaxSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Library exercise, when known
+    exercise: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Exercise',
+    },
+    // Library exercise ID, or `name:<key>` for exercises outside the library
+    exerciseKey: {
+      type: String,
+      required: true,
+    },
+    exerciseName: String,
+    // kg
+    value: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // estimated: kept up to date from logged sets; manual: entered by the lifter or coach
+    source: {
+      type: String,
+      enum: ['estimated', 'manual'],
+      default: 'estimated',
+    },
+    formula: {
+      type: String,
+      enum: strength.FORMULAS,
+      default: 'epley',
+    },
+    // Share of the estimated 1RM used as the training max
+    percentage: {
+      type: Number,
+      min: 50,
+      max: 100,
+      default: strength.DEFAULT_TRAINING_MAX_PERCENTAGE,
+    },
+    estimated1RM: Number,
+    // The set the estimate came from
+    basedOn: {
+      workoutLogId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WorkoutLog',
+      },
+      weight: Number,
+      reps: Number,
+      rpe: Number,
+      date: Date,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Indexes
+trainingMaxSchema.index({ userId: 1, exerciseKey: 1 }, { unique: true });
+
+module.exports = mongoose.model('TrainingMax', trainingMaxSchema);
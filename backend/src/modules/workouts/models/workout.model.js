@@ -5,6 +5,11 @@
 const mongoose = require('mongoose');
 
 const exerciseSchema = new mongoose.Schema({
+  // Library exercise; filled in from exerciseId or name when they match one
+  exercise: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Exercise',
+  },
   exerciseId: {
     type: String,
     required: true,
@@ -67,6 +72,15 @@ const workoutSchema = new mongoose.Schema(
     },
     scheduledDate: Date,
     completedDate: Date,
+    // Set on workouts laid out on a client's program calendar
+    templateWorkoutId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workout',
+    },
+    programWeek: Number,
+    programSequence: Number,
+    // Date the workout was first laid out on, before moves and shifts
+    originalDate: Date,
     status: {
       type: String,
       enum: ['draft', 'scheduled', 'completed', 'skipped'],
@@ -85,5 +99,7 @@ workoutSchema.index({ clientId: 1 });
 workoutSchema.index({ programId: 1 });
 workoutSchema.index({ scheduledDate: 1 });
 workoutSchema.index({ status: 1 });
+workoutSchema.index({ programId: 1, scheduledDate: 1 });
+workoutSchema.index({ clientId: 1, scheduledDate: 1 });
 
 module.exports = mongoose.model('Workout', workoutSchema);
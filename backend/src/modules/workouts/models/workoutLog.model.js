@@ -6,6 +6,11 @@
 const mongoose = require('mongoose');
 
 const exerciseLogSchema = new mongoose.Schema({
+  // Library exercise, as on the workout
+  exercise: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Exercise',
+  },
   exerciseId: String,
   name: String,
   sets: [{
@@ -27,6 +32,7 @@ const exerciseLogSchema = new mongoose.Schema({
   targetSets: Number,
   targetReps: String,
   targetWeight: Number,
+  targetPercentage: Number, // % of the training max, for percentage-based programs
   averageRPE: Number, // Calculated average RPE across all sets
 });
 
@@ -83,5 +89,7 @@ workoutLogSchema.index({ programId: 1 });
 workoutLogSchema.index({ date: -1 });
 // Hot query: userId + date (list user's workout history)
 workoutLogSchema.index({ userId: 1, date: -1 });
+// Exercise history per user
+workoutLogSchema.index({ userId: 1, 'exercises.exercise': 1 });
 
 module.exports = mongoose.model('WorkoutLog', workoutLogSchema);
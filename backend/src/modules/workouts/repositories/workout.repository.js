@@ -5,6 +5,8 @@
 const Workout = require('../models/workout.model');
 const Program = require('../models/program.model');
 const WorkoutLog = require('../models/workoutLog.model');
+const PersonalRecord = require('../models/personalRecord.model');
+const TrainingMax = require('../models/trainingMax.model');
 
 class WorkoutRepository {
   // Workout CRUD
@@ -15,7 +17,8 @@ class WorkoutRepository {
   async findWorkoutById(id) {
     return await Workout.findById(id)
       .populate('coachId clientId', 'firstName lastName email')
-      .populate('programId', 'name');
+      .populate('programId', 'name')
+      .populate('exercises.exercise', 'name equipment primaryMuscles demoVideoUrl coachingCues');
   }
 
   async findAllWorkouts(filters = {}, options = {}) {
@@ -89,6 +92,188 @@ class WorkoutRepository {
     );
   }
 
+  // Program calendar
+  async createWorkouts(workouts) {
+    return Workout.insertMany(workouts);
+  }
+
+  /**
+   * Workouts laid out on a program's calendar, in date order
+   */
+  async findScheduledWorkouts(programId, filters = {}) {
+    return Workout.find({ programId, templateWorkoutId: { $exists: true }, ...filters })
+      .select('-exercises')
+      .sort({ scheduledDate: 1, programSequence: 1 });
+  }
+
+  async findLastScheduledWorkout(programId) {
+    return Workout.findOne({ programId, templateWorkoutId: { $exists: true } })
+      .select('scheduledDate')
+      .sort({ scheduledDate: -1 });
+  }
+
+  /**
+   * Calendar workouts not done yet; re-laid when the program is assigned again.
+   * Workouts that already have a log are kept.
+   */
+  async deletePendingProgramWorkouts(programId, loggedIds = []) {
+    return Workout.deleteMany({
+      _id: { $nin: loggedIds },
+      programId,
+      templateWorkoutId: { $exists: true },
+      status: 'scheduled',
+    });
+  }
+
+  /**
+   * Take workouts off their program's calendar; they stay on the client's own
+   */
+  async detachProgramWorkouts(workoutIds) {
+    if (workoutIds.length === 0) {
+      return null;
+    }
+
+    return Workout.updateMany({ _id: { $in: workoutIds } }, { $unset: { templateWorkoutId: 1 } });
+  }
+
+  /**
+   * @param {Array} moves - { id, scheduledDate, programWeek }
+   */
+  async moveWorkouts(moves) {
+    if (moves.length === 0) {
+      return null;
+    }
+
+    return Workout.bulkWrite(moves.map(({ id, scheduledDate, programWeek }) => ({
+      updateOne: {
+        filter: { _id: id },
+        update: { $set: { scheduledDate, programWeek } },
+      },
+    })));
+  }
+
+  /**
+   * A client's dated workouts in [from, to)
+   */
+  async findClientWorkouts(clientId, from, to) {
+    return Workout.find({ clientId, scheduledDate: { $gte: from, $lt: to } })
+      .select('name type duration status scheduledDate programId programWeek programSequence originalDate')
+      .populate('programId', 'name')
+      .sort({ scheduledDate: 1, programSequence: 1 })
+      .lean();
+  }
+
+  /**
+   * IDs of the given workouts that have a log
+   */
+  async findLoggedWorkoutIds(workoutIds) {
+    return WorkoutLog.distinct('workoutId', { workoutId: { $in: workoutIds } });
+  }
+
+  /**
+   * Programs with calendar workouts still pending before a date
+   */
+  async findProgramIdsWithPendingWorkouts(before) {
+    return Workout.distinct('programId', {
+      templateWorkoutId: { $exists: true },
+      status: 'scheduled',
+      scheduledDate: { $lt: before },
+    });
+  }
+
+  async findProgramProgress(id) {
+    return Program.findById(id)
+      .select('status clientId startDate endDate duration schedule progress')
+      .lean();
+  }
+
+  /**
+   * The program each of the given workouts belongs to
+   */
+  async findWorkoutPrograms(workoutIds) {
+    return Workout.find({ _id: { $in: workoutIds }, programId: { $ne: null } })
+      .select('programId')
+      .lean();
+  }
+
+  async findProgramClients(ids) {
+    return Program.find({ _id: { $in: ids } })
+      .select('clientId')
+      .lean();
+  }
+
+  async markWorkoutsCompleted(completions) {
+    if (completions.length === 0) {
+      return null;
+    }
+
+    return Workout.bulkWrite(completions.map(({ id, completedDate }) => ({
+      updateOne: {
+        filter: { _id: id },
+        update: { $set: { status: 'completed', completedDate } },
+      },
+    })));
+  }
+
+  async reopenWorkouts(workoutIds) {
+    if (workoutIds.length === 0) {
+      return null;
+    }
+
+    return Workout.updateMany(
+      { _id: { $in: workoutIds } },
+      { $set: { status: 'scheduled' }, $unset: { completedDate: 1 } },
+    );
+  }
+
+  /**
+   * The client's completed logs of a program or its calendar workouts, oldest first
+   */
+  async findProgramLogs(programId, clientId, workoutIds) {
+    return WorkoutLog.find({
+      userId: clientId,
+      completed: true,
+      $or: [{ programId }, { workoutId: { $in: workoutIds } }],
+    })
+      .select('workoutId programId date')
+      .sort({ date: 1 })
+      .lean();
+  }
+
+  /**
+   * Mark an active program completed; null when it was not active
+   */
+  async completeProgram(id, completedAt) {
+    return Program.findOneAndUpdate(
+      { _id: id, status: 'active' },
+      { $set: { status: 'completed', 'progress.completedAt': completedAt } },
+      { new: true },
+    );
+  }
+
+  /**
+   * Claim the completion reward; null when it was claimed before
+   */
+  async claimProgramCompletion(id, awardedAt) {
+    return Program.findOneAndUpdate(
+      { _id: id, 'progress.completionAwardedAt': null },
+      { $set: { 'progress.completionAwardedAt': awardedAt } },
+      { new: true },
+    );
+  }
+
+  activeProgramsCursor() {
+    return Program.find({ status: 'active', startDate: { $exists: true } }).select('_id').cursor();
+  }
+
+  autoShiftProgramsCursor(programIds) {
+    return Program.find({
+      _id: { $in: programIds },
+      status: 'active',
+      'schedule.autoShift': { $ne: false },
+    }).cursor();
+  }
+
   // Workout Log CRUD
   async createWorkoutLog(logData) {
     return await WorkoutLog.create(logData);
@@ -124,6 +309,94 @@ class WorkoutRepository {
     });
   }
 
+  async deleteWorkoutLog(id) {
+    return WorkoutLog.findByIdAndDelete(id);
+  }
+
+  /**
+   * The user's logs since a date, for recalculating estimates
+   */
+  async findWorkoutLogsSince(userId, since) {
+    return WorkoutLog.find({ userId, date: { $gte: since } }).select('date exercises').lean();
+  }
+
+  // Personal records
+  async createPersonalRecords(records) {
+    return PersonalRecord.insertMany(records);
+  }
+
+  async updatePersonalRecord(id, updates) {
+    return PersonalRecord.findByIdAndUpdate(id, updates, { new: true });
+  }
+
+  async deletePersonalRecords(ids) {
+    return PersonalRecord.deleteMany({ _id: { $in: ids } });
+  }
+
+  async deleteLogPersonalRecords(workoutLogId) {
+    return PersonalRecord.deleteMany({ workoutLogId });
+  }
+
+  async findLogPersonalRecords(workoutLogId) {
+    return PersonalRecord.find({ workoutLogId });
+  }
+
+  /**
+   * The lifter's records for the exercises, outside one log
+   */
+  async findPersonalRecordBests(userId, exerciseKeys, excludeLogId) {
+    return PersonalRecord.find({
+      userId,
+      exerciseKey: { $in: exerciseKeys },
+      workoutLogId: { $ne: excludeLogId },
+    })
+      .select('exerciseKey type weight value')
+      .lean();
+  }
+
+  async findAllPersonalRecords(filters = {}) {
+    return PersonalRecord.find(filters).sort('achievedAt').lean();
+  }
+
+  async findPersonalRecordHistory(filters = {}, options = {}) {
+    const { page = 1, limit = 20 } = options;
+    const skip = (page - 1) * limit;
+
+    const records = await PersonalRecord.find(filters)
+      .populate('exercise', 'name')
+      .sort('-achievedAt')
+      .skip(skip)
+      .limit(limit);
+
+    const total = await PersonalRecord.countDocuments(filters);
+
+    return { records, total };
+  }
+
+  // Training maxes
+  async findTrainingMaxes(userId, exerciseKeys) {
+    return TrainingMax.find({
+      userId,
+      ...(exerciseKeys && { exerciseKey: { $in: exerciseKeys } }),
+    })
+      .populate('exercise', 'name')
+      .sort('exerciseName');
+  }
+
+  async upsertTrainingMax(userId, exerciseKey, updates) {
+    return TrainingMax.findOneAndUpdate(
+      { userId, exerciseKey },
+      { $set: updates },
+      {
+        new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true,
+      },
+    );
+  }
+
+  async deleteTrainingMax(userId, exerciseKey) {
+    return TrainingMax.deleteOne({ userId, exerciseKey });
+  }
+
   async getWorkoutStats(userId, startDate, endDate) {
     return await WorkoutLog.aggregate([
       {
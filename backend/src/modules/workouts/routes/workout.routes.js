@@ -4,7 +4,9 @@
 
 const express = require('express');
 const workoutController = require('../controllers/workout.controller');
+const validators = require('../validators/workout.validators');
 const { authenticate, authorize } = require('../../../common/middleware/auth');
+const { validate } = require('../../../common/middleware/validation');
 
 const router = express.Router();
 
@@ -212,13 +214,37 @@ router.get('/programs', workoutController.getPrograms);
 router.get('/programs/:id', workoutController.getProgram);
 router.put('/programs/:id', authorize('coach', 'admin'), workoutController.updateProgram);
 router.delete('/programs/:id', authorize('coach', 'admin'), workoutController.deleteProgram);
-router.post('/programs/:id/assign', authorize('coach', 'admin'), workoutController.assignProgram);
+router.post(
+  '/programs/:id/assign',
+  authorize('coach', 'admin'),
+  validators.assignProgram,
+  validate,
+  workoutController.assignProgram,
+);
+
+// Program calendar (coach, client or admin)
+router.get('/programs/:id/schedule', validators.programId, validate, workoutController.getProgramSchedule);
+router.put('/programs/:id/schedule/days/:date', validators.moveProgramDay, validate, workoutController.moveProgramDay);
+router.post('/programs/:id/schedule/shift', validators.programId, validate, workoutController.shiftProgramSchedule);
+
+// Workouts, sessions and check-ins per day (own, or a client's with ?userId)
+router.get('/calendar', validators.getCalendar, validate, workoutController.getCalendar);
 
 // Workout Log routes
 router.post('/logs', workoutController.logWorkout);
 router.get('/logs', workoutController.getWorkoutLogs);
 router.get('/logs/:id', workoutController.getWorkoutLog);
 router.put('/logs/:id', workoutController.updateWorkoutLog);
+router.delete('/logs/:id', workoutController.deleteWorkoutLog);
 router.get('/stats', workoutController.getWorkoutStats);
 
+// Personal records (own, or a client's with ?userId)
+router.get('/prs', validators.getPersonalRecords, validate, workoutController.getPersonalRecords);
+router.get('/prs/history', validators.getPersonalRecordHistory, validate, workoutController.getPersonalRecordHistory);
+
+// Training maxes (own, or a client's with userId) and the 1RM calculator
+router.get('/training-maxes', validators.getTrainingMaxes, validate, workoutController.getTrainingMaxes);
+router.put('/training-maxes', validators.setTrainingMax, validate, workoutController.setTrainingMax);
+router.get('/one-rep-max', validators.estimateOneRepMax, validate, workoutController.estimateOneRepMax);
+
 module.exports = router;
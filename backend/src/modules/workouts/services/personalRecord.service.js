@@ -0,0 +1,163 @@
+/**
+ * Personal Record Service
+ * Detects personal records in workout logs, keeps each lifter's record
+ * history and publishes new records for other modules to react to
+ */
+
+const mongoose = require('mongoose');
+const workoutRepository = require('../repositories/workout.repository');
+const personalRecords = require('../utils/personalRecords');
+const dataIntegrity = require('../../../common/utils/dataIntegrity');
+const eventBus = require('../../../common/utils/eventBus');
+const { ForbiddenError } = require('../../../common/utils/errors');
+const logger = require('../../../common/utils/logger');
+
+const RECORD_FIELDS = ['exercise', 'exerciseName', 'value', 'weight', 'reps', 'previousBest', 'achievedAt'];
+
+class PersonalRecordService {
+  /**
+   * Bring a log's records up to date after it was created or changed.
+   * Failures are logged rather than thrown, since the log is already saved.
+   * @returns {Array} The records the log holds
+   */
+  async syncLogRecords(log) {
+    try {
+      return await this.applyLogRecords(log);
+    } catch (error) {
+      logger.warn(`Could not update personal records for workout log ${log._id}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Records are compared against the lifter's other logs, so logging set by
+   * set or editing a log updates its records in place. Records the log no
+   * longer earns are removed. A record that beats an earlier best is
+   * published once, when the log first sets it.
+   */
+  async applyLogRecords(log) {
+    const userId = log.userId._id || log.userId;
+    const candidates = personalRecords.candidates(log.exercises);
+    const exerciseKeys = [...new Set(candidates.map((candidate) => candidate.exerciseKey))];
+
+    const [bests, existing] = await Promise.all([
+      exerciseKeys.length > 0 ? workoutRepository.findPersonalRecordBests(userId, exerciseKeys, log._id) : [],
+      workoutRepository.findLogPersonalRecords(log._id),
+    ]);
+
+    const records = personalRecords.detect(candidates, bests).map((record) => ({
+      ...record,
+      userId,
+      workoutLogId: log._id,
+      achievedAt: log.date,
+    }));
+
+    const stored = new Map(existing.map((record) => [personalRecords.recordKey(record), record]));
+    const kept = new Set(records.map((record) => personalRecords.recordKey(record)));
+
+    const added = records.filter((record) => !stored.has(personalRecords.recordKey(record)));
+    const changed = records.filter((record) => {
+      const current = stored.get(personalRecords.recordKey(record));
+      return current && this.hasChanged(current, record);
+    });
+    const removed = existing.filter((record) => !kept.has(personalRecords.recordKey(record)));
+
+    await Promise.all([
+      added.length > 0 && workoutRepository.createPersonalRecords(added),
+      ...changed.map((record) => workoutRepository.updatePersonalRecord(
+        stored.get(personalRecords.recordKey(record))._id,
+        this.pickFields(record),
+      )),
+      removed.length > 0 && workoutRepository.deletePersonalRecords(removed.map((record) => record._id)),
+    ]);
+
+    const improvements = added.filter((record) => personalRecords.isImprovement(record));
+
+    if (improvements.length > 0) {
+      logger.info(`${improvements.length} personal record(s) set in workout log ${log._id}`);
+      eventBus.publish(eventBus.EVENTS.PERSONAL_RECORD, { userId, workoutLogId: log._id, records: improvements });
+    }
+
+    return records;
+  }
+
+  /**
+   * Current bests per exercise
+   * @param {Object} [query] - exercise
+   */
+  async getPersonalRecords(userId, viewer, query = {}) {
+    await this.assertCanView(userId, viewer);
+
+    const records = await workoutRepository.findAllPersonalRecords(this.buildFilters(userId, query));
+
+    return personalRecords.summarize(records);
+  }
+
+  /**
+   * Every record set, newest first
+   * @param {Object} [query] - exercise, type, workoutLogId, from, to
+   */
+  async getPersonalRecordHistory(userId, viewer, query = {}, options = {}) {
+    await this.assertCanView(userId, viewer);
+
+    return workoutRepository.findPersonalRecordHistory(this.buildFilters(userId, query), options);
+  }
+
+  /**
+   * @param {Object} query - `exercise` is a library exercise ID, or the
+   * logged name of an exercise that isn't in the library
+   */
+  buildFilters(userId, {
+    exercise, type, workoutLogId, from, to,
+  }) {
+    const filters = { userId };
+
+    if (exercise) {
+      filters.exerciseKey = personalRecords.exerciseKey(mongoose.isObjectIdOrHexString(exercise)
+        ? { exercise }
+        : { name: exercise });
+    }
+    if (type) filters.type = type;
+    if (workoutLogId) filters.workoutLogId = workoutLogId;
+    if (from || to) {
+      filters.achievedAt = {};
+      if (from) filters.achievedAt.$gte = new Date(from);
+      if (to) filters.achievedAt.$lte = new Date(to);
+    }
+
+    return filters;
+  }
+
+  async assertCanView(userId, viewer) {
+    if (viewer.role === 'admin' || userId.toString() === viewer._id.toString()) {
+      return;
+    }
+
+    if (viewer.role === 'client') {
+      throw new ForbiddenError('You can only view your own personal records');
+    }
+
+    try {
+      await dataIntegrity.validateCoachClientRelationship(viewer._id, userId);
+    } catch (error) {
+      throw new ForbiddenError('You can only view personal records of your own clients');
+    }
+  }
+
+  hasChanged(current, record) {
+    const comparable = (value) => {
+      if (value === null || value === undefined) {
+        return '';
+      }
+      return value instanceof Date ? String(value.getTime()) : value.toString();
+    };
+
+    return RECORD_FIELDS.some((field) => comparable(current[field]) !== comparable(record[field]));
+  }
+
+  pickFields(record) {
+    return RECORD_FIELDS.reduce((acc, field) => ({ ...acc, [field]: record[field] }), {});
+  }
+}
+
+module.exports = new PersonalRecordService();
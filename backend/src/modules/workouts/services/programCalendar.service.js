@@ -0,0 +1,417 @@
+/**
+ * Program Calendar Service
+ * Materializes a program's workouts onto the client's training days, moves
+ * days around and shifts the remaining workouts when a day is missed
+ */
+
+const workoutRepository = require('../repositories/workout.repository');
+const clientProfileRepository = require('../../clients/repositories/clientProfile.repository');
+const checkinRepository = require('../../checkins/repositories/checkin.repository');
+const checkinScheduleRepository = require('../../checkins/repositories/checkinSchedule.repository');
+const checkinDue = require('../../checkins/utils/checkinDue');
+const sessionService = require('../../sessions/services/session.service');
+const sessionTimeZoneService = require('../../sessions/services/sessionTimeZone.service');
+const programCalendar = require('../utils/programCalendar');
+const dataIntegrity = require('../../../common/utils/dataIntegrity');
+const timezone = require('../../../common/utils/timezone');
+const { BadRequestError, ForbiddenError, NotFoundError } = require('../../../common/utils/errors');
+const logger = require('../../../common/utils/logger');
+
+// Template fields copied onto each dated workout
+const COPIED_FIELDS = [
+  'name', 'description', 'type', 'difficulty', 'duration', 'targetMuscles', 'equipment', 'notes',
+];
+
+// Check-in due dates listed per calendar request at most
+const MAX_DUE_CHECKINS = 31;
+
+class ProgramCalendarService {
+  /**
+   * Lay the program's workouts out on the client's calendar. When it was
+   * scheduled for the same client before, only the workouts not done yet are
+   * laid out again; a new client starts the program over.
+   * @param {Object} program - Program with populated workouts
+   * @param {Object} options - startDate (YYYY-MM-DD, default today), days (overrides the client's availableDays)
+   * @returns {Object} Updated program
+   */
+  async scheduleProgram(program, clientId, { startDate, days } = {}) {
+    const profile = await clientProfileRepository.findByUserId(clientId);
+    const timeZone = await sessionTimeZoneService.getUserTimeZone(clientId);
+    const templates = (program.workouts || []).filter(Boolean);
+    const workoutsPerWeek = program.duration.workoutsPerWeek || Math.min(templates.length, 7);
+    const availableDays = days || (profile && profile.schedule && profile.schedule.availableDays) || [];
+    const trainingDays = programCalendar.trainingDays(availableDays, workoutsPerWeek || 1);
+    const start = startDate || this.today(timeZone);
+    const previousClientId = program.clientId && (program.clientId._id || program.clientId).toString();
+    const clientChanged = Boolean(previousClientId) && previousClientId !== clientId.toString();
+    const done = await this.clearCalendar(program._id, clientChanged);
+
+    const slots = programCalendar.layout({
+      startDate: start,
+      weeks: program.duration.weeks,
+      workoutsPerWeek,
+      workoutCount: templates.length,
+      days: trainingDays,
+      done: done.map((workout) => workout.programSequence),
+    });
+
+    await workoutRepository.createWorkouts(slots.map((slot) => this.buildWorkout(
+      program,
+      templates[slot.workoutIndex],
+      clientId,
+      slot,
+    )));
+
+    const lastDate = slots.length > 0
+      ? programCalendar.toDate(slots[slots.length - 1].date)
+      : done.reduce((last, workout) => (workout.scheduledDate > last ? workout.scheduledDate : last), null);
+
+    const updatedProgram = await workoutRepository.updateProgram(program._id, {
+      clientId,
+      status: 'active',
+      startDate: programCalendar.toDate(start),
+      endDate: lastDate || programCalendar.toDate(start),
+      'schedule.days': trainingDays,
+      'schedule.timeZone': timeZone,
+      'progress.totalWorkouts': done.length + slots.length,
+      // A new client works through the program, and earns its reward, from scratch
+      ...(clientChanged && {
+        'progress.completedWorkouts': 0,
+        'progress.currentWeek': 1,
+        'progress.completedAt': null,
+        'progress.completionAwardedAt': null,
+      }),
+    });
+
+    logger.info(`Program ${program._id} laid out for client ${clientId}: ${slots.length} workouts from ${start}`);
+
+    return updatedProgram;
+  }
+
+  /**
+   * Clear the program's calendar before laying it out again. Pending workouts
+   * without a log are deleted. Done or logged ones stay with the client who
+   * did them, and are taken off the program's calendar when the program moves
+   * to another client.
+   * @returns {Array} Workouts left on the program's calendar
+   */
+  async clearCalendar(programId, clientChanged) {
+    const workouts = await workoutRepository.findScheduledWorkouts(programId);
+    const logged = await this.getLoggedIds(workouts);
+    const done = workouts.filter((workout) => workout.status !== 'scheduled' || logged.has(workout._id.toString()));
+
+    await workoutRepository.deletePendingProgramWorkouts(programId, [...logged]);
+
+    if (clientChanged) {
+      await workoutRepository.detachProgramWorkouts(done.map((workout) => workout._id));
+      return [];
+    }
+
+    return done;
+  }
+
+  buildWorkout(program, template, clientId, slot) {
+    const source = typeof template.toObject === 'function' ? template.toObject() : template;
+    const fields = COPIED_FIELDS
+      .filter((field) => source[field] !== undefined)
+      .reduce((acc, field) => ({ ...acc, [field]: source[field] }), {});
+
+    return {
+      ...fields,
+      exercises: (source.exercises || []).map((exercise) => Object.fromEntries(
+        Object.entries(exercise).filter(([key]) => key !== '_id'),
+      )),
+      coachId: program.coachId._id || program.coachId,
+      clientId,
+      programId: program._id,
+      templateWorkoutId: source._id,
+      scheduledDate: programCalendar.toDate(slot.date),
+      originalDate: programCalendar.toDate(slot.date),
+      programWeek: slot.week,
+      programSequence: slot.sequence,
+      status: 'scheduled',
+    };
+  }
+
+  /**
+   * The program's dated workouts
+   */
+  async getSchedule(programId, user) {
+    const program = await this.getProgram(programId, user);
+    const workouts = await workoutRepository.findScheduledWorkouts(program._id);
+    const logged = await this.getLoggedIds(workouts);
+
+    return {
+      programId: program._id,
+      startDate: program.startDate,
+      endDate: program.endDate,
+      days: program.schedule ? program.schedule.days : [],
+      timeZone: program.schedule && program.schedule.timeZone,
+      autoShift: !program.schedule || program.schedule.autoShift !== false,
+      workouts: workouts.map((workout) => ({
+        ...workout.toObject(),
+        logged: logged.has(workout._id.toString()),
+      })),
+    };
+  }
+
+  /**
+   * Drag a day to another date. Workouts already on the target date move to
+   * the dragged day, so two days swap; logged workouts stay where they are.
+   * @param {String} from - Date key of the day being moved
+   * @param {String} to - Date key it is dropped on
+   */
+  async moveDay(programId, user, from, to) {
+    const program = await this.getProgram(programId, user);
+
+    if (from === to) {
+      throw new BadRequestError('The new date must differ from the current one');
+    }
+
+    const pending = await this.getPendingWorkouts(program._id);
+    const onDay = (key) => pending.filter((workout) => programCalendar.toKey(workout.scheduledDate) === key);
+    const moving = onDay(from);
+
+    if (moving.length === 0) {
+      throw new NotFoundError(`Pending workout on ${from}`);
+    }
+
+    const start = programCalendar.toKey(program.startDate);
+    const moves = [
+      ...moving.map((workout) => ({ id: workout._id, date: to })),
+      ...onDay(to).map((workout) => ({ id: workout._id, date: from })),
+    ];
+
+    await this.applyMoves(program, moves.map((move) => ({
+      ...move,
+      week: Math.max(programCalendar.weekOf(start, move.date), 1),
+    })));
+
+    logger.info(`Program ${program._id}: workouts on ${from} moved to ${to}`);
+
+    return this.getSchedule(program._id, user);
+  }
+
+  /**
+   * Move the pending workouts of a program that has a missed day onto the
+   * next training days from today, keeping their order
+   * @returns {Array} Moves made ({ id, date, week })
+   */
+  async shiftMissedWorkouts(program, now = new Date()) {
+    const timeZone = timezone.resolve(program.schedule && program.schedule.timeZone);
+    const today = this.today(timeZone, now);
+    const pending = await this.getPendingWorkouts(program._id);
+
+    if (!pending.some((workout) => programCalendar.toKey(workout.scheduledDate) < today)) {
+      return [];
+    }
+
+    const days = program.schedule && program.schedule.days && program.schedule.days.length > 0
+      ? program.schedule.days
+      : programCalendar.trainingDays([], program.duration.workoutsPerWeek || 3);
+
+    const moves = programCalendar.shift(pending, {
+      fromDate: today,
+      startDate: programCalendar.toKey(program.startDate),
+      days,
+    });
+
+    await this.applyMoves(program, moves, { shiftedAt: now });
+
+    logger.info(`Program ${program._id}: ${moves.length} missed or later workouts shifted from ${today}`);
+
+    return moves;
+  }
+
+  async shiftProgram(programId, user, now = new Date()) {
+    const program = await this.getProgram(programId, user);
+    const moves = await this.shiftMissedWorkouts(program, now);
+
+    return { shifted: moves.length, schedule: await this.getSchedule(program._id, user) };
+  }
+
+  /**
+   * Shift every active program with a missed day (background job)
+   * @returns {Object} { programs, moved, failed }
+   */
+  async shiftAllMissedWorkouts(now = new Date()) {
+    const stats = { programs: 0, moved: 0, failed: 0 };
+    const programIds = await workoutRepository.findProgramIdsWithPendingWorkouts(now);
+
+    if (programIds.length === 0) {
+      return stats;
+    }
+
+    await workoutRepository.autoShiftProgramsCursor(programIds).eachAsync(async (program) => {
+      try {
+        const moves = await this.shiftMissedWorkouts(program, now);
+
+        if (moves.length > 0) {
+          stats.programs += 1;
+          stats.moved += moves.length;
+        }
+      } catch (error) {
+        stats.failed += 1;
+        logger.error(`Could not shift missed workouts of program ${program._id}: ${error.message}`);
+      }
+    });
+
+    return stats;
+  }
+
+  /**
+   * A client's workouts, sessions and check-ins per day, in the client's time zone
+   * @param {Object} range - from, to (YYYY-MM-DD, both included)
+   * @returns {Object} { timeZone, from, to, days: [{ date, workouts, sessions, checkins, checkinDue }] }
+   */
+  async getCalendar(userId, viewer, { from, to }) {
+    await this.assertCanAccess(userId, viewer);
+
+    const length = programCalendar.daysBetween(from, to) + 1;
+
+    if (length < 1 || length > programCalendar.MAX_RANGE_DAYS) {
+      throw new BadRequestError(`The range must run forward and span at most ${programCalendar.MAX_RANGE_DAYS} days`);
+    }
+
+    const timeZone = await sessionTimeZoneService.getUserTimeZone(userId);
+    const end = programCalendar.addDays(to, 1);
+    const rangeStart = this.startOfDay(from, timeZone);
+    const rangeEnd = this.startOfDay(end, timeZone);
+
+    const [workouts, sessions, checkins, schedule] = await Promise.all([
+      workoutRepository.findClientWorkouts(userId, programCalendar.toDate(from), programCalendar.toDate(end)),
+      sessionService.getClientSessionsBetween(userId, rangeStart, rangeEnd),
+      checkinRepository.findCalendarCheckins(userId, rangeStart, rangeEnd),
+      checkinScheduleRepository.findByClient(userId),
+    ]);
+    const logged = await this.getLoggedIds(workouts);
+    const dueDates = schedule && schedule.isActive ? this.getDueDates(schedule, rangeStart, rangeEnd) : [];
+    const localKey = (date) => programCalendar.toKey(timezone.toWallClock(date, timeZone));
+
+    return {
+      timeZone,
+      from,
+      to,
+      days: programCalendar.range(from, to).map((date) => ({
+        date,
+        workouts: workouts
+          .filter((workout) => programCalendar.toKey(workout.scheduledDate) === date)
+          .map((workout) => ({ ...workout, logged: logged.has(workout._id.toString()) })),
+        sessions: sessions
+          .filter((session) => localKey(session.startTime) === date)
+          .map((session) => ({
+            ...session,
+            localStartTime: timezone.toLocalIso(session.startTime, timeZone),
+            localEndTime: timezone.toLocalIso(session.endTime, timeZone),
+          })),
+        checkins: checkins.filter((checkin) => localKey(checkin.date) === date),
+        checkinDue: dueDates.find((dueAt) => localKey(dueAt) === date) || null,
+      })),
+    };
+  }
+
+  /**
+   * Check-in due dates in [from, to)
+   */
+  getDueDates(schedule, from, to) {
+    const dates = [];
+    let index = checkinDue.latestIndex(schedule, new Date(from.getTime() - 1)) + 1;
+
+    while (dates.length < MAX_DUE_CHECKINS && checkinDue.dueAt(schedule, index) < to) {
+      dates.push(checkinDue.dueAt(schedule, index));
+      index += 1;
+    }
+
+    return dates;
+  }
+
+  /**
+   * Calendar workouts still to do: scheduled and without a log
+   */
+  async getPendingWorkouts(programId) {
+    const workouts = await workoutRepository.findScheduledWorkouts(programId, { status: 'scheduled' });
+    const logged = await this.getLoggedIds(workouts);
+
+    return workouts.filter((workout) => !logged.has(workout._id.toString()));
+  }
+
+  async getLoggedIds(workouts) {
+    if (workouts.length === 0) {
+      return new Set();
+    }
+
+    const ids = await workoutRepository.findLoggedWorkoutIds(workouts.map((workout) => workout._id));
+    return new Set(ids.map((id) => id.toString()));
+  }
+
+  /**
+   * Save new dates and keep the program's end date on its last workout
+   * @param {Array} moves - { id, date, week }
+   */
+  async applyMoves(program, moves, { shiftedAt } = {}) {
+    await workoutRepository.moveWorkouts(moves.map(({ id, date, week }) => ({
+      id,
+      scheduledDate: programCalendar.toDate(date),
+      programWeek: week,
+    })));
+
+    const last = await workoutRepository.findLastScheduledWorkout(program._id);
+
+    await workoutRepository.updateProgram(program._id, {
+      ...(last && { endDate: last.scheduledDate }),
+      ...(shiftedAt && { 'schedule.lastShiftedAt': shiftedAt }),
+    });
+  }
+
+  today(timeZone, now = new Date()) {
+    return programCalendar.toKey(timezone.toWallClock(now, timeZone));
+  }
+
+  startOfDay(key, timeZone) {
+    const [year, month, day] = key.split('-').map(Number);
+    return timezone.toUtc({ year, month, day }, timeZone);
+  }
+
+  /**
+   * A program the user may reschedule: its coach, its client or an admin
+   */
+  async getProgram(programId, user) {
+    const program = await workoutRepository.findProgramById(programId);
+
+    if (!program) {
+      throw new NotFoundError('Program');
+    }
+
+    const userId = user._id.toString();
+    const isCoach = program.coachId && program.coachId._id.toString() === userId;
+    const isClient = program.clientId && program.clientId._id.toString() === userId;
+
+    if (user.role !== 'admin' && !isCoach && !isClient) {
+      throw new ForbiddenError('You do not have permission to access this program calendar');
+    }
+
+    if (!program.startDate) {
+      throw new BadRequestError('Program has not been assigned to a client yet');
+    }
+
+    return program;
+  }
+
+  async assertCanAccess(userId, viewer) {
+    if (viewer.role === 'admin' || userId.toString() === viewer._id.toString()) {
+      return;
+    }
+
+    if (viewer.role === 'client') {
+      throw new ForbiddenError('You can only access your own calendar');
+    }
+
+    try {
+      await dataIntegrity.validateCoachClientRelationship(viewer._id, userId);
+    } catch (error) {
+      throw new ForbiddenError('You can only access calendars of your own clients');
+    }
+  }
+}
+
+module.exports = new ProgramCalendarService();
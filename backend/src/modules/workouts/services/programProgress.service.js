@@ -0,0 +1,176 @@
+/**
+ * Program Progress Service
+ * Keeps program progress in step with workout logs and the program calendar,
+ * and completes programs once their workouts are done
+ */
+
+const workoutRepository = require('../repositories/workout.repository');
+const programProgress = require('../utils/programProgress');
+const programCalendar = require('../utils/programCalendar');
+const eventBus = require('../../../common/utils/eventBus');
+const timezone = require('../../../common/utils/timezone');
+const logger = require('../../../common/utils/logger');
+
+// Programs whose progress follows the logs
+const TRACKED_STATUSES = ['active', 'paused', 'completed'];
+
+class ProgramProgressService {
+  /**
+   * Update the programs that logs belong to, after a log was created,
+   * edited or deleted (pass the log before and after an edit). Failures are
+   * logged rather than thrown, since the log change is already saved.
+   * @returns {Array} Updated programs
+   */
+  async syncLogPrograms(...logs) {
+    try {
+      const programIds = await this.findLogProgramIds(logs.filter(Boolean));
+      const programs = await Promise.all(programIds.map((programId) => this.syncProgram(programId)));
+
+      return programs.filter(Boolean);
+    } catch (error) {
+      logger.warn(`Could not update program progress: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Programs a log counts for: its own programId and its calendar workout's
+   * program, as long as the program is assigned to whoever wrote the log
+   */
+  async findLogProgramIds(logs) {
+    const idOf = (value) => value && (value._id || value).toString();
+    const workoutIds = logs.map((log) => idOf(log.workoutId)).filter(Boolean);
+    const workouts = workoutIds.length > 0
+      ? await workoutRepository.findWorkoutPrograms(workoutIds)
+      : [];
+    const workoutPrograms = new Map(workouts.map((workout) => [
+      workout._id.toString(),
+      idOf(workout.programId),
+    ]));
+
+    const candidates = [];
+    logs.forEach((log) => {
+      [idOf(log.programId), workoutPrograms.get(idOf(log.workoutId))]
+        .filter(Boolean)
+        .forEach((programId) => candidates.push({ programId, userId: idOf(log.userId) }));
+    });
+
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    const programIds = [...new Set(candidates.map((candidate) => candidate.programId))];
+    const programs = await workoutRepository.findProgramClients(programIds);
+    const clients = new Map(programs.map((program) => [program._id.toString(), idOf(program.clientId)]));
+
+    const ids = candidates
+      .filter(({ programId, userId }) => userId && clients.get(programId) === userId)
+      .map(({ programId }) => programId);
+
+    return [...new Set(ids)];
+  }
+
+  /**
+   * Recount a program's progress from its logs and complete it when done
+   * @returns {Object|null} Updated program, or null for untracked programs
+   */
+  async syncProgram(programId, now = new Date()) {
+    const program = await workoutRepository.findProgramProgress(programId);
+
+    if (!program || !TRACKED_STATUSES.includes(program.status)) {
+      return null;
+    }
+
+    const workouts = await workoutRepository.findScheduledWorkouts(program._id);
+    const workoutIds = workouts.map((workout) => workout._id);
+    // Only the assigned client's own logs count towards the program
+    const logs = program.clientId
+      ? await workoutRepository.findProgramLogs(program._id, program.clientId, workoutIds)
+      : [];
+    const timeZone = timezone.resolve(program.schedule && program.schedule.timeZone);
+    const today = programCalendar.toKey(timezone.toWallClock(now, timeZone));
+    const progress = programProgress.calculate(program, workouts, logs, today);
+
+    await workoutRepository.markWorkoutsCompleted(progress.completions);
+    await workoutRepository.reopenWorkouts(progress.reopened);
+
+    const updatedProgram = await workoutRepository.updateProgram(program._id, {
+      'progress.completedWorkouts': progress.completedWorkouts,
+      'progress.totalWorkouts': progress.totalWorkouts,
+      'progress.currentWeek': progress.currentWeek,
+    });
+
+    // Fixed-date programs that ran out are closed without the completion reward
+    if ((progress.finished || progress.expired) && program.status === 'active') {
+      return this.completeProgram(updatedProgram, now, { award: progress.finished });
+    }
+
+    return updatedProgram;
+  }
+
+  async completeProgram(program, now = new Date(), { award = true } = {}) {
+    const completedProgram = await workoutRepository.completeProgram(program._id, now);
+
+    if (!completedProgram) {
+      return program;
+    }
+
+    logger.info(`Program ${program._id} ${award ? 'completed' : 'closed after its end date'}`);
+
+    if (award) {
+      await this.awardCompletion(completedProgram, now);
+    }
+
+    return completedProgram;
+  }
+
+  /**
+   * Reward the client for a completed program, once per program however it
+   * got completed
+   */
+  async awardCompletion(program, now = new Date()) {
+    if (!program.clientId) {
+      return false;
+    }
+
+    const claimed = await workoutRepository.claimProgramCompletion(program._id, now);
+
+    if (!claimed) {
+      return false;
+    }
+
+    eventBus.publish(eventBus.EVENTS.PROGRAM_COMPLETED, {
+      userId: program.clientId._id || program.clientId,
+      programId: program._id,
+    });
+
+    return true;
+  }
+
+  /**
+   * Move every active program's current week along the calendar and
+   * complete those whose end date passed (background job)
+   * @returns {Object} { programs, completed, failed }
+   */
+  async syncActivePrograms(now = new Date()) {
+    const stats = { programs: 0, completed: 0, failed: 0 };
+
+    await workoutRepository.activeProgramsCursor().eachAsync(async ({ _id }) => {
+      try {
+        const program = await this.syncProgram(_id, now);
+
+        stats.programs += 1;
+        if (program && program.status === 'completed') {
+          stats.completed += 1;
+        }
+      } catch (error) {
+        stats.failed += 1;
+        logger.error(`Could not update progress of program ${_id}: ${error.message}`);
+      }
+    });
+
+    return stats;
+  }
+}
+
+module.exports = new ProgramProgressService();
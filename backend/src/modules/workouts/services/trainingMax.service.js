@@ -0,0 +1,346 @@
+/**
+ * Training Max Service
+ * Keeps a training max per lifter and exercise, estimated from logged sets
+ * or entered by hand, and turns percentage-based prescriptions into loads
+ */
+
+const mongoose = require('mongoose');
+const workoutRepository = require('../repositories/workout.repository');
+const exerciseService = require('../../exercises/services/exercise.service');
+const personalRecords = require('../utils/personalRecords');
+const strength = require('../utils/strength');
+const dataIntegrity = require('../../../common/utils/dataIntegrity');
+const { BadRequestError, ForbiddenError, NotFoundError } = require('../../../common/utils/errors');
+const logger = require('../../../common/utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far back a recalculated training max looks for sets
+const RECALCULATION_DAYS = 90;
+
+class TrainingMaxService {
+  /**
+   * Raise estimated training maxes after a log was saved. Estimates only go
+   * up from logs (lower one by setting it again) and manual training maxes
+   * are left alone. Failures are logged rather than thrown, since the log
+   * is already saved.
+   * @returns {Array} Updated training maxes
+   */
+  async syncLogMaxes(log) {
+    try {
+      return await this.applyLogMaxes(log);
+    } catch (error) {
+      logger.warn(`Could not update training maxes for workout log ${log._id}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Update training maxes after a log was edited. Estimates the log was the
+   * basis of are recalculated first, so a corrected weight brings them back
+   * down; the edited sets may then raise others. Pass the log as it was
+   * before the edit when its exercises may have changed.
+   * @returns {Array} Recalculated and raised training maxes
+   */
+  async syncEditedLogMaxes(log, previousLog = log) {
+    try {
+      const recalculated = await this.recalculateLogMaxes(previousLog);
+      const raised = await this.applyLogMaxes(log);
+
+      return [...recalculated, ...raised];
+    } catch (error) {
+      logger.warn(`Could not update training maxes for edited workout log ${log._id}: ${error.message}`);
+      return [];
+    }
+  }
+
+  async applyLogMaxes(log) {
+    const userId = log.userId._id || log.userId;
+    const groups = personalRecords.groupByExercise(log.exercises);
+
+    if (groups.length === 0) {
+      return [];
+    }
+
+    const current = await workoutRepository.findTrainingMaxes(userId, groups.map((group) => group.exerciseKey));
+    const byKey = new Map(current.map((trainingMax) => [trainingMax.exerciseKey, trainingMax]));
+
+    const updates = groups
+      .map((group) => {
+        const existing = byKey.get(group.exerciseKey);
+
+        if (existing && existing.source === 'manual') {
+          return null;
+        }
+
+        const estimate = this.buildEstimate(group.sets, log, existing || {});
+        return estimate && (!existing || estimate.value > existing.value) ? { group, estimate } : null;
+      })
+      .filter(Boolean);
+
+    return Promise.all(updates.map(({ group, estimate }) => workoutRepository.upsertTrainingMax(
+      userId,
+      group.exerciseKey,
+      {
+        exercise: group.exercise || undefined,
+        exerciseName: group.exerciseName,
+        ...estimate,
+        source: 'estimated',
+      },
+    )));
+  }
+
+  /**
+   * Recalculate the estimated training maxes a deleted log was the basis of,
+   * from the lifter's remaining recent logs; a max with nothing left to
+   * estimate from is removed. Failures are logged like syncLogMaxes.
+   * @returns {Array} Recalculated training maxes
+   */
+  async syncDeletedLogMaxes(log) {
+    try {
+      return await this.recalculateLogMaxes(log);
+    } catch (error) {
+      logger.warn(`Could not recalculate training maxes for deleted workout log ${log._id}: ${error.message}`);
+      return [];
+    }
+  }
+
+  async recalculateLogMaxes(log) {
+    const userId = log.userId._id || log.userId;
+    const keys = personalRecords.groupByExercise(log.exercises).map((group) => group.exerciseKey);
+
+    if (keys.length === 0) {
+      return [];
+    }
+
+    const current = await workoutRepository.findTrainingMaxes(userId, keys);
+    const affected = current.filter((trainingMax) => trainingMax.source === 'estimated'
+      && trainingMax.basedOn
+      && String(trainingMax.basedOn.workoutLogId) === String(log._id));
+
+    const results = await Promise.all(affected.map(async (trainingMax) => {
+      const estimate = await this.recalculate(userId, trainingMax.exerciseKey, trainingMax);
+
+      if (!estimate) {
+        await workoutRepository.deleteTrainingMax(userId, trainingMax.exerciseKey);
+        return null;
+      }
+
+      return workoutRepository.upsertTrainingMax(userId, trainingMax.exerciseKey, { ...estimate, source: 'estimated' });
+    }));
+
+    return results.filter(Boolean);
+  }
+
+  async getTrainingMaxes(userId, viewer) {
+    await this.assertCanAccess(userId, viewer);
+
+    return workoutRepository.findTrainingMaxes(userId);
+  }
+
+  /**
+   * Enter a training max, or recalculate it from recent logs when no value
+   * is given (switching it back to an estimate)
+   * @param {Object} data - exercise (library ID or name), value, formula, percentage
+   */
+  async setTrainingMax(userId, viewer, {
+    exercise, value, formula, percentage,
+  }) {
+    await this.assertCanAccess(userId, viewer);
+
+    const target = await this.resolveExercise(exercise, viewer);
+    const [existing] = await workoutRepository.findTrainingMaxes(userId, [target.exerciseKey]);
+    const settings = {
+      formula: formula || (existing && existing.formula) || 'epley',
+      percentage: percentage || (existing && existing.percentage) || strength.DEFAULT_TRAINING_MAX_PERCENTAGE,
+    };
+
+    let update;
+
+    if (value !== undefined) {
+      update = {
+        ...settings, value, source: 'manual', estimated1RM: null, basedOn: null,
+      };
+    } else {
+      const estimate = await this.recalculate(userId, target.exerciseKey, settings);
+
+      if (!estimate) {
+        throw new BadRequestError(
+          `No sets of this exercise were logged in the last ${RECALCULATION_DAYS} days; enter the training max instead`,
+        );
+      }
+
+      update = { ...estimate, source: 'estimated' };
+    }
+
+    const trainingMax = await workoutRepository.upsertTrainingMax(userId, target.exerciseKey, {
+      exercise: target.exercise,
+      exerciseName: target.exerciseName,
+      ...update,
+      updatedBy: viewer._id,
+    });
+
+    logger.info(`Training max for ${target.exerciseKey} set to ${trainingMax.value} kg for user ${userId}`);
+
+    return trainingMax;
+  }
+
+  /**
+   * 1RM estimates of a single set with every formula
+   * @returns {Object} { estimates: { [formula]: kg }, trainingMaxes: { [formula]: kg } }
+   */
+  estimateOneRepMax({
+    weight, reps, rpe, percentage = strength.DEFAULT_TRAINING_MAX_PERCENTAGE,
+  }) {
+    const estimates = strength.FORMULAS.reduce((acc, formula) => ({
+      ...acc,
+      [formula]: strength.estimate1RM(weight, reps, { formula, rpe }),
+    }), {});
+
+    return {
+      estimates,
+      trainingMaxes: Object.keys(estimates).reduce((acc, formula) => ({
+        ...acc,
+        [formula]: estimates[formula] === null ? null : strength.trainingMax(estimates[formula], percentage),
+      }), {}),
+    };
+  }
+
+  /**
+   * Turn percentage prescriptions into target weights from the lifter's
+   * training maxes
+   * @param {Array} exercises - Workout exercises (an exercise's loadPercentage wins over the week's)
+   * @param {Object} prescription - loadPercentage, reduction (deload %), increment
+   * @returns {Object} { exercises, prescriptions }
+   */
+  async resolvePrescriptions(userId, exercises, prescription) {
+    const keys = exercises.map((entry) => personalRecords.exerciseKey(entry)).filter(Boolean);
+    const trainingMaxes = keys.length > 0 ? await workoutRepository.findTrainingMaxes(userId, keys) : [];
+
+    return this.applyPrescriptions(exercises, trainingMaxes, prescription);
+  }
+
+  /**
+   * Exercises without a training max keep their target weight and are
+   * listed with a null targetWeight, so the client can be asked for one
+   */
+  applyPrescriptions(exercises, trainingMaxes, { loadPercentage, reduction = 0, increment } = {}) {
+    const byKey = new Map(trainingMaxes.map((trainingMax) => [trainingMax.exerciseKey, trainingMax]));
+
+    const prescriptions = exercises.map((entry, exerciseIndex) => {
+      const base = entry.loadPercentage || loadPercentage;
+
+      if (!base) {
+        return null;
+      }
+
+      const percentage = strength.round(base * (1 - reduction / 100));
+      const trainingMax = byKey.get(personalRecords.exerciseKey(entry));
+
+      return {
+        exerciseIndex,
+        name: entry.name,
+        loadPercentage: percentage,
+        trainingMax: trainingMax ? trainingMax.value : null,
+        targetWeight: trainingMax ? strength.prescribe(trainingMax.value, percentage, increment) : null,
+      };
+    });
+
+    return {
+      exercises: exercises.map((entry, index) => {
+        const prescription = prescriptions[index];
+
+        if (!prescription) {
+          return entry;
+        }
+
+        return {
+          ...entry,
+          targetPercentage: prescription.loadPercentage,
+          ...(prescription.targetWeight !== null && { targetWeight: prescription.targetWeight }),
+        };
+      }),
+      prescriptions: prescriptions.filter(Boolean),
+    };
+  }
+
+  /**
+   * Best estimate from the exercise's sets in the lifter's recent logs
+   */
+  async recalculate(userId, exerciseKey, settings) {
+    const since = new Date(Date.now() - RECALCULATION_DAYS * DAY_MS);
+    const logs = await workoutRepository.findWorkoutLogsSince(userId, since);
+
+    return logs
+      .map((log) => {
+        const group = personalRecords.groupByExercise(log.exercises)
+          .find((entry) => entry.exerciseKey === exerciseKey);
+        return group && this.buildEstimate(group.sets, log, settings);
+      })
+      .filter(Boolean)
+      .reduce((best, estimate) => (!best || estimate.estimated1RM > best.estimated1RM ? estimate : best), null);
+  }
+
+  /**
+   * Training max from the best set of a log
+   * @returns {Object|null} Training max fields, or null when no set can be estimated
+   */
+  buildEstimate(sets, log, { formula = 'epley', percentage = strength.DEFAULT_TRAINING_MAX_PERCENTAGE }) {
+    const best = strength.bestEstimate(sets, { formula });
+
+    if (!best) {
+      return null;
+    }
+
+    return {
+      value: strength.trainingMax(best.value, percentage),
+      estimated1RM: best.value,
+      formula,
+      percentage,
+      basedOn: {
+        workoutLogId: log._id,
+        weight: best.weight,
+        reps: best.reps,
+        rpe: best.rpe,
+        date: log.date,
+      },
+    };
+  }
+
+  /**
+   * Names are matched against the library first, like logged exercises
+   * @param {String} exercise - Library exercise ID or an exercise name
+   */
+  async resolveExercise(exercise, viewer) {
+    const visibility = await exerciseService.getVisibility(viewer);
+    const found = await exerciseService.findExercise(exercise, visibility);
+
+    if (found) {
+      return { exercise: found._id, exerciseKey: found._id.toString(), exerciseName: found.name };
+    }
+
+    if (mongoose.isObjectIdOrHexString(exercise)) {
+      throw new NotFoundError('Exercise');
+    }
+
+    return { exerciseKey: personalRecords.exerciseKey({ name: exercise }), exerciseName: exercise };
+  }
+
+  async assertCanAccess(userId, viewer) {
+    if (viewer.role === 'admin' || userId.toString() === viewer._id.toString()) {
+      return;
+    }
+
+    if (viewer.role === 'client') {
+      throw new ForbiddenError('You can only access your own training maxes');
+    }
+
+    try {
+      await dataIntegrity.validateCoachClientRelationship(viewer._id, userId);
+    } catch (error) {
+      throw new ForbiddenError('You can only access training maxes of your own clients');
+    }
+  }
+}
+
+module.exports = new TrainingMaxService();
@@ -3,6 +3,12 @@
  */
 
 const workoutRepository = require('../repositories/workout.repository');
+const personalRecordService = require('./personalRecord.service');
+const trainingMaxService = require('./trainingMax.service');
+const programCalendarService = require('./programCalendar.service');
+const programProgressService = require('./programProgress.service');
+const exerciseService = require('../../exercises/services/exercise.service');
+const dataIntegrity = require('../../../common/utils/dataIntegrity');
 const { NotFoundError, ForbiddenError } = require('../../../common/utils/errors');
 const logger = require('../../../common/utils/logger');
 
@@ -12,6 +18,7 @@ class WorkoutService {
     const workout = await workoutRepository.createWorkout({
       coachId,
       ...workoutData,
+      exercises: await exerciseService.linkExercises(workoutData.exercises, coachId),
     });
 
     logger.info(`Workout created: ${workout._id} by coach: ${coachId}`);
@@ -47,7 +54,12 @@ class WorkoutService {
       throw new ForbiddenError('You do not have permission to update this workout');
     }
 
-    const updatedWorkout = await workoutRepository.updateWorkout(workoutId, updates);
+    const updatedWorkout = await workoutRepository.updateWorkout(workoutId, {
+      ...updates,
+      ...(updates.exercises && {
+        exercises: await exerciseService.linkExercises(updates.exercises, workout.coachId._id),
+      }),
+    });
 
     logger.info(`Workout updated: ${workoutId}`);
 
@@ -117,6 +129,11 @@ class WorkoutService {
 
     logger.info(`Program updated: ${programId}`);
 
+    // Completing a program by hand rewards the client like finishing it does
+    if (updates.status === 'completed' && program.status !== 'completed') {
+      await programProgressService.awardCompletion(updatedProgram);
+    }
+
     return updatedProgram;
   }
 
@@ -139,7 +156,11 @@ class WorkoutService {
     return { message: 'Program deleted successfully' };
   }
 
-  async assignProgramToClient(programId, clientId, coachId, userRole) {
+  /**
+   * Assign a program and lay its workouts out on the client's calendar
+   * @param {Object} [schedule] - startDate (YYYY-MM-DD), days (training days)
+   */
+  async assignProgramToClient(programId, clientId, coachId, userRole, schedule = {}) {
     const program = await workoutRepository.findProgramById(programId);
 
     if (!program) {
@@ -151,11 +172,7 @@ class WorkoutService {
       throw new ForbiddenError('You do not have permission to assign this program');
     }
 
-    const updatedProgram = await workoutRepository.updateProgram(programId, {
-      clientId,
-      status: 'active',
-      startDate: new Date(),
-    });
+    const updatedProgram = await programCalendarService.scheduleProgram(program, clientId, schedule);
 
     logger.info(`Program ${programId} assigned to client ${clientId}`);
 
@@ -167,10 +184,15 @@ class WorkoutService {
     const log = await workoutRepository.createWorkoutLog({
       userId,
       ...logData,
+      exercises: await this.linkLogExercises(logData.exercises, logData.workoutId),
     });
 
     logger.info(`Workout logged: ${log._id} by user: ${userId}`);
 
+    await personalRecordService.syncLogRecords(log);
+    await trainingMaxService.syncLogMaxes(log);
+    await programProgressService.syncLogPrograms(log);
+
     return log;
   }
 
@@ -202,13 +224,74 @@ class WorkoutService {
       throw new ForbiddenError('You do not have permission to update this log');
     }
 
-    const updatedLog = await workoutRepository.updateWorkoutLog(logId, updates);
+    const updatedLog = await workoutRepository.updateWorkoutLog(logId, {
+      ...updates,
+      ...(updates.exercises && {
+        exercises: await this.linkLogExercises(updates.exercises, log.workoutId && log.workoutId._id),
+      }),
+    });
 
     logger.info(`Workout log updated: ${logId}`);
 
+    await personalRecordService.syncLogRecords(updatedLog);
+    await trainingMaxService.syncEditedLogMaxes(updatedLog, log);
+    // The log may have moved to another workout or program
+    await programProgressService.syncLogPrograms(log, updatedLog);
+
     return updatedLog;
   }
 
+  async deleteWorkoutLog(logId, userId, userRole) {
+    const log = await workoutRepository.findWorkoutLogById(logId);
+
+    if (!log) {
+      throw new NotFoundError('Workout log');
+    }
+
+    // Check permissions: the lifter, their coach or an admin
+    const isOwner = log.userId._id.toString() === userId.toString();
+
+    if (userRole === 'coach' && !isOwner) {
+      try {
+        await dataIntegrity.validateCoachClientRelationship(userId, log.userId._id);
+      } catch (error) {
+        throw new ForbiddenError('You can only delete logs of your own clients');
+      }
+    } else if (userRole !== 'admin' && !isOwner) {
+      throw new ForbiddenError('You do not have permission to delete this log');
+    }
+
+    await workoutRepository.deleteWorkoutLog(logId);
+    await workoutRepository.deleteLogPersonalRecords(logId);
+    await trainingMaxService.syncDeletedLogMaxes(log);
+
+    logger.info(`Workout log deleted: ${logId}`);
+
+    await programProgressService.syncLogPrograms(log);
+
+    return { message: 'Workout log deleted successfully' };
+  }
+
+  /**
+   * Link logged exercises to the library, using the workout's links first
+   * and its coach's custom exercises for name matches
+   */
+  async linkLogExercises(exercises, workoutId) {
+    if (!Array.isArray(exercises)) {
+      return exercises;
+    }
+
+    const workout = workoutId ? await workoutRepository.findWorkoutById(workoutId) : null;
+    const planned = workout ? workout.exercises.filter((exercise) => exercise.exercise) : [];
+
+    const entries = exercises.map((entry) => {
+      const match = !entry.exercise && planned.find((exercise) => exercise.exerciseId === entry.exerciseId);
+      return match ? { ...entry, exercise: match.exercise._id || match.exercise } : entry;
+    });
+
+    return exerciseService.linkExercises(entries, workout ? workout.coachId._id : null);
+  }
+
   async getWorkoutStats(userId, startDate, endDate) {
     const stats = await workoutRepository.getWorkoutStats(userId, startDate, endDate);
 
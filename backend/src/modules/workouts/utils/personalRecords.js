@@ -0,0 +1,224 @@
+/**
+ * Personal Record Utilities
+ * Best performances per exercise in a workout log, and which of them beat
+ * the lifter's previous bests
+ *
+ * Record types:
+ *   weight        - heaviest set
+ *   estimated_1rm - best estimated one-rep max (always Epley, so records
+ *                   stay comparable whatever formula training maxes use)
+ *   reps          - most reps at a weight; beating it needs more reps than
+ *                   any set at that weight or heavier
+ *   volume        - most weight × reps for the exercise in one session
+ */
+
+const strength = require('./strength');
+const exerciseLibrary = require('../../exercises/utils/exerciseLibrary');
+
+const TYPES = ['weight', 'estimated_1rm', 'reps', 'volume'];
+
+class PersonalRecords {
+  get TYPES() {
+    return TYPES;
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Records are kept per library exercise, or per name for entries that
+   * aren't linked to the library
+   * @returns {String|null}
+   */
+  exerciseKey(entry) {
+    if (entry.exercise) {
+      return (entry.exercise._id || entry.exercise).toString();
+    }
+
+    const key = exerciseLibrary.toKey(entry.exerciseId || entry.name);
+    return key ? `name:${key}` : null;
+  }
+
+  /**
+   * Sets that moved a load. A failed attempt is logged without reps, so
+   * the completed flag (which defaults to false) isn't needed.
+   */
+  countedSets(sets = []) {
+    return sets.filter((set) => set.reps > 0 && set.weight > 0);
+  }
+
+  /**
+   * Most reps per weight, leaving out weights where a heavier set had at
+   * least as many reps
+   * @returns {Array} [{ weight, reps }], heaviest first
+   */
+  repBests(sets) {
+    const byWeight = sets.reduce(
+      (map, set) => map.set(set.weight, Math.max(map.get(set.weight) || 0, set.reps)),
+      new Map(),
+    );
+
+    return [...byWeight.entries()]
+      .map(([weight, reps]) => ({ weight, reps }))
+      .filter((best, index, all) => !all.some((other) => other.weight > best.weight && other.reps >= best.reps))
+      .sort((a, b) => b.weight - a.weight);
+  }
+
+  /**
+   * Best performances in a set of sets of one exercise
+   * @returns {Array} [{ type, value, weight, reps }]
+   */
+  bestOf(sets) {
+    const heaviest = sets.reduce((best, set) => (set.weight > best.weight
+      || (set.weight === best.weight && set.reps > best.reps) ? set : best));
+    const strongest = strength.bestEstimate(sets);
+    const volume = sets.reduce((sum, set) => sum + set.weight * set.reps, 0);
+
+    return [
+      {
+        type: 'weight', value: heaviest.weight, weight: heaviest.weight, reps: heaviest.reps,
+      },
+      strongest && {
+        type: 'estimated_1rm', value: strongest.value, weight: strongest.weight, reps: strongest.reps,
+      },
+      ...this.repBests(sets).map(({ weight, reps }) => ({
+        type: 'reps', value: reps, weight, reps,
+      })),
+      { type: 'volume', value: this.round(volume) },
+    ].filter(Boolean);
+  }
+
+  /**
+   * Counted sets per exercise in a log, combining entries for the same exercise
+   * @param {Array} exercises - Logged exercises ({ exercise, exerciseId, name, sets })
+   * @returns {Array} [{ exerciseKey, exercise, exerciseName, sets }]
+   */
+  groupByExercise(exercises = []) {
+    const groups = exercises.reduce((map, entry) => {
+      const key = this.exerciseKey(entry);
+      const sets = this.countedSets(entry.sets);
+
+      if (!key || sets.length === 0) {
+        return map;
+      }
+
+      const group = map.get(key) || {
+        exerciseKey: key,
+        exercise: entry.exercise ? entry.exercise._id || entry.exercise : null,
+        exerciseName: entry.name || entry.exerciseId,
+        sets: [],
+      };
+
+      return map.set(key, { ...group, sets: group.sets.concat(sets) });
+    }, new Map());
+
+    return [...groups.values()];
+  }
+
+  /**
+   * Best performances per exercise in a log
+   * @returns {Array} [{ exerciseKey, exercise, exerciseName, type, value, weight, reps }]
+   */
+  candidates(exercises = []) {
+    return this.groupByExercise(exercises).flatMap(({ sets, ...exercise }) => this.bestOf(sets)
+      .map((best) => ({ ...exercise, ...best })));
+  }
+
+  /**
+   * The best so far of the candidate's kind; for reps, the most reps at
+   * its weight or heavier
+   * @returns {Number|null} Null when the exercise has no record of the kind yet
+   */
+  previousBest(candidate, bests) {
+    const values = bests
+      .filter((best) => best.exerciseKey === candidate.exerciseKey && best.type === candidate.type
+        && (candidate.type !== 'reps' || best.weight >= candidate.weight))
+      .map((best) => best.value);
+
+    return values.length > 0 ? Math.max(...values) : null;
+  }
+
+  /**
+   * Candidates that are records. The first of each kind is stored with a
+   * null previousBest so later sessions have something to beat.
+   * @param {Array} candidates - From candidates()
+   * @param {Array} bests - Existing records ({ exerciseKey, type, weight, value })
+   * @returns {Array} Candidates with their previousBest
+   */
+  detect(candidates, bests = []) {
+    return candidates.reduce((records, candidate) => {
+      const previousBest = this.previousBest(candidate, bests);
+
+      return previousBest === null || candidate.value > previousBest
+        ? [...records, { ...candidate, previousBest }]
+        : records;
+    }, []);
+  }
+
+  /**
+   * Whether a record beat an earlier one, as opposed to being the first
+   */
+  isImprovement(record) {
+    return record.previousBest !== null && record.previousBest !== undefined;
+  }
+
+  /**
+   * Identifies a record within one log
+   */
+  recordKey(record) {
+    return record.type === 'reps'
+      ? `${record.exerciseKey}:reps:${record.weight}`
+      : `${record.exerciseKey}:${record.type}`;
+  }
+
+  /**
+   * Current bests per exercise from a lifter's record history
+   * @param {Array} records - Stored records
+   * @returns {Array} [{ exercise, exerciseKey, exerciseName, weight, estimated_1rm, volume, reps, lastAchievedAt }]
+   */
+  summarize(records) {
+    const byExercise = records.reduce((map, record) => {
+      const summary = map.get(record.exerciseKey) || {
+        exercise: record.exercise || null,
+        exerciseKey: record.exerciseKey,
+        exerciseName: record.exerciseName,
+        weight: null,
+        estimated_1rm: null,
+        volume: null,
+        reps: [],
+        lastAchievedAt: record.achievedAt,
+      };
+      const best = {
+        value: record.value,
+        weight: record.weight,
+        reps: record.reps,
+        previousBest: record.previousBest,
+        achievedAt: record.achievedAt,
+        workoutLogId: record.workoutLogId,
+      };
+      const current = summary[record.type];
+      const beats = !current || best.value > current.value
+        || (best.value === current.value && best.achievedAt < current.achievedAt);
+
+      return map.set(record.exerciseKey, {
+        ...summary,
+        ...(record.type === 'reps'
+          ? { reps: summary.reps.concat(best) }
+          : beats && { [record.type]: best }),
+        lastAchievedAt: record.achievedAt > summary.lastAchievedAt ? record.achievedAt : summary.lastAchievedAt,
+      });
+    }, new Map());
+
+    return [...byExercise.values()]
+      .map((summary) => ({
+        ...summary,
+        reps: this.repBests(summary.reps).map(({ weight, reps }) => summary.reps
+          .filter((best) => best.weight === weight && best.reps === reps)
+          .sort((a, b) => a.achievedAt - b.achievedAt)[0]),
+      }))
+      .sort((a, b) => b.lastAchievedAt - a.lastAchievedAt);
+  }
+}
+
+module.exports = new PersonalRecords();
@@ -0,0 +1,170 @@
+/**
+ * Program Calendar Utilities
+ * Lays a program's workouts out on training days and re-lays them when days are missed
+ *
+ * Calendar days are plain dates (YYYY-MM-DD) in the client's time zone;
+ * scheduled workouts store them as midnight UTC of that date.
+ */
+
+// Monday-first, like the client profile's availableDays
+const WEEK_DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// Training days for clients without available days, by workouts per week
+const DEFAULT_DAYS = {
+  1: ['monday'],
+  2: ['monday', 'thursday'],
+  3: ['monday', 'wednesday', 'friday'],
+  4: ['monday', 'tuesday', 'thursday', 'friday'],
+  5: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'],
+  6: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
+  7: WEEK_DAYS,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest calendar range returned at once
+const MAX_RANGE_DAYS = 92;
+
+class ProgramCalendar {
+  get WEEK_DAYS() {
+    return WEEK_DAYS;
+  }
+
+  get MAX_RANGE_DAYS() {
+    return MAX_RANGE_DAYS;
+  }
+
+  toKey(date) {
+    return new Date(date).toISOString().slice(0, 10);
+  }
+
+  toDate(key) {
+    return new Date(`${key}T00:00:00Z`);
+  }
+
+  addDays(key, days) {
+    return this.toKey(this.toDate(key).getTime() + days * DAY_MS);
+  }
+
+  daysBetween(fromKey, toKey) {
+    return Math.round((this.toDate(toKey) - this.toDate(fromKey)) / DAY_MS);
+  }
+
+  weekDay(key) {
+    return WEEK_DAYS[(this.toDate(key).getUTCDay() + 6) % 7];
+  }
+
+  /**
+   * Program week (1-based) of a day, counted in 7-day blocks from the start date
+   */
+  weekOf(startKey, key) {
+    return Math.floor(this.daysBetween(startKey, key) / 7) + 1;
+  }
+
+  /**
+   * Weekdays to train on: the available days, thinned out evenly when there
+   * are more than the workouts per week (first and last are kept)
+   * @param {Array} availableDays - Weekday names
+   * @param {Number} perWeek - Workouts per week
+   * @returns {Array} Weekday names, Monday first
+   */
+  trainingDays(availableDays = [], perWeek = 3) {
+    const count = Math.min(Math.max(Math.round(perWeek) || 1, 1), 7);
+    const days = WEEK_DAYS.filter((day) => availableDays.includes(day));
+
+    if (days.length === 0) {
+      return DEFAULT_DAYS[count];
+    }
+
+    if (days.length <= count) {
+      return days;
+    }
+
+    if (count === 1) {
+      return [days[0]];
+    }
+
+    return Array.from({ length: count }, (value, index) => (
+      days[Math.round((index * (days.length - 1)) / (count - 1))]
+    ));
+  }
+
+  /**
+   * The first `count` dates on or after a day that fall on the training days
+   * @returns {Array} Date keys
+   */
+  nextDays(fromKey, days, count) {
+    if (count <= 0 || days.length === 0) {
+      return [];
+    }
+
+    const offsets = Array.from({ length: 7 }, (value, offset) => offset)
+      .filter((offset) => days.includes(this.weekDay(this.addDays(fromKey, offset))));
+
+    return Array.from({ length: count }, (value, index) => {
+      const week = Math.floor(index / offsets.length);
+      return this.addDays(fromKey, week * 7 + offsets[index % offsets.length]);
+    });
+  }
+
+  /**
+   * Dated slots for a program. The program's workouts repeat in order until
+   * weeks × workouts per week slots are filled; when the client trains on
+   * fewer days than that, the calendar runs past the planned weeks instead
+   * of dropping workouts. Sequences already done are left out and the rest
+   * move up onto the first training days.
+   * @param {Object} params - startDate (key), weeks, workoutsPerWeek, workoutCount, days (training days),
+   *   done (sequences already done)
+   * @returns {Array} { date, week, sequence, workoutIndex }
+   */
+  layout({
+    startDate, weeks, workoutsPerWeek, workoutCount, days, done = [],
+  }) {
+    if (!workoutCount) {
+      return [];
+    }
+
+    const total = Math.max(weeks, 1) * (workoutsPerWeek || Math.min(workoutCount, 7));
+    const sequences = Array.from({ length: total }, (value, sequence) => sequence)
+      .filter((sequence) => !done.includes(sequence));
+
+    return this.nextDays(startDate, days, sequences.length).map((date, index) => ({
+      date,
+      week: this.weekOf(startDate, date),
+      sequence: sequences[index],
+      workoutIndex: sequences[index] % workoutCount,
+    }));
+  }
+
+  /**
+   * New dates for pending workouts, kept in order and moved onto the next
+   * training days from a day on
+   * @param {Array} workouts - Pending workouts ({ _id, scheduledDate, programSequence })
+   * @returns {Array} { id, date, week } for the workouts whose date changes
+   */
+  shift(workouts, { fromDate, startDate, days }) {
+    const ordered = [...workouts].sort((a, b) => (
+      (a.scheduledDate - b.scheduledDate) || ((a.programSequence || 0) - (b.programSequence || 0))
+    ));
+    const dates = this.nextDays(fromDate, days, ordered.length);
+
+    return ordered
+      .map((workout, index) => ({
+        id: workout._id,
+        date: dates[index],
+        week: this.weekOf(startDate, dates[index]),
+        changed: this.toKey(workout.scheduledDate) !== dates[index],
+      }))
+      .filter((move) => move.changed)
+      .map(({ id, date, week }) => ({ id, date, week }));
+  }
+
+  /**
+   * Every date key from one day to another, both included
+   */
+  range(fromKey, toKey) {
+    return Array.from({ length: this.daysBetween(fromKey, toKey) + 1 }, (value, index) => this.addDays(fromKey, index));
+  }
+}
+
+module.exports = new ProgramCalendar();
@@ -0,0 +1,69 @@
+/**
+ * Program Progress Utilities
+ * Works out a program's progress from its calendar and completed logs
+ *
+ * A calendar workout counts once when it has a completed log; completed
+ * logs filed against the program without a calendar workout count one each.
+ */
+
+const programCalendar = require('./programCalendar');
+
+class ProgramProgress {
+  /**
+   * @param {Object} program - Program (startDate, endDate, duration, schedule, progress)
+   * @param {Array} workouts - The program's calendar workouts ({ _id, status, programWeek })
+   * @param {Array} logs - Completed logs ({ workoutId, date }), oldest first
+   * @param {String} today - Date key in the client's time zone
+   * @returns {Object} { completedWorkouts, totalWorkouts, currentWeek, finished, expired, completions, reopened }
+   *   where finished means every workout is done, expired that a fixed-date
+   *   program ran past its end date first, and completions ({ id, completedDate })
+   *   and reopened (IDs) are the calendar workouts whose status has to change
+   */
+  calculate(program, workouts, logs, today) {
+    const calendarIds = new Set(workouts.map((workout) => workout._id.toString()));
+    const firstLogs = logs.reduce((acc, log) => {
+      const workoutId = log.workoutId && log.workoutId.toString();
+      return calendarIds.has(workoutId) && !acc.has(workoutId) ? acc.set(workoutId, log) : acc;
+    }, new Map());
+    const otherLogs = logs.filter((log) => !calendarIds.has(log.workoutId && log.workoutId.toString()));
+
+    const completedWorkouts = firstLogs.size + otherLogs.length;
+    const totalWorkouts = workouts.length || (program.progress && program.progress.totalWorkouts) || 0;
+    const fixedDates = Boolean(program.schedule && program.schedule.autoShift === false);
+    const pastEnd = Boolean(program.endDate) && programCalendar.toKey(program.endDate) < today;
+    const finished = totalWorkouts > 0 && completedWorkouts >= totalWorkouts;
+
+    return {
+      completedWorkouts,
+      totalWorkouts,
+      currentWeek: this.currentWeek(program, workouts, today),
+      finished,
+      expired: !finished && fixedDates && pastEnd,
+      completions: workouts
+        .filter((workout) => workout.status !== 'completed' && firstLogs.has(workout._id.toString()))
+        .map((workout) => ({ id: workout._id, completedDate: firstLogs.get(workout._id.toString()).date })),
+      reopened: workouts
+        .filter((workout) => workout.status === 'completed' && !firstLogs.has(workout._id.toString()))
+        .map((workout) => workout._id),
+    };
+  }
+
+  /**
+   * Calendar week of today, between week 1 and the program's last week
+   */
+  currentWeek(program, workouts, today) {
+    if (!program.startDate) {
+      return (program.progress && program.progress.currentWeek) || 1;
+    }
+
+    const lastWeek = Math.max(
+      program.duration ? program.duration.weeks || 1 : 1,
+      ...workouts.map((workout) => workout.programWeek || 1),
+    );
+    const week = programCalendar.weekOf(programCalendar.toKey(program.startDate), today);
+
+    return Math.min(Math.max(week, 1), lastWeek);
+  }
+}
+
+module.exports = new ProgramProgress();
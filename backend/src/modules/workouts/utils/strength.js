@@ -0,0 +1,113 @@
+/**
+ * Strength Utilities
+ * One-rep max estimates, training maxes and percentage-based loads
+ *
+ * Formulas:
+ *   epley   - weight × (1 + reps / 30)
+ *   brzycki - weight × 36 / (37 - reps)
+ *   rpe     - weight / %1RM from an RPE chart, using the reps left in the
+ *             tank (10 - RPE); sets logged without an RPE fall back to Epley
+ */
+
+const FORMULAS = ['epley', 'brzycki', 'rpe'];
+
+// Estimates from long sets are too rough to use
+const MAX_ESTIMATE_REPS = 12;
+
+// %1RM by reps to failure (1-12), from the common RPE chart
+const RPE_CHART = [100, 95.5, 92.2, 89.2, 86.3, 83.7, 81.1, 78.6, 76.2, 73.9, 70.7, 68];
+
+// Training max as a share of the estimated 1RM
+const DEFAULT_TRAINING_MAX_PERCENTAGE = 90;
+
+const DEFAULT_INCREMENT = 2.5;
+
+class Strength {
+  get FORMULAS() {
+    return FORMULAS;
+  }
+
+  get MAX_ESTIMATE_REPS() {
+    return MAX_ESTIMATE_REPS;
+  }
+
+  get DEFAULT_TRAINING_MAX_PERCENTAGE() {
+    return DEFAULT_TRAINING_MAX_PERCENTAGE;
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Estimated 1RM of a set; a single at full effort is its own 1RM
+   * @param {Object} [options] - formula, rpe (for the rpe formula)
+   * @returns {Number|null} Null for sets that can't be estimated
+   */
+  estimate1RM(weight, reps, { formula = 'epley', rpe } = {}) {
+    if (!(weight > 0) || !(reps > 0) || reps > MAX_ESTIMATE_REPS) {
+      return null;
+    }
+
+    if (formula === 'rpe' && rpe) {
+      const percentage = this.rpePercentage(reps, rpe);
+      return percentage ? this.round((weight / percentage) * 100) : null;
+    }
+
+    if (reps === 1) {
+      return weight;
+    }
+
+    return formula === 'brzycki'
+      ? this.round((weight * 36) / (37 - reps))
+      : this.round(weight * (1 + reps / 30));
+  }
+
+  /**
+   * %1RM of a set of `reps` at an RPE, interpolating half points
+   * @returns {Number|null} Null outside the chart
+   */
+  rpePercentage(reps, rpe) {
+    const toFailure = reps + (10 - rpe);
+
+    if (toFailure < 1 || toFailure > RPE_CHART.length) {
+      return null;
+    }
+
+    const lower = Math.floor(toFailure);
+    const upper = Math.min(lower + 1, RPE_CHART.length);
+    const fraction = toFailure - lower;
+
+    return RPE_CHART[lower - 1] + (RPE_CHART[upper - 1] - RPE_CHART[lower - 1]) * fraction;
+  }
+
+  /**
+   * The set with the highest estimated 1RM
+   * @returns {Object|null} { value, weight, reps, rpe }
+   */
+  bestEstimate(sets = [], options = {}) {
+    return sets.reduce((best, set) => {
+      const value = this.estimate1RM(set.weight, set.reps, { ...options, rpe: set.rpe });
+
+      return value !== null && (!best || value > best.value)
+        ? {
+          value, weight: set.weight, reps: set.reps, rpe: set.rpe,
+        }
+        : best;
+    }, null);
+  }
+
+  trainingMax(estimated1RM, percentage = DEFAULT_TRAINING_MAX_PERCENTAGE) {
+    return this.round((estimated1RM * percentage) / 100);
+  }
+
+  /**
+   * A percentage of the training max, rounded to the nearest loadable increment
+   */
+  prescribe(trainingMax, percentage, increment = DEFAULT_INCREMENT) {
+    const step = increment > 0 ? increment : DEFAULT_INCREMENT;
+    return this.round(Math.round(((trainingMax * percentage) / 100) / step) * step);
+  }
+}
+
+module.exports = new Strength();
@@ -0,0 +1,181 @@
+/**
+ * Workout Validators
+ * Validation rules for personal records, training maxes and the program calendar
+ */
+
+const { body, param, query } = require('express-validator');
+const personalRecords = require('../utils/personalRecords');
+const strength = require('../utils/strength');
+const programCalendar = require('../utils/programCalendar');
+
+// Calendar days are plain dates
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+const DATE_KEY_MESSAGE = 'Dates must be given as YYYY-MM-DD';
+
+const dateKey = (field) => field
+  .matches(DATE_KEY)
+  .withMessage(DATE_KEY_MESSAGE)
+  .isISO8601({ strict: true })
+  .withMessage(DATE_KEY_MESSAGE);
+
+const recordFilters = [
+  query('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  query('exercise')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Exercise must be a library exercise ID or an exercise name'),
+];
+
+/**
+ * Validate the current personal records query
+ */
+const getPersonalRecords = [...recordFilters];
+
+/**
+ * Validate the personal record history query
+ */
+const getPersonalRecordHistory = [
+  ...recordFilters,
+  query('type')
+    .optional()
+    .isIn(personalRecords.TYPES)
+    .withMessage(`Type must be one of: ${personalRecords.TYPES.join(', ')}`),
+  query('workoutLogId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid workout log ID'),
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('from and to must be valid dates'),
+];
+
+/**
+ * Validate the training max list query
+ */
+const getTrainingMaxes = [
+  query('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+];
+
+/**
+ * Validate a training max entry; without a value it is recalculated from logs
+ */
+const setTrainingMax = [
+  body('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  body('exercise')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Exercise must be a library exercise ID or an exercise name'),
+  body('value')
+    .optional()
+    .isFloat({ min: 0, max: 1000 })
+    .withMessage('Training max must be between 0 and 1000 kg')
+    .toFloat(),
+  body('formula')
+    .optional()
+    .isIn(strength.FORMULAS)
+    .withMessage(`Formula must be one of: ${strength.FORMULAS.join(', ')}`),
+  body('percentage')
+    .optional()
+    .isFloat({ min: 50, max: 100 })
+    .withMessage('Percentage must be between 50 and 100')
+    .toFloat(),
+];
+
+/**
+ * Validate the 1RM calculator query
+ */
+const estimateOneRepMax = [
+  query('weight')
+    .isFloat({ gt: 0, max: 1000 })
+    .withMessage('Weight must be between 0 and 1000 kg')
+    .toFloat(),
+  query('reps')
+    .isInt({ min: 1, max: strength.MAX_ESTIMATE_REPS })
+    .withMessage(`Reps must be between 1 and ${strength.MAX_ESTIMATE_REPS}`)
+    .toInt(),
+  query('rpe')
+    .optional()
+    .isFloat({ min: 6, max: 10 })
+    .withMessage('RPE must be between 6 and 10')
+    .toFloat(),
+  query('percentage')
+    .optional()
+    .isFloat({ min: 50, max: 100 })
+    .withMessage('Percentage must be between 50 and 100')
+    .toFloat(),
+];
+
+/**
+ * Validate a program ID parameter
+ */
+const programId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid program ID'),
+];
+
+/**
+ * Validate a program assignment; the schedule starts today on the client's
+ * available days unless given
+ */
+const assignProgram = [
+  ...programId,
+  body('clientId')
+    .isMongoId()
+    .withMessage('Invalid client ID'),
+  dateKey(body('startDate').optional()),
+  body('days')
+    .optional()
+    .isArray({ min: 1, max: 7 })
+    .withMessage('Days must list between 1 and 7 weekdays'),
+  body('days.*')
+    .isIn(programCalendar.WEEK_DAYS)
+    .withMessage('Invalid day of week'),
+];
+
+/**
+ * Validate moving a program day to another date
+ */
+const moveProgramDay = [
+  ...programId,
+  dateKey(param('date')),
+  dateKey(body('date')),
+];
+
+/**
+ * Validate the calendar range query
+ */
+const getCalendar = [
+  query('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  dateKey(query('from')),
+  dateKey(query('to')),
+];
+
+module.exports = {
+  getPersonalRecords,
+  getPersonalRecordHistory,
+  getTrainingMaxes,
+  setTrainingMax,
+  estimateOneRepMax,
+  programId,
+  assignProgram,
+  moveProgramDay,
+  getCalendar,
+};
@@ -7,6 +7,14 @@ const app = require('./app');
 const config = require('./common/config');
 const logger = require('./common/utils/logger');
 const { connectDB } = require('./common/database/db');
+const sessionReminderJob = require('./modules/sessions/jobs/sessionReminder.job');
+const calendarImportJob = require('./modules/sessions/jobs/calendarImport.job');
+const checkinReminderJob = require('./modules/checkins/jobs/checkinReminder.job');
+const missedWorkoutJob = require('./modules/workouts/jobs/missedWorkout.job');
+const programProgressJob = require('./modules/workouts/jobs/programProgress.job');
+const exerciseService = require('./modules/exercises/services/exercise.service');
+const gamificationSubscriber = require('./modules/gamification/subscribers/gamification.subscriber');
+const notificationSubscriber = require('./modules/notifications/subscribers/notification.subscriber');
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
@@ -20,6 +28,13 @@ const startServer = async () => {
     // Connect to MongoDB
     await connectDB();
 
+    // Built-in exercises back the alternatives lookups; a failed seed is retried on the next start
+    try {
+      await exerciseService.ensureLibrary();
+    } catch (error) {
+      logger.warn(`Could not seed the exercise library: ${error.message}`);
+    }
+
     // Start Express server
     const server = app.listen(config.port, () => {
       logger.info(`
@@ -38,6 +53,17 @@ const startServer = async () => {
       `);
     });
 
+    // Reactions to events published by other modules
+    gamificationSubscriber.register();
+    notificationSubscriber.register();
+
+    // Background jobs
+    sessionReminderJob.start();
+    calendarImportJob.start();
+    checkinReminderJob.start();
+    missedWorkoutJob.start();
+    programProgressJob.start();
+
     // Handle unhandled promise rejections
     process.on('unhandledRejection', (error) => {
       logger.error('UNHANDLED REJECTION! Shutting down...', error);
@@ -49,6 +75,11 @@ const startServer = async () => {
     // Handle SIGTERM
     process.on('SIGTERM', () => {
       logger.info('SIGTERM received. Shutting down gracefully...');
+      sessionReminderJob.stop();
+      calendarImportJob.stop();
+      checkinReminderJob.stop();
+      missedWorkoutJob.stop();
+      programProgressJob.stop();
       server.close(() => {
         logger.info('Process terminated!');
       });
@@ -0,0 +1,107 @@
+/**
+ * Check-in Adherence Tests
+ * Periods, planned workouts and reported vs computed adherence
+ */
+
+const checkinAdherence = require('../src/modules/checkins/utils/checkinAdherence');
+
+describe('Check-in adherence', () => {
+  describe('getPeriod', () => {
+    it('covers the week up to the check-in day without a previous check-in', () => {
+      const period = checkinAdherence.getPeriod(new Date('2030-03-10T18:00:00Z'), null, 'UTC');
+
+      expect(period).toMatchObject({ fromKey: '2030-03-04', toKey: '2030-03-10', days: 7 });
+      expect(period.from).toEqual(new Date('2030-03-04T00:00:00Z'));
+      expect(period.to).toEqual(new Date('2030-03-11T00:00:00Z'));
+    });
+
+    it('starts the day after the previous check-in', () => {
+      const period = checkinAdherence.getPeriod(
+        new Date('2030-03-10T18:00:00Z'),
+        new Date('2030-03-07T08:00:00Z'),
+        'UTC',
+      );
+
+      expect(period).toMatchObject({ fromKey: '2030-03-08', days: 3 });
+    });
+
+    it('uses local days in the client time zone', () => {
+      // 02:00 UTC on the 11th is still the 10th in New York
+      const period = checkinAdherence.getPeriod(new Date('2030-03-11T02:00:00Z'), null, 'America/New_York');
+
+      expect(period.toKey).toBe('2030-03-10');
+      expect(period.from).toEqual(new Date('2030-03-04T05:00:00Z'));
+      expect(period.to).toEqual(new Date('2030-03-11T04:00:00Z'));
+    });
+  });
+
+  describe('plannedWorkouts', () => {
+    const period = { fromKey: '2030-03-04', toKey: '2030-03-10', days: 7 };
+
+    it('pro-rates the weekly target to the days the program ran', () => {
+      const program = { duration: { weeks: 8, workoutsPerWeek: 4 }, startDate: new Date('2030-03-07T00:00:00Z') };
+
+      expect(checkinAdherence.plannedWorkouts(program, period, 'UTC')).toBe(2);
+      expect(checkinAdherence.plannedWorkouts({ duration: { workoutsPerWeek: 4 } }, period, 'UTC')).toBe(4);
+    });
+
+    it('is null without a program or a weekly target', () => {
+      expect(checkinAdherence.plannedWorkouts(null, period, 'UTC')).toBeNull();
+      expect(checkinAdherence.plannedWorkouts({ duration: { weeks: 4 }, workouts: [] }, period, 'UTC')).toBeNull();
+    });
+  });
+
+  describe('build', () => {
+    it('computes percentages in the reported shape', () => {
+      const result = checkinAdherence.build({ days: 7 }, {
+        completedWorkouts: 3,
+        plannedWorkouts: 4,
+        nutritionDays: [{ withinTarget: true }, { withinTarget: true }, { withinTarget: false }],
+        hasNutritionTarget: true,
+      });
+
+      expect(result.workouts).toEqual({ completed: 3, planned: 4, percentage: 75 });
+      expect(result.nutrition).toEqual({
+        daysCompleted: 2, daysLogged: 3, totalDays: 7, percentage: 29,
+      });
+      expect(result.overall).toBe(52);
+    });
+
+    it('leaves out areas with nothing to measure against', () => {
+      const result = checkinAdherence.build({ days: 7 }, {
+        completedWorkouts: 2,
+        plannedWorkouts: null,
+        nutritionDays: [],
+        hasNutritionTarget: false,
+      });
+
+      expect(result.workouts.percentage).toBeNull();
+      expect(result.nutrition.percentage).toBeNull();
+      expect(result.overall).toBeNull();
+    });
+  });
+
+  describe('findDiscrepancies', () => {
+    const computed = {
+      workouts: { percentage: 50 },
+      nutrition: { percentage: 80 },
+      overall: 65,
+    };
+
+    it('flags areas reported far from the logs', () => {
+      const flags = checkinAdherence.findDiscrepancies({
+        workouts: { completed: 4, planned: 4 },
+        nutrition: { percentage: 70 },
+      }, computed);
+
+      expect(flags).toEqual([{
+        area: 'workouts', reported: 100, computed: 50, difference: 50,
+      }]);
+    });
+
+    it('ignores areas that were not reported or computed', () => {
+      expect(checkinAdherence.findDiscrepancies({ overall: 20 }, { ...computed, overall: null })).toEqual([]);
+      expect(checkinAdherence.findDiscrepancies(undefined, computed)).toEqual([]);
+    });
+  });
+});
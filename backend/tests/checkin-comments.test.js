@@ -0,0 +1,68 @@
+/**
+ * Check-in Comment Tests
+ * Metric mentions, participants and signed attachment URLs
+ */
+
+const mongoose = require('mongoose');
+const { verifySignature } = require('../src/common/utils/signedUrl');
+const checkinCommentService = require('../src/modules/checkins/services/checkinComment.service');
+
+describe('Check-in comments', () => {
+  describe('snapshotMetrics', () => {
+    const checkin = { metrics: { weight: 81.4, sleep: { hours: 7 }, measurements: { waist: 88 } } };
+
+    it('records mentioned metrics with their value on the check-in', () => {
+      expect(checkinCommentService.snapshotMetrics(checkin, ['weight', 'sleep.hours'])).toEqual([
+        { metric: 'weight', value: 81.4 },
+        { metric: 'sleep.hours', value: 7 },
+      ]);
+    });
+
+    it('accepts a single metric, drops duplicates and leaves unrecorded values empty', () => {
+      expect(checkinCommentService.snapshotMetrics(checkin, 'weight')).toEqual([{ metric: 'weight', value: 81.4 }]);
+      expect(checkinCommentService.snapshotMetrics(checkin, ['bodyFat', 'bodyFat'])).toEqual([
+        { metric: 'bodyFat', value: undefined },
+      ]);
+      expect(checkinCommentService.snapshotMetrics(checkin)).toEqual([]);
+    });
+  });
+
+  it('lists each participant once', () => {
+    const clientId = new mongoose.Types.ObjectId();
+    const coachId = new mongoose.Types.ObjectId();
+
+    const participants = checkinCommentService.uniqueIds([
+      clientId, coachId, new mongoose.Types.ObjectId(clientId.toString()), undefined, coachId,
+    ]);
+
+    expect(participants.map(String)).toEqual([clientId.toString(), coachId.toString()]);
+  });
+
+  it('gives attachments signed URLs and hides storage keys and participants', () => {
+    const view = checkinCommentService.toView({
+      _id: 'c1',
+      text: 'Waist is moving',
+      participantIds: ['u1', 'u2'],
+      attachments: [{
+        _id: 'a1', storageKey: 'secret.jpg', mimeType: 'image/jpeg', size: 1024,
+      }],
+    }, 'https://api.test/api/v1/checkins');
+
+    expect(view.participantIds).toBeUndefined();
+    expect(view.attachments[0].storageKey).toBeUndefined();
+    expect(view.attachments[0].url).toMatch(/^https:\/\/api\.test\/api\/v1\/checkins\/comments\/c1\//);
+    expect(view.attachments[0].url).toMatch(/\/attachments\/a1\/file\?expires=\d+&signature=[0-9a-f]{64}$/);
+
+    const url = new URL(view.attachments[0].url);
+    expect(verifySignature(
+      'comment-attachments/c1/a1',
+      url.searchParams.get('expires'),
+      url.searchParams.get('signature'),
+    )).toBe(true);
+    expect(verifySignature(
+      'comment-attachments/c1/a2',
+      url.searchParams.get('expires'),
+      url.searchParams.get('signature'),
+    )).toBe(false);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Check-in Form Tests
+ * Tests for coach-defined check-in questions and answer validation
+ */
+
+const checkinQuestions = require('../src/modules/checkins/utils/checkinQuestions');
+
+const questions = [
+  {
+    key: 'body_weight', label: 'Body weight', type: 'number', unit: 'kg', min: 30, max: 300, required: true, metric: 'weight',
+  },
+  {
+    key: 'energy', label: 'Energy', type: 'scale', metric: 'energy',
+  },
+  {
+    key: 'sleep', label: 'Hours slept', type: 'number', min: 0, max: 24, metric: 'sleep.hours',
+  },
+  {
+    key: 'hardest_day', label: 'Hardest day', type: 'choice', options: ['mon', 'tue', 'wed'],
+  },
+  {
+    key: 'struggles', label: 'Struggles', type: 'choice', options: ['hunger', 'time', 'motivation'], multiple: true,
+  },
+  {
+    key: 'front_photo', label: 'Front photo', type: 'photo', maxPhotos: 1,
+  },
+  { key: 'wins', label: 'Wins this week', type: 'text' },
+];
+
+describe('Check-in Forms', () => {
+  describe('Question definitions', () => {
+    test('should accept a valid weekly form', () => {
+      expect(checkinQuestions.validateDefinitions(questions)).toEqual([]);
+    });
+
+    test('should report bad question definitions', () => {
+      const errors = checkinQuestions.validateDefinitions([
+        {
+          key: 'mood', label: 'Mood', type: 'scale', min: 0, max: 5, metric: 'mood',
+        },
+        { key: 'mood', label: 'Again', type: 'choice' },
+        {
+          key: 'notes', label: 'Notes', type: 'text', metric: 'weight',
+        },
+        {
+          key: 'weight', label: 'Weight', type: 'number', min: 10, max: 1, metric: 'weight',
+        },
+      ]);
+
+      expect(errors).toEqual([
+        'Question "mood" must stay within 1-10 to record mood',
+        'Duplicate question key "mood"',
+        'Choice question "mood" needs options',
+        'Question "notes" must be a scale or number to record weight',
+        'Question "weight" has min greater than max',
+        'More than one question records weight',
+      ]);
+    });
+  });
+
+  describe('Answers', () => {
+    test('should coerce answers and keep their question definitions', () => {
+      const { answers, errors } = checkinQuestions.buildAnswers(questions, {
+        body_weight: '81.4',
+        energy: 7,
+        struggles: ['time', 'hunger'],
+        front_photo: '/uploads/images/front.jpg',
+        wins: '  Hit every session  ',
+      });
+
+      expect(errors).toEqual([]);
+      expect(answers).toEqual([
+        {
+          key: 'body_weight', label: 'Body weight', type: 'number', unit: 'kg', value: 81.4,
+        },
+        {
+          key: 'energy', label: 'Energy', type: 'scale', unit: undefined, value: 7,
+        },
+        {
+          key: 'struggles', label: 'Struggles', type: 'choice', unit: undefined, value: ['time', 'hunger'],
+        },
+        {
+          key: 'front_photo', label: 'Front photo', type: 'photo', unit: undefined, value: ['/uploads/images/front.jpg'],
+        },
+        {
+          key: 'wins', label: 'Wins this week', type: 'text', unit: undefined, value: 'Hit every session',
+        },
+      ]);
+    });
+
+    test('should report invalid, missing and unknown answers', () => {
+      const { errors } = checkinQuestions.buildAnswers(questions, {
+        energy: 7.5,
+        sleep: 30,
+        hardest_day: ['mon', 'tue'],
+        struggles: ['boredom'],
+        front_photo: ['/a.jpg', '/b.jpg'],
+        steps: 10000,
+      });
+
+      expect(errors).toEqual([
+        'Unknown question "steps"',
+        'Body weight is required',
+        'Energy must be a whole number',
+        'Hours slept must be at most 24',
+        'Hardest day accepts a single option',
+        'Struggles must be one of: hunger, time, motivation',
+        'Front photo accepts at most 1 photos',
+      ]);
+    });
+
+    test('should enforce the default 1-10 range on scales', () => {
+      const { errors } = checkinQuestions.buildAnswers(questions, { body_weight: 80, energy: 11 });
+
+      expect(errors).toEqual(['Energy must be at most 10']);
+    });
+
+    test('should record mapped answers as the fixed metrics', () => {
+      const { answers } = checkinQuestions.buildAnswers(questions, {
+        body_weight: 81.4, energy: 6, sleep: 7.5,
+      });
+
+      expect(checkinQuestions.toMetrics(questions, answers)).toEqual({
+        weight: 81.4,
+        energy: 6,
+        sleep: { hours: 7.5 },
+      });
+    });
+  });
+});
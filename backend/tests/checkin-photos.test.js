@@ -0,0 +1,69 @@
+/**
+ * Progress Photo Tests
+ * Signed photo URLs and check-in metric deltas
+ */
+
+const { createSignature, verifySignature } = require('../src/common/utils/signedUrl');
+const checkinDeltas = require('../src/modules/checkins/utils/checkinDeltas');
+const progressPhotoService = require('../src/modules/checkins/services/progressPhoto.service');
+
+describe('Progress photos', () => {
+  describe('signed URLs', () => {
+    const now = new Date('2030-03-10T12:00:00Z').getTime();
+
+    it('accepts a signature until it expires', () => {
+      const { expires, signature } = createSignature('progress-photos/abc', 15, now);
+
+      expect(verifySignature('progress-photos/abc', expires, signature, now)).toBe(true);
+      expect(verifySignature('progress-photos/abc', String(expires), signature, now + 14 * 60 * 1000)).toBe(true);
+      expect(verifySignature('progress-photos/abc', expires, signature, now + 16 * 60 * 1000)).toBe(false);
+    });
+
+    it('rejects signatures for another photo or expiry', () => {
+      const { expires, signature } = createSignature('progress-photos/abc', 15, now);
+
+      expect(verifySignature('progress-photos/def', expires, signature, now)).toBe(false);
+      expect(verifySignature('progress-photos/abc', expires + 60, signature, now)).toBe(false);
+      expect(verifySignature('progress-photos/abc', expires, 'abc', now)).toBe(false);
+    });
+
+    it('gives photo views a signed URL and hides the storage key', () => {
+      const view = progressPhotoService.toView({
+        _id: 'abc', pose: 'front', storageKey: 'secret.jpg',
+      }, 'https://api.test/api/v1/checkins');
+
+      expect(view.storageKey).toBeUndefined();
+      expect(view.url).toMatch(/^https:\/\/api\.test\/api\/v1\/checkins\/photos\/abc\/file\?/);
+      expect(view.url).toMatch(/expires=\d+&signature=[0-9a-f]{64}$/);
+
+      const url = new URL(view.url);
+      expect(verifySignature(
+        'progress-photos/abc',
+        url.searchParams.get('expires'),
+        url.searchParams.get('signature'),
+      )).toBe(true);
+    });
+  });
+
+  describe('metricDeltas', () => {
+    it('returns changes between two check-ins', () => {
+      const before = { metrics: { weight: 82.4, bodyFat: 18, measurements: { waist: 90, chest: 100 } } };
+      const after = { metrics: { weight: 80.1, bodyFat: 17.2, measurements: { waist: 87.5 } } };
+
+      expect(checkinDeltas.metricDeltas(before, after)).toEqual({
+        weight: -2.3,
+        bodyFat: -0.8,
+        measurements: {
+          chest: null, waist: -2.5, hips: null, biceps: null, thighs: null,
+        },
+      });
+    });
+
+    it('is null throughout when a check-in is missing', () => {
+      const result = checkinDeltas.metricDeltas(null, { metrics: { weight: 80 } });
+
+      expect(result.weight).toBeNull();
+      expect(result.bodyFat).toBeNull();
+    });
+  });
+});
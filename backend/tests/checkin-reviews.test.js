@@ -0,0 +1,78 @@
+/**
+ * Review Queue Tests
+ * Queue items, SLA breaches and review turnaround
+ */
+
+const reviewSla = require('../src/modules/checkins/utils/reviewSla');
+
+describe('Review queue', () => {
+  const now = new Date('2030-03-10T12:00:00Z');
+
+  describe('toQueueItem', () => {
+    it('measures age and SLA from submission', () => {
+      const item = reviewSla.toQueueItem({
+        _id: 'c1',
+        clientId: { firstName: 'Ada' },
+        type: 'weekly',
+        createdAt: new Date('2030-03-08T06:00:00Z'),
+      }, {
+        type: 'checkin', coachId: 'coach', slaHours: 48, now,
+      });
+
+      expect(item).toMatchObject({
+        type: 'checkin',
+        client: { firstName: 'Ada' },
+        title: 'weekly check-in',
+        ageHours: 54,
+        dueAt: new Date('2030-03-10T06:00:00Z'),
+        slaBreached: true,
+        claimedBy: null,
+      });
+    });
+
+    it('uses the exercise and user of form analyses', () => {
+      const item = reviewSla.toQueueItem({
+        _id: 'f1',
+        userId: { firstName: 'Ben' },
+        exerciseName: 'Back squat',
+        createdAt: new Date('2030-03-10T00:00:00Z'),
+        review: { claimedBy: 'assistant', claimedAt: now },
+      }, {
+        type: 'form-analysis', coachId: 'coach', slaHours: 48, now,
+      });
+
+      expect(item).toMatchObject({
+        client: { firstName: 'Ben' },
+        title: 'Back squat',
+        ageHours: 12,
+        slaBreached: false,
+        claimedBy: 'assistant',
+      });
+    });
+  });
+
+  it('sorts the oldest submissions first', () => {
+    const queue = reviewSla.sortQueue([
+      { id: 'new', submittedAt: new Date('2030-03-10T00:00:00Z') },
+      { id: 'old', submittedAt: new Date('2030-03-01T00:00:00Z') },
+    ]);
+
+    expect(queue.map((item) => item.id)).toEqual(['old', 'new']);
+  });
+
+  describe('completeReview', () => {
+    it('records turnaround on the first review', () => {
+      expect(reviewSla.completeReview({ createdAt: new Date('2030-03-09T10:30:00Z') }, 'coach', now)).toEqual({
+        'review.reviewedBy': 'coach',
+        'review.reviewedAt': now,
+        'review.turnaroundMinutes': 1530,
+      });
+    });
+
+    it('keeps the original turnaround when feedback is edited', () => {
+      const item = { createdAt: new Date('2030-03-09T10:30:00Z'), review: { reviewedAt: now } };
+
+      expect(reviewSla.completeReview(item, 'coach', now)).toEqual({});
+    });
+  });
+});
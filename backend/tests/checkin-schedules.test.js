@@ -0,0 +1,99 @@
+/**
+ * Check-in Schedule Tests
+ * Due dates and due/overdue status of client check-in schedules
+ */
+
+const checkinDue = require('../src/modules/checkins/utils/checkinDue');
+
+const weekly = {
+  cadence: 'weekly',
+  dayOfWeek: 'monday',
+  dueTime: '09:00',
+  timeZone: 'UTC',
+  graceHours: 24,
+  startDate: new Date('2030-03-01T00:00:00Z'), // Friday
+};
+
+describe('Check-in schedules', () => {
+  describe('dueAt', () => {
+    it('starts at the first matching day on or after the start date', () => {
+      expect(checkinDue.dueAt(weekly, 0)).toEqual(new Date('2030-03-04T09:00:00Z'));
+      expect(checkinDue.dueAt(weekly, 1)).toEqual(new Date('2030-03-11T09:00:00Z'));
+    });
+
+    it('skips a due time earlier on the start day', () => {
+      const schedule = { ...weekly, dayOfWeek: 'friday', startDate: new Date('2030-03-01T12:00:00Z') };
+
+      expect(checkinDue.dueAt(schedule, 0)).toEqual(new Date('2030-03-08T09:00:00Z'));
+    });
+
+    it('spaces biweekly and monthly schedules', () => {
+      expect(checkinDue.dueAt({ ...weekly, cadence: 'biweekly' }, 1)).toEqual(new Date('2030-03-18T09:00:00Z'));
+
+      const monthly = {
+        ...weekly, cadence: 'monthly', dayOfWeek: undefined, dayOfMonth: 15,
+      };
+      expect(checkinDue.dueAt(monthly, 0)).toEqual(new Date('2030-03-15T09:00:00Z'));
+      expect(checkinDue.dueAt(monthly, 11)).toEqual(new Date('2031-02-15T09:00:00Z'));
+    });
+
+    it('keeps the local due time across DST changes', () => {
+      const schedule = { ...weekly, dayOfWeek: 'sunday', timeZone: 'America/New_York' };
+
+      // US clocks move forward on 2030-03-10
+      expect(checkinDue.dueAt(schedule, 0)).toEqual(new Date('2030-03-03T14:00:00Z'));
+      expect(checkinDue.dueAt(schedule, 1)).toEqual(new Date('2030-03-10T13:00:00Z'));
+    });
+  });
+
+  describe('getStatus', () => {
+    it('is upcoming before the first due date', () => {
+      const result = checkinDue.getStatus(weekly, null, new Date('2030-03-02T00:00:00Z'));
+
+      expect(result.status).toBe('upcoming');
+      expect(result.dueAt).toEqual(new Date('2030-03-04T09:00:00Z'));
+    });
+
+    it('is due within the grace period and overdue after it', () => {
+      const due = checkinDue.getStatus(weekly, null, new Date('2030-03-04T12:00:00Z'));
+      const overdue = checkinDue.getStatus(weekly, null, new Date('2030-03-06T00:00:00Z'));
+
+      expect(due).toEqual({ status: 'due', dueAt: new Date('2030-03-04T09:00:00Z'), overdueSince: null });
+      expect(overdue.status).toBe('overdue');
+      expect(overdue.overdueSince).toEqual(new Date('2030-03-05T09:00:00Z'));
+    });
+
+    it('counts a late check-in for the due date it missed', () => {
+      const result = checkinDue.getStatus(
+        weekly,
+        new Date('2030-03-06T08:00:00Z'),
+        new Date('2030-03-07T00:00:00Z'),
+      );
+
+      expect(result.status).toBe('upcoming');
+      expect(result.dueAt).toEqual(new Date('2030-03-11T09:00:00Z'));
+    });
+
+    it('does not count a check-in made for the previous due date', () => {
+      const result = checkinDue.getStatus(
+        weekly,
+        new Date('2030-03-05T08:00:00Z'),
+        new Date('2030-03-13T00:00:00Z'),
+      );
+
+      expect(result.status).toBe('overdue');
+      expect(result.dueAt).toEqual(new Date('2030-03-11T09:00:00Z'));
+    });
+
+    it('is submitted when the client checked in early for the next due date', () => {
+      const result = checkinDue.getStatus(
+        weekly,
+        new Date('2030-03-09T10:00:00Z'),
+        new Date('2030-03-10T00:00:00Z'),
+      );
+
+      expect(result.status).toBe('submitted');
+      expect(result.dueAt).toEqual(new Date('2030-03-11T09:00:00Z'));
+    });
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Check-in Trend Tests
+ * Moving averages, weekly rates and anomaly flags
+ */
+
+const checkinTrends = require('../src/modules/checkins/utils/checkinTrends');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const start = new Date('2030-01-06T09:00:00Z');
+
+// One check-in a week with the given metrics
+const weekly = (metricsList) => metricsList.map((metrics, index) => ({
+  _id: `c${index}`,
+  date: new Date(start.getTime() + index * 7 * DAY_MS),
+  metrics,
+}));
+
+const range = { from: start, to: new Date(start.getTime() + 365 * DAY_MS) };
+
+describe('Check-in trends', () => {
+  it('smooths by elapsed time and reports the weekly rate of change', () => {
+    const checkins = weekly([80, 79.5, 79, 78.5, 78].map((weight) => ({ weight })));
+    const { metrics } = checkinTrends.build(checkins, range, ['weight']);
+    const { points } = metrics.weight;
+
+    expect(points).toHaveLength(5);
+    expect(points[0]).toMatchObject({ value: 80, ema: 80, weeklyChange: null });
+    // One time constant: the average moves 1 - e^-1 of the way to the new value
+    expect(points[1].ema).toBeCloseTo(80 - 0.5 * (1 - Math.exp(-1)), 2);
+    expect(points[4].ema).toBeGreaterThan(78);
+    expect(metrics.weight.ratePerWeek).toBe(-0.5);
+    expect(metrics.weight.latest).toBe(78);
+    expect(metrics.weight.change).toBeLessThan(0);
+  });
+
+  it('flags a sudden weight jump but not steady loss', () => {
+    const steady = checkinTrends.build(weekly([80, 79.5, 79, 78.5].map((weight) => ({ weight }))), range);
+    expect(steady.flags).toEqual([]);
+
+    const jump = checkinTrends.build(weekly([80, 80.2, 79.9, 82.5].map((weight) => ({ weight }))), range);
+    expect(jump.flags).toEqual([expect.objectContaining({
+      metric: 'weight', type: 'sudden_rise', checkinId: 'c3', value: 82.5,
+    })]);
+  });
+
+  it('flags mood dropping for three check-ins in a row once', () => {
+    const { flags } = checkinTrends.build(weekly([8, 7, 6, 5, 4].map((mood) => ({ mood }))), range, ['mood']);
+
+    expect(flags).toEqual([expect.objectContaining({
+      metric: 'mood', type: 'sustained_drop', checkinId: 'c3', value: 5, reference: 8, change: -3,
+    })]);
+  });
+
+  it('only flags scale metrics moving the wrong way', () => {
+    const { flags } = checkinTrends.build(weekly([
+      { mood: 3, stress: 8 },
+      { mood: 9, stress: 3 },
+      { mood: 3, stress: 8 },
+    ]), range, ['mood', 'stress']);
+
+    expect(flags.map((flag) => `${flag.metric}:${flag.type}:${flag.checkinId}`).sort()).toEqual([
+      'mood:sudden_drop:c2',
+      'stress:sudden_rise:c2',
+    ]);
+  });
+
+  it('uses earlier check-ins only to warm up the average', () => {
+    const checkins = weekly([6, 6, 6, 6].map((hours) => ({ sleep: { hours } })));
+    const later = { from: new Date(start.getTime() + 14 * DAY_MS), to: range.to };
+    const { metrics } = checkinTrends.build(checkins, later, ['sleep']);
+
+    expect(metrics.sleep.points.map((point) => point.checkinId)).toEqual(['c2', 'c3']);
+    expect(metrics.sleep.average).toBe(6);
+    expect(metrics.sleep.ratePerWeek).toBe(0);
+  });
+
+  it('returns empty trends without data', () => {
+    const { metrics, flags } = checkinTrends.build([], range);
+
+    expect(Object.keys(metrics)).toEqual(checkinTrends.METRICS);
+    expect(metrics.bodyFat).toEqual({
+      latest: null, average: null, change: null, ratePerWeek: null, points: [],
+    });
+    expect(flags).toEqual([]);
+  });
+});
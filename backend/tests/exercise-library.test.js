@@ -0,0 +1,95 @@
+/**
+ * Exercise Library Tests
+ * Name matching, search filters, alternative ranking and seeding
+ */
+
+const mongoose = require('mongoose');
+const Exercise = require('../src/modules/exercises/models/exercise.model');
+const exerciseLibrary = require('../src/modules/exercises/utils/exerciseLibrary');
+const exerciseService = require('../src/modules/exercises/services/exercise.service');
+const { exerciseAlternatives } = require('../src/modules/ai-programs/data/exerciseAlternatives');
+
+describe('Exercise library', () => {
+  it('matches names regardless of case, spacing and punctuation', () => {
+    expect(exerciseLibrary.toKey('Bench Press')).toBe('bench_press');
+    expect(exerciseLibrary.toKey(' bench-press ')).toBe('bench_press');
+    expect(exerciseLibrary.toKey('Pull-Ups (Weighted)')).toBe('pull_ups_weighted');
+    expect(exerciseLibrary.toName('romanian_deadlift')).toBe('Romanian Deadlift');
+  });
+
+  it('derives the match keys from the name and aliases', async () => {
+    const exercise = new Exercise({ name: 'Romanian Deadlift', aliases: ['RDL', 'romanian deadlift'] });
+
+    await exercise.validate();
+
+    expect(exercise.key).toBe('romanian_deadlift');
+    expect(exercise.searchKeys).toEqual(['romanian_deadlift', 'rdl']);
+  });
+
+  it("shows shared exercises plus a coach's own", () => {
+    const coachId = new mongoose.Types.ObjectId();
+    const otherCoachId = new mongoose.Types.ObjectId();
+
+    expect(exerciseLibrary.visibilityFilter(coachId)).toEqual({ ownerId: { $in: [null, coachId] } });
+    expect(exerciseLibrary.visibilityFilter(null)).toEqual({ ownerId: null });
+    expect(exerciseLibrary.visibilityFilter(null, { isAdmin: true })).toEqual({});
+
+    expect(exerciseService.isVisible({ ownerId: null }, { ownerId: coachId })).toBe(true);
+    expect(exerciseService.isVisible({ ownerId: coachId }, { ownerId: coachId })).toBe(true);
+    expect(exerciseService.isVisible({ ownerId: otherCoachId }, { ownerId: coachId })).toBe(false);
+    expect(exerciseService.isVisible({ ownerId: otherCoachId }, { ownerId: null, isAdmin: true })).toBe(true);
+  });
+
+  it('builds search filters from query options', () => {
+    const filter = exerciseLibrary.searchFilter({
+      q: 'Bench (', muscle: 'chest', equipment: ['dumbbells'], difficulty: 'beginner', custom: true,
+    });
+
+    expect(filter.searchKeys.test('incline_bench_press')).toBe(true);
+    expect(filter.searchKeys.test('benchmark')).toBe(true);
+    expect(filter.searchKeys.test('trench_run')).toBe(false);
+    expect(filter.$or).toEqual([{ primaryMuscles: 'chest' }, { secondaryMuscles: 'chest' }]);
+    expect(filter.equipment).toEqual({ $in: ['dumbbells'] });
+    expect(filter.difficulty).toBe('beginner');
+    expect(filter.ownerId).toEqual({ $ne: null });
+    expect(exerciseLibrary.searchFilter({})).toEqual({});
+  });
+
+  it('filters and ranks alternatives', () => {
+    const alternatives = [
+      {
+        exercise: 'Push Ups', reason: 'equipment', similarity: 0.75, equipment: ['bodyweight'],
+      },
+      {
+        exercise: 'Dumbbell Bench Press', reason: 'equipment', similarity: 0.95, equipment: ['dumbbells', 'bench'],
+      },
+      {
+        exercise: 'Machine Chest Press', reason: 'injury', similarity: 0.8, equipment: ['machine'],
+      },
+    ];
+
+    expect(exerciseLibrary.rankAlternatives(alternatives).map((alt) => alt.exercise)).toEqual([
+      'Dumbbell Bench Press', 'Machine Chest Press', 'Push Ups',
+    ]);
+    expect(exerciseLibrary.rankAlternatives(alternatives, {
+      reason: 'equipment', availableEquipment: ['bodyweight', 'dumbbells'],
+    }).map((alt) => alt.exercise)).toEqual(['Push Ups']);
+    expect(exerciseLibrary.rankAlternatives(alternatives, { minSimilarity: 0.9 })).toHaveLength(1);
+  });
+
+  it('turns the legacy alternatives map into library entries', () => {
+    const entries = exerciseLibrary.fromAlternativesMap(exerciseAlternatives);
+    const byKey = new Map(entries.map((entry) => [entry.key, entry]));
+    const benchPress = byKey.get('bench_press');
+
+    expect(benchPress).toMatchObject({
+      name: 'Bench Press', primaryMuscles: ['chest'], equipment: ['barbell', 'bench'], difficulty: 'intermediate',
+    });
+    expect(benchPress.alternatives[0]).toEqual({
+      key: 'dumbbell_bench_press', reason: 'equipment', similarity: 0.95, notes: expect.any(String),
+    });
+    // Every alternative becomes an exercise of its own
+    entries.forEach((entry) => entry.alternatives.forEach((alt) => expect(byKey.has(alt.key)).toBe(true)));
+    expect(byKey.get('push_ups')).toMatchObject({ primaryMuscles: ['chest'], equipment: ['bodyweight'] });
+  });
+});
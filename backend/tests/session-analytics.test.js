@@ -0,0 +1,142 @@
+/**
+ * Session Analytics Tests
+ * Tests for attendance rates, utilization windows and weekly trends
+ */
+
+const sessionMetrics = require('../src/modules/sessions/utils/sessionMetrics');
+const slotCalculator = require('../src/modules/sessions/utils/slotCalculator');
+const sessionAnalyticsService = require('../src/modules/sessions/services/sessionAnalytics.service');
+
+describe('Session Analytics', () => {
+  describe('Attendance rates', () => {
+    test('should leave on-time cancellations and pending sessions out of the rates', () => {
+      expect(sessionMetrics.rates({
+        attended: 6, noShows: 1, lateCancels: 1, cancellations: 4, pending: 2,
+      })).toEqual({
+        attendanceRate: 75,
+        noShowRate: 12.5,
+        lateCancelRate: 12.5,
+      });
+    });
+
+    test('should return null rates when nothing has been attended or missed', () => {
+      expect(sessionMetrics.rates({ cancellations: 2 })).toEqual({
+        attendanceRate: null,
+        noShowRate: null,
+        lateCancelRate: null,
+      });
+    });
+  });
+
+  describe('Available hours', () => {
+    const availability = {
+      timeZone: 'America/New_York',
+      weeklyHours: [
+        { day: 'monday', startTime: '09:00', endTime: '12:00' },
+        { day: 'wednesday', startTime: '09:00', endTime: '17:00' },
+      ],
+      timeOff: [{
+        startDate: new Date('2030-03-13T13:00:00Z'), // Wed 09:00 EDT
+        endDate: new Date('2030-03-13T17:00:00Z'),
+      }],
+    };
+
+    test('should clip working windows to the range and subtract time off', () => {
+      const windows = slotCalculator.getWorkingWindowsBetween(
+        availability,
+        new Date('2030-03-11T14:00:00Z'), // Mon 10:00 EDT
+        new Date('2030-03-18T00:00:00Z'),
+      );
+
+      expect(windows).toEqual([
+        { start: new Date('2030-03-11T14:00:00Z'), end: new Date('2030-03-11T16:00:00Z') },
+        { start: new Date('2030-03-13T17:00:00Z'), end: new Date('2030-03-13T21:00:00Z') },
+      ]);
+    });
+
+    test('should total window minutes per local week', () => {
+      const windows = slotCalculator.getWorkingWindowsBetween(
+        availability,
+        new Date('2030-03-04T05:00:00Z'),
+        new Date('2030-03-18T04:00:00Z'),
+      );
+
+      expect(sessionMetrics.minutesByWeek(windows, 'America/New_York')).toEqual({
+        '2030-03-04': 11 * 60,
+        '2030-03-11': 7 * 60,
+      });
+    });
+  });
+
+  describe('Weekly trends', () => {
+    test('should list the Monday of every week in the range, in the local zone', () => {
+      // Sunday 23:30 in Tokyo is still Sunday; the range ends on Wednesday
+      expect(sessionMetrics.weekKeys(
+        new Date('2030-03-03T14:30:00Z'),
+        new Date('2030-03-13T00:00:00Z'),
+        'Asia/Tokyo',
+      )).toEqual(['2030-02-25', '2030-03-04', '2030-03-11']);
+    });
+
+    test('should add week-over-week changes', () => {
+      const weeks = sessionMetrics.withChanges([
+        {
+          weekStart: '2030-03-04', sessions: 4, bookedHours: 4, utilization: 50, attendanceRate: 100, revenue: 200,
+        },
+        {
+          weekStart: '2030-03-11', sessions: 6, bookedHours: 5.5, utilization: 68.8, attendanceRate: null, revenue: 150,
+        },
+      ]);
+
+      expect(weeks[0].change).toBeNull();
+      expect(weeks[1].change).toEqual({
+        sessions: 2,
+        bookedHours: 1.5,
+        utilization: 18.8,
+        attendanceRate: null,
+        revenue: -50,
+      });
+    });
+
+    test('should roll daily buckets up into their weeks', () => {
+      expect(sessionMetrics.sumByWeek([
+        { _id: '2030-03-10', sessions: 1, billed: 50 },
+        { _id: '2030-03-11', sessions: 2, billed: 100 },
+        { _id: '2030-03-17', sessions: 1, billed: 0 },
+        { _id: '2030-03-18', sessions: 1, billed: 60 },
+      ])).toEqual({
+        '2030-03-04': { sessions: 1, billed: 50 },
+        '2030-03-11': { sessions: 3, billed: 100 },
+        '2030-03-18': { sessions: 1, billed: 60 },
+      });
+    });
+  });
+
+  describe('Revenue', () => {
+    test('should only bill sessions that have started or were delivered', () => {
+      const now = new Date('2030-03-11T12:00:00Z');
+      const { billed } = sessionAnalyticsService.sessionTotals(now);
+
+      expect(billed).toEqual({
+        $sum: {
+          $cond: [
+            { $or: [{ $lte: ['$startTime', now] }, { $in: ['$status', ['completed', 'no_show']] }] },
+            { $ifNull: ['$price', 0] },
+            0,
+          ],
+        },
+      });
+    });
+
+    test('should bucket trends with operators older MongoDB servers support', () => {
+      const pipeline = JSON.stringify(sessionAnalyticsService.buildPipeline(
+        '5f0000000000000000000001',
+        { from: new Date('2030-03-01T00:00:00Z'), to: new Date('2030-03-29T00:00:00Z') },
+        'Europe/London',
+      ));
+
+      expect(pipeline).not.toContain('$dateTrunc');
+      expect(pipeline).toContain('"timezone":"Europe/London"');
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Session Availability Tests
+ * Tests for working hours, overrides, time off, buffers and slot generation
+ */
+
+const slotCalculator = require('../src/modules/sessions/utils/slotCalculator');
+
+// 2030-01-07 is a Monday
+const availability = {
+  weeklyHours: [
+    { day: 'monday', startTime: '09:00', endTime: '12:00' },
+    { day: 'monday', startTime: '13:00', endTime: '15:00' },
+    { day: 'wednesday', startTime: '09:00', endTime: '11:00' },
+  ],
+  overrides: [
+    { date: '2030-01-09', isAvailable: false, hours: [] },
+    { date: '2030-01-12', isAvailable: true, hours: [{ startTime: '10:00', endTime: '12:00' }] },
+  ],
+  timeOff: [
+    { startDate: new Date('2030-01-14T00:00:00Z'), endDate: new Date('2030-01-21T00:00:00Z') },
+  ],
+  bufferMinutes: 15,
+  slotDuration: 60,
+  slotInterval: 60,
+};
+
+const now = new Date('2030-01-01T00:00:00Z');
+
+describe('Session Availability', () => {
+  describe('Working windows', () => {
+    test('should use weekly hours for a regular day', () => {
+      const windows = slotCalculator.getWorkingWindows(availability, new Date('2030-01-07T00:00:00Z'));
+
+      expect(windows).toHaveLength(2);
+      expect(windows[0].start.toISOString()).toBe('2030-01-07T09:00:00.000Z');
+      expect(windows[1].end.toISOString()).toBe('2030-01-07T15:00:00.000Z');
+    });
+
+    test('should let a date override close a normally available day', () => {
+      const windows = slotCalculator.getWorkingWindows(availability, new Date('2030-01-09T00:00:00Z'));
+      expect(windows).toHaveLength(0);
+    });
+
+    test('should let a date override open a normally closed day', () => {
+      const windows = slotCalculator.getWorkingWindows(availability, new Date('2030-01-12T00:00:00Z'));
+
+      expect(windows).toHaveLength(1);
+      expect(windows[0].start.toISOString()).toBe('2030-01-12T10:00:00.000Z');
+    });
+
+    test('should remove time off blocks', () => {
+      const windows = slotCalculator.getWorkingWindows(availability, new Date('2030-01-14T00:00:00Z'));
+      expect(windows).toHaveLength(0);
+    });
+  });
+
+  describe('Booking validation', () => {
+    test('should accept a booking inside working hours', () => {
+      expect(slotCalculator.isWithinAvailability(
+        availability,
+        '2030-01-07T10:00:00Z',
+        '2030-01-07T11:00:00Z',
+      )).toBe(true);
+    });
+
+    test('should reject a booking spanning the lunch break', () => {
+      expect(slotCalculator.isWithinAvailability(
+        availability,
+        '2030-01-07T11:30:00Z',
+        '2030-01-07T13:30:00Z',
+      )).toBe(false);
+    });
+
+    test('should reject a booking during time off', () => {
+      expect(slotCalculator.isWithinAvailability(
+        availability,
+        '2030-01-14T10:00:00Z',
+        '2030-01-14T11:00:00Z',
+      )).toBe(false);
+    });
+  });
+
+  describe('Slot generation', () => {
+    test('should list every slot for an empty day', () => {
+      const slots = slotCalculator.generateSlots(availability, {
+        from: new Date('2030-01-07T00:00:00Z'),
+        to: new Date('2030-01-08T00:00:00Z'),
+        now,
+      });
+
+      expect(slots.map((s) => s.startTime.toISOString())).toEqual([
+        '2030-01-07T09:00:00.000Z',
+        '2030-01-07T10:00:00.000Z',
+        '2030-01-07T11:00:00.000Z',
+        '2030-01-07T13:00:00.000Z',
+        '2030-01-07T14:00:00.000Z',
+      ]);
+    });
+
+    test('should block existing bookings plus buffer', () => {
+      const slots = slotCalculator.generateSlots(availability, {
+        from: new Date('2030-01-07T00:00:00Z'),
+        to: new Date('2030-01-08T00:00:00Z'),
+        busy: [{ startTime: new Date('2030-01-07T10:00:00Z'), endTime: new Date('2030-01-07T11:00:00Z') }],
+        now,
+      });
+
+      // 09:00 and 11:00 fall inside the 15 minute buffer around the 10:00 booking
+      expect(slots.map((s) => s.startTime.toISOString())).toEqual([
+        '2030-01-07T13:00:00.000Z',
+        '2030-01-07T14:00:00.000Z',
+      ]);
+    });
+
+    test('should skip slots in the past', () => {
+      const slots = slotCalculator.generateSlots(availability, {
+        from: new Date('2030-01-07T00:00:00Z'),
+        to: new Date('2030-01-08T00:00:00Z'),
+        now: new Date('2030-01-07T12:30:00Z'),
+      });
+
+      expect(slots).toHaveLength(2);
+    });
+
+    test('should honour a custom duration', () => {
+      const slots = slotCalculator.generateSlots(availability, {
+        from: new Date('2030-01-07T00:00:00Z'),
+        to: new Date('2030-01-08T00:00:00Z'),
+        duration: 120,
+        now,
+      });
+
+      expect(slots.map((s) => s.startTime.toISOString())).toEqual([
+        '2030-01-07T09:00:00.000Z',
+        '2030-01-07T10:00:00.000Z',
+        '2030-01-07T13:00:00.000Z',
+      ]);
+    });
+
+    test('should keep working hours at local time across a DST change', () => {
+      const newYork = {
+        weeklyHours: [
+          { day: 'friday', startTime: '09:00', endTime: '10:00' },
+          { day: 'monday', startTime: '09:00', endTime: '10:00' },
+        ],
+        slotDuration: 60,
+        slotInterval: 60,
+        timeZone: 'America/New_York',
+      };
+
+      // Clocks go forward on Sunday 10 March 2030
+      const slots = slotCalculator.generateSlots(newYork, {
+        from: new Date('2030-03-08T00:00:00Z'),
+        to: new Date('2030-03-12T00:00:00Z'),
+        now,
+      });
+
+      expect(slots.map((s) => s.startTime.toISOString())).toEqual([
+        '2030-03-08T14:00:00.000Z',
+        '2030-03-11T13:00:00.000Z',
+      ]);
+    });
+
+    test('should read override dates as local days', () => {
+      const tokyo = {
+        weeklyHours: [],
+        overrides: [{ date: '2030-01-08', isAvailable: true, hours: [{ startTime: '08:00', endTime: '09:00' }] }],
+        slotDuration: 60,
+        timeZone: 'Asia/Tokyo',
+      };
+
+      const slots = slotCalculator.generateSlots(tokyo, {
+        from: new Date('2030-01-07T00:00:00Z'),
+        to: new Date('2030-01-09T00:00:00Z'),
+        now,
+      });
+
+      // 08:00 on 8 January in Tokyo is still 7 January in UTC
+      expect(slots.map((s) => s.startTime.toISOString())).toEqual(['2030-01-07T23:00:00.000Z']);
+    });
+  });
+});
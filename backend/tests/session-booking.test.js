@@ -0,0 +1,91 @@
+/**
+ * Session Booking Tests
+ * Tests for which session fields each role may update
+ */
+
+const mongoose = require('mongoose');
+const Session = require('../src/modules/sessions/models/session.model');
+const sessionService = require('../src/modules/sessions/services/session.service');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const buildSession = (overrides = {}) => new Session({
+  coachId: id(),
+  clientId: id(),
+  title: 'Coaching call',
+  startTime: new Date('2030-03-11T14:00:00Z'),
+  endTime: new Date('2030-03-11T15:00:00Z'),
+  status: 'scheduled',
+  ...overrides,
+});
+
+describe('Session Booking', () => {
+  describe('Editable fields', () => {
+    test('should send clients to the reschedule endpoint for time changes', () => {
+      const session = buildSession();
+
+      expect(() => sessionService.assertEditableFields(session, 'client', {
+        startTime: '2030-03-12T14:00:00Z',
+      })).toThrow('POST /sessions/:id/reschedule');
+    });
+
+    test('should reject booking workflow fields from clients', () => {
+      const session = buildSession();
+
+      ['policyOutcome', 'attendees', 'capacity', 'meeting', 'reminders', 'rescheduleProposal', 'price']
+        .forEach((field) => {
+          expect(() => sessionService.assertEditableFields(session, 'client', { [field]: null }))
+            .toThrow(`These fields cannot be updated: ${field}`);
+        });
+
+      expect(() => sessionService.assertEditableFields(session, 'client', { notes: 'Running late' })).not.toThrow();
+      expect(() => sessionService.assertEditableFields(session, 'client', { status: 'confirmed' })).not.toThrow();
+      expect(() => sessionService.assertEditableFields(session, 'client', { status: 'completed' }))
+        .toThrow('Clients cannot mark a session as completed');
+    });
+
+    test('should let coaches edit session details but not workflow state', () => {
+      const session = buildSession();
+
+      expect(() => sessionService.assertEditableFields(session, 'coach', {
+        startTime: '2030-03-12T14:00:00Z',
+        endTime: '2030-03-12T15:00:00Z',
+        price: 60,
+        coachNotes: 'Bring bands',
+      })).not.toThrow();
+      expect(() => sessionService.assertEditableFields(session, 'coach', { policyOutcome: {}, reminders: [] }))
+        .toThrow('These fields cannot be updated: policyOutcome, reminders');
+    });
+
+    test('should send cancellations and group no-shows through their own endpoints', () => {
+      const group = buildSession({ clientId: undefined, isGroup: true, capacity: 4 });
+
+      expect(() => sessionService.assertEditableFields(buildSession(), 'coach', { status: 'cancelled' }))
+        .toThrow('POST /sessions/:id/cancel');
+      expect(() => sessionService.assertEditableFields(buildSession(), 'client', { status: 'cancelled' }))
+        .toThrow('POST /sessions/:id/cancel');
+      expect(() => sessionService.assertEditableFields(group, 'coach', { status: 'no_show' }))
+        .toThrow('PUT /sessions/:id/attendees/:clientId');
+      expect(() => sessionService.assertEditableFields(buildSession(), 'coach', { status: 'no_show' })).not.toThrow();
+    });
+
+    test('should keep group capacity above the booked attendees', () => {
+      const session = buildSession({
+        clientId: undefined,
+        isGroup: true,
+        capacity: 4,
+        attendees: [
+          { clientId: id(), status: 'booked' },
+          { clientId: id(), status: 'booked' },
+          { clientId: id(), status: 'cancelled' },
+        ],
+      });
+
+      expect(() => sessionService.assertEditableFields(session, 'coach', { capacity: 2 })).not.toThrow();
+      expect(() => sessionService.assertEditableFields(session, 'coach', { capacity: 1 }))
+        .toThrow('Capacity must be at least 2');
+      expect(() => sessionService.assertEditableFields(buildSession(), 'coach', { capacity: 3 }))
+        .toThrow('Only group sessions have a capacity');
+    });
+  });
+});
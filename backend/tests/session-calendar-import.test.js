@@ -0,0 +1,114 @@
+/**
+ * Session Calendar Import Tests
+ * Tests for parsing external ICS calendars into busy blocks
+ */
+
+const fs = require('fs');
+const path = require('path');
+const icsParser = require('../src/modules/sessions/utils/icsParser');
+const networkGuard = require('../src/common/utils/networkGuard');
+
+const fixture = fs.readFileSync(path.join(__dirname, 'fixtures', 'busy-calendar.ics'), 'utf8');
+
+const range = {
+  from: new Date('2030-01-01T00:00:00Z'),
+  to: new Date('2030-04-01T00:00:00Z'),
+};
+
+const importFixture = () => icsParser.toBusyBlocks(icsParser.parse(fixture), range);
+
+const startsOf = (blocks, uid) => blocks
+  .filter((block) => block.uid === uid)
+  .map((block) => block.startTime.toISOString())
+  .sort();
+
+describe('Session Calendar Import', () => {
+  test('should import UTC events and unfold long lines', () => {
+    const { blocks } = importFixture();
+
+    const dentist = blocks.find((block) => block.uid === 'dentist@example.com');
+    expect(dentist.startTime.toISOString()).toBe('2030-01-07T15:00:00.000Z');
+    expect(dentist.endTime.toISOString()).toBe('2030-01-07T16:00:00.000Z');
+
+    const physio = blocks.find((block) => block.uid === 'long-description@example.com');
+    expect(physio.summary).toBe('Physio with a very long title that is folded onto a second line by the exporting calendar');
+    expect(physio.endTime - physio.startTime).toBe(45 * 60 * 1000);
+  });
+
+  test('should expand recurring events in local time across DST, honouring EXDATE and overrides', () => {
+    const { blocks } = importFixture();
+
+    // 08:00 New York: EST (UTC-5) before 10 March 2030, EDT (UTC-4) after.
+    // 6 March is excluded and 11 March is moved to 10:00.
+    expect(startsOf(blocks, 'school-run@example.com')).toEqual([
+      '2030-03-04T13:00:00.000Z',
+      '2030-03-11T14:00:00.000Z',
+      '2030-03-13T12:00:00.000Z',
+      '2030-03-18T12:00:00.000Z',
+      '2030-03-20T12:00:00.000Z',
+    ]);
+  });
+
+  test('should block whole days for all-day events', () => {
+    const { blocks } = importFixture();
+
+    const offsite = blocks.find((block) => block.uid === 'offsite@example.com');
+    expect(offsite.startTime.toISOString()).toBe('2030-01-15T00:00:00.000Z');
+    expect(offsite.endTime.toISOString()).toBe('2030-01-17T00:00:00.000Z');
+  });
+
+  test('should ignore transparent and cancelled events', () => {
+    const { blocks } = importFixture();
+
+    expect(startsOf(blocks, 'focus@example.com')).toEqual([]);
+    expect(startsOf(blocks, 'cancelled@example.com')).toEqual([]);
+    expect(blocks).toHaveLength(8);
+  });
+
+  test('should interpret floating times in the calendar time zone', () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:floating@example.com',
+      'DTSTART:20300701T090000',
+      'DTEND:20300701T100000',
+      'END:VEVENT',
+      'END:VCALENDAR',
+    ].join('\r\n');
+
+    const [event] = icsParser.parse(ics, { timeZone: 'Europe/London' });
+    expect(event.start.toISOString()).toBe('2030-07-01T08:00:00.000Z');
+  });
+
+  test('should warn and import only the first occurrence of unsupported rules', () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:board@example.com',
+      'SUMMARY:Board meeting',
+      'DTSTART:20300114T170000Z',
+      'DTEND:20300114T180000Z',
+      'RRULE:FREQ=MONTHLY;BYDAY=2TU',
+      'END:VEVENT',
+      'END:VCALENDAR',
+    ].join('\r\n');
+
+    const { blocks, warnings } = icsParser.toBusyBlocks(icsParser.parse(ics), range);
+
+    expect(blocks).toHaveLength(1);
+    expect(warnings[0]).toContain('Board meeting');
+  });
+
+  test('should refuse calendar URLs on internal addresses', () => {
+    ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '::1', 'fd00:ec2::254', '::ffff:127.0.0.1']
+      .forEach((address) => expect(networkGuard.isPrivateAddress(address)).toBe(true));
+    ['8.8.8.8', '172.32.0.1', '2606:4700::1111']
+      .forEach((address) => expect(networkGuard.isPrivateAddress(address)).toBe(false));
+
+    expect(() => networkGuard.assertPublicUrl('http://169.254.169.254/latest/meta-data')).toThrow('not allowed');
+    expect(() => networkGuard.assertPublicUrl('http://[::ffff:7f00:1]:8080/')).toThrow('not allowed');
+    expect(() => networkGuard.assertPublicUrl('http://localhost:27017/')).toThrow('not allowed');
+    expect(() => networkGuard.assertPublicUrl('file:///etc/passwd')).toThrow('http or https');
+    expect(() => networkGuard.assertPublicUrl('https://calendar.example.com/coach.ics')).not.toThrow();
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Session Group Tests
+ * Tests for group session capacity, waitlists and attendance (needs the test database)
+ */
+
+const mongoose = require('mongoose');
+const Session = require('../src/modules/sessions/models/session.model');
+const ClientProfile = require('../src/modules/clients/models/clientProfile.model');
+const groupSessionService = require('../src/modules/sessions/services/groupSession.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('Session Groups', () => {
+  const coachId = id();
+  const clients = Array.from({ length: 5 }, () => id());
+
+  const createGroup = (overrides = {}) => {
+    const startTime = new Date(Date.now() + 7 * DAY_MS);
+
+    return Session.create({
+      coachId,
+      isGroup: true,
+      capacity: 2,
+      title: 'Morning circuit',
+      startTime,
+      endTime: new Date(startTime.getTime() + 60 * 60 * 1000),
+      status: 'scheduled',
+      ...overrides,
+    });
+  };
+
+  const bookedIds = (session) => session.attendees
+    .filter((attendee) => attendee.status === 'booked')
+    .map((attendee) => attendee.clientId.toString());
+
+  beforeAll(async () => {
+    const mongoUri = process.env.MONGODB_URI_TEST || 'mongodb://localhost:27017/coachflow_test';
+    await mongoose.connect(mongoUri);
+
+    await ClientProfile.insertMany(clients.map((userId) => ({ userId, coachId })));
+  });
+
+  afterAll(async () => {
+    await Session.deleteMany({ coachId });
+    await ClientProfile.deleteMany({ coachId });
+    await mongoose.connection.close();
+  });
+
+  describe('Booking', () => {
+    test('should never book more clients than the capacity, however many book at once', async () => {
+      const session = await createGroup();
+
+      // Every booking starts from the same (empty) copy of the session
+      const results = await Promise.all(clients.map((clientId) => groupSessionService.addAttendee(session, clientId)));
+
+      expect(results.filter((result) => !result.waitlisted)).toHaveLength(2);
+      expect(results.filter((result) => result.waitlisted)).toHaveLength(3);
+
+      const saved = await Session.findById(session._id);
+      expect(bookedIds(saved)).toHaveLength(2);
+      expect(saved.waitlist).toHaveLength(3);
+    });
+
+    test('should reject clients who are already on the roster', async () => {
+      const session = await createGroup();
+      const { session: booked } = await groupSessionService.addAttendee(session, clients[0]);
+
+      await expect(groupSessionService.addAttendee(booked, clients[0])).rejects.toThrow('already booked or waitlisted');
+    });
+
+    test('should reject clients of another coach', async () => {
+      const session = await createGroup();
+
+      await expect(groupSessionService.addAttendee(session, id())).rejects.toThrow('Client is not assigned to this coach');
+    });
+  });
+
+  describe('Cancellation', () => {
+    test('should promote the first waitlisted client into a cancelled place', async () => {
+      const session = await createGroup({
+        attendees: [{ clientId: clients[0] }, { clientId: clients[1] }],
+        waitlist: [{ clientId: clients[2] }, { clientId: clients[3] }],
+      });
+
+      const updated = await groupSessionService.cancelAttendance(session, clients[0], 'client');
+
+      expect(bookedIds(updated)).toEqual([clients[1].toString(), clients[2].toString()]);
+      expect(updated.attendees.find((attendee) => attendee.promotedFromWaitlist).clientId.toString())
+        .toBe(clients[2].toString());
+      expect(updated.waitlist.map((entry) => entry.clientId.toString())).toEqual([clients[3].toString()]);
+      // Far ahead of the cancellation window: not a late cancellation
+      expect(updated.attendees[0].status).toBe('cancelled');
+    });
+
+    test('should leave the roster alone when a waitlisted client drops out', async () => {
+      const session = await createGroup({
+        attendees: [{ clientId: clients[0] }, { clientId: clients[1] }],
+        waitlist: [{ clientId: clients[2] }],
+      });
+
+      const updated = await groupSessionService.cancelAttendance(session, clients[2], 'client');
+
+      expect(bookedIds(updated)).toEqual([clients[0].toString(), clients[1].toString()]);
+      expect(updated.waitlist).toHaveLength(0);
+    });
+
+    test('should only cancel places in sessions that are still open', async () => {
+      const session = await createGroup({
+        status: 'completed',
+        attendees: [{ clientId: clients[0] }, { clientId: clients[1] }],
+        waitlist: [{ clientId: clients[2] }],
+      });
+
+      await expect(groupSessionService.cancelAttendance(session, clients[0], 'client'))
+        .rejects.toThrow('Cannot cancel attendance for a completed session');
+
+      const saved = await Session.findById(session._id);
+      expect(bookedIds(saved)).toEqual([clients[0].toString(), clients[1].toString()]);
+      expect(saved.waitlist).toHaveLength(1);
+    });
+
+    test('should fill new places from the waitlist in order', async () => {
+      const session = await createGroup({
+        capacity: 4,
+        attendees: [{ clientId: clients[0] }, { clientId: clients[1] }],
+        waitlist: [{ clientId: clients[2] }, { clientId: clients[3] }, { clientId: clients[4] }],
+      });
+
+      const updated = await groupSessionService.fillFromWaitlist(session._id);
+
+      expect(bookedIds(updated)).toEqual([clients[0], clients[1], clients[2], clients[3]]
+        .map((clientId) => clientId.toString()));
+      expect(updated.waitlist.map((entry) => entry.clientId.toString())).toEqual([clients[4].toString()]);
+    });
+
+    test('should cancel every place and empty the waitlist when the class is cancelled', async () => {
+      const session = await createGroup({
+        attendees: [{ clientId: clients[0] }, { clientId: clients[1] }],
+        waitlist: [{ clientId: clients[2] }],
+      });
+
+      const notified = await groupSessionService.cancelRoster(session, 'coach');
+
+      expect(notified.map((clientId) => clientId.toString()))
+        .toEqual([clients[0], clients[1], clients[2]].map((clientId) => clientId.toString()));
+      expect(session.attendees.map((attendee) => attendee.status)).toEqual(['cancelled', 'cancelled']);
+      expect(session.attendees[0].policyOutcome.penalty).toBe('none');
+      expect(session.waitlist).toHaveLength(0);
+    });
+  });
+
+  describe('Attendance', () => {
+    test('should only record attendance once the session has started', async () => {
+      const session = await createGroup({ attendees: [{ clientId: clients[0] }] });
+
+      await expect(groupSessionService.markAttendance(session, clients[0], 'attended', 'coach'))
+        .rejects.toThrow('once the session has started');
+    });
+
+    test('should record attendance and no-shows per attendee', async () => {
+      const startTime = new Date(Date.now() - DAY_MS);
+      const session = await createGroup({
+        startTime,
+        endTime: new Date(startTime.getTime() + 60 * 60 * 1000),
+        attendees: [{ clientId: clients[0] }, { clientId: clients[1] }],
+      });
+
+      await groupSessionService.markAttendance(session, clients[0], 'attended', 'coach');
+      const updated = await groupSessionService.markAttendance(session, clients[1], 'no_show', 'coach');
+
+      expect(updated.attendees.map((attendee) => attendee.status)).toEqual(['attended', 'no_show']);
+      expect(updated.attendees[1].policyOutcome.event).toBe('no_show');
+      await expect(groupSessionService.markAttendance(session, clients[2], 'attended', 'coach'))
+        .rejects.toThrow('Client is not booked into this session');
+      await expect(groupSessionService.markAttendance(session, clients[0], 'present', 'coach'))
+        .rejects.toThrow('Attendance status must be one of');
+    });
+  });
+});
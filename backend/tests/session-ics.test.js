@@ -0,0 +1,73 @@
+/**
+ * Session ICS Tests
+ * Tests for iCalendar serialization of sessions
+ */
+
+const icsGenerator = require('../src/modules/sessions/utils/icsGenerator');
+
+const session = {
+  _id: '65a000000000000000000001',
+  coachId: '65a0000000000000000000c1',
+  title: 'Strength, conditioning; week 1',
+  startTime: new Date('2030-01-07T10:00:00Z'),
+  endTime: new Date('2030-01-07T11:00:00Z'),
+  status: 'confirmed',
+  location: 'Studio A',
+  meetingLink: 'https://meet.example.com/abc',
+  updatedAt: new Date('2030-01-01T00:00:00Z'),
+};
+
+const lines = (ics) => ics.split('\r\n');
+
+describe('Session ICS', () => {
+  test('should serialize a session as a VEVENT with a stable UID', () => {
+    const ics = lines(icsGenerator.buildCalendar([session]));
+
+    expect(ics[0]).toBe('BEGIN:VCALENDAR');
+    expect(ics).toContain('UID:65a000000000000000000001@coachflow');
+    expect(ics).toContain('DTSTART:20300107T100000Z');
+    expect(ics).toContain('DTEND:20300107T110000Z');
+    expect(ics).toContain('STATUS:CONFIRMED');
+    expect(ics).toContain('LOCATION:Studio A');
+    expect(ics).toContain('URL:https://meet.example.com/abc');
+  });
+
+  test('should escape text values', () => {
+    const ics = lines(icsGenerator.buildCalendar([session]));
+    expect(ics).toContain('SUMMARY:Strength\\, conditioning\\; week 1');
+  });
+
+  test('should mark cancelled sessions as cancelled', () => {
+    const ics = lines(icsGenerator.buildCalendar([{ ...session, status: 'cancelled' }]));
+    expect(ics).toContain('STATUS:CANCELLED');
+  });
+
+  test('should increase SEQUENCE when the session is updated', () => {
+    const sequence = (s) => lines(icsGenerator.buildCalendar([s])).find((l) => l.startsWith('SEQUENCE:'));
+
+    const before = Number(sequence(session).split(':')[1]);
+    const after = Number(sequence({ ...session, updatedAt: new Date('2030-01-02T00:00:00Z') }).split(':')[1]);
+
+    expect(after).toBeGreaterThan(before);
+  });
+
+  test('should cancel a group class for an attendee who gave up their place', () => {
+    const viewerId = '65a0000000000000000000d1';
+    const group = {
+      ...session,
+      isGroup: true,
+      attendees: [{ clientId: viewerId, status: 'cancelled' }],
+      waitlist: [],
+    };
+
+    expect(icsGenerator.getStatus(group, viewerId)).toBe('CANCELLED');
+    expect(icsGenerator.getStatus(group, session.coachId)).toBe('CONFIRMED');
+  });
+
+  test('should fold long lines at 75 octets', () => {
+    const folded = icsGenerator.foldLine(`DESCRIPTION:${'x'.repeat(200)}`).split('\r\n');
+
+    folded.forEach((line) => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+    expect(folded[1].startsWith(' ')).toBe(true);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Session Meeting Link Tests
+ * Tests for generated meeting rooms on virtual sessions
+ */
+
+const meetingLinkService = require('../src/modules/sessions/services/meetingLink.service');
+const sessionSeriesService = require('../src/modules/sessions/services/sessionSeries.service');
+const jitsiMeetingProvider = require('../src/modules/sessions/providers/jitsiMeeting.provider');
+const stubMeetingProvider = require('../src/modules/sessions/providers/stubMeeting.provider');
+
+const virtualSession = (overrides = {}) => ({
+  _id: 'session-1',
+  type: 'virtual',
+  startTime: new Date('2030-03-11T14:00:00Z'),
+  ...overrides,
+});
+
+describe('Session Meeting Links', () => {
+  beforeEach(() => {
+    stubMeetingProvider.reset();
+  });
+
+  describe('Providers', () => {
+    test('should use the stub provider in tests', () => {
+      expect(meetingLinkService.getProvider().name).toBe('stub');
+    });
+
+    test('should reject an unknown provider', () => {
+      expect(() => meetingLinkService.getProvider('zoomish')).toThrow('Unknown meeting provider: zoomish');
+    });
+
+    test('should generate unguessable Jitsi room URLs', async () => {
+      const first = await jitsiMeetingProvider.createMeeting(virtualSession());
+      const second = await jitsiMeetingProvider.createMeeting(virtualSession());
+
+      expect(first.url).toMatch(/^https:\/\/meet\.jit\.si\/coachflow-[0-9a-f]{24}$/);
+      expect(first.url).toBe(`https://meet.jit.si/${first.roomId}`);
+      expect(second.roomId).not.toBe(first.roomId);
+    });
+  });
+
+  describe('Provisioning', () => {
+    test('should give a virtual session its own room', async () => {
+      const session = await meetingLinkService.provision(virtualSession());
+
+      expect(session.meetingLink).toBe('https://meetings.test/stub-1');
+      expect(session.meeting).toMatchObject({ provider: 'stub', roomId: 'stub-1' });
+      expect(stubMeetingProvider.isActive('stub-1')).toBe(true);
+    });
+
+    test('should leave in-person sessions and hand-pasted links alone', async () => {
+      const inPerson = await meetingLinkService.provision(virtualSession({ type: 'in_person' }));
+      const pasted = await meetingLinkService.provision(virtualSession({ meetingLink: 'https://zoom.example/j/1' }));
+
+      expect(inPerson.meetingLink).toBeUndefined();
+      expect(pasted.meetingLink).toBe('https://zoom.example/j/1');
+      expect(pasted.meeting).toBeUndefined();
+    });
+
+    test('should replace the room on regenerate and revoke the old one', async () => {
+      const session = await meetingLinkService.provision(virtualSession());
+      await meetingLinkService.regenerate(session);
+
+      expect(session.meetingLink).toBe('https://meetings.test/stub-2');
+      expect(stubMeetingProvider.isActive('stub-1')).toBe(false);
+      expect(stubMeetingProvider.isActive('stub-2')).toBe(true);
+    });
+
+    test('should revoke the room and clear the link', async () => {
+      const session = await meetingLinkService.provision(virtualSession());
+      await meetingLinkService.revoke(session);
+
+      expect(session.meetingLink).toBeUndefined();
+      expect(session.meeting).toBeUndefined();
+      expect(stubMeetingProvider.isActive('stub-1')).toBe(false);
+    });
+
+    test('should refuse a strict regenerate for sessions that are not virtual', async () => {
+      await expect(meetingLinkService.regenerate(virtualSession({ type: 'training' }), { strict: true }))
+        .rejects.toThrow('Only virtual sessions have meeting links');
+    });
+  });
+
+  describe('Recurring series edits', () => {
+    const occurrences = () => [
+      { type: 'virtual', originalStartTime: new Date('2030-03-11T14:00:00Z') },
+      { type: 'virtual', originalStartTime: new Date('2030-03-18T14:00:00Z') },
+    ];
+
+    const previousOccurrences = async () => Promise.all(occurrences().map(
+      (occurrence) => meetingLinkService.provision({ ...occurrence, _id: occurrence.originalStartTime.toISOString() }),
+    ));
+
+    test('should keep rooms when the schedule is unchanged', async () => {
+      const previous = await previousOccurrences();
+      const result = await sessionSeriesService.carryMeetings(occurrences(), previous, false);
+
+      expect(result.map((o) => o.meetingLink)).toEqual(previous.map((s) => s.meetingLink));
+      expect(stubMeetingProvider.isActive('stub-1')).toBe(true);
+    });
+
+    test('should revoke old rooms and create new ones when the schedule moves', async () => {
+      const previous = await previousOccurrences();
+      const result = await sessionSeriesService.carryMeetings(occurrences(), previous, true);
+
+      expect(result.map((o) => o.meeting.roomId)).toEqual(['stub-3', 'stub-4']);
+      expect(stubMeetingProvider.isActive('stub-1')).toBe(false);
+      expect(stubMeetingProvider.isActive('stub-2')).toBe(false);
+    });
+  });
+});
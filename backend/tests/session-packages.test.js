@@ -0,0 +1,145 @@
+/**
+ * Session Package Tests
+ * Tests for drawing and adjusting package credits (needs the test database)
+ */
+
+const mongoose = require('mongoose');
+const SessionPackage = require('../src/modules/sessions/models/sessionPackage.model');
+const CreditLedger = require('../src/modules/sessions/models/creditLedger.model');
+const sessionPackageService = require('../src/modules/sessions/services/sessionPackage.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const id = () => new mongoose.Types.ObjectId();
+const inDays = (days) => new Date(Date.now() + days * DAY_MS);
+
+describe('Session Packages', () => {
+  const coachId = id();
+
+  const createPackage = (clientId, overrides = {}) => SessionPackage.create({
+    coachId,
+    clientId,
+    name: '10 sessions',
+    totalCredits: 1,
+    creditsRemaining: 1,
+    ...overrides,
+  });
+
+  beforeAll(async () => {
+    const mongoUri = process.env.MONGODB_URI_TEST || 'mongodb://localhost:27017/coachflow_test';
+    await mongoose.connect(mongoUri);
+
+    // The one-draw-per-session guard is a unique index
+    await CreditLedger.init();
+  });
+
+  afterAll(async () => {
+    await SessionPackage.deleteMany({ coachId });
+    await CreditLedger.deleteMany({ coachId });
+    await mongoose.connection.close();
+  });
+
+  describe('Taking credits', () => {
+    test('should use the soonest-expiring package first and packages without expiry last', async () => {
+      const clientId = id();
+      const later = await createPackage(clientId, { name: 'Later', expiresAt: inDays(30) });
+      const open = await createPackage(clientId, { name: 'Open-ended' });
+      const sooner = await createPackage(clientId, { name: 'Sooner', expiresAt: inDays(10) });
+      await createPackage(clientId, { name: 'Expired', expiresAt: inDays(-1) });
+
+      const taken = [];
+      taken.push(await sessionPackageService.takeCredit(coachId, clientId));
+      taken.push(await sessionPackageService.takeCredit(coachId, clientId));
+      taken.push(await sessionPackageService.takeCredit(coachId, clientId));
+
+      expect(taken.map((pkg) => pkg._id.toString()))
+        .toEqual([sooner, later, open].map((pkg) => pkg._id.toString()));
+      // Only the expired package is left, and it is never used
+      expect(await sessionPackageService.takeCredit(coachId, clientId)).toBeNull();
+    });
+
+    test('should skip packages that are used up or cancelled', async () => {
+      const clientId = id();
+      await createPackage(clientId, { expiresAt: inDays(5), creditsRemaining: 0, status: 'exhausted' });
+      await createPackage(clientId, { expiresAt: inDays(6), status: 'cancelled' });
+      const usable = await createPackage(clientId, { expiresAt: inDays(60) });
+
+      const taken = await sessionPackageService.takeCredit(coachId, clientId);
+
+      expect(taken._id.toString()).toBe(usable._id.toString());
+      expect(taken.creditsRemaining).toBe(0);
+    });
+  });
+
+  describe('Drawing credits for sessions', () => {
+    test('should draw one credit per session and client, however often it is asked', async () => {
+      const clientId = id();
+      const session = { _id: id(), coachId };
+      const pkg = await createPackage(clientId, { totalCredits: 5, creditsRemaining: 5 });
+
+      const first = await sessionPackageService.consumeCredit(session, clientId, 'completed');
+      const again = await sessionPackageService.consumeCredit(session, clientId, 'completed');
+      const penalty = await sessionPackageService.forfeitCredit(session, clientId, 'no_show');
+
+      expect(again._id.toString()).toBe(first._id.toString());
+      expect(penalty._id.toString()).toBe(first._id.toString());
+      expect((await SessionPackage.findById(pkg._id)).creditsRemaining).toBe(4);
+    });
+
+    test('should give the credit back when concurrent draws race for the same session', async () => {
+      const clientId = id();
+      const session = { _id: id(), coachId };
+      const pkg = await createPackage(clientId, { totalCredits: 5, creditsRemaining: 5 });
+
+      const entries = await Promise.all([
+        sessionPackageService.consumeCredit(session, clientId, 'completed'),
+        sessionPackageService.consumeCredit(session, clientId, 'completed'),
+      ]);
+
+      expect(entries[0]._id.toString()).toBe(entries[1]._id.toString());
+      expect((await SessionPackage.findById(pkg._id)).creditsRemaining).toBe(4);
+      expect(await CreditLedger.countDocuments({ sessionId: session._id, clientId })).toBe(1);
+    });
+
+    test('should leave sessions without an available credit unpaid', async () => {
+      const entry = await sessionPackageService.consumeCredit({ _id: id(), coachId }, id(), 'completed');
+
+      expect(entry).toBeNull();
+    });
+
+    test('should mark a package exhausted when its last credit is drawn', async () => {
+      const clientId = id();
+      const pkg = await createPackage(clientId);
+
+      await sessionPackageService.consumeCredit({ _id: id(), coachId }, clientId, 'completed');
+
+      expect((await SessionPackage.findById(pkg._id)).status).toBe('exhausted');
+    });
+  });
+
+  describe('Adjusting credits', () => {
+    test('should refuse adjustments that leave a negative balance', async () => {
+      const pkg = await createPackage(id(), { totalCredits: 3, creditsRemaining: 3 });
+
+      await expect(sessionPackageService.adjustCredits(pkg._id, coachId, 'coach', -4, 'Correction'))
+        .rejects.toThrow('negative balance');
+      expect((await SessionPackage.findById(pkg._id)).creditsRemaining).toBe(3);
+
+      const updated = await sessionPackageService.adjustCredits(pkg._id, coachId, 'coach', -3, 'Correction');
+
+      expect(updated.creditsRemaining).toBe(0);
+      expect((await SessionPackage.findById(pkg._id)).status).toBe('exhausted');
+    });
+
+    test('should only let the coach adjust whole, non-zero amounts', async () => {
+      const pkg = await createPackage(id(), { totalCredits: 3, creditsRemaining: 3 });
+
+      await expect(sessionPackageService.adjustCredits(pkg._id, pkg.clientId, 'client', 1, 'Bonus'))
+        .rejects.toThrow('Only the coach can adjust package credits');
+      await expect(sessionPackageService.adjustCredits(pkg._id, coachId, 'coach', 0.5, 'Bonus'))
+        .rejects.toThrow('non-zero whole number');
+      await expect(sessionPackageService.adjustCredits(pkg._id, id(), 'coach', 1, 'Bonus'))
+        .rejects.toThrow('You do not have permission to access this package');
+    });
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Session Policy Tests
+ * Tests for cancellation window and no-show penalty evaluation
+ */
+
+const sessionPolicyService = require('../src/modules/sessions/services/sessionPolicy.service');
+
+const policy = {
+  cancellationWindowHours: 24,
+  lateCancel: { penalty: 'fee', feeAmount: 40 },
+  noShow: { penalty: 'forfeit_credit', feeAmount: 0 },
+  currency: 'USD',
+};
+
+const session = { startTime: new Date('2030-01-07T10:00:00Z') };
+
+describe('Session Policy', () => {
+  describe('Cancellation', () => {
+    test('should not penalize a client cancelling outside the window', () => {
+      const outcome = sessionPolicyService.evaluateCancellation(policy, session, {
+        triggeredBy: 'client',
+        at: new Date('2030-01-05T10:00:00Z'),
+      });
+
+      expect(outcome.event).toBe('cancellation');
+      expect(outcome.penalty).toBe('none');
+      expect(outcome.hoursBeforeStart).toBe(48);
+    });
+
+    test('should apply the late-cancel fee inside the window', () => {
+      const outcome = sessionPolicyService.evaluateCancellation(policy, session, {
+        triggeredBy: 'client',
+        at: new Date('2030-01-07T02:00:00Z'),
+      });
+
+      expect(outcome).toMatchObject({
+        event: 'late_cancellation',
+        penalty: 'fee',
+        feeAmount: 40,
+        currency: 'USD',
+        windowHours: 24,
+      });
+    });
+
+    test('should not penalize the coach cancelling late', () => {
+      const outcome = sessionPolicyService.evaluateCancellation(policy, session, {
+        triggeredBy: 'coach',
+        at: new Date('2030-01-07T09:00:00Z'),
+      });
+
+      expect(outcome.penalty).toBe('none');
+    });
+
+    test('should treat a recorded late cancellation as late regardless of timing', () => {
+      const outcome = sessionPolicyService.evaluateCancellation(policy, session, {
+        triggeredBy: 'coach',
+        at: new Date('2030-01-01T00:00:00Z'),
+        forceLate: true,
+      });
+
+      expect(outcome.event).toBe('late_cancellation');
+    });
+  });
+
+  describe('No-show', () => {
+    test('should apply the no-show penalty', () => {
+      const outcome = sessionPolicyService.evaluateNoShow(policy, session, { triggeredBy: 'coach' });
+
+      expect(outcome.event).toBe('no_show');
+      expect(outcome.penalty).toBe('forfeit_credit');
+      expect(outcome.feeAmount).toBeUndefined();
+    });
+  });
+});
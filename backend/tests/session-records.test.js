@@ -0,0 +1,98 @@
+/**
+ * Session Record Tests
+ * Tests for note template definitions and structured record values
+ */
+
+const noteFields = require('../src/modules/sessions/utils/noteFields');
+
+// SOAP-style note with an assessment score
+const fields = [
+  {
+    key: 'subjective', label: 'Subjective', type: 'text', section: 'S', required: true,
+  },
+  {
+    key: 'pain_score', label: 'Pain score', type: 'number', section: 'O', min: 0, max: 10,
+  },
+  {
+    key: 'squat_depth', label: 'Squat depth', type: 'select', section: 'O', options: ['full', 'parallel', 'above'],
+  },
+  {
+    key: 'cleared', label: 'Cleared to train', type: 'boolean', section: 'A',
+  },
+  {
+    key: 'plan', label: 'Plan', type: 'text', section: 'P', required: true,
+  },
+];
+
+describe('Session Records', () => {
+  describe('Template definitions', () => {
+    test('should accept a valid SOAP template', () => {
+      expect(noteFields.validateDefinitions(fields)).toEqual([]);
+    });
+
+    test('should report duplicate keys, missing options and inverted ranges', () => {
+      const errors = noteFields.validateDefinitions([
+        {
+          key: 'score', label: 'Score', type: 'number', min: 10, max: 1,
+        },
+        { key: 'score', label: 'Again', type: 'select' },
+      ]);
+
+      expect(errors).toEqual([
+        'Field "score" has min greater than max',
+        'Duplicate field key "score"',
+        'Select field "score" needs options',
+      ]);
+    });
+  });
+
+  describe('Record values', () => {
+    test('should coerce values and keep their field definitions', () => {
+      const { values, errors } = noteFields.buildValues(fields, {
+        subjective: ' Knee felt stiff ',
+        pain_score: '3',
+        squat_depth: 'parallel',
+        cleared: 'true',
+      });
+
+      expect(errors).toEqual([]);
+      expect(values.find((v) => v.key === 'subjective').value).toBe('Knee felt stiff');
+      expect(values.find((v) => v.key === 'pain_score')).toMatchObject({ value: 3, section: 'O' });
+      expect(values.find((v) => v.key === 'cleared').value).toBe(true);
+      expect(values.find((v) => v.key === 'plan').value).toBeNull();
+    });
+
+    test('should only enforce required fields when finalizing', () => {
+      const input = { subjective: 'Fine' };
+
+      expect(noteFields.buildValues(fields, input).errors).toEqual([]);
+      expect(noteFields.buildValues(fields, input, { final: true }).errors).toEqual(['Plan is required']);
+    });
+
+    test('should reject out-of-range, unknown and invalid values', () => {
+      const { errors } = noteFields.buildValues(fields, {
+        pain_score: 12,
+        squat_depth: 'deep',
+        mood: 'good',
+      });
+
+      expect(errors).toEqual([
+        'Unknown field "mood"',
+        'Pain score must be at most 10',
+        'Squat depth must be one of: full, parallel, above',
+      ]);
+    });
+
+    test('should build search text from text and select values', () => {
+      const { values } = noteFields.buildValues(fields, {
+        subjective: 'Knee felt stiff',
+        pain_score: 3,
+        squat_depth: 'parallel',
+      });
+
+      expect(noteFields.buildSearchText(values, 'Progressing well')).toBe(
+        'Subjective: Knee felt stiff\nSquat depth: parallel\nProgressing well',
+      );
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Session Recurrence Tests
+ * Tests for RRULE parsing, serialization and occurrence expansion
+ */
+
+const recurrence = require('../src/modules/sessions/utils/recurrence');
+
+const iso = (dates) => dates.map((d) => d.toISOString());
+
+describe('Session Recurrence', () => {
+  describe('RRULE parsing', () => {
+    test('should parse a weekly rule with days and count', () => {
+      const rule = recurrence.parseRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH;COUNT=6');
+
+      expect(rule).toEqual({
+        frequency: 'weekly',
+        interval: 2,
+        byDay: ['tuesday', 'thursday'],
+        count: 6,
+      });
+    });
+
+    test('should parse UNTIL as a UTC date-time', () => {
+      const rule = recurrence.parseRule('RRULE:FREQ=DAILY;UNTIL=20300131T070000Z');
+      expect(rule.until.toISOString()).toBe('2030-01-31T07:00:00.000Z');
+    });
+
+    test('should reject unsupported frequencies', () => {
+      expect(() => recurrence.parseRule('FREQ=HOURLY')).toThrow('Unsupported recurrence frequency');
+    });
+
+    test('should round-trip a structured rule', () => {
+      const rule = {
+        frequency: 'weekly', interval: 1, byDay: ['tuesday', 'thursday'], count: 10,
+      };
+      expect(recurrence.toRule(rule)).toBe('FREQ=WEEKLY;BYDAY=TU,TH;COUNT=10');
+      expect(recurrence.parseRule(recurrence.toRule(rule))).toEqual(rule);
+    });
+  });
+
+  describe('Expansion', () => {
+    // 2030-01-01 is a Tuesday
+    const dtstart = new Date('2030-01-01T07:00:00Z');
+
+    test('should expand Tuesday/Thursday sessions by count', () => {
+      const dates = recurrence.expand(
+        {
+          frequency: 'weekly', interval: 1, byDay: ['tuesday', 'thursday'], count: 4,
+        },
+        dtstart,
+      );
+
+      expect(iso(dates)).toEqual([
+        '2030-01-01T07:00:00.000Z',
+        '2030-01-03T07:00:00.000Z',
+        '2030-01-08T07:00:00.000Z',
+        '2030-01-10T07:00:00.000Z',
+      ]);
+    });
+
+    test('should expand biweekly sessions until a date', () => {
+      const dates = recurrence.expand(
+        { frequency: 'weekly', interval: 2, until: new Date('2030-02-01T00:00:00Z') },
+        dtstart,
+      );
+
+      expect(iso(dates)).toEqual([
+        '2030-01-01T07:00:00.000Z',
+        '2030-01-15T07:00:00.000Z',
+        '2030-01-29T07:00:00.000Z',
+      ]);
+    });
+
+    test('should skip days before the first occurrence', () => {
+      const dates = recurrence.expand(
+        {
+          frequency: 'weekly', interval: 1, byDay: ['monday', 'wednesday'], count: 2,
+        },
+        dtstart,
+      );
+
+      expect(iso(dates)).toEqual([
+        '2030-01-02T07:00:00.000Z',
+        '2030-01-07T07:00:00.000Z',
+      ]);
+    });
+
+    test('should skip months without the start day', () => {
+      const dates = recurrence.expand(
+        { frequency: 'monthly', interval: 1, count: 3 },
+        new Date('2030-01-31T07:00:00Z'),
+      );
+
+      expect(iso(dates)).toEqual([
+        '2030-01-31T07:00:00.000Z',
+        '2030-03-31T07:00:00.000Z',
+        '2030-05-31T07:00:00.000Z',
+      ]);
+    });
+
+    test('should stop open-ended rules at the range end', () => {
+      const dates = recurrence.expand(
+        { frequency: 'daily', interval: 1 },
+        dtstart,
+        { rangeEnd: new Date('2030-01-03T23:59:59Z') },
+      );
+
+      expect(dates).toHaveLength(3);
+    });
+
+    test('should keep the local time across DST in a time zone', () => {
+      // 09:00 New York on the Mondays around the 10 March 2030 DST change
+      const dates = recurrence.expand(
+        { frequency: 'weekly', interval: 1, count: 2 },
+        new Date('2030-03-04T14:00:00Z'),
+        { timeZone: 'America/New_York' },
+      );
+
+      expect(dates.map((d) => d.toISOString())).toEqual([
+        '2030-03-04T14:00:00.000Z',
+        '2030-03-11T13:00:00.000Z',
+      ]);
+    });
+  });
+});
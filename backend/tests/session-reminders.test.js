@@ -0,0 +1,41 @@
+/**
+ * Session Reminder Tests
+ * Tests for picking which reminder offsets are due
+ */
+
+const sessionReminderService = require('../src/modules/sessions/services/sessionReminder.service');
+
+const now = new Date('2030-03-11T12:00:00Z');
+const minutesAhead = (minutes) => new Date(now.getTime() + minutes * 60 * 1000);
+
+describe('Session Reminders', () => {
+  test('should only return offsets whose reminder time has passed', () => {
+    expect(sessionReminderService.getDueOffsets([1440, 60], minutesAhead(120), now)).toEqual([1440]);
+    expect(sessionReminderService.getDueOffsets([1440, 60], minutesAhead(60), now)).toEqual([60, 1440]);
+    expect(sessionReminderService.getDueOffsets([1440, 60], minutesAhead(2000), now)).toEqual([]);
+  });
+
+  test('should exclude offsets that were already sent or skipped', () => {
+    expect(sessionReminderService.getDueOffsets([1440, 60], minutesAhead(30), now, [1440])).toEqual([60]);
+    expect(sessionReminderService.getDueOffsets([1440, 60], minutesAhead(30), now, [1440, 60])).toEqual([]);
+  });
+
+  test('should send the closest due offset and skip the missed ones', () => {
+    // Booked 30 minutes ahead: the day-before and hour-before reminders are both due
+    const due = sessionReminderService.getDueOffsets([1440, 60, 60], minutesAhead(30), now);
+
+    expect(sessionReminderService.buildClaim(due)).toEqual([
+      { offsetMinutes: 60, status: 'sending' },
+      { offsetMinutes: 1440, status: 'skipped' },
+    ]);
+    expect(sessionReminderService.buildClaim([60])).toEqual([{ offsetMinutes: 60, status: 'sending' }]);
+  });
+
+  test('should only count a reminder as sent when a channel delivered it', () => {
+    expect(sessionReminderService.getStatus(2, ['email'], 1)).toBe('sent');
+    expect(sessionReminderService.getStatus(2, [], 2)).toBe('failed');
+    // No enabled notification preference, or SMS not configured
+    expect(sessionReminderService.getStatus(1, [], 0)).toBe('skipped');
+    expect(sessionReminderService.getStatus(0, [], 0)).toBe('skipped');
+  });
+});
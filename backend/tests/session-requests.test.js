@@ -0,0 +1,167 @@
+/**
+ * Session Request Tests
+ * Tests for session requests, approval and reschedule proposals (needs the test database)
+ */
+
+const mongoose = require('mongoose');
+const Session = require('../src/modules/sessions/models/session.model');
+const SessionPolicy = require('../src/modules/sessions/models/sessionPolicy.model');
+const ClientProfile = require('../src/modules/clients/models/clientProfile.model');
+const sessionService = require('../src/modules/sessions/services/session.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const id = () => new mongoose.Types.ObjectId();
+
+// 10:00 UTC a number of days ahead
+const daysAhead = (days, hour = 10) => {
+  const date = new Date(Date.now() + days * DAY_MS);
+  date.setUTCHours(hour, 0, 0, 0);
+  return date;
+};
+
+describe('Session Requests', () => {
+  const coachIds = [];
+
+  // Every test books with its own coach so times never clash
+  const createPair = async () => {
+    const pair = { coachId: id(), clientId: id() };
+    coachIds.push(pair.coachId);
+    await ClientProfile.create({ userId: pair.clientId, coachId: pair.coachId });
+    return pair;
+  };
+
+  const createSession = ({ coachId, clientId }, overrides = {}) => Session.create({
+    coachId,
+    clientId,
+    title: 'Coaching call',
+    type: 'consultation',
+    startTime: daysAhead(7),
+    endTime: new Date(daysAhead(7).getTime() + HOUR_MS),
+    status: 'confirmed',
+    ...overrides,
+  });
+
+  const propose = (session, userId, userRole, days) => sessionService.proposeReschedule(
+    session._id,
+    userId,
+    userRole,
+    {
+      startTime: daysAhead(days).toISOString(),
+      endTime: new Date(daysAhead(days).getTime() + HOUR_MS).toISOString(),
+      timeZone: 'UTC',
+      reason: 'Travelling',
+    },
+  );
+
+  beforeAll(async () => {
+    const mongoUri = process.env.MONGODB_URI_TEST || 'mongodb://localhost:27017/coachflow_test';
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    await Session.deleteMany({ coachId: { $in: coachIds } });
+    await SessionPolicy.deleteMany({ coachId: { $in: coachIds } });
+    await ClientProfile.deleteMany({ coachId: { $in: coachIds } });
+    await mongoose.connection.close();
+  });
+
+  describe('Requests', () => {
+    test('should only let the coach approve a client request', async () => {
+      const pair = await createPair();
+      const request = await sessionService.requestSession(pair.clientId, {
+        coachId: pair.coachId,
+        startTime: daysAhead(3).toISOString(),
+        endTime: new Date(daysAhead(3).getTime() + HOUR_MS).toISOString(),
+        timeZone: 'UTC',
+      });
+
+      expect(request.status).toBe('requested');
+      expect(request.requestedBy.toString()).toBe(pair.clientId.toString());
+
+      await expect(sessionService.approveSession(request._id, pair.clientId, 'client'))
+        .rejects.toThrow('Only the coach can approve this session');
+      await expect(sessionService.updateSession(request._id, pair.clientId, 'client', { status: 'confirmed' }))
+        .rejects.toThrow('Only the coach can approve or decline a session request');
+
+      const approved = await sessionService.approveSession(request._id, pair.coachId, 'coach');
+      expect(approved.status).toBe('confirmed');
+    });
+
+    test('should not approve a declined request', async () => {
+      const pair = await createPair();
+      const request = await createSession(pair, { status: 'requested', requestedBy: pair.clientId });
+
+      const declined = await sessionService.declineSession(request._id, pair.coachId, 'coach', 'Fully booked');
+
+      expect(declined.status).toBe('declined');
+      expect(declined.declineReason).toBe('Fully booked');
+      await expect(sessionService.approveSession(request._id, pair.coachId, 'coach'))
+        .rejects.toThrow('Cannot transition from declined to confirmed');
+    });
+
+    test('should only move sessions along the allowed transitions', async () => {
+      const pair = await createPair();
+      const request = await createSession(pair, { status: 'requested', requestedBy: pair.clientId });
+      const confirmed = await createSession(pair, { startTime: daysAhead(8), endTime: daysAhead(8, 11) });
+
+      await expect(sessionService.updateSession(request._id, pair.coachId, 'coach', { status: 'completed' }))
+        .rejects.toThrow('Cannot transition from requested to completed');
+      await expect(sessionService.updateSession(confirmed._id, pair.coachId, 'coach', { status: 'reschedule_proposed' }))
+        .rejects.toThrow('Use the reschedule endpoint to propose a new time');
+      await expect(sessionService.updateSession(confirmed._id, pair.coachId, 'coach', { status: 'requested' }))
+        .rejects.toThrow('Cannot transition from confirmed to requested');
+    });
+  });
+
+  describe('Reschedule proposals', () => {
+    test('should move the session when the other participant accepts', async () => {
+      const pair = await createPair();
+      const session = await createSession(pair);
+
+      const proposed = await propose(session, pair.clientId, 'client', 9);
+
+      expect(proposed.status).toBe('reschedule_proposed');
+      expect(proposed.rescheduleProposal.previousStatus).toBe('confirmed');
+      await expect(sessionService.respondToReschedule(session._id, pair.clientId, 'client', true))
+        .rejects.toThrow('You cannot respond to your own reschedule proposal');
+
+      const accepted = await sessionService.respondToReschedule(session._id, pair.coachId, 'coach', true);
+
+      expect(accepted.status).toBe('confirmed');
+      expect(accepted.startTime).toEqual(daysAhead(9));
+      expect(accepted.duration).toBe(60);
+      expect(accepted.toObject().rescheduleProposal).toBeUndefined();
+      expect(accepted.rescheduleHistory).toHaveLength(1);
+      expect(accepted.rescheduleHistory[0].accepted).toBe(true);
+    });
+
+    test('should keep the time and status when the proposal is rejected', async () => {
+      const pair = await createPair();
+      const session = await createSession(pair, { status: 'scheduled' });
+
+      await propose(session, pair.coachId, 'coach', 9);
+      const rejected = await sessionService.respondToReschedule(session._id, pair.clientId, 'client', false);
+
+      expect(rejected.status).toBe('scheduled');
+      expect(rejected.startTime).toEqual(session.startTime);
+      expect(rejected.rescheduleHistory[0].accepted).toBe(false);
+      await expect(sessionService.respondToReschedule(session._id, pair.coachId, 'coach', true))
+        .rejects.toThrow('Session has no pending reschedule proposal');
+    });
+
+    test('should hold clients to the monthly reschedule limit', async () => {
+      const pair = await createPair();
+      const session = await createSession(pair);
+      await SessionPolicy.create({ coachId: pair.coachId, maxReschedulesPerMonth: 1 });
+
+      await propose(session, pair.clientId, 'client', 9);
+      await sessionService.respondToReschedule(session._id, pair.coachId, 'coach', true);
+
+      await expect(propose(session, pair.clientId, 'client', 10)).rejects.toThrow('Reschedule limit reached');
+      // Coaches are not limited
+      await expect(propose(session, pair.coachId, 'coach', 10)).resolves.toBeDefined();
+    });
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Session Time Zone Tests
+ * Tests for wall-clock parsing, DST handling and localized session times
+ */
+
+const timezone = require('../src/common/utils/timezone');
+const sessionTimeZoneService = require('../src/modules/sessions/services/sessionTimeZone.service');
+
+describe('Session Time Zones', () => {
+  describe('Parsing', () => {
+    test('should read offset-less times as wall-clock time in the zone', () => {
+      const { startTime, endTime } = sessionTimeZoneService.parseTimes({
+        startTime: '2030-07-01T09:00',
+        endTime: '2030-07-01T10:00',
+      }, 'Europe/London');
+
+      expect(startTime.toISOString()).toBe('2030-07-01T08:00:00.000Z');
+      expect(endTime.toISOString()).toBe('2030-07-01T09:00:00.000Z');
+    });
+
+    test('should keep times that carry an offset', () => {
+      const { startTime } = sessionTimeZoneService.parseTimes({
+        startTime: '2030-07-01T09:00:00+02:00',
+      }, 'America/New_York');
+
+      expect(startTime.toISOString()).toBe('2030-07-01T07:00:00.000Z');
+    });
+
+    test('should resolve times skipped by a DST jump forward', () => {
+      // 02:30 does not exist in New York on 10 March 2030
+      const date = timezone.parseLocal('2030-03-10T02:30', 'America/New_York');
+      expect(date.toISOString()).toBe('2030-03-10T07:30:00.000Z');
+    });
+
+    test('should reject unknown time zones', () => {
+      expect(() => sessionTimeZoneService.parseTimes({ startTime: '2030-07-01T09:00' }, 'Mars/Olympus'))
+        .toThrow('Unknown time zone');
+    });
+  });
+
+  describe('Localized responses', () => {
+    const session = {
+      _id: '65a000000000000000000001',
+      title: 'Strength',
+      startTime: new Date('2030-03-11T13:00:00Z'),
+      endTime: new Date('2030-03-11T14:00:00Z'),
+    };
+
+    test('should add local times with the UTC offset in effect', () => {
+      const { local, startTime } = sessionTimeZoneService.localize(session, 'America/New_York');
+
+      expect(startTime).toEqual(session.startTime);
+      expect(local.timeZone).toBe('America/New_York');
+      expect(local.startTime).toBe('2030-03-11T09:00:00-04:00');
+      expect(local.endTime).toBe('2030-03-11T10:00:00-04:00');
+      expect(local.display).toContain('9:00 AM EDT');
+    });
+
+    test('should localize series results', () => {
+      const result = sessionTimeZoneService.localizeResult({ series: {}, sessions: [session] }, 'Asia/Kolkata');
+      expect(result.sessions[0].local.startTime).toBe('2030-03-11T18:30:00+05:30');
+    });
+
+    test('should format message times in the recipient zone', () => {
+      const text = timezone.format(session.startTime, 'Europe/Berlin');
+
+      expect(text).toContain('March 11, 2030');
+      expect(text).toContain('2:00 PM');
+    });
+  });
+});
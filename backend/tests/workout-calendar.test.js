@@ -0,0 +1,148 @@
+/**
+ * Program Calendar Tests
+ * Training days, dated layouts, missed-day shifts and check-in due dates
+ */
+
+const programCalendar = require('../src/modules/workouts/utils/programCalendar');
+const programCalendarService = require('../src/modules/workouts/services/programCalendar.service');
+
+const at = (key) => programCalendar.toDate(key);
+
+describe('Program calendar', () => {
+  it('picks training days from the available days', () => {
+    const weekdays = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'];
+
+    expect(programCalendar.trainingDays(weekdays, 3)).toEqual(['monday', 'wednesday', 'friday']);
+    expect(programCalendar.trainingDays(['friday', 'monday', 'wednesday', 'sunday'], 2)).toEqual(['monday', 'sunday']);
+    // Fewer available days than workouts per week: use them all
+    expect(programCalendar.trainingDays(['saturday', 'monday'], 3)).toEqual(['monday', 'saturday']);
+    expect(programCalendar.trainingDays([], 4)).toEqual(['monday', 'tuesday', 'thursday', 'friday']);
+  });
+
+  it('lays workouts out in order from the start date', () => {
+    // 2030-01-02 is a Wednesday
+    const slots = programCalendar.layout({
+      startDate: '2030-01-02',
+      weeks: 2,
+      workoutsPerWeek: 3,
+      workoutCount: 2,
+      days: ['monday', 'wednesday', 'friday'],
+    });
+
+    expect(slots.map((slot) => [slot.date, slot.week, slot.workoutIndex])).toEqual([
+      ['2030-01-02', 1, 0],
+      ['2030-01-04', 1, 1],
+      ['2030-01-07', 1, 0],
+      ['2030-01-09', 2, 1],
+      ['2030-01-11', 2, 0],
+      ['2030-01-14', 2, 1],
+    ]);
+  });
+
+  it('lays out only the workouts not done yet when a program is scheduled again', () => {
+    const slots = programCalendar.layout({
+      startDate: '2030-01-14',
+      weeks: 2,
+      workoutsPerWeek: 3,
+      workoutCount: 2,
+      days: ['monday', 'wednesday', 'friday'],
+      done: [0, 1, 3],
+    });
+
+    expect(slots.map((slot) => [slot.date, slot.sequence, slot.workoutIndex])).toEqual([
+      ['2030-01-14', 2, 0],
+      ['2030-01-16', 4, 0],
+      ['2030-01-18', 5, 1],
+    ]);
+  });
+
+  it('runs past the planned weeks rather than dropping workouts', () => {
+    const slots = programCalendar.layout({
+      startDate: '2030-01-02',
+      weeks: 2,
+      workoutsPerWeek: 2,
+      workoutCount: 2,
+      days: ['saturday'],
+    });
+
+    expect(slots.map((slot) => [slot.date, slot.week])).toEqual([
+      ['2030-01-05', 1],
+      ['2030-01-12', 2],
+      ['2030-01-19', 3],
+      ['2030-01-26', 4],
+    ]);
+    expect(programCalendar.layout({
+      startDate: '2030-01-02', weeks: 4, workoutCount: 0, days: ['monday'],
+    })).toEqual([]);
+  });
+
+  it('shifts pending workouts onto the next training days after a missed day', () => {
+    const moves = programCalendar.shift(
+      [
+        { _id: 'b', scheduledDate: at('2030-01-09'), programSequence: 2 },
+        { _id: 'a', scheduledDate: at('2030-01-04'), programSequence: 1 },
+        { _id: 'c', scheduledDate: at('2030-01-11'), programSequence: 3 },
+      ],
+      { fromDate: '2030-01-08', startDate: '2030-01-02', days: ['monday', 'wednesday', 'friday'] },
+    );
+
+    // The missed Friday takes Wednesday's place and the rest move up one day
+    expect(moves).toEqual([
+      { id: 'a', date: '2030-01-09', week: 2 },
+      { id: 'b', date: '2030-01-11', week: 2 },
+      { id: 'c', date: '2030-01-14', week: 2 },
+    ]);
+  });
+
+  it('copies template workouts onto dates', () => {
+    const workout = programCalendarService.buildWorkout(
+      { _id: 'program', coachId: { _id: 'coach' } },
+      {
+        _id: 'template',
+        name: 'Push Day',
+        type: 'strength',
+        clientId: 'someone-else',
+        exercises: [{
+          _id: 'entry', exerciseId: 'bench', name: 'Bench Press', sets: 4,
+        }],
+      },
+      'client',
+      {
+        date: '2030-01-09', week: 2, sequence: 3, workoutIndex: 1,
+      },
+    );
+
+    expect(workout).toEqual({
+      name: 'Push Day',
+      type: 'strength',
+      exercises: [{ exerciseId: 'bench', name: 'Bench Press', sets: 4 }],
+      coachId: 'coach',
+      clientId: 'client',
+      programId: 'program',
+      templateWorkoutId: 'template',
+      scheduledDate: at('2030-01-09'),
+      originalDate: at('2030-01-09'),
+      programWeek: 2,
+      programSequence: 3,
+      status: 'scheduled',
+    });
+  });
+
+  it('lists check-in due dates inside the calendar range', () => {
+    const schedule = {
+      cadence: 'weekly',
+      dayOfWeek: 'monday',
+      dueTime: '09:00',
+      timeZone: 'UTC',
+      startDate: new Date('2030-01-01T00:00:00Z'),
+    };
+
+    expect(programCalendarService.getDueDates(schedule, at('2030-01-07'), at('2030-01-21'))).toEqual([
+      new Date('2030-01-07T09:00:00Z'),
+      new Date('2030-01-14T09:00:00Z'),
+    ]);
+    expect(programCalendar.range('2030-01-30', '2030-02-02')).toEqual([
+      '2030-01-30', '2030-01-31', '2030-02-01', '2030-02-02',
+    ]);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Program Progress Tests
+ * Completed workout counts, calendar weeks and program completion
+ */
+
+const mongoose = require('mongoose');
+const programProgress = require('../src/modules/workouts/utils/programProgress');
+
+const at = (key) => new Date(`${key}T00:00:00Z`);
+const id = () => new mongoose.Types.ObjectId();
+
+const buildProgram = (overrides = {}) => ({
+  startDate: at('2030-01-02'),
+  endDate: at('2030-01-14'),
+  duration: { weeks: 2 },
+  schedule: { autoShift: true },
+  progress: { completedWorkouts: 0, totalWorkouts: 0, currentWeek: 1 },
+  ...overrides,
+});
+
+describe('Program progress', () => {
+  const [first, second, third] = [id(), id(), id()];
+  const workouts = [
+    { _id: first, status: 'scheduled', programWeek: 1 },
+    { _id: second, status: 'completed', programWeek: 1 },
+    { _id: third, status: 'scheduled', programWeek: 2 },
+  ];
+
+  it('counts each calendar workout once and logs outside the calendar one each', () => {
+    const progress = programProgress.calculate(buildProgram(), workouts, [
+      { workoutId: first, date: at('2030-01-02') },
+      { workoutId: first, date: at('2030-01-03') },
+      { workoutId: id(), date: at('2030-01-05') },
+    ], '2030-01-10');
+
+    expect(progress).toMatchObject({
+      completedWorkouts: 2,
+      totalWorkouts: 3,
+      currentWeek: 2,
+      finished: false,
+    });
+    // The first log marks the workout done; a workout whose log is gone is open again
+    expect(progress.completions).toEqual([{ id: first, completedDate: at('2030-01-02') }]);
+    expect(progress.reopened).toEqual([second]);
+  });
+
+  it('finishes once every workout is done', () => {
+    const logs = [first, second, third].map((workoutId) => ({ workoutId, date: at('2030-01-09') }));
+    const progress = programProgress.calculate(buildProgram(), workouts, logs, '2030-01-09');
+
+    expect(progress).toMatchObject({ finished: true, expired: false });
+    expect(progress.completions.map((completion) => completion.id)).toEqual([first, third]);
+    expect(progress.reopened).toEqual([]);
+  });
+
+  it('expires at the end date only when dates are fixed, without finishing', () => {
+    const logs = [{ workoutId: first, date: at('2030-01-02') }];
+    const fixed = buildProgram({ schedule: { autoShift: false } });
+
+    expect(programProgress.calculate(buildProgram(), workouts, logs, '2030-01-20'))
+      .toMatchObject({ finished: false, expired: false });
+    expect(programProgress.calculate(fixed, workouts, logs, '2030-01-20'))
+      .toMatchObject({ finished: false, expired: true });
+    expect(programProgress.calculate(fixed, workouts, [], '2030-01-20'))
+      .toMatchObject({ completedWorkouts: 0, finished: false, expired: true });
+    expect(programProgress.calculate(fixed, workouts, logs, '2030-01-14'))
+      .toMatchObject({ finished: false, expired: false });
+  });
+
+  it('finishes rather than expires when every workout was done by the end date', () => {
+    const logs = [first, second, third].map((workoutId) => ({ workoutId, date: at('2030-01-09') }));
+    const fixed = buildProgram({ schedule: { autoShift: false } });
+
+    expect(programProgress.calculate(fixed, workouts, logs, '2030-01-20'))
+      .toMatchObject({ finished: true, expired: false });
+  });
+
+  it('keeps the current week inside the calendar', () => {
+    const shifted = [...workouts, { _id: id(), status: 'scheduled', programWeek: 3 }];
+
+    expect(programProgress.currentWeek(buildProgram(), shifted, '2029-12-30')).toBe(1);
+    expect(programProgress.currentWeek(buildProgram(), shifted, '2030-01-08')).toBe(1);
+    expect(programProgress.currentWeek(buildProgram(), shifted, '2030-01-09')).toBe(2);
+    expect(programProgress.currentWeek(buildProgram(), shifted, '2030-03-01')).toBe(3);
+    expect(programProgress.currentWeek(buildProgram({ startDate: null, progress: { currentWeek: 4 } }), [], '2030-03-01'))
+      .toBe(4);
+  });
+
+  it('tracks programs without a calendar by their logs', () => {
+    const program = buildProgram({ progress: { totalWorkouts: 2 } });
+    const logs = [{ workoutId: id(), date: at('2030-01-02') }, { workoutId: id(), date: at('2030-01-04') }];
+
+    expect(programProgress.calculate(program, [], logs, '2030-01-05')).toMatchObject({
+      completedWorkouts: 2,
+      totalWorkouts: 2,
+      finished: true,
+      completions: [],
+      reopened: [],
+    });
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Personal Record Tests
+ * Best performances per exercise, record detection and current bests
+ */
+
+const mongoose = require('mongoose');
+const personalRecords = require('../src/modules/workouts/utils/personalRecords');
+const personalRecordService = require('../src/modules/workouts/services/personalRecord.service');
+const eventBus = require('../src/common/utils/eventBus');
+
+const set = (weight, reps) => ({ weight, reps });
+
+describe('Personal records', () => {
+  it('finds the heaviest set, best estimated 1RM, rep bests and volume', () => {
+    const candidates = personalRecords.candidates([{
+      name: 'Bench Press',
+      sets: [set(100, 5), set(105, 2), set(90, 8), set(80, 8), set(60, 0)],
+    }]);
+    const byType = (type) => candidates.filter((candidate) => candidate.type === type);
+
+    expect(byType('weight')).toEqual([expect.objectContaining({ value: 105, reps: 2 })]);
+    expect(byType('estimated_1rm')).toEqual([expect.objectContaining({ value: 116.67, weight: 100, reps: 5 })]);
+    // 80 x 8 is beaten by 90 x 8
+    expect(byType('reps').map(({ weight, reps }) => [weight, reps])).toEqual([[105, 2], [100, 5], [90, 8]]);
+    expect(byType('volume')).toEqual([expect.objectContaining({ value: 2070 })]);
+    expect(candidates.every((candidate) => candidate.exerciseKey === 'name:bench_press')).toBe(true);
+  });
+
+  it('keys linked exercises by library ID and combines repeated entries', () => {
+    const exercise = new mongoose.Types.ObjectId();
+    const candidates = personalRecords.candidates([
+      { exercise, name: 'Squat', sets: [set(100, 5)] },
+      { exercise, name: 'Squat', sets: [set(120, 1)] },
+      { name: 'Plank', sets: [{ duration: 60 }] },
+    ]);
+
+    expect(new Set(candidates.map((candidate) => candidate.exerciseKey))).toEqual(new Set([exercise.toString()]));
+    expect(candidates.find((candidate) => candidate.type === 'weight').value).toBe(120);
+    expect(candidates.find((candidate) => candidate.type === 'volume').value).toBe(620);
+  });
+
+  it('ignores sets too long for a reliable 1RM estimate', () => {
+    const candidates = personalRecords.candidates([{ name: 'Curl', sets: [set(20, 15)] }]);
+
+    expect(candidates.map((candidate) => candidate.type)).toEqual(['weight', 'reps', 'volume']);
+  });
+
+  it('records firsts as baselines and only improvements after that', () => {
+    const candidates = personalRecords.candidates([{ name: 'Squat', sets: [set(100, 5), set(90, 10)] }]);
+    const bests = [
+      { exerciseKey: 'name:squat', type: 'weight', value: 100 },
+      { exerciseKey: 'name:squat', type: 'estimated_1rm', value: 110 },
+      {
+        exerciseKey: 'name:squat', type: 'reps', weight: 100, value: 6,
+      },
+    ];
+
+    const records = personalRecords.detect(candidates, bests);
+    const summary = records.map(({ type, weight, previousBest }) => [type, weight, previousBest]);
+
+    expect(summary).toEqual([
+      ['estimated_1rm', 90, 110],
+      // 90 x 10 beats the 6 reps done at 100 kg; 100 x 5 doesn't
+      ['reps', 90, 6],
+      ['volume', undefined, null],
+    ]);
+    expect(records.filter((record) => personalRecords.isImprovement(record)).map((record) => record.type))
+      .toEqual(['estimated_1rm', 'reps']);
+  });
+
+  it('summarizes the current bests per exercise', () => {
+    const day = (n) => new Date(Date.UTC(2025, 0, n));
+    const summary = personalRecords.summarize([
+      {
+        exerciseKey: 'name:squat', exerciseName: 'Squat', type: 'weight', value: 100, achievedAt: day(1),
+      },
+      {
+        exerciseKey: 'name:squat', exerciseName: 'Squat', type: 'weight', value: 110, previousBest: 100, achievedAt: day(8),
+      },
+      {
+        exerciseKey: 'name:squat', exerciseName: 'Squat', type: 'reps', weight: 80, value: 8, reps: 8, achievedAt: day(1),
+      },
+      {
+        exerciseKey: 'name:squat', exerciseName: 'Squat', type: 'reps', weight: 90, value: 8, reps: 8, achievedAt: day(8),
+      },
+      {
+        exerciseKey: 'name:bench', exerciseName: 'Bench', type: 'volume', value: 2000, achievedAt: day(3),
+      },
+    ]);
+
+    expect(summary.map((exercise) => exercise.exerciseName)).toEqual(['Squat', 'Bench']);
+    expect(summary[0].weight).toEqual(expect.objectContaining({ value: 110, previousBest: 100 }));
+    expect(summary[0].reps.map((best) => best.weight)).toEqual([90]);
+    expect(summary[1].volume.value).toBe(2000);
+  });
+
+  it('filters history by library exercise or logged name', () => {
+    const userId = new mongoose.Types.ObjectId();
+    const exerciseId = new mongoose.Types.ObjectId().toString();
+
+    expect(personalRecordService.buildFilters(userId, { exercise: exerciseId }).exerciseKey).toBe(exerciseId);
+    expect(personalRecordService.buildFilters(userId, { exercise: 'Bulgarian Split Squat', type: 'reps' }))
+      .toEqual({ userId, exerciseKey: 'name:bulgarian_split_squat', type: 'reps' });
+  });
+
+  it('keeps a failing subscriber away from the publisher', async () => {
+    const received = [];
+
+    eventBus.subscribe('test.event', () => {
+      throw new Error('subscriber failed');
+    });
+    eventBus.subscribe('test.event', (payload) => received.push(payload));
+
+    expect(() => eventBus.publish('test.event', { id: 1 })).not.toThrow();
+    await new Promise((resolve) => { setImmediate(resolve); });
+
+    expect(received).toEqual([{ id: 1 }]);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Training Max Tests
+ * 1RM formulas, training maxes and percentage-based prescriptions
+ */
+
+const mongoose = require('mongoose');
+const strength = require('../src/modules/workouts/utils/strength');
+const trainingMaxService = require('../src/modules/workouts/services/trainingMax.service');
+const workoutLoggingService = require('../src/modules/ai-programs/services/workoutLogging.service');
+
+describe('Training maxes', () => {
+  it('estimates a 1RM with each formula', () => {
+    expect(strength.estimate1RM(100, 5)).toBe(116.67);
+    expect(strength.estimate1RM(100, 5, { formula: 'brzycki' })).toBe(112.5);
+    expect(strength.estimate1RM(100, 5, { formula: 'rpe', rpe: 8 })).toBe(123.3);
+    // Half points are interpolated on the chart
+    expect(strength.estimate1RM(100, 5, { formula: 'rpe', rpe: 8.5 })).toBe(121.36);
+    // Without an RPE the chart can't be used
+    expect(strength.estimate1RM(100, 5, { formula: 'rpe' })).toBe(116.67);
+  });
+
+  it('treats singles as their own max and skips long sets', () => {
+    expect(strength.estimate1RM(140, 1)).toBe(140);
+    expect(strength.estimate1RM(140, 1, { formula: 'brzycki' })).toBe(140);
+    expect(strength.estimate1RM(140, 1, { formula: 'rpe', rpe: 10 })).toBe(140);
+    expect(strength.estimate1RM(60, 13)).toBeNull();
+    expect(strength.estimate1RM(0, 5)).toBeNull();
+  });
+
+  it('picks the best set and rounds prescribed loads to the increment', () => {
+    const best = strength.bestEstimate([
+      { weight: 100, reps: 5, rpe: 9 },
+      { weight: 105, reps: 3, rpe: 9 },
+      { weight: 60, reps: 15 },
+    ], { formula: 'rpe' });
+
+    expect(best).toEqual({
+      value: 119.47, weight: 100, reps: 5, rpe: 9,
+    });
+    expect(strength.trainingMax(116.67, 90)).toBe(105);
+    expect(strength.prescribe(132.5, 75)).toBe(100);
+    expect(strength.prescribe(100, 72.5, 5)).toBe(75);
+  });
+
+  it('compares formulas in the calculator', () => {
+    const result = trainingMaxService.estimateOneRepMax({ weight: 100, reps: 5 });
+
+    expect(result.estimates).toEqual({ epley: 116.67, brzycki: 112.5, rpe: 116.67 });
+    expect(result.trainingMaxes.brzycki).toBe(101.25);
+  });
+
+  it('turns percentages into kg targets from training maxes', () => {
+    const benchId = new mongoose.Types.ObjectId();
+    const { exercises, prescriptions } = trainingMaxService.applyPrescriptions(
+      [
+        { exercise: benchId, name: 'Bench Press', targetWeight: 80 },
+        { name: 'Barbell Row', loadPercentage: 70, targetWeight: 60 },
+      ],
+      [{ exerciseKey: benchId.toString(), value: 132.5 }],
+      { loadPercentage: 75, reduction: 10, increment: 2.5 },
+    );
+
+    expect(prescriptions).toEqual([
+      {
+        exerciseIndex: 0, name: 'Bench Press', loadPercentage: 67.5, trainingMax: 132.5, targetWeight: 90,
+      },
+      {
+        exerciseIndex: 1, name: 'Barbell Row', loadPercentage: 63, trainingMax: null, targetWeight: null,
+      },
+    ]);
+    expect(exercises.map((exercise) => [exercise.targetWeight, exercise.targetPercentage]))
+      .toEqual([[90, 67.5], [60, 63]]);
+  });
+
+  it('reads the load and deload of the current week from percentage-based programs', () => {
+    const program = {
+      appliedAt: new Date('2030-01-01T00:00:00Z'),
+      generatedContent: {
+        workoutProgram: {
+          duration: { weeks: 4 },
+          progressionEngine: {
+            progressionRules: {
+              strategy: 'percentage_based',
+              weightIncrement: 2.5,
+              weeklyLoad: [{ week: 1, loadPercentage: 70 }, { week: 4, loadPercentage: 80 }],
+            },
+            deloadProtocol: {
+              enabled: true,
+              scheduledDeloads: [{ week: 4, type: 'intensity_reduction', reduction: 10 }],
+            },
+          },
+        },
+      },
+    };
+
+    expect(workoutLoggingService.getPercentagePrescription(program, '2030-01-03')).toEqual({
+      week: 1, loadPercentage: 70, reduction: 0, increment: 2.5,
+    });
+    // Past the last week the program stays on its last week
+    expect(workoutLoggingService.getPercentagePrescription(program, '2030-03-01')).toEqual({
+      week: 4, loadPercentage: 80, reduction: 10, increment: 2.5,
+    });
+    expect(workoutLoggingService.getPercentagePrescription({ generatedContent: {} }, '2030-01-03')).toBeNull();
+  });
+});